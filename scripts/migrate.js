@@ -154,6 +154,470 @@ const migrations = [
         )
       ON CONFLICT DO NOTHING;
     `
+  },
+  {
+    name: '008_extend_campaigns_table',
+    sql: `
+      ALTER TABLE campaigns
+        ADD COLUMN IF NOT EXISTS webhook_url TEXT,
+        ADD COLUMN IF NOT EXISTS variables JSONB DEFAULT '{}'::jsonb,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW(),
+        ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+    `
+  },
+  {
+    name: '009_create_campaign_schedule_index',
+    sql: `
+      CREATE INDEX IF NOT EXISTS idx_campaigns_status_scheduled_at ON campaigns(status, scheduled_at);
+    `
+  },
+  {
+    name: '010_add_recipient_provider_columns',
+    sql: `
+      ALTER TABLE campaign_recipients
+        ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS provider_message_id VARCHAR(255);
+
+      CREATE INDEX IF NOT EXISTS idx_campaign_recipients_provider_message_id ON campaign_recipients(provider_message_id);
+    `
+  },
+  {
+    name: '011_add_sms_channel',
+    sql: `
+      ALTER TABLE contacts ADD COLUMN IF NOT EXISTS phone VARCHAR(32);
+      ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'email';
+      ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'email';
+
+      ALTER TABLE campaign_recipients
+        ADD COLUMN IF NOT EXISTS segments INTEGER,
+        ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+
+      CREATE INDEX IF NOT EXISTS idx_email_templates_channel ON email_templates(user_id, channel);
+    `
+  },
+  {
+    name: '012_add_whatsapp_channel',
+    sql: `
+      ALTER TABLE email_templates ADD COLUMN IF NOT EXISTS whatsapp_template JSONB;
+      ALTER TABLE campaign_recipients ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+
+      -- Last inbound message per WhatsApp number, for the 24-hour session window
+      CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+        phone VARCHAR(32) PRIMARY KEY,
+        last_inbound_at TIMESTAMP NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `
+  },
+  {
+    name: '013_add_open_tracking',
+    sql: `
+      ALTER TABLE campaign_recipients
+        ADD COLUMN IF NOT EXISTS open_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS machine_open_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS first_opened_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_opened_at TIMESTAMP;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_recipients_tracking_id ON campaign_recipients(tracking_id);
+
+      CREATE TABLE IF NOT EXISTS tracking_events (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        recipient_id UUID NOT NULL REFERENCES campaign_recipients(id) ON DELETE CASCADE,
+        campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        event_type VARCHAR(20) NOT NULL,
+        user_agent TEXT,
+        ip_address INET,
+        is_machine BOOLEAN NOT NULL DEFAULT false,
+        machine_reason VARCHAR(50),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_tracking_events_campaign ON tracking_events(campaign_id, event_type);
+      CREATE INDEX IF NOT EXISTS idx_tracking_events_recipient ON tracking_events(recipient_id);
+    `
+  },
+  {
+    name: '014_add_click_tracking',
+    sql: `
+      ALTER TABLE tracking_events ADD COLUMN IF NOT EXISTS url TEXT;
+
+      ALTER TABLE campaign_recipients
+        ADD COLUMN IF NOT EXISTS click_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS first_clicked_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS last_clicked_at TIMESTAMP;
+
+      CREATE INDEX IF NOT EXISTS idx_tracking_events_clicks ON tracking_events(campaign_id, url) WHERE event_type = 'click';
+    `
+  },
+  {
+    name: '015_create_suppressions_table',
+    sql: `
+      -- user_id NULL marks a global entry (hard bounces, complaints) that applies to every account
+      CREATE TABLE IF NOT EXISTS suppressions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID,
+        channel VARCHAR(20) NOT NULL DEFAULT 'email',
+        address VARCHAR(255) NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        source VARCHAR(100),
+        campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_suppressions_user_address
+        ON suppressions(user_id, channel, address) WHERE user_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_suppressions_global_address
+        ON suppressions(channel, address) WHERE user_id IS NULL;
+
+      ALTER TABLE campaign_recipients ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP;
+    `
+  },
+  {
+    name: '016_add_recipient_bounce_columns',
+    sql: `
+      ALTER TABLE campaign_recipients
+        ADD COLUMN IF NOT EXISTS bounce_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS bounce_type VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS bounced_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS complained_at TIMESTAMP;
+    `
+  },
+  {
+    name: '017_seed_automation_templates',
+    sql: `
+      ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}'::jsonb;
+
+      -- Templates used by event-driven campaigns, owned by the automation account
+      INSERT INTO email_templates (user_id, name, channel, subject, body_html, body_text, variables)
+      VALUES
+        ('00000000-0000-0000-0000-000000000001', 'welcome_immediate', 'email', 'Welcome to the Tamyla trading network, {{contact_name}}', '<p>Hi {{contact_name}},</p><p>Welcome to Tamyla! Your {{traderType}} account is ready and traders across {{location}} are already looking for partners like you.</p><p>Complete your profile to start receiving trade opportunities that match your business.</p>', 'Hi {{contact_name}}, welcome to Tamyla! Your {{traderType}} account is ready and traders across {{location}} are already looking for partners like you. Complete your profile to start receiving trade opportunities that match your business.', '["contact_name", "traderType", "location"]'),
+        ('00000000-0000-0000-0000-000000000001', 'getting_started_guide', 'email', 'Getting started on Tamyla', '<p>Hi {{contact_name}},</p><p>Here is how {{traderType}} members get the most out of Tamyla:</p><ul><li>List your products or sourcing needs</li><li>Set the categories and regions you trade in</li><li>Turn on product alerts so you never miss a deal</li></ul>', 'Hi {{contact_name}}, here is how {{traderType}} members get the most out of Tamyla: list your products or sourcing needs, set the categories and regions you trade in, and turn on product alerts so you never miss a deal.', '["contact_name", "traderType"]'),
+        ('00000000-0000-0000-0000-000000000001', 'platform_tour', 'email', 'A quick tour of Tamyla', '<p>Hi {{contact_name}},</p><p>Take two minutes to explore the marketplace, your trade dashboard and the messaging centre where buyers and sellers agree terms.</p>', 'Hi {{contact_name}}, take two minutes to explore the marketplace, your trade dashboard and the messaging centre where buyers and sellers agree terms.', '["contact_name"]'),
+        ('00000000-0000-0000-0000-000000000001', 'first_trade_encouragement', 'email', 'Ready for your first trade in {{location}}?', '<p>Hi {{contact_name}},</p><p>Traders in {{location}} closed deals this week. Browse the latest listings and make your first offer today.</p>', 'Hi {{contact_name}}, traders in {{location}} closed deals this week. Browse the latest listings and make your first offer today.', '["contact_name", "location"]'),
+        ('00000000-0000-0000-0000-000000000001', 'community_introduction', 'email', 'Meet the Tamyla community', '<p>Hi {{contact_name}},</p><p>Join trader groups for your region and category to share market prices, logistics tips and trusted partners.</p>', 'Hi {{contact_name}}, join trader groups for your region and category to share market prices, logistics tips and trusted partners.', '["contact_name"]'),
+        ('00000000-0000-0000-0000-000000000001', 'profile_completion_congratulations', 'email', 'Your profile is {{completionLevel}}% complete', '<p>Congratulations {{contact_name}}!</p><p>Your profile is {{completionLevel}}% complete. We will now send you opportunities in {{interests}}.</p><p>Your goals: {{tradingGoals}}</p>', 'Congratulations {{contact_name}}! Your profile is {{completionLevel}}% complete. We will now send you opportunities in {{interests}}. Your goals: {{tradingGoals}}', '["contact_name", "completionLevel", "interests", "tradingGoals"]'),
+        ('00000000-0000-0000-0000-000000000001', 'new_product_alert', 'email', 'New {{category}} listed in {{location}}', '<p>Hi {{contact_name}},</p><p>A new <strong>{{category}}</strong> listing is available in {{location}}: {{quantity}} units at {{price}}.</p><p>Listed by {{traderInfo.name}}.</p>', 'Hi {{contact_name}}, a new {{category}} listing is available in {{location}}: {{quantity}} units at {{price}}. Listed by {{traderInfo.name}}.', '["contact_name", "category", "location", "quantity", "price", "traderInfo"]'),
+        ('00000000-0000-0000-0000-000000000001', 'price_drop_alert', 'email', 'Price drop on {{category}} in {{location}}', '<p>Hi {{contact_name}},</p><p>A <strong>{{category}}</strong> listing in {{location}} dropped from {{previousPrice}} to {{price}}.</p>', 'Hi {{contact_name}}, a {{category}} listing in {{location}} dropped from {{previousPrice}} to {{price}}.', '["contact_name", "category", "location", "previousPrice", "price"]'),
+        ('00000000-0000-0000-0000-000000000001', 'trade_initiated_confirmation', 'email', 'Trade {{tradeId}} has started', '<p>Hi {{contact_name}},</p><p>Trade <strong>{{tradeId}}</strong> for {{amount}} has been initiated. We will keep you updated as it progresses.</p>', 'Hi {{contact_name}}, trade {{tradeId}} for {{amount}} has been initiated. We will keep you updated as it progresses.', '["contact_name", "tradeId", "amount"]'),
+        ('00000000-0000-0000-0000-000000000001', 'trade_feedback_request', 'email', 'How did trade {{tradeId}} go?', '<p>Hi {{contact_name}},</p><p>Your trade <strong>{{tradeId}}</strong> with {{sellerInfo.name}} is complete. Your feedback helps other traders choose reliable partners.</p>', 'Hi {{contact_name}}, your trade {{tradeId}} with {{sellerInfo.name}} is complete. Your feedback helps other traders choose reliable partners.', '["contact_name", "tradeId", "sellerInfo"]'),
+        ('00000000-0000-0000-0000-000000000001', 'sale_confirmation', 'email', 'Sale confirmed: trade {{tradeId}}', '<p>Hi {{contact_name}},</p><p>Your sale <strong>{{tradeId}}</strong> for {{amount}} to {{buyerInfo.name}} is confirmed. Thank you for trading on Tamyla.</p>', 'Hi {{contact_name}}, your sale {{tradeId}} for {{amount}} to {{buyerInfo.name}} is confirmed. Thank you for trading on Tamyla.', '["contact_name", "tradeId", "amount", "buyerInfo"]'),
+        ('00000000-0000-0000-0000-000000000001', 'inventory_low_alert', 'email', 'Low stock: {{productId}}', '<p>Hi {{contact_name}},</p><p>Only {{currentQuantity}} units of {{productId}} are left (alert threshold {{threshold}}). We suggest restocking around {{restockSuggestions.suggestedQuantity}} units.</p>', 'Hi {{contact_name}}, only {{currentQuantity}} units of {{productId}} are left (alert threshold {{threshold}}). We suggest restocking around {{restockSuggestions.suggestedQuantity}} units.', '["contact_name", "productId", "currentQuantity", "threshold", "restockSuggestions"]'),
+        ('00000000-0000-0000-0000-000000000001', 'personalized_product_recommendations', 'email', 'Products picked for you', '<p>Hi {{contact_name}},</p><p>Based on your interest in {{interests}}, these listings may suit you:</p><ul>{{#recommendations}}<li>{{name}}</li>{{/recommendations}}</ul>', 'Hi {{contact_name}}, based on your interest in {{interests}}, these listings may suit you: {{#recommendations}}{{name}}; {{/recommendations}}', '["contact_name", "interests", "recommendations"]'),
+        ('00000000-0000-0000-0000-000000000001', 'similar_product_recommendations', 'email', 'More like your recent purchase', '<p>Hi {{contact_name}},</p><p>Traders who bought what you did also looked at:</p><ul>{{#recommendations}}<li>{{name}}</li>{{/recommendations}}</ul>', 'Hi {{contact_name}}, traders who bought what you did also looked at: {{#recommendations}}{{name}}; {{/recommendations}}', '["contact_name", "recommendations"]'),
+        ('00000000-0000-0000-0000-000000000001', 'welcome_back', 'email', 'Welcome back to Tamyla, {{contact_name}}', '<p>Hi {{contact_name}},</p><p>A lot has happened since your last visit. Here is what is new in your markets.</p>', 'Hi {{contact_name}}, a lot has happened since your last visit. Here is what is new in your markets.', '["contact_name", "personalizedOffers"]'),
+        ('00000000-0000-0000-0000-000000000001', 'urgent_product_alert_sms', 'sms', '', '', 'Tamyla: new {{category}} in {{location}} at {{price}}. Open the app to make an offer.', '["category", "location", "price"]')
+      ON CONFLICT DO NOTHING;
+    `
+  },
+  {
+    name: '018_create_webhook_signatures_table',
+    sql: `
+      -- Signatures of accepted webhooks, kept for the tolerance window to reject replays
+      CREATE TABLE IF NOT EXISTS webhook_signatures (
+        signature VARCHAR(64) PRIMARY KEY,
+        received_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_signatures_received_at ON webhook_signatures(received_at);
+    `
+  },
+  {
+    name: '019_create_webhook_events_table',
+    sql: `
+      -- Incoming integration events keyed by the sender's event ID, so retried deliveries run once
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id VARCHAR(255) PRIMARY KEY,
+        type VARCHAR(100) NOT NULL,
+        source VARCHAR(100),
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing'
+          CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 1,
+        result JSONB,
+        last_error TEXT,
+        received_at TIMESTAMP DEFAULT NOW(),
+        processed_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at DESC);
+    `
+  },
+  {
+    name: '020_create_webhook_deliveries_tables',
+    sql: `
+      -- Outbound webhook notifications and every attempt made to deliver them
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        url TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempt_count INTEGER NOT NULL DEFAULT 0,
+        last_status_code INTEGER,
+        last_error TEXT,
+        campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        delivered_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+        attempt_number INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        response_body TEXT,
+        duration_ms INTEGER,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user ON webhook_deliveries(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_campaign ON webhook_deliveries(campaign_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts(delivery_id, attempt_number);
+    `
+  },
+  {
+    name: '021_create_webhook_subscriptions_table',
+    sql: `
+      -- Endpoints users register to hear about engine events
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        url TEXT NOT NULL,
+        event_types JSONB NOT NULL DEFAULT '[]'::jsonb,
+        secret VARCHAR(255) NOT NULL,
+        description VARCHAR(255),
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user ON webhook_subscriptions(user_id) WHERE active;
+
+      ALTER TABLE webhook_deliveries
+        ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES webhook_subscriptions(id) ON DELETE SET NULL;
+    `
+  },
+  {
+    name: '022_create_segments_table',
+    sql: `
+      -- Saved contact segments; rules are compiled to SQL when the segment is used
+      CREATE TABLE IF NOT EXISTS segments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        rules JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, name)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_contacts_tags ON contacts USING GIN (tags);
+      CREATE INDEX IF NOT EXISTS idx_campaign_recipients_contact ON campaign_recipients(contact_id);
+    `
+  },
+  {
+    name: '023_add_campaign_audiences',
+    sql: `
+      -- Marketing consent; unknown is what every existing contact starts as
+      ALTER TABLE contacts
+        ADD COLUMN IF NOT EXISTS consent_status VARCHAR(20) NOT NULL DEFAULT 'unknown'
+          CHECK (consent_status IN ('unknown', 'granted', 'pending', 'revoked')),
+        ADD COLUMN IF NOT EXISTS consent_updated_at TIMESTAMP;
+
+      -- Hand-picked static lists of contacts
+      CREATE TABLE IF NOT EXISTS contact_lists (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, name)
+      );
+
+      CREATE TABLE IF NOT EXISTS contact_list_members (
+        list_id UUID NOT NULL REFERENCES contact_lists(id) ON DELETE CASCADE,
+        contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+        added_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (list_id, contact_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_contact_list_members_contact ON contact_list_members(contact_id);
+
+      -- What a campaign targets; resolved into campaign_recipients when sending starts
+      ALTER TABLE campaigns
+        ADD COLUMN IF NOT EXISTS audience JSONB,
+        ADD COLUMN IF NOT EXISTS audience_resolved_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS audience_summary JSONB;
+    `
+  },
+  {
+    name: '024_add_import_jobs',
+    sql: `
+      -- Background contact imports. The uploaded data is kept until the job finishes.
+      CREATE TABLE IF NOT EXISTS import_jobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+        source_type VARCHAR(10) NOT NULL CHECK (source_type IN ('csv', 'json')),
+        filename VARCHAR(255),
+        options JSONB DEFAULT '{}',
+        source_data BYTEA,
+        header JSONB,
+        processed INTEGER NOT NULL DEFAULT 0,
+        imported INTEGER NOT NULL DEFAULT 0,
+        skipped INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        cancel_requested_at TIMESTAMP,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_import_jobs_user ON import_jobs(user_id, created_at DESC);
+
+      -- Rows that could not be imported, with their original fields for the failed-rows file
+      CREATE TABLE IF NOT EXISTS import_job_failures (
+        id BIGSERIAL PRIMARY KEY,
+        job_id UUID NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+        row_number INTEGER,
+        email VARCHAR(255),
+        error TEXT NOT NULL,
+        fields JSONB
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_import_job_failures_job ON import_job_failures(job_id, row_number);
+    `
+  },
+  {
+    name: '025_add_import_modes',
+    sql: `
+      -- Recursive object merge; where both sides have a non-object value, patch wins
+      CREATE OR REPLACE FUNCTION jsonb_deep_merge(base JSONB, patch JSONB)
+      RETURNS JSONB
+      LANGUAGE plpgsql
+      IMMUTABLE
+      AS $fn$
+      BEGIN
+        IF base IS NULL OR patch IS NULL
+          OR jsonb_typeof(base) <> 'object' OR jsonb_typeof(patch) <> 'object' THEN
+          RETURN COALESCE(patch, base);
+        END IF;
+
+        RETURN (
+          SELECT COALESCE(jsonb_object_agg(key, CASE
+            WHEN b.value IS NULL THEN p.value
+            WHEN p.value IS NULL THEN b.value
+            ELSE jsonb_deep_merge(b.value, p.value)
+          END), '{}'::jsonb)
+          FROM jsonb_each(base) b
+          FULL JOIN jsonb_each(patch) p USING (key)
+        );
+      END
+      $fn$;
+
+      ALTER TABLE import_jobs
+        ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'skip'
+          CHECK (mode IN ('skip', 'overwrite', 'merge')),
+        ADD COLUMN IF NOT EXISTS updated INTEGER NOT NULL DEFAULT 0;
+
+      -- Existing contacts an overwrite or merge import changed
+      CREATE TABLE IF NOT EXISTS import_job_updates (
+        job_id UUID NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+        contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+        PRIMARY KEY (job_id, contact_id)
+      );
+    `
+  },
+  {
+    name: '026_add_contact_duplicates',
+    sql: `
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+      -- Addresses that reach the same mailbox: case, +tags and, for Gmail, dots and googlemail.com
+      CREATE OR REPLACE FUNCTION normalize_email(email TEXT) RETURNS TEXT
+      LANGUAGE sql IMMUTABLE AS $fn$
+        SELECT CASE
+          WHEN domain IN ('gmail.com', 'googlemail.com') THEN replace(local, '.', '') || '@gmail.com'
+          ELSE local || '@' || domain
+        END
+        FROM (
+          SELECT split_part(split_part(lower(btrim(email)), '@', 1), '+', 1) AS local,
+                 split_part(lower(btrim(email)), '@', 2) AS domain
+        ) parts
+      $fn$;
+
+      -- Company names compared without case, punctuation or a trailing legal suffix
+      CREATE OR REPLACE FUNCTION normalize_company(company TEXT) RETURNS TEXT
+      LANGUAGE sql IMMUTABLE AS $fn$
+        SELECT NULLIF(btrim(regexp_replace(
+          btrim(regexp_replace(lower(company), '[^[:alnum:]]+', ' ', 'g')),
+          ' (ltd|limited|inc|llc|plc|co|corp|gmbh)$', ''
+        )), '')
+      $fn$;
+
+      CREATE INDEX IF NOT EXISTS idx_contacts_normalized_email ON contacts(user_id, normalize_email(email));
+      CREATE INDEX IF NOT EXISTS idx_contacts_normalized_company ON contacts(user_id, normalize_company(company));
+
+      -- One row per merge, keeping the removed contact as it was
+      CREATE TABLE IF NOT EXISTS contact_merges (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        survivor_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+        merged_contact_id UUID NOT NULL,
+        merged_contact JSONB NOT NULL,
+        summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_contact_merges_survivor ON contact_merges(survivor_id);
+    `
+  },
+  {
+    name: '027_add_contact_custom_fields',
+    sql: `
+      CREATE TABLE IF NOT EXISTS contact_field_definitions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        key VARCHAR(50) NOT NULL,
+        label VARCHAR(255) NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('text', 'number', 'date', 'enum', 'boolean')),
+        options JSONB,
+        required BOOLEAN NOT NULL DEFAULT false,
+        default_value JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(user_id, key)
+      );
+
+      -- Typed values keyed by definition key; untyped extras stay in metadata
+      ALTER TABLE contacts ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+      CREATE INDEX IF NOT EXISTS idx_contacts_custom_fields ON contacts USING GIN (custom_fields);
+    `
+  },
+  {
+    name: '028_drop_webhook_response_bodies',
+    sql: `
+      -- Endpoint responses may come from internal services; only status and error are kept
+      ALTER TABLE webhook_delivery_attempts DROP COLUMN IF EXISTS response_body;
+    `
+  },
+  {
+    name: '029_add_webhook_event_steps',
+    sql: `
+      -- Results of the handler steps an event has finished, so a retry resumes after them
+      ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS steps JSONB NOT NULL DEFAULT '{}';
+    `
   }
 ];
 
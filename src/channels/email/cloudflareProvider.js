@@ -0,0 +1,50 @@
+/**
+ * Cloudflare Email Provider
+ * Delivers through the auto-email Cloudflare Worker
+ */
+class CloudflareEmailProvider {
+  constructor(options = {}) {
+    this.name = 'cloudflare';
+    this.baseURL = options.baseURL || process.env.AUTO_EMAIL_SERVICE_URL || 'https://auto-email.tamyla.com';
+    this.apiKey = options.apiKey || process.env.AUTO_EMAIL_API_KEY;
+    this.serviceToken = options.serviceToken || process.env.SERVICE_TOKEN;
+  }
+
+  /**
+   * Send a single email
+   * @param {Object} message - { to, from, subject, html, text, headers, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send(message) {
+    const response = await fetch(`${this.baseURL}/api/send`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`,
+        'X-Service-Token': this.serviceToken
+      },
+      body: JSON.stringify({
+        to: message.to,
+        from: message.from,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers,
+        ...message.metadata
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Auto-email API failed: ${response.status}`);
+    }
+
+    const body = await response.json();
+
+    return {
+      providerMessageId: body.messageId || body.id || null,
+      response: body
+    };
+  }
+}
+
+export default CloudflareEmailProvider;
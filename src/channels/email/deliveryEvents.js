@@ -0,0 +1,118 @@
+/**
+ * Email Delivery Events
+ * Normalises bounce, complaint and delivery notifications into
+ * { type, bounceType, providerMessageId, recipientId, email, reason, occurredAt }.
+ * Accepts the auto-email worker's format ({ type, messageId, ... } or
+ * { events: [...] }) and Amazon SES notifications, which most SMTP relays
+ * forward unchanged.
+ * SES reports its own message ID rather than the one the SMTP send returned,
+ * so every email carries the recipient ID in a header that SES echoes back.
+ */
+
+// Set on every campaign email; SES includes it in mail.headers
+export const RECIPIENT_HEADER = 'X-Campaign-Recipient';
+
+const EVENT_TYPES = ['bounce', 'complaint', 'delivered'];
+
+// Permanent failures that will never succeed on retry
+const HARD_BOUNCE_TYPES = ['hard', 'permanent'];
+
+// Anything not known to be permanent, including a missing type, goes through the soft-bounce
+// retries so that one vague notification never suppresses an address for good
+const normalizeBounceType = (value) =>
+  (HARD_BOUNCE_TYPES.includes(String(value || '').toLowerCase()) ? 'hard' : 'soft');
+
+const fromWorkerEvent = (event) => {
+  const type = String(event.type || event.event || '').toLowerCase();
+  if (!EVENT_TYPES.includes(type)) {
+    return { type: type || 'unknown', ignored: true };
+  }
+
+  return {
+    type,
+    bounceType: type === 'bounce' ? normalizeBounceType(event.bounceType || event.bounce_type) : null,
+    providerMessageId: event.messageId || event.message_id || event.providerMessageId || null,
+    recipientId: event.metadata?.recipientId || event.recipientId || null,
+    email: event.email || event.recipient || null,
+    reason: event.reason || event.diagnostic || event.description || null,
+    occurredAt: event.timestamp ? new Date(event.timestamp) : new Date()
+  };
+};
+
+const headerValue = (headers, name) => {
+  const header = (Array.isArray(headers) ? headers : [])
+    .find(entry => String(entry?.name).toLowerCase() === name.toLowerCase());
+  return header?.value || null;
+};
+
+const fromSesNotification = (notification) => {
+  const type = String(notification.notificationType || notification.eventType).toLowerCase();
+  const messageId = notification.mail?.messageId || null;
+  const recipientId = headerValue(notification.mail?.headers, RECIPIENT_HEADER);
+  const occurredAt = new Date(notification.mail?.timestamp || Date.now());
+
+  if (type === 'bounce') {
+    return (notification.bounce?.bouncedRecipients || []).map(recipient => ({
+      type: 'bounce',
+      bounceType: notification.bounce.bounceType === 'Permanent' ? 'hard' : 'soft',
+      providerMessageId: messageId,
+      recipientId,
+      email: recipient.emailAddress,
+      reason: recipient.diagnosticCode || notification.bounce.bounceSubType || null,
+      occurredAt
+    }));
+  }
+
+  if (type === 'complaint') {
+    return (notification.complaint?.complainedRecipients || []).map(recipient => ({
+      type: 'complaint',
+      bounceType: null,
+      providerMessageId: messageId,
+      recipientId,
+      email: recipient.emailAddress,
+      reason: notification.complaint.complaintFeedbackType || 'Spam complaint',
+      occurredAt
+    }));
+  }
+
+  if (type === 'delivery') {
+    return [{
+      type: 'delivered',
+      bounceType: null,
+      providerMessageId: messageId,
+      recipientId,
+      email: notification.delivery?.recipients?.[0] || null,
+      reason: null,
+      occurredAt
+    }];
+  }
+
+  return [{ type, ignored: true }];
+};
+
+/**
+ * Parse a delivery event payload into a list of normalised events
+ * @param {Object} payload - Request body
+ * @returns {Array<Object>}
+ */
+export const parseDeliveryEvents = (payload) => {
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  // SNS wraps SES notifications in a JSON string
+  if (payload.Type === 'Notification' && typeof payload.Message === 'string') {
+    try {
+      return parseDeliveryEvents(JSON.parse(payload.Message));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  if (payload.notificationType || payload.eventType) {
+    return fromSesNotification(payload);
+  }
+
+  const events = Array.isArray(payload.events) ? payload.events : [payload];
+  return events.map(fromWorkerEvent);
+};
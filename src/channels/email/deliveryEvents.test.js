@@ -0,0 +1,55 @@
+import { parseDeliveryEvents, RECIPIENT_HEADER } from './deliveryEvents.js';
+
+const recipientId = '5b0c2f4e-8a55-4c1e-9d7a-3f1b2c4d5e6f';
+
+const sesBounce = {
+  notificationType: 'Bounce',
+  mail: {
+    messageId: '0100018c-ses-id',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    headers: [
+      { name: 'Subject', value: 'Hello' },
+      { name: RECIPIENT_HEADER.toLowerCase(), value: recipientId }
+    ]
+  },
+  bounce: {
+    bounceType: 'Permanent',
+    bouncedRecipients: [{ emailAddress: 'ada@example.com', diagnosticCode: 'smtp; 550 5.1.1 user unknown' }]
+  }
+};
+
+describe('parseDeliveryEvents', () => {
+  test('SES notifications carry the recipient ID from the echoed header', () => {
+    expect(parseDeliveryEvents(sesBounce)).toEqual([{
+      type: 'bounce',
+      bounceType: 'hard',
+      providerMessageId: '0100018c-ses-id',
+      recipientId,
+      email: 'ada@example.com',
+      reason: 'smtp; 550 5.1.1 user unknown',
+      occurredAt: new Date('2024-05-01T10:00:00.000Z')
+    }]);
+  });
+
+  test('SES notifications wrapped by SNS are unwrapped', () => {
+    const [event] = parseDeliveryEvents({ Type: 'Notification', Message: JSON.stringify(sesBounce) });
+    expect(event).toMatchObject({ type: 'bounce', recipientId });
+  });
+
+  test('SES notifications without original headers fall back to the message ID', () => {
+    const { headers, ...mail } = sesBounce.mail;
+    const [event] = parseDeliveryEvents({ ...sesBounce, mail });
+    expect(event).toMatchObject({ recipientId: null, providerMessageId: '0100018c-ses-id' });
+  });
+
+  test('worker events are normalised and vague bounces are soft', () => {
+    const [event] = parseDeliveryEvents({ events: [{ type: 'bounce', messageId: 'm1', metadata: { recipientId } }] });
+    expect(event).toMatchObject({ type: 'bounce', bounceType: 'soft', providerMessageId: 'm1', recipientId });
+  });
+
+  test('unknown event types and payloads are ignored', () => {
+    expect(parseDeliveryEvents({ type: 'opened' })).toEqual([expect.objectContaining({ ignored: true })]);
+    expect(parseDeliveryEvents(null)).toEqual([]);
+    expect(parseDeliveryEvents({ Type: 'Notification', Message: 'not json' })).toEqual([]);
+  });
+});
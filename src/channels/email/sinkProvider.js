@@ -0,0 +1,41 @@
+import { randomUUID } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local Sink Provider
+ * Development/test provider that never touches the network. Messages are
+ * written as JSON files to a directory, or logged when no directory is set.
+ */
+class SinkEmailProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'console';
+    this.directory = options.directory || null;
+  }
+
+  /**
+   * Record a single email
+   * @param {Object} message - { to, from, subject, html, text, headers, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send(message) {
+    const providerMessageId = `sink-${randomUUID()}`;
+    const record = {
+      id: providerMessageId,
+      sentAt: new Date().toISOString(),
+      ...message
+    };
+
+    if (this.directory) {
+      await mkdir(this.directory, { recursive: true });
+      const file = path.join(this.directory, `${providerMessageId}.json`);
+      await writeFile(file, JSON.stringify(record, null, 2));
+      return { providerMessageId, response: { file } };
+    }
+
+    console.log(`📭 [${this.name}] ${message.to} - ${message.subject}`);
+    return { providerMessageId, response: { logged: true } };
+  }
+}
+
+export default SinkEmailProvider;
@@ -0,0 +1,42 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP Email Provider
+ * Generic SMTP delivery configured through SMTP_* environment variables
+ */
+class SmtpEmailProvider {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport(options.transport || {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  /**
+   * Send a single email
+   * @param {Object} message - { to, from, subject, html, text, headers, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      to: message.to,
+      from: message.from,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers
+    });
+
+    return {
+      providerMessageId: info.messageId || null,
+      response: { accepted: info.accepted, rejected: info.rejected }
+    };
+  }
+}
+
+export default SmtpEmailProvider;
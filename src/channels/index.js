@@ -0,0 +1,64 @@
+import CloudflareEmailProvider from './email/cloudflareProvider.js';
+import SmtpEmailProvider from './email/smtpProvider.js';
+import SinkEmailProvider from './email/sinkProvider.js';
+import AfricasTalkingSmsProvider from './sms/africasTalkingProvider.js';
+import StubSmsProvider from './sms/stubProvider.js';
+import WhatsAppCloudProvider from './whatsapp/cloudApiProvider.js';
+import StubWhatsAppProvider from './whatsapp/stubProvider.js';
+
+/**
+ * Channel Provider Registry
+ * Every provider exposes `name` and `async send(message)` resolving to
+ * `{ providerMessageId, response }`. The provider used for each channel
+ * is picked by configuration so route and worker code never change.
+ */
+const factories = {
+  email: {
+    cloudflare: () => new CloudflareEmailProvider(),
+    smtp: () => new SmtpEmailProvider(),
+    console: () => new SinkEmailProvider({ name: 'console' }),
+    file: () => new SinkEmailProvider({
+      name: 'file',
+      directory: process.env.EMAIL_SINK_DIR || 'tmp/outbox'
+    })
+  },
+  sms: {
+    africastalking: () => new AfricasTalkingSmsProvider(),
+    stub: () => new StubSmsProvider()
+  },
+  whatsapp: {
+    cloud: () => new WhatsAppCloudProvider(),
+    stub: () => new StubWhatsAppProvider()
+  }
+};
+
+// Environment variable naming the provider for each channel, and its default
+const providerConfig = {
+  email: { env: 'EMAIL_PROVIDER', fallback: 'cloudflare' },
+  sms: { env: 'SMS_PROVIDER', fallback: 'africastalking' },
+  whatsapp: { env: 'WHATSAPP_PROVIDER', fallback: 'cloud' }
+};
+
+const instances = new Map();
+
+/**
+ * Get the configured provider for a channel
+ */
+export const getProvider = (channel) => {
+  if (!instances.has(channel)) {
+    const config = providerConfig[channel];
+    if (!config) {
+      throw new Error(`Unsupported channel: ${channel}`);
+    }
+
+    const name = process.env[config.env] || config.fallback;
+    const factory = factories[channel]?.[name];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} provider: ${name}`);
+    }
+
+    instances.set(channel, factory());
+  }
+
+  return instances.get(channel);
+};
@@ -0,0 +1,28 @@
+import { getProvider } from './index.js';
+
+describe('channel providers', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('the configured provider is used and reused for its channel', () => {
+    process.env.SMS_PROVIDER = 'stub';
+
+    const provider = getProvider('sms');
+
+    expect(provider.name).toBe('stub');
+    expect(getProvider('sms')).toBe(provider);
+  });
+
+  test('an unknown provider name is refused', () => {
+    process.env.WHATSAPP_PROVIDER = 'carrier-pigeon';
+
+    expect(() => getProvider('whatsapp')).toThrow('Unknown whatsapp provider: carrier-pigeon');
+  });
+
+  test('unsupported channels are refused', () => {
+    expect(() => getProvider('fax')).toThrow('Unsupported channel: fax');
+  });
+});
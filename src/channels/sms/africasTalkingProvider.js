@@ -0,0 +1,101 @@
+/**
+ * Africa's Talking SMS Provider
+ * Works with any gateway exposing the same form-encoded messaging API
+ */
+
+// Delivery report statuses mapped onto recipient statuses
+const STATUS_MAP = {
+  Success: 'delivered',
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Failed: 'failed',
+  Rejected: 'failed'
+};
+
+// Send statuses about the number itself, which no retry can fix
+const PERMANENT_SEND_STATUSES = [
+  'InvalidPhoneNumber',
+  'UnsupportedNumberType',
+  'UserInBlacklist',
+  'DoNotDisturbRejection',
+  'CouldNotRoute'
+];
+
+class AfricasTalkingSmsProvider {
+  constructor(options = {}) {
+    this.name = 'africastalking';
+    this.username = options.username || process.env.AT_USERNAME;
+    this.apiKey = options.apiKey || process.env.AT_API_KEY;
+    this.senderId = options.senderId || process.env.SMS_SENDER_ID;
+    this.baseURL = options.baseURL || process.env.SMS_GATEWAY_URL || (this.username === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com');
+  }
+
+  /**
+   * Send a single SMS
+   * @param {Object} message - { to, text, from, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send(message) {
+    const form = new URLSearchParams({
+      username: this.username,
+      to: message.to,
+      message: message.text
+    });
+
+    const from = message.from || this.senderId;
+    if (from) {
+      form.set('from', from);
+    }
+
+    const response = await fetch(`${this.baseURL}/version1/messaging`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'apiKey': this.apiKey
+      },
+      body: form.toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway failed: ${response.status}`);
+    }
+
+    const body = await response.json();
+    const recipient = body.SMSMessageData?.Recipients?.[0];
+
+    if (!recipient || recipient.status !== 'Success') {
+      const error = new Error(`SMS rejected: ${recipient?.status || body.SMSMessageData?.Message || 'no recipients'}`);
+      // The sender fails these recipients straight away instead of retrying
+      error.permanent = PERMANENT_SEND_STATUSES.includes(recipient?.status);
+      throw error;
+    }
+
+    return {
+      providerMessageId: recipient.messageId,
+      response: { cost: recipient.cost, status: recipient.status }
+    };
+  }
+
+  /**
+   * Normalise a delivery report callback
+   * @param {Object} payload - Callback body ({ id, status, phoneNumber, failureReason })
+   * @returns {Object|null} { providerMessageId, status, error }
+   */
+  parseStatusCallback(payload) {
+    if (!payload?.id || !payload?.status) {
+      return null;
+    }
+
+    return {
+      providerMessageId: payload.id,
+      status: STATUS_MAP[payload.status] || 'sent',
+      error: payload.failureReason || null
+    };
+  }
+}
+
+export default AfricasTalkingSmsProvider;
@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import AfricasTalkingSmsProvider from './africasTalkingProvider.js';
+
+const gatewayResponse = (recipients, { ok = true, status = 201 } = {}) => ({
+  ok,
+  status,
+  json: async () => ({ SMSMessageData: { Message: 'Sent to 1/1', Recipients: recipients } })
+});
+
+describe('AfricasTalkingSmsProvider', () => {
+  const originalFetch = global.fetch;
+  let provider;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    provider = new AfricasTalkingSmsProvider({ username: 'sandbox', apiKey: 'key', senderId: 'SHOP' });
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('an accepted message returns its message ID', async () => {
+    global.fetch.mockResolvedValueOnce(gatewayResponse([{ status: 'Success', messageId: 'ATXid_1', cost: 'KES 0.80' }]));
+
+    const result = await provider.send({ to: '+254711000000', text: 'Hello' });
+
+    expect(result).toEqual({ providerMessageId: 'ATXid_1', response: { cost: 'KES 0.80', status: 'Success' } });
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.sandbox.africastalking.com/version1/messaging');
+    expect(new URLSearchParams(options.body).get('from')).toBe('SHOP');
+  });
+
+  test.each(['InvalidPhoneNumber', 'UserInBlacklist', 'DoNotDisturbRejection'])(
+    '%s is a permanent failure',
+    async (status) => {
+      global.fetch.mockResolvedValueOnce(gatewayResponse([{ status, messageId: 'None' }]));
+
+      await expect(provider.send({ to: '+254700', text: 'Hello' }))
+        .rejects.toMatchObject({ message: `SMS rejected: ${status}`, permanent: true });
+    }
+  );
+
+  test('gateway and account problems are left to retries', async () => {
+    global.fetch.mockResolvedValueOnce(gatewayResponse([{ status: 'InsufficientBalance', messageId: 'None' }]));
+    await expect(provider.send({ to: '+254711000000', text: 'Hello' })).rejects.toMatchObject({ permanent: false });
+
+    global.fetch.mockResolvedValueOnce(gatewayResponse([], { ok: false, status: 503 }));
+    await expect(provider.send({ to: '+254711000000', text: 'Hello' })).rejects.toThrow('SMS gateway failed: 503');
+  });
+
+  test('delivery reports map onto recipient statuses', () => {
+    expect(provider.parseStatusCallback({ id: 'ATXid_1', status: 'Success' }))
+      .toEqual({ providerMessageId: 'ATXid_1', status: 'delivered', error: null });
+    expect(provider.parseStatusCallback({ id: 'ATXid_1', status: 'Rejected', failureReason: 'UserInBlacklist' }))
+      .toEqual({ providerMessageId: 'ATXid_1', status: 'failed', error: 'UserInBlacklist' });
+    expect(provider.parseStatusCallback({})).toBeNull();
+  });
+});
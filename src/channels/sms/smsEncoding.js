@@ -0,0 +1,59 @@
+/**
+ * SMS Encoding Helpers
+ * Works out whether a message fits the GSM 03.38 7-bit alphabet or needs
+ * UCS-2, and how many segments it will be billed as.
+ */
+
+// GSM 03.38 basic character set (one septet each)
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// GSM 03.38 extension table (escape + character, two septets each)
+const GSM_EXTENDED = new Set('^{}\\[~]|€\f');
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+/**
+ * Check whether every character can be sent in the GSM 7-bit alphabet
+ */
+export const isGsm7 = (text) => {
+  for (const char of text) {
+    if (!GSM_BASIC.has(char) && !GSM_EXTENDED.has(char)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Analyse an SMS body
+ * @param {string} text - Message body
+ * @returns {Object} { encoding, length, segments, perSegment, remaining }
+ */
+export const analyzeSms = (text = '') => {
+  const encoding = isGsm7(text) ? 'GSM-7' : 'UCS-2';
+
+  // GSM extension characters cost two septets; UCS-2 counts UTF-16 code units
+  const length = encoding === 'GSM-7'
+    ? [...text].reduce((total, char) => total + (GSM_EXTENDED.has(char) ? 2 : 1), 0)
+    : text.length;
+
+  const limits = LIMITS[encoding];
+  const segments = length === 0
+    ? 0
+    : length <= limits.single ? 1 : Math.ceil(length / limits.multipart);
+  const perSegment = segments > 1 ? limits.multipart : limits.single;
+
+  return {
+    encoding,
+    length,
+    segments,
+    perSegment,
+    remaining: segments === 0 ? limits.single : segments * perSegment - length
+  };
+};
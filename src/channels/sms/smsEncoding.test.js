@@ -0,0 +1,41 @@
+import { analyzeSms, isGsm7 } from './smsEncoding.js';
+
+describe('SMS encoding', () => {
+  test('plain ASCII text is GSM-7', () => {
+    expect(isGsm7('Hello trader, 5 tons of coffee available!')).toBe(true);
+  });
+
+  test('emoji and non-GSM characters force UCS-2', () => {
+    expect(isGsm7('Karibu 🌍')).toBe(false);
+    expect(analyzeSms('Ọjà tuntun').encoding).toBe('UCS-2');
+  });
+
+  test('single GSM-7 segment holds 160 characters', () => {
+    expect(analyzeSms('a'.repeat(160))).toMatchObject({
+      encoding: 'GSM-7',
+      length: 160,
+      segments: 1,
+      remaining: 0
+    });
+  });
+
+  test('long GSM-7 messages split into 153-character segments', () => {
+    expect(analyzeSms('a'.repeat(161))).toMatchObject({ segments: 2, perSegment: 153 });
+    expect(analyzeSms('a'.repeat(307)).segments).toBe(3);
+  });
+
+  test('extension characters count twice', () => {
+    expect(analyzeSms('€10 [bulk]').length).toBe(13);
+    expect(analyzeSms('€'.repeat(80)).segments).toBe(1);
+    expect(analyzeSms('€'.repeat(81)).segments).toBe(2);
+  });
+
+  test('UCS-2 messages use 70/67 character segments', () => {
+    expect(analyzeSms('é'.repeat(69) + 'ł').segments).toBe(1);
+    expect(analyzeSms('ł'.repeat(71))).toMatchObject({ segments: 2, perSegment: 67 });
+  });
+
+  test('empty message has no segments', () => {
+    expect(analyzeSms('')).toMatchObject({ segments: 0, length: 0 });
+  });
+});
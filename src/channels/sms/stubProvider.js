@@ -0,0 +1,41 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Stub SMS Provider
+ * Local development/test provider: logs the message and reports success
+ */
+class StubSmsProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Record a single SMS
+   * @param {Object} message - { to, text, from, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send(message) {
+    const providerMessageId = `stub-${randomUUID()}`;
+    console.log(`📱 [stub] ${message.to} (${message.segments || 1} segment(s)): ${message.text}`);
+    return { providerMessageId, response: { logged: true } };
+  }
+
+  /**
+   * Normalise a delivery report callback (same shape as the real gateway)
+   * @param {Object} payload - { id, status, failureReason }
+   * @returns {Object|null} { providerMessageId, status, error }
+   */
+  parseStatusCallback(payload) {
+    if (!payload?.id || !payload?.status) {
+      return null;
+    }
+
+    return {
+      providerMessageId: payload.id,
+      status: payload.status === 'Success' ? 'delivered' : payload.status === 'Failed' ? 'failed' : 'sent',
+      error: payload.failureReason || null
+    };
+  }
+}
+
+export default StubSmsProvider;
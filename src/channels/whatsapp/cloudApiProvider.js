@@ -0,0 +1,125 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * WhatsApp Cloud API Provider
+ * Sends through the WhatsApp Business Platform (Meta Graph API)
+ */
+
+// Message statuses reported by the platform mapped onto recipient statuses
+const STATUS_MAP = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed'
+};
+
+class WhatsAppCloudProvider {
+  constructor(options = {}) {
+    this.name = 'whatsapp_cloud';
+    this.phoneNumberId = options.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.accessToken = options.accessToken || process.env.WHATSAPP_ACCESS_TOKEN;
+    this.appSecret = options.appSecret || process.env.WHATSAPP_APP_SECRET;
+    this.baseURL = options.baseURL || process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0';
+  }
+
+  /**
+   * Send a template message, or free-form text inside an open session
+   * @param {Object} message - { to, text, template: { name, language, parameters }, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send(message) {
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: message.to
+    };
+
+    if (message.template) {
+      payload.type = 'template';
+      payload.template = {
+        name: message.template.name,
+        language: { code: message.template.language },
+        components: message.template.parameters.length > 0
+          ? [{
+              type: 'body',
+              parameters: message.template.parameters.map(text => ({ type: 'text', text }))
+            }]
+          : []
+      };
+    } else {
+      payload.type = 'text';
+      payload.text = { body: message.text };
+    }
+
+    const response = await fetch(`${this.baseURL}/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.accessToken}`
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`WhatsApp API failed: ${body.error?.message || response.status}`);
+    }
+
+    return {
+      providerMessageId: body.messages?.[0]?.id,
+      response: { waId: body.contacts?.[0]?.wa_id }
+    };
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw request body
+   */
+  verifySignature(rawBody, signatureHeader) {
+    if (!this.appSecret || !rawBody || !signatureHeader?.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = Buffer.from(createHmac('sha256', this.appSecret).update(rawBody).digest('hex'));
+    const presented = Buffer.from(signatureHeader.slice('sha256='.length));
+    return expected.length === presented.length && timingSafeEqual(expected, presented);
+  }
+
+  /**
+   * Normalise a webhook notification into status updates and inbound messages
+   * @param {Object} payload - Webhook body ({ object, entry: [{ changes: [{ value }] }] })
+   * @returns {Object} { statuses: [{ providerMessageId, status, error }], inbound: [{ from, receivedAt }] }
+   */
+  parseWebhook(payload) {
+    const statuses = [];
+    const inbound = [];
+
+    for (const entry of payload?.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+
+        for (const status of value.statuses || []) {
+          if (!STATUS_MAP[status.status]) {
+            continue;
+          }
+          statuses.push({
+            providerMessageId: status.id,
+            status: STATUS_MAP[status.status],
+            error: status.errors?.[0]?.title || status.errors?.[0]?.message || null
+          });
+        }
+
+        for (const received of value.messages || []) {
+          inbound.push({
+            from: received.from,
+            receivedAt: new Date(parseInt(received.timestamp) * 1000)
+          });
+        }
+      }
+    }
+
+    return { statuses, inbound };
+  }
+}
+
+export default WhatsAppCloudProvider;
@@ -0,0 +1,80 @@
+import { createHmac } from 'crypto';
+import { jest } from '@jest/globals';
+import WhatsAppCloudProvider from './cloudApiProvider.js';
+
+const apiResponse = (body, { ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  json: async () => body
+});
+
+describe('WhatsAppCloudProvider', () => {
+  const originalFetch = global.fetch;
+  let provider;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    provider = new WhatsAppCloudProvider({ phoneNumberId: '1055', accessToken: 'token', appSecret: 'secret' });
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('a template message is sent with its body parameters', async () => {
+    global.fetch.mockResolvedValueOnce(apiResponse({ messages: [{ id: 'wamid.1' }], contacts: [{ wa_id: '254711000000' }] }));
+
+    const result = await provider.send({
+      to: '+254711000000',
+      template: { name: 'order_update', language: 'en', parameters: ['Ada'] }
+    });
+
+    expect(result).toEqual({ providerMessageId: 'wamid.1', response: { waId: '254711000000' } });
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://graph.facebook.com/v19.0/1055/messages');
+    expect(JSON.parse(options.body).template).toEqual({
+      name: 'order_update',
+      language: { code: 'en' },
+      components: [{ type: 'body', parameters: [{ type: 'text', text: 'Ada' }] }]
+    });
+  });
+
+  test('an API error surfaces its message', async () => {
+    global.fetch.mockResolvedValueOnce(apiResponse({ error: { message: 'Recipient not in allowed list' } }, { ok: false, status: 400 }));
+
+    await expect(provider.send({ to: '+254711000000', text: 'Hello' }))
+      .rejects.toThrow('WhatsApp API failed: Recipient not in allowed list');
+  });
+
+  test('only notifications signed with the app secret are accepted', () => {
+    const rawBody = Buffer.from('{"object":"whatsapp_business_account"}');
+    const signature = `sha256=${createHmac('sha256', 'secret').update(rawBody).digest('hex')}`;
+
+    expect(provider.verifySignature(rawBody, signature)).toBe(true);
+    expect(provider.verifySignature(rawBody, 'sha256=00')).toBe(false);
+    expect(provider.verifySignature(rawBody, undefined)).toBe(false);
+  });
+
+  test('notifications are split into statuses and inbound messages', () => {
+    const result = provider.parseWebhook({
+      entry: [{
+        changes: [{
+          value: {
+            statuses: [
+              { id: 'wamid.1', status: 'read' },
+              { id: 'wamid.2', status: 'failed', errors: [{ title: 'Message undeliverable' }] },
+              { id: 'wamid.3', status: 'deleted' }
+            ],
+            messages: [{ from: '254711000000', timestamp: '1700000000' }]
+          }
+        }]
+      }]
+    });
+
+    expect(result.statuses).toEqual([
+      { providerMessageId: 'wamid.1', status: 'read', error: null },
+      { providerMessageId: 'wamid.2', status: 'failed', error: 'Message undeliverable' }
+    ]);
+    expect(result.inbound).toEqual([{ from: '254711000000', receivedAt: new Date(1700000000 * 1000) }]);
+  });
+});
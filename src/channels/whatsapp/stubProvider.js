@@ -0,0 +1,30 @@
+import { randomUUID } from 'crypto';
+import WhatsAppCloudProvider from './cloudApiProvider.js';
+
+/**
+ * Stub WhatsApp Provider
+ * Local development/test provider: logs the message and reports success.
+ * Webhook parsing and signature checks are shared with the Cloud API provider.
+ */
+class StubWhatsAppProvider extends WhatsAppCloudProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'stub';
+  }
+
+  /**
+   * Record a single WhatsApp message
+   * @param {Object} message - { to, text, template, metadata }
+   * @returns {Promise<Object>} { providerMessageId, response }
+   */
+  async send(message) {
+    const providerMessageId = `wamid.stub-${randomUUID()}`;
+    const content = message.template
+      ? `template ${message.template.name} [${message.template.parameters.join(', ')}]`
+      : message.text;
+    console.log(`💬 [stub] ${message.to}: ${content}`);
+    return { providerMessageId, response: { logged: true } };
+  }
+}
+
+export default StubWhatsAppProvider;
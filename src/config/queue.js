@@ -0,0 +1,29 @@
+import Queue from 'bull';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+// Queues are created on first use so importing a module that enqueues work
+// does not open a Redis connection (keeps tests and one-off scripts clean)
+const queues = new Map();
+
+export const getQueue = (name, options = {}) => {
+  if (!queues.has(name)) {
+    const queue = new Queue(name, REDIS_URL, options);
+
+    queue.on('error', (error) => {
+      console.error(`❌ Queue ${name} error:`, error.message);
+    });
+
+    queues.set(name, queue);
+  }
+
+  return queues.get(name);
+};
+
+export const closeQueues = async () => {
+  await Promise.all([...queues.values()].map(queue => queue.close()));
+  queues.clear();
+};
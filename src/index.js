@@ -11,10 +11,27 @@ import { createEmailCampaignRoutes } from './routes/emailCampaigns.js';
 import { createTradeNetworkRoutes } from './routes/tradeNetwork.js';
 import { createIntegrationRoutes } from './routes/integrations.js';
 import contactRoutes from './routes/contacts.js';
+import templateRoutes from './routes/templates.js';
+import channelCallbackRoutes from './routes/channelCallbacks.js';
+import trackingRoutes from './routes/tracking.js';
+import unsubscribeRoutes from './routes/unsubscribe.js';
+import suppressionRoutes from './routes/suppressions.js';
+import webhookRoutes from './routes/webhooks.js';
+import segmentRoutes from './routes/segments.js';
+import contactListRoutes from './routes/contactLists.js';
+import importJobRoutes from './routes/importJobs.js';
+import contactFieldRoutes from './routes/contactFields.js';
 
 // Import database connection
 import pool, { testConnection } from './config/database.js';
 
+// Import background workers
+import { closeQueues } from './config/queue.js';
+import { campaignScheduler } from './services/campaignScheduler.js';
+import { startCampaignWorker } from './services/campaignSender.js';
+import { startWebhookWorker } from './services/webhookDispatcher.js';
+import { startImportWorker } from './services/importJobRunner.js';
+
 dotenv.config();
 
 const app = express();
@@ -47,13 +64,23 @@ app.use(cors({
   ]
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (raw bytes are kept for webhook signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Sanitization middleware
 app.use(sanitizeBody);
 
+// Provider callbacks and recipient-facing links have their own limits instead of the general one
+app.use('/api/channels', rateLimits.providerCallbacks, channelCallbackRoutes);
+app.use('/api/tracking', rateLimits.recipientLinks, trackingRoutes);
+app.use('/api/unsubscribe', rateLimits.recipientLinks, unsubscribeRoutes);
+
 // General rate limiting
 app.use(rateLimits.general);
 
@@ -81,6 +108,13 @@ app.get('/health/db', async (req, res) => {
 
 // API Routes
 app.use('/api/contacts', contactRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/segments', segmentRoutes);
+app.use('/api/lists', contactListRoutes);
+app.use('/api/imports', importJobRoutes);
+app.use('/api/contact-fields', contactFieldRoutes);
 
 // Legacy routes (keeping for compatibility)
 app.use('/api/email-campaigns', createEmailCampaignRoutes());
@@ -99,6 +133,16 @@ app.get('/', (req, res) => {
       health: '/health',
       database: '/health/db',
       contacts: '/api/contacts',
+      templates: '/api/templates',
+      channelCallbacks: '/api/channels',
+      tracking: '/api/tracking',
+      unsubscribe: '/api/unsubscribe',
+      suppressions: '/api/suppressions',
+      webhooks: '/api/webhooks',
+      segments: '/api/segments',
+      lists: '/api/lists',
+      imports: '/api/imports',
+      contactFields: '/api/contact-fields',
       campaigns: '/api/email-campaigns',
       tradeNetwork: '/api/trade-network',
       integrations: '/api/integrations'
@@ -133,8 +177,10 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('🔄 Shutting down gracefully...');
+  campaignScheduler.stop();
   
   try {
+    await closeQueues();
     await pool.end();
     console.log('✅ Database connections closed');
   } catch (error) {
@@ -146,8 +192,10 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('🔄 Shutting down gracefully...');
+  campaignScheduler.stop();
   
   try {
+    await closeQueues();
     await pool.end();
     console.log('✅ Database connections closed');
   } catch (error) {
@@ -157,13 +205,30 @@ process.on('SIGTERM', async () => {
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Campaign Engine running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`📊 Database check: http://localhost:${PORT}/health/db`);
-  console.log(`📮 Contacts API: http://localhost:${PORT}/api/contacts`);
-});
+// Signing keys that must not fall back to the auth token key
+const REQUIRED_SECRETS = ['TRACKING_SECRET', 'WEBHOOK_SIGNING_SECRET'];
+
+const missingSecrets = REQUIRED_SECRETS.filter(name => !process.env[name]);
+if (missingSecrets.length > 0 && process.env.NODE_ENV !== 'test') {
+  console.error(`❌ Missing required configuration: ${missingSecrets.join(', ')}`);
+  process.exit(1);
+}
+
+// Start server and background workers. Under test, suites drive the app through
+// supertest, so no port or workers are opened and the run can exit cleanly.
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    console.log(`🚀 Campaign Engine running on port ${PORT}`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`📊 Database check: http://localhost:${PORT}/health/db`);
+    console.log(`📮 Contacts API: http://localhost:${PORT}/api/contacts`);
+
+    startCampaignWorker();
+    startWebhookWorker();
+    startImportWorker();
+    campaignScheduler.start();
+  });
+}
 
 export default app;
@@ -64,6 +64,20 @@ export const rateLimits = {
     60 * 60 * 1000, // 1 hour
     5, // 5 imports per hour per IP
     'Contact import limit exceeded, please try again later'
+  ),
+
+  // Delivery callbacks from providers, which arrive from a handful of gateway IPs
+  providerCallbacks: createRateLimit(
+    60 * 1000, // 1 minute
+    3000, // 3000 callbacks per minute per IP
+    'Too many provider callbacks, please try again later'
+  ),
+
+  // Open pixels, click redirects and unsubscribe links; mail proxies fetch these for many recipients at once
+  recipientLinks: createRateLimit(
+    60 * 1000, // 1 minute
+    1000, // 1000 requests per minute per IP
+    'Too many requests from this IP, please try again later'
   )
 };
 
@@ -106,6 +120,15 @@ export const addUserContext = async (req, res, next) => {
   next();
 };
 
+// Role check (requires addUserContext)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.userContext || !roles.includes(req.userContext.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  next();
+};
+
 // Request logging middleware
 export const requestLogger = (req, res, next) => {
   const start = Date.now();
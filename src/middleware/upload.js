@@ -0,0 +1,104 @@
+import busboy from 'busboy';
+import { PassThrough } from 'node:stream';
+
+// Largest CSV accepted for contact import
+export const MAX_CSV_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Stream a single-file multipart upload instead of buffering it.
+ *
+ * Form fields sent before the file are placed on req.body, and the file is
+ * exposed as req.file ({ fieldname, originalname, mimetype, stream }) as soon
+ * as it starts arriving, for the route to consume. Fields sent after the file
+ * are not seen. Going over maxFileSize makes the stream fail with
+ * "File size must be less than ...". Requests that are not multipart pass
+ * straight through.
+ */
+export const streamUpload = ({ fieldName = 'file', maxFileSize = MAX_CSV_SIZE } = {}) => (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  const sizeError = `File size must be less than ${Math.round(maxFileSize / 1024 / 1024)}MB`;
+
+  // Refuse obviously oversized uploads before anything is imported
+  if (parseInt(req.get('content-length')) > maxFileSize + 64 * 1024) {
+    return res.status(413).json({
+      success: false,
+      error: sizeError
+    });
+  }
+
+  let parser;
+  try {
+    parser = busboy({
+      headers: req.headers,
+      limits: { files: 1, fields: 20, fieldSize: 64 * 1024, fileSize: maxFileSize }
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Malformed multipart upload'
+    });
+  }
+
+  let handedOff = false;
+  const handOff = () => {
+    if (!handedOff) {
+      handedOff = true;
+      next();
+    }
+  };
+
+  req.body = {};
+
+  parser.on('field', (name, value) => {
+    req.body[name] = value;
+  });
+
+  parser.on('file', (name, file, info) => {
+    if (name !== fieldName || req.file) {
+      file.resume();
+      return;
+    }
+
+    const stream = new PassThrough();
+    file.pipe(stream);
+
+    file.on('limit', () => {
+      file.unpipe(stream);
+      file.resume();
+      stream.destroy(new Error(sizeError));
+    });
+
+    // Whatever the route did not read is drained so the request always completes
+    res.on('finish', () => {
+      file.unpipe(stream);
+      file.resume();
+    });
+
+    req.file = {
+      fieldname: name,
+      originalname: info.filename || '',
+      mimetype: info.mimeType,
+      stream
+    };
+    handOff();
+  });
+
+  parser.on('close', handOff);
+
+  parser.on('error', (error) => {
+    if (!handedOff) {
+      handedOff = true;
+      res.status(400).json({
+        success: false,
+        error: 'Malformed multipart upload'
+      });
+    } else {
+      req.file?.stream.destroy(error);
+    }
+  });
+
+  req.pipe(parser);
+};
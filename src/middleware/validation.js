@@ -1,11 +1,44 @@
 import { body, param, query, validationResult } from 'express-validator';
 import DOMPurify from 'dompurify';
 import { JSDOM } from 'jsdom';
+import { WEBHOOK_EVENT_TYPES } from '../services/webhookSubscriptionService.js';
+import ContactFieldService from '../services/contactFieldService.js';
+import { compileSegment } from '../utils/segmentCompiler.js';
+import { applyCustomFields, FIELD_KEY_PATTERN, FIELD_TYPES, RESERVED_KEYS } from '../utils/customFields.js';
+import { assertPublicWebhookUrl } from '../utils/webhookUrl.js';
 
 // Set up DOMPurify for server-side use
 const window = new JSDOM('').window;
 const purify = DOMPurify(window);
 
+// Template channels that carry a text body only (no subject or HTML part)
+const TEXT_ONLY_CHANNELS = ['sms', 'whatsapp'];
+const isEmailChannel = (value, { req }) => !TEXT_ONLY_CHANNELS.includes(req.body.channel);
+
+// Approved WhatsApp template reference: { name, language, parameters: [variable, ...] }
+const whatsappTemplateRules = [
+  body('whatsapp_template')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('WhatsApp template must be an object'),
+  body('whatsapp_template.name')
+    .if(body('whatsapp_template').exists({ values: 'null' }))
+    .matches(/^[a-z0-9_]{1,512}$/)
+    .withMessage('WhatsApp template name must be lowercase letters, digits and underscores'),
+  body('whatsapp_template.language')
+    .if(body('whatsapp_template').exists({ values: 'null' }))
+    .matches(/^[a-z]{2,3}(_[A-Z]{2})?$/)
+    .withMessage('WhatsApp template language must be a locale code such as en or en_US'),
+  body('whatsapp_template.parameters')
+    .if(body('whatsapp_template').exists({ values: 'null' }))
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('WhatsApp template parameters must be an array with max 20 items'),
+  body('whatsapp_template.parameters.*')
+    .matches(/^[a-zA-Z_][a-zA-Z0-9_]*$/)
+    .withMessage('WhatsApp template parameters must be variable names')
+];
+
 // Validation error handler
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -32,6 +65,39 @@ export const sanitizeHTML = (html) => {
   });
 };
 
+// Contact consent states; pending and revoked contacts are never sent campaigns
+const CONSENT_STATUSES = ['unknown', 'granted', 'pending', 'revoked'];
+
+// Webhook URLs are requested from inside our network, so their host has to resolve to public addresses
+const publicWebhookUrl = (chain) => chain
+  .isURL({ protocols: ['https', 'http'], require_protocol: true })
+  .withMessage('Webhook URL must be a valid URL')
+  .bail()
+  .custom((value) => assertPublicWebhookUrl(value));
+
+// Custom field values are checked against the account's definitions and replaced with their
+// coerced form. New contacts get defaults and need every required field; updates only check
+// the fields they send.
+const customFieldRules = ({ partial }) => body('custom_fields')
+  .custom(async (value, { req }) => {
+    if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error('Custom fields must be an object');
+    }
+    if (partial && value === undefined) {
+      return true;
+    }
+
+    const definitions = await ContactFieldService.getByUser(req.userContext.userId);
+    const { values, errors } = applyCustomFields(definitions, value, { partial });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    req.customFieldValues = values;
+    return true;
+  })
+  .customSanitizer((value, { req }) => req.customFieldValues ?? value);
+
 // Contact validation rules
 export const contactValidation = {
   create: [
@@ -55,6 +121,11 @@ export const contactValidation = {
       .withMessage('Company must be less than 255 characters')
       .matches(/^[a-zA-Z0-9\s\-\.\'&]+$/)
       .withMessage('Company name contains invalid characters'),
+    body('phone')
+      .optional({ nullable: true })
+      .trim()
+      .matches(/^\+?[1-9]\d{6,14}$/)
+      .withMessage('Phone must be in international format, e.g. +254712345678'),
     body('tags')
       .optional()
       .isArray({ max: 10 })
@@ -66,6 +137,11 @@ export const contactValidation = {
       .withMessage('Each tag must be 1-50 characters')
       .matches(/^[a-zA-Z0-9\-_]+$/)
       .withMessage('Tags can only contain letters, numbers, hyphens, and underscores'),
+    body('consent_status')
+      .optional()
+      .isIn(CONSENT_STATUSES)
+      .withMessage(`Consent status must be one of: ${CONSENT_STATUSES.join(', ')}`),
+    customFieldRules({ partial: false }),
     handleValidationErrors
   ],
   
@@ -90,10 +166,20 @@ export const contactValidation = {
       .trim()
       .isLength({ max: 255 })
       .withMessage('Company must be less than 255 characters'),
+    body('phone')
+      .optional({ nullable: true })
+      .trim()
+      .matches(/^\+?[1-9]\d{6,14}$/)
+      .withMessage('Phone must be in international format, e.g. +254712345678'),
     body('tags')
       .optional()
       .isArray({ max: 10 })
       .withMessage('Tags must be an array with max 10 items'),
+    body('consent_status')
+      .optional()
+      .isIn(CONSENT_STATUSES)
+      .withMessage(`Consent status must be one of: ${CONSENT_STATUSES.join(', ')}`),
+    customFieldRules({ partial: true }),
     handleValidationErrors
   ],
 
@@ -116,6 +202,38 @@ export const contactValidation = {
       .isString()
       .withMessage('Tags filter must be a string'),
     handleValidationErrors
+  ],
+
+  duplicates: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('contact_id')
+      .optional()
+      .isUUID()
+      .withMessage('Contact ID must be a valid UUID'),
+    query('min_name_similarity')
+      .optional()
+      .isFloat({ min: 0.1, max: 1 })
+      .withMessage('Minimum name similarity must be between 0.1 and 1'),
+    handleValidationErrors
+  ],
+
+  merge: [
+    body('survivor_id')
+      .isUUID()
+      .withMessage('Valid survivor contact ID required'),
+    body('duplicate_id')
+      .isUUID()
+      .withMessage('Valid duplicate contact ID required')
+      .custom((value, { req }) => value !== req.body.survivor_id)
+      .withMessage('A contact cannot be merged into itself'),
+    handleValidationErrors
   ]
 };
 
@@ -128,11 +246,17 @@ export const templateValidation = {
       .withMessage('Template name required (max 255 characters)')
       .matches(/^[a-zA-Z0-9\s\-_\.]+$/)
       .withMessage('Template name contains invalid characters'),
+    body('channel')
+      .optional()
+      .isIn(['email', ...TEXT_ONLY_CHANNELS])
+      .withMessage('Channel must be email, sms or whatsapp'),
     body('subject')
+      .if(isEmailChannel)
       .trim()
       .isLength({ min: 1, max: 500 })
       .withMessage('Subject required (max 500 characters)'),
     body('body_html')
+      .if(isEmailChannel)
       .trim()
       .isLength({ min: 1, max: 50000 })
       .withMessage('HTML body required (max 50,000 characters)')
@@ -147,7 +271,17 @@ export const templateValidation = {
     body('body_text')
       .trim()
       .isLength({ min: 1, max: 50000 })
-      .withMessage('Text body required (max 50,000 characters)'),
+      .withMessage('Text body required (max 50,000 characters)')
+      .custom((value, { req }) => {
+        if (req.body.channel === 'sms' && value.length > 1600) {
+          throw new Error('SMS text must be at most 1,600 characters');
+        }
+        if (req.body.channel === 'whatsapp' && value.length > 4096) {
+          throw new Error('WhatsApp text must be at most 4,096 characters');
+        }
+        return true;
+      }),
+    ...whatsappTemplateRules,
     body('variables')
       .optional()
       .isArray({ max: 20 })
@@ -193,10 +327,128 @@ export const templateValidation = {
       .trim()
       .isLength({ min: 1, max: 50000 })
       .withMessage('Text body must be 1-50,000 characters'),
+    ...whatsappTemplateRules,
+    body('variables')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Variables must be an array with max 20 items'),
+    body('variables.*')
+      .optional()
+      .trim()
+      .matches(/^[a-zA-Z_][a-zA-Z0-9_]*$/)
+      .withMessage('Variable names must be valid identifiers'),
+    handleValidationErrors
+  ],
+
+  get: [
+    param('id').isUUID().withMessage('Valid template ID required'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Search term must be less than 255 characters'),
+    query('channel')
+      .optional()
+      .isIn(['email', ...TEXT_ONLY_CHANNELS])
+      .withMessage('Channel must be email, sms or whatsapp'),
     handleValidationErrors
   ]
 };
 
+const TAG_CLAUSES = ['all', 'any', 'none'];
+const AUDIENCE_FIELDS = ['audience', 'contact_ids', 'segment_id'];
+
+const hasAudienceSource = (data) => {
+  const audience = data.audience || {};
+  const tags = audience.tags || {};
+  return [data.contact_ids, audience.contact_ids, audience.segment_ids, audience.list_ids]
+    .some(ids => Array.isArray(ids) && ids.length > 0) ||
+    Boolean(data.segment_id) ||
+    TAG_CLAUSES.some(key => Array.isArray(tags[key]) && tags[key].length > 0);
+};
+
+// A campaign audience combines contact IDs, saved segments, static lists and a tag
+// expression. contact_ids and segment_id are shorthands kept for existing clients.
+const audienceRules = ({ required }) => [
+  body('contact_ids')
+    .optional()
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Contact IDs must be an array with 1-1000 items'),
+  body('contact_ids.*')
+    .isUUID()
+    .withMessage('Each contact ID must be a valid UUID'),
+  body('segment_id')
+    .optional()
+    .isUUID()
+    .withMessage('Valid segment ID required'),
+  body('audience')
+    .optional()
+    .isObject()
+    .withMessage('Audience must be an object'),
+  body('audience.contact_ids')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Audience contact IDs must be an array with max 1000 items'),
+  body('audience.contact_ids.*')
+    .isUUID()
+    .withMessage('Each contact ID must be a valid UUID'),
+  body('audience.segment_ids')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Audience segment IDs must be an array with max 20 items'),
+  body('audience.segment_ids.*')
+    .isUUID()
+    .withMessage('Each segment ID must be a valid UUID'),
+  body('audience.list_ids')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Audience list IDs must be an array with max 20 items'),
+  body('audience.list_ids.*')
+    .isUUID()
+    .withMessage('Each list ID must be a valid UUID'),
+  body('audience.tags')
+    .optional()
+    .custom((tags) => {
+      if (!tags || typeof tags !== 'object' || Array.isArray(tags) ||
+        Object.keys(tags).some(key => !TAG_CLAUSES.includes(key))) {
+        throw new Error('Tags must be an object with all, any and none arrays');
+      }
+
+      for (const key of TAG_CLAUSES) {
+        const list = tags[key];
+        if (list !== undefined && (!Array.isArray(list) || list.length > 50 ||
+          list.some(tag => typeof tag !== 'string' || tag.length < 1 || tag.length > 50))) {
+          throw new Error(`Tags ${key} must be an array of up to 50 tags of 1-50 characters`);
+        }
+      }
+
+      if (!TAG_CLAUSES.some(key => tags[key]?.length > 0)) {
+        throw new Error('Tag expression needs at least one tag');
+      }
+      return true;
+    }),
+  body('audience')
+    .custom((audience, { req }) => {
+      const provided = AUDIENCE_FIELDS.some(key => req.body[key] !== undefined);
+      if ((required || provided) && !hasAudienceSource(req.body)) {
+        throw new Error('Audience needs contact IDs, segments, lists or tags');
+      }
+      return true;
+    })
+];
+
 // Campaign validation rules
 export const campaignValidation = {
   create: [
@@ -209,12 +461,7 @@ export const campaignValidation = {
     body('template_id')
       .isUUID()
       .withMessage('Valid template ID required'),
-    body('contact_ids')
-      .isArray({ min: 1, max: 1000 })
-      .withMessage('Contact IDs must be an array with 1-1000 items'),
-    body('contact_ids.*')
-      .isUUID()
-      .withMessage('Each contact ID must be a valid UUID'),
+    ...audienceRules({ required: true }),
     body('scheduled_at')
       .optional()
       .isISO8601()
@@ -225,28 +472,568 @@ export const campaignValidation = {
         }
         return true;
       }),
+    publicWebhookUrl(body('webhook_url').optional()),
+    body('variables')
+      .optional()
+      .isObject()
+      .withMessage('Variables must be an object'),
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id').isUUID().withMessage('Valid campaign ID required'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Campaign name must be 1-255 characters')
+      .matches(/^[a-zA-Z0-9\s\-_\.]+$/)
+      .withMessage('Campaign name contains invalid characters'),
+    body('template_id')
+      .optional()
+      .isUUID()
+      .withMessage('Valid template ID required'),
+    ...audienceRules({ required: false }),
+    body('scheduled_at')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Scheduled date must be in ISO 8601 format')
+      .custom((value) => {
+        if (value && new Date(value) <= new Date()) {
+          throw new Error('Scheduled date must be in the future');
+        }
+        return true;
+      }),
+    publicWebhookUrl(body('webhook_url').optional({ nullable: true })),
+    body('variables')
+      .optional()
+      .isObject()
+      .withMessage('Variables must be an object'),
+    // Derived from the template and the audience, never set directly
+    body('channel')
+      .not()
+      .exists()
+      .withMessage('Channel follows the template and cannot be set'),
+    body('recipient_count')
+      .not()
+      .exists()
+      .withMessage('Recipient count is calculated from the audience and cannot be set'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['draft', 'scheduled', 'sending', 'completed', 'failed', 'cancelled'])
+      .withMessage('Invalid campaign status'),
+    handleValidationErrors
+  ],
+
+  audiencePreview: [
+    ...audienceRules({ required: true }),
+    body('channel')
+      .optional()
+      .isIn(['email', 'sms', 'whatsapp'])
+      .withMessage('Channel must be email, sms or whatsapp'),
+    handleValidationErrors
+  ],
+
+  schedule: [
+    param('id').isUUID().withMessage('Valid campaign ID required'),
+    body('scheduled_at')
+      .isISO8601()
+      .withMessage('Scheduled date must be in ISO 8601 format')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Scheduled date must be in the future');
+        }
+        return true;
+      }),
     handleValidationErrors
   ],
 
   send: [
     param('id').isUUID().withMessage('Valid campaign ID required'),
     handleValidationErrors
+  ],
+
+  stats: [
+    param('id').isUUID().withMessage('Valid campaign ID required'),
+    query('include_machine_opens')
+      .optional()
+      .isBoolean()
+      .withMessage('include_machine_opens must be true or false'),
+    handleValidationErrors
+  ],
+
+  links: [
+    param('id').isUUID().withMessage('Valid campaign ID required'),
+    query('include_machine_clicks')
+      .optional()
+      .isBoolean()
+      .withMessage('include_machine_clicks must be true or false'),
+    handleValidationErrors
+  ],
+
+  opens: [
+    param('id').isUUID().withMessage('Valid campaign ID required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('include_machine_opens')
+      .optional()
+      .isBoolean()
+      .withMessage('include_machine_opens must be true or false'),
+    handleValidationErrors
+  ]
+};
+
+// Suppression list validation rules
+export const suppressionValidation = {
+  create: [
+    body('channel')
+      .optional()
+      .isIn(['email', ...TEXT_ONLY_CHANNELS])
+      .withMessage('Channel must be email, sms or whatsapp'),
+    body('address')
+      .if(isEmailChannel)
+      .trim()
+      .isEmail()
+      .withMessage('Valid email address required'),
+    body('address')
+      .if((value, meta) => !isEmailChannel(value, meta))
+      .trim()
+      .matches(/^\+?[1-9]\d{6,14}$/)
+      .withMessage('Phone must be in international format, e.g. +254712345678'),
+    body('reason')
+      .optional()
+      .isIn(['manual', 'unsubscribe', 'hard_bounce', 'complaint'])
+      .withMessage('Reason must be manual, unsubscribe, hard_bounce or complaint'),
+    body('global')
+      .optional()
+      .isBoolean()
+      .withMessage('Global must be a boolean'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('scope')
+      .optional()
+      .isIn(['user', 'global', 'all'])
+      .withMessage('Scope must be user, global or all'),
+    query('channel')
+      .optional()
+      .isIn(['email', ...TEXT_ONLY_CHANNELS])
+      .withMessage('Channel must be email, sms or whatsapp'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Search term must be less than 255 characters'),
+    handleValidationErrors
+  ],
+
+  remove: [
+    param('id').isUUID().withMessage('Valid suppression ID required'),
+    handleValidationErrors
+  ]
+};
+
+// Segment rules are checked by compiling them, so validation and execution never disagree
+const segmentRules = (chain) => chain
+  .custom(async (rules, { req }) => {
+    compileSegment(rules, { customFields: await ContactFieldService.getByUser(req.userContext.userId) });
+    return true;
+  });
+
+// Segment validation rules
+export const segmentValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Segment name required (max 255 characters)'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    segmentRules(body('rules')),
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id').isUUID().withMessage('Valid segment ID required'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Segment name must be 1-255 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    segmentRules(body('rules').optional()),
+    handleValidationErrors
+  ],
+
+  preview: [
+    segmentRules(body('rules')),
+    body('sample_size')
+      .optional()
+      .isInt({ min: 0, max: 50 })
+      .withMessage('Sample size must be between 0 and 50'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Search term must be less than 255 characters'),
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id').isUUID().withMessage('Valid segment ID required'),
+    handleValidationErrors
+  ],
+
+  members: [
+    param('id').isUUID().withMessage('Valid segment ID required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    handleValidationErrors
+  ]
+};
+
+// Static contact list validation rules
+export const contactListValidation = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('List name required (max 255 characters)'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id').isUUID().withMessage('Valid list ID required'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('List name must be 1-255 characters'),
+    body('description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    handleValidationErrors
+  ],
+
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Search term must be less than 255 characters'),
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id').isUUID().withMessage('Valid list ID required'),
+    handleValidationErrors
+  ],
+
+  members: [
+    param('id').isUUID().withMessage('Valid list ID required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    handleValidationErrors
+  ],
+
+  changeMembers: [
+    param('id').isUUID().withMessage('Valid list ID required'),
+    body('contact_ids')
+      .isArray({ min: 1, max: 1000 })
+      .withMessage('Contact IDs must be an array with 1-1000 items'),
+    body('contact_ids.*')
+      .isUUID()
+      .withMessage('Each contact ID must be a valid UUID'),
+    handleValidationErrors
+  ]
+};
+
+// Custom contact field definitions; options and defaults are checked against the type by the service
+export const contactFieldValidation = {
+  create: [
+    body('key')
+      .matches(FIELD_KEY_PATTERN)
+      .withMessage('Key must start with a lowercase letter and use only lowercase letters, digits and underscores (max 50)')
+      .not()
+      .isIn(RESERVED_KEYS)
+      .withMessage(`Key cannot be one of: ${RESERVED_KEYS.join(', ')}`),
+    body('label')
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Label required (max 255 characters)'),
+    body('type')
+      .isIn(FIELD_TYPES)
+      .withMessage(`Type must be one of: ${FIELD_TYPES.join(', ')}`),
+    body('options')
+      .optional({ nullable: true })
+      .isArray()
+      .withMessage('Options must be an array'),
+    body('required')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Required must be true or false'),
+    handleValidationErrors
+  ],
+
+  update: [
+    param('id').isUUID().withMessage('Valid field ID required'),
+    body('key')
+      .not()
+      .exists()
+      .withMessage('A field key cannot be changed'),
+    body('type')
+      .not()
+      .exists()
+      .withMessage('A field type cannot be changed'),
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Label must be 1-255 characters'),
+    body('options')
+      .optional({ nullable: true })
+      .isArray()
+      .withMessage('Options must be an array'),
+    body('required')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Required must be true or false'),
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id').isUUID().withMessage('Valid field ID required'),
+    handleValidationErrors
+  ]
+};
+
+// Outbound webhook deliveries
+export const webhookValidation = {
+  listDeliveries: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['pending', 'delivered', 'failed'])
+      .withMessage('Status must be pending, delivered or failed'),
+    query('event_type')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Event type must be less than 100 characters'),
+    query('campaign_id')
+      .optional()
+      .isUUID()
+      .withMessage('Valid campaign ID required'),
+    query('subscription_id')
+      .optional()
+      .isUUID()
+      .withMessage('Valid subscription ID required'),
+    handleValidationErrors
+  ],
+
+  getDelivery: [
+    param('id').isUUID().withMessage('Valid delivery ID required'),
+    handleValidationErrors
+  ],
+
+  createSubscription: [
+    publicWebhookUrl(body('url')),
+    body('event_types')
+      .isArray({ min: 1 })
+      .withMessage('At least one event type is required'),
+    body('event_types.*')
+      .isIn(['*', ...WEBHOOK_EVENT_TYPES])
+      .withMessage(`Event types must be * or one of: ${WEBHOOK_EVENT_TYPES.join(', ')}`),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean'),
+    handleValidationErrors
+  ],
+
+  updateSubscription: [
+    param('id').isUUID().withMessage('Valid subscription ID required'),
+    publicWebhookUrl(body('url').optional()),
+    body('event_types')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('At least one event type is required'),
+    body('event_types.*')
+      .isIn(['*', ...WEBHOOK_EVENT_TYPES])
+      .withMessage(`Event types must be * or one of: ${WEBHOOK_EVENT_TYPES.join(', ')}`),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 255 })
+      .withMessage('Description must be less than 255 characters'),
+    body('active')
+      .optional()
+      .isBoolean()
+      .withMessage('Active must be a boolean'),
+    handleValidationErrors
+  ],
+
+  getSubscription: [
+    param('id').isUUID().withMessage('Valid subscription ID required'),
+    handleValidationErrors
+  ]
+};
+
+// Stored integration webhook events (admin)
+export const webhookEventValidation = {
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['processing', 'processed', 'ignored', 'failed'])
+      .withMessage('Status must be processing, processed, ignored or failed'),
+    query('type')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Type must be less than 100 characters'),
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id')
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Valid event ID required'),
+    handleValidationErrors
   ]
 };
 
 // File upload validation (for CSV imports)
 export const fileValidation = {
+  // Multipart uploads only; the size limit is enforced by streamUpload while the file streams in
   csvImport: [
     body('file')
+      .if((value, { req }) => req.is('multipart/form-data'))
       .custom((value, { req }) => {
         if (!req.file) {
           throw new Error('CSV file is required');
         }
-        if (req.file.mimetype !== 'text/csv' && !req.file.originalname.endsWith('.csv')) {
+        if (req.file.mimetype !== 'text/csv' && !req.file.originalname.toLowerCase().endsWith('.csv')) {
           throw new Error('File must be a CSV');
         }
-        if (req.file.size > 5 * 1024 * 1024) { // 5MB limit
-          throw new Error('File size must be less than 5MB');
+        return true;
+      }),
+    body('has_header')
+      .optional()
+      .isBoolean()
+      .withMessage('has_header must be true or false'),
+    body('mode')
+      .optional()
+      .isIn(['skip', 'overwrite', 'merge'])
+      .withMessage('Mode must be skip, overwrite or merge'),
+    body('mapping')
+      .optional()
+      .custom((value) => {
+        let mapping;
+        try {
+          mapping = JSON.parse(value);
+        } catch {
+          throw new Error('Mapping must be a JSON object');
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+          throw new Error('Mapping must be a JSON object');
+        }
+        for (const [column, target] of Object.entries(mapping)) {
+          if (target !== null && !/^(email|name|company|tags|ignore|metadata\.[^.]+|custom_fields\.[a-z][a-z0-9_]*)$/.test(target)) {
+            throw new Error(`Invalid mapping for "${column}": use email, name, company, tags, metadata.<key>, custom_fields.<key> or ignore`);
+          }
         }
         return true;
       }),
@@ -254,6 +1041,43 @@ export const fileValidation = {
   ]
 };
 
+// Background contact import jobs
+export const importJobValidation = {
+  list: [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('status')
+      .optional()
+      .isIn(['queued', 'running', 'completed', 'failed', 'cancelled'])
+      .withMessage('Invalid import job status'),
+    handleValidationErrors
+  ],
+
+  getById: [
+    param('id').isUUID().withMessage('Valid import job ID required'),
+    handleValidationErrors
+  ],
+
+  updatedContacts: [
+    param('id').isUUID().withMessage('Valid import job ID required'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    handleValidationErrors
+  ]
+};
+
 // Sanitize request body middleware
 export const sanitizeBody = (req, res, next) => {
   if (req.body) {
@@ -0,0 +1,52 @@
+import pool from '../config/database.js';
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  getToleranceSeconds,
+  verifyWebhookSignature
+} from '../utils/webhookSignature.js';
+
+/**
+ * Record a request as used. Returns false when it has been seen before.
+ * Requests are keyed on timestamp and body rather than on the signature that matched,
+ * so replaying a rotated request with only its other v1 value is rejected too.
+ * Keys older than the tolerance window can never verify again, so they are pruned.
+ */
+const claimRequest = async (replayKey) => {
+  const result = await pool.query(`
+    INSERT INTO webhook_signatures (signature)
+    VALUES ($1)
+    ON CONFLICT (signature) DO NOTHING
+    RETURNING signature
+  `, [replayKey]);
+
+  await pool.query(`
+    DELETE FROM webhook_signatures
+    WHERE received_at < NOW() - ($1 * INTERVAL '1 second')
+  `, [getToleranceSeconds() * 2]);
+
+  return result.rowCount > 0;
+};
+
+// Signed webhook authentication with replay protection (needs req.rawBody)
+export const requireSignedWebhook = async (req, res, next) => {
+  const verification = verifyWebhookSignature({
+    timestamp: req.headers[TIMESTAMP_HEADER],
+    signature: req.headers[SIGNATURE_HEADER],
+    body: req.rawBody
+  });
+
+  if (!verification.valid) {
+    return res.status(401).json({ error: verification.reason });
+  }
+
+  try {
+    if (!(await claimRequest(verification.replayKey))) {
+      return res.status(401).json({ error: 'Webhook request has already been received' });
+    }
+    next();
+  } catch (error) {
+    console.error('Webhook replay check failed:', error);
+    res.status(500).json({ error: 'Internal webhook processing error' });
+  }
+};
@@ -0,0 +1,204 @@
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { getProvider } from '../channels/index.js';
+import CampaignService from '../services/campaignService.js';
+import WhatsAppSessionService from '../services/whatsappSessionService.js';
+import DeliveryEventService from '../services/deliveryEventService.js';
+import { parseDeliveryEvents } from '../channels/email/deliveryEvents.js';
+
+const router = express.Router();
+
+/**
+ * Compare a presented callback token with the configured one in constant time
+ */
+const tokenMatches = (presented, expected) => {
+  if (!presented || !expected) {
+    return false;
+  }
+
+  const a = Buffer.from(String(presented));
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * Gateways cannot send our JWTs, so callback URLs carry a shared token
+ * (e.g. https://engine/api/channels/sms/status?token=...)
+ */
+const requireCallbackToken = (envName) => (req, res, next) => {
+  const presented = req.query.token || req.headers['x-callback-token'];
+
+  if (!tokenMatches(presented, process.env[envName])) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid callback token'
+    });
+  }
+
+  next();
+};
+
+/**
+ * POST /api/channels/sms/status
+ * Delivery report callback from the SMS gateway
+ */
+router.post('/sms/status',
+  requireCallbackToken('SMS_CALLBACK_TOKEN'),
+  async (req, res) => {
+    try {
+      const provider = getProvider('sms');
+      const report = provider.parseStatusCallback(req.body);
+
+      if (!report) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unrecognised delivery report'
+        });
+      }
+
+      const recipient = await CampaignService.recordDeliveryStatus(provider.name, report.providerMessageId, {
+        status: report.status,
+        errorMessage: report.error
+      });
+
+      // Gateways retry on non-2xx, so unknown messages are acknowledged rather than rejected
+      res.json({
+        success: true,
+        data: {
+          providerMessageId: report.providerMessageId,
+          status: report.status,
+          matched: Boolean(recipient)
+        }
+      });
+    } catch (error) {
+      console.error('Error processing SMS delivery report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process delivery report'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/channels/email/events
+ * Bounce, complaint and delivery notifications from the email provider
+ * (auto-email worker, or SES notifications forwarded by an SMTP relay)
+ */
+router.post('/email/events',
+  // SNS posts JSON with a text/plain content type
+  express.text({ type: 'text/plain', limit: '1mb' }),
+  requireCallbackToken('EMAIL_EVENTS_TOKEN'),
+  async (req, res) => {
+    try {
+      let payload = req.body;
+      if (typeof payload === 'string') {
+        try {
+          payload = JSON.parse(payload);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Payload must be JSON'
+          });
+        }
+      }
+
+      // SNS topic subscriptions are confirmed by an operator visiting the URL
+      if (payload?.Type === 'SubscriptionConfirmation') {
+        console.log(`📨 Email event subscription pending confirmation: ${payload.SubscribeURL}`);
+        return res.json({ success: true, message: 'Subscription confirmation logged' });
+      }
+
+      const events = parseDeliveryEvents(payload);
+      if (events.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No delivery events found in payload'
+        });
+      }
+
+      const results = await DeliveryEventService.process(events);
+
+      res.json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      console.error('Error processing email delivery events:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process delivery events'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/channels/whatsapp/webhook
+ * Subscription handshake from the WhatsApp Business Platform
+ */
+router.get('/whatsapp/webhook', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && tokenMatches(req.query['hub.verify_token'], process.env.WHATSAPP_VERIFY_TOKEN)) {
+    return res.status(200).send(challenge);
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Webhook verification failed'
+  });
+});
+
+/**
+ * POST /api/channels/whatsapp/webhook
+ * Message status updates (sent/delivered/read/failed) and inbound messages
+ */
+router.post('/whatsapp/webhook', async (req, res) => {
+  try {
+    const provider = getProvider('whatsapp');
+
+    if (!provider.verifySignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    const { statuses, inbound } = provider.parseWebhook(req.body);
+
+    // Inbound messages open the session window for free-form replies
+    for (const message of inbound) {
+      await WhatsAppSessionService.recordInbound(message.from, message.receivedAt);
+    }
+
+    let matched = 0;
+    for (const report of statuses) {
+      const recipient = await CampaignService.recordDeliveryStatus(provider.name, report.providerMessageId, {
+        status: report.status,
+        errorMessage: report.error
+      });
+      if (recipient) {
+        matched++;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        statuses: statuses.length,
+        matched,
+        inbound: inbound.length
+      }
+    });
+  } catch (error) {
+    console.error('Error processing WhatsApp webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,210 @@
+import express from 'express';
+import ContactFieldService from '../services/contactFieldService.js';
+import { contactFieldValidation } from '../middleware/validation.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
+
+const router = express.Router();
+
+// Apply authentication to all custom field routes
+router.use(authenticateToken);
+router.use(addUserContext);
+
+/**
+ * GET /api/contact-fields
+ * List the account's custom contact fields
+ */
+router.get('/',
+  rateLimits.general,
+  async (req, res) => {
+    try {
+      const fields = await ContactFieldService.getByUser(req.userContext.userId);
+
+      res.json({
+        success: true,
+        data: fields
+      });
+    } catch (error) {
+      console.error('Error fetching custom fields:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch custom fields'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/contact-fields
+ * Define a custom field: { key, label, type, options?, required?, default_value? }.
+ * Existing contacts are given the default value.
+ */
+router.post('/',
+  rateLimits.general,
+  contactFieldValidation.create,
+  auditMiddleware('contact_field_create', 'contact_field'),
+  async (req, res) => {
+    try {
+      const field = await ContactFieldService.create(req.userContext.userId, req.body);
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = field.id;
+
+      res.status(201).json({
+        success: true,
+        data: field,
+        message: 'Custom field created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating custom field:', error);
+
+      if (error.message.includes('already exists')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.message.startsWith('Invalid field definition')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create custom field'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /api/contact-fields/:id
+ * Get a custom field definition
+ */
+router.get('/:id',
+  rateLimits.general,
+  contactFieldValidation.getById,
+  async (req, res) => {
+    try {
+      const field = await ContactFieldService.getById(req.userContext.userId, req.params.id);
+
+      if (!field) {
+        return res.status(404).json({
+          success: false,
+          error: 'Custom field not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: field
+      });
+    } catch (error) {
+      console.error('Error fetching custom field:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch custom field'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/contact-fields/:id
+ * Change a field's label, options, required flag or default; key and type are fixed
+ */
+router.put('/:id',
+  rateLimits.general,
+  contactFieldValidation.update,
+  auditMiddleware('contact_field_update', 'contact_field'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+
+      const oldField = await ContactFieldService.getById(userId, req.params.id);
+      if (oldField) {
+        res.locals.oldValues = oldField;
+      }
+
+      const field = await ContactFieldService.update(userId, req.params.id, req.body);
+
+      if (!field) {
+        return res.status(404).json({
+          success: false,
+          error: 'Custom field not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: field,
+        message: 'Custom field updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating custom field:', error);
+
+      if (error.message.startsWith('Invalid field definition')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.message.includes('still used') || error.message.includes('have no value')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update custom field'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * DELETE /api/contact-fields/:id
+ * Delete a custom field and every contact's value for it (refused while saved segments use it)
+ */
+router.delete('/:id',
+  rateLimits.general,
+  contactFieldValidation.getById,
+  auditMiddleware('contact_field_delete', 'contact_field'),
+  async (req, res) => {
+    try {
+      const deleted = await ContactFieldService.delete(req.userContext.userId, req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Custom field not found'
+        });
+      }
+
+      res.locals.oldValues = deleted;
+
+      res.json({
+        success: true,
+        message: 'Custom field deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting custom field:', error);
+
+      if (error.message.includes('still used')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete custom field'
+        });
+      }
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,316 @@
+import express from 'express';
+import ContactListService from '../services/contactListService.js';
+import { contactListValidation } from '../middleware/validation.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
+
+const router = express.Router();
+
+// Apply authentication to all contact list routes
+router.use(authenticateToken);
+router.use(addUserContext);
+
+/**
+ * GET /api/lists
+ * List static contact lists
+ */
+router.get('/',
+  rateLimits.general,
+  contactListValidation.list,
+  async (req, res) => {
+    try {
+      const { page, limit, search } = req.query;
+
+      const result = await ContactListService.getByUser(req.userContext.userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        search
+      });
+
+      res.json({
+        success: true,
+        data: result.lists,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching contact lists:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch contact lists'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/lists
+ * Create a contact list
+ */
+router.post('/',
+  rateLimits.general,
+  contactListValidation.create,
+  auditMiddleware('contact_list_create', 'contact_list'),
+  async (req, res) => {
+    try {
+      const list = await ContactListService.create(req.userContext.userId, req.body);
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = list.id;
+
+      res.status(201).json({
+        success: true,
+        data: list,
+        message: 'List created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating contact list:', error);
+
+      if (error.message.includes('already exists')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create list'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /api/lists/:id
+ * Get a contact list with its member count
+ */
+router.get('/:id',
+  rateLimits.general,
+  contactListValidation.getById,
+  async (req, res) => {
+    try {
+      const list = await ContactListService.getById(req.userContext.userId, req.params.id);
+
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          error: 'List not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: list
+      });
+    } catch (error) {
+      console.error('Error fetching contact list:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch list'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/lists/:id
+ * Rename a list or change its description
+ */
+router.put('/:id',
+  rateLimits.general,
+  contactListValidation.update,
+  auditMiddleware('contact_list_update', 'contact_list'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+
+      const oldList = await ContactListService.getById(userId, req.params.id);
+      if (!oldList) {
+        return res.status(404).json({
+          success: false,
+          error: 'List not found'
+        });
+      }
+
+      res.locals.oldValues = oldList;
+
+      const list = await ContactListService.update(userId, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        data: list,
+        message: 'List updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating contact list:', error);
+
+      if (error.message.includes('already exists')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.message.includes('No valid fields')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update list'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * DELETE /api/lists/:id
+ * Delete a list; its contacts are kept
+ */
+router.delete('/:id',
+  rateLimits.general,
+  contactListValidation.getById,
+  auditMiddleware('contact_list_delete', 'contact_list'),
+  async (req, res) => {
+    try {
+      const deleted = await ContactListService.delete(req.userContext.userId, req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'List not found'
+        });
+      }
+
+      res.locals.oldValues = deleted;
+
+      res.json({
+        success: true,
+        message: 'List deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting contact list:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete list'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/lists/:id/contacts
+ * Contacts on a list
+ */
+router.get('/:id/contacts',
+  rateLimits.general,
+  contactListValidation.members,
+  async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+
+      const result = await ContactListService.getMembers(req.userContext.userId, req.params.id, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'List not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.contacts,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching list contacts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch list contacts'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/lists/:id/contacts
+ * Add contacts to a list
+ */
+router.post('/:id/contacts',
+  rateLimits.general,
+  contactListValidation.changeMembers,
+  auditMiddleware('contact_list_add_contacts', 'contact_list'),
+  async (req, res) => {
+    try {
+      const result = await ContactListService.addMembers(
+        req.userContext.userId,
+        req.params.id,
+        req.body.contact_ids
+      );
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'List not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: `${result.added} contacts added to list`
+      });
+    } catch (error) {
+      console.error('Error adding contacts to list:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add contacts to list'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/lists/:id/contacts
+ * Remove contacts from a list
+ */
+router.delete('/:id/contacts',
+  rateLimits.general,
+  contactListValidation.changeMembers,
+  auditMiddleware('contact_list_remove_contacts', 'contact_list'),
+  async (req, res) => {
+    try {
+      const result = await ContactListService.removeMembers(
+        req.userContext.userId,
+        req.params.id,
+        req.body.contact_ids
+      );
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'List not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: `${result.removed} contacts removed from list`
+      });
+    } catch (error) {
+      console.error('Error removing contacts from list:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove contacts from list'
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,12 @@
 import express from 'express';
 import ContactService from '../services/contactService.js';
-import { contactValidation } from '../middleware/validation.js';
+import ContactImportService from '../services/contactImportService.js';
+import ContactDuplicateService from '../services/contactDuplicateService.js';
+import { contactValidation, fileValidation } from '../middleware/validation.js';
+import { streamUpload } from '../middleware/upload.js';
 import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
 import { auditMiddleware } from '../services/auditLogger.js';
+import { emitWebhookEvent } from '../services/webhookDispatcher.js';
 
 const router = express.Router();
 
@@ -64,6 +68,8 @@ router.post('/',
       
       // Set resource ID for audit logging
       res.locals.resourceId = contact.id;
+
+      await emitWebhookEvent(userId, 'contact.created', { contact });
       
       res.status(201).json({
         success: true,
@@ -88,6 +94,169 @@ router.post('/',
   }
 );
 
+/**
+ * GET /api/contacts/duplicates
+ * List likely duplicate pairs: the same mailbox once emails are normalised,
+ * or similar names at the same company. contact_id narrows it to one contact.
+ */
+router.get('/duplicates',
+  rateLimits.general,
+  contactValidation.duplicates,
+  auditMiddleware('contacts_duplicates', 'contact'),
+  async (req, res) => {
+    try {
+      const { page, limit, contact_id: contactId, min_name_similarity: minNameSimilarity } = req.query;
+      const userId = req.userContext.userId;
+
+      const result = await ContactDuplicateService.findCandidates(userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        contactId,
+        minNameSimilarity: minNameSimilarity !== undefined ? parseFloat(minNameSimilarity) : undefined
+      });
+
+      res.json({
+        success: true,
+        data: result.candidates,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error finding duplicate contacts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to find duplicate contacts'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/contacts/merge
+ * Merge duplicate_id into survivor_id and delete the duplicate. Tags and metadata
+ * are combined, and its campaign history, lists and audit entries move to the survivor.
+ */
+router.post('/merge',
+  rateLimits.general,
+  contactValidation.merge,
+  auditMiddleware('contact_merge', 'contact'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+      const { survivor_id: survivorId, duplicate_id: duplicateId } = req.body;
+
+      const result = await ContactDuplicateService.merge(userId, survivorId, duplicateId);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Contact not found'
+        });
+      }
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = survivorId;
+
+      await emitWebhookEvent(userId, 'contact.merged', {
+        contact: result.contact,
+        mergedContactId: duplicateId,
+        ...result.summary
+      });
+
+      res.json({
+        success: true,
+        data: {
+          contact: result.contact,
+          merged_contact: result.mergedContact,
+          ...result.summary
+        },
+        message: 'Contacts merged successfully'
+      });
+    } catch (error) {
+      console.error('Error merging contacts:', error);
+
+      if (error.message.includes('into itself')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to merge contacts'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /api/contacts/export
+ * Export contacts to CSV
+ */
+router.get('/export',
+  rateLimits.general,
+  auditMiddleware('contacts_export', 'contact'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+      const { search, tags } = req.query;
+      
+      const { columns, contacts } = await ContactService.exportToCSV(userId, { search, tags });
+      
+      // Set CSV headers
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=contacts.csv');
+      
+      // Convert to CSV format; the header row is the same whether or not any contacts matched
+      const csvContent = [
+        columns.join(','),
+        ...contacts.map(contact => 
+          columns.map(header => {
+            const value = contact[header] || '';
+            // Escape commas and quotes in CSV
+            return `"${value.toString().replace(/"/g, '""')}"`;
+          }).join(',')
+        )
+      ].join('\n');
+      
+      res.send(csvContent);
+    } catch (error) {
+      console.error('Error exporting contacts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export contacts'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/contacts/stats
+ * Get contact statistics
+ */
+router.get('/stats',
+  rateLimits.general,
+  auditMiddleware('contacts_stats', 'contact'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+      
+      const stats = await ContactService.getStats(userId);
+      
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      console.error('Error retrieving contact stats:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve contact statistics'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/contacts/:id
  * Get a specific contact
@@ -152,6 +321,8 @@ router.put('/:id',
           error: 'Contact not found'
         });
       }
+
+      await emitWebhookEvent(userId, 'contact.updated', { contact });
       
       res.json({
         success: true,
@@ -208,6 +379,8 @@ router.delete('/:id',
           error: 'Contact not found'
         });
       }
+
+      await emitWebhookEvent(userId, 'contact.deleted', { contact: deletedContact });
       
       res.json({
         success: true,
@@ -225,14 +398,54 @@ router.delete('/:id',
 
 /**
  * POST /api/contacts/import
- * Import contacts from CSV
+ * Import contacts from an uploaded CSV file (multipart field "file"), or from
+ * a JSON body of already-parsed { contacts: [...], mode }.
+ * "mode" decides what happens to existing emails: skip (default), overwrite or merge.
+ * Uploads may send "mode", "has_header" and a JSON "mapping" of header name or
+ * column index to email, name, company, tags, metadata.<key>, custom_fields.<key>
+ * or ignore; these must come before the file in the form. Custom field values
+ * are checked against the account's field definitions row by row. An upload that
+ * goes over the size limit partway answers 413 with the totals of the rows already imported.
  */
 router.post('/import',
   rateLimits.contactImport,
+  streamUpload(),
+  fileValidation.csvImport,
   auditMiddleware('contacts_import', 'contact'),
   async (req, res) => {
     try {
       const userId = req.userContext.userId;
+
+      if (req.file) {
+        const result = await ContactImportService.importStream(userId, req.file.stream, {
+          hasHeader: req.body.has_header === undefined ? undefined : req.body.has_header === 'true',
+          mapping: req.body.mapping ? JSON.parse(req.body.mapping) : undefined,
+          mode: req.body.mode
+        });
+
+        if (result.total === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'No contacts found in CSV file'
+          });
+        }
+
+        await emitWebhookEvent(userId, 'import.completed', {
+          total: result.total,
+          mode: result.mode,
+          imported: result.imported,
+          updated: result.updated,
+          skipped: result.skipped,
+          errors: result.errors.length
+        });
+
+        return res.json({
+          success: true,
+          data: result,
+          message: `Import completed: ${result.imported} imported, ${result.updated} updated, ${result.skipped} skipped, ${result.errors.length} errors`
+        });
+      }
+
       const { contacts } = req.body;
       
       if (!Array.isArray(contacts)) {
@@ -252,96 +465,50 @@ router.post('/import',
       if (contacts.length > 1000) {
         return res.status(400).json({
           success: false,
-          error: 'Maximum 1000 contacts allowed per import'
+          error: 'Maximum 1000 contacts allowed per import; use /api/imports for larger imports'
         });
       }
       
-      const result = await ContactService.importFromCSV(userId, contacts);
+      const result = await ContactService.importFromCSV(userId, contacts, { mode: req.body.mode });
+
+      await emitWebhookEvent(userId, 'import.completed', {
+        total: contacts.length,
+        mode: result.mode,
+        imported: result.imported,
+        updated: result.updated,
+        skipped: result.skipped,
+        errors: result.errors.length
+      });
       
       res.json({
         success: true,
         data: result,
-        message: `Import completed: ${result.imported} imported, ${result.skipped} skipped, ${result.errors.length} errors`
+        message: `Import completed: ${result.imported} imported, ${result.updated} updated, ${result.skipped} skipped, ${result.errors.length} errors`
       });
     } catch (error) {
       console.error('Error importing contacts:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to import contacts'
-      });
-    }
-  }
-);
 
-/**
- * GET /api/contacts/export
- * Export contacts to CSV
- */
-router.get('/export',
-  rateLimits.general,
-  auditMiddleware('contacts_export', 'contact'),
-  async (req, res) => {
-    try {
-      const userId = req.userContext.userId;
-      const { search, tags } = req.query;
-      
-      const contacts = await ContactService.exportToCSV(userId, { search, tags });
-      
-      // Set CSV headers
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=contacts.csv');
-      
-      // Convert to CSV format
-      if (contacts.length === 0) {
-        return res.send('email,name,company,tags,created_at\n');
+      if (error.message.includes('File size')) {
+        // Rows imported before the limit was hit are kept, so tell the client about them
+        res.status(413).json({
+          success: false,
+          error: error.message,
+          ...(error.results && {
+            data: error.results,
+            message: `Import stopped partway: ${error.results.imported} imported, ${error.results.updated} updated, ${error.results.skipped} skipped before the limit was reached`
+          })
+        });
+      } else if (error.message.includes('Invalid column mapping')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to import contacts'
+        });
       }
-      
-      const headers = Object.keys(contacts[0]);
-      const csvContent = [
-        headers.join(','),
-        ...contacts.map(contact => 
-          headers.map(header => {
-            const value = contact[header] || '';
-            // Escape commas and quotes in CSV
-            return `"${value.toString().replace(/"/g, '""')}"`;
-          }).join(',')
-        )
-      ].join('\n');
-      
-      res.send(csvContent);
-    } catch (error) {
-      console.error('Error exporting contacts:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to export contacts'
-      });
-    }
-  }
-);
-
-/**
- * GET /api/contacts/stats
- * Get contact statistics
- */
-router.get('/stats',
-  rateLimits.general,
-  auditMiddleware('contacts_stats', 'contact'),
-  async (req, res) => {
-    try {
-      const userId = req.userContext.userId;
-      
-      const stats = await ContactService.getStats(userId);
-      
-      res.json({
-        success: true,
-        data: stats
-      });
-    } catch (error) {
-      console.error('Error retrieving contact stats:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to retrieve contact statistics'
-      });
     }
   }
 );
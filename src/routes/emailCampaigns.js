@@ -1,361 +1,469 @@
 import express from 'express';
+import CampaignService from '../services/campaignService.js';
+import TrackingService from '../services/trackingService.js';
+import AudienceService from '../services/audienceService.js';
+import { enqueueCampaign } from '../services/campaignSender.js';
+import { campaignValidation } from '../middleware/validation.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
 
 export function createEmailCampaignRoutes() {
   const router = express.Router();
 
+  // Campaigns are owned by the authenticated user
+  router.use(authenticateToken);
+  router.use(addUserContext);
+
   /**
-   * Start Email Campaign
-   * Called by Cloudflare Workers to initiate campaigns
+   * GET /api/email-campaigns
+   * List campaigns for the authenticated user
    */
-  router.post('/', async (req, res) => {
-    try {
-      const {
-        type,
-        targetAudience,
-        tradeNetworkData,
-        webhookUrl,
-        scheduledFor
-      } = req.body;
-
-      console.log(`📧 Starting ${type} campaign for ${targetAudience?.length || 'all'} recipients`);
-
-      // Campaign ID for tracking
-      const campaignId = `campaign_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-      // If scheduled for future, use node-cron or Bull queue
-      if (scheduledFor && new Date(scheduledFor) > new Date()) {
-        // Schedule for later
-        return res.json({
+  router.get('/',
+    rateLimits.general,
+    campaignValidation.list,
+    auditMiddleware('campaigns_list', 'campaign'),
+    async (req, res) => {
+      try {
+        const { page, limit, status } = req.query;
+        const userId = req.userContext.userId;
+
+        const result = await CampaignService.getByUser(userId, {
+          page: parseInt(page) || 1,
+          limit: parseInt(limit) || 50,
+          status
+        });
+
+        res.json({
           success: true,
-          campaignId,
-          status: 'scheduled',
-          scheduledFor,
-          message: 'Campaign scheduled successfully'
+          data: result.campaigns,
+          pagination: result.pagination
+        });
+      } catch (error) {
+        console.error('Error listing campaigns:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retrieve campaigns'
         });
       }
+    }
+  );
+
+  /**
+   * POST /api/email-campaigns
+   * Create a campaign and queue it for sending unless it is scheduled for later
+   */
+  router.post('/',
+    rateLimits.email,
+    campaignValidation.create,
+    auditMiddleware('campaign_create', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+
+        const campaign = await CampaignService.create(userId, req.body);
+
+        // Set resource ID for audit logging
+        res.locals.resourceId = campaign.id;
+
+        console.log(`📧 Created campaign ${campaign.id} for ${campaign.recipient_count} recipients`);
+
+        if (campaign.status === 'scheduled') {
+          return res.status(201).json({
+            success: true,
+            data: campaign,
+            message: 'Campaign scheduled successfully'
+          });
+        }
 
-      // Process immediately
-      const result = await processEmailCampaign({
-        campaignId,
-        type,
-        targetAudience,
-        tradeNetworkData,
-        webhookUrl
-      });
-
-      res.json({
-        success: true,
-        campaignId,
-        status: 'processing',
-        estimated: `${targetAudience?.length || 100} emails`,
-        result
-      });
-
-    } catch (error) {
-      console.error('❌ Campaign creation failed:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to create campaign',
-        message: error.message
-      });
+        const result = await enqueueCampaign(campaign);
+
+        res.status(202).json({
+          success: true,
+          data: await CampaignService.getById(userId, campaign.id),
+          result,
+          message: 'Campaign queued for sending'
+        });
+      } catch (error) {
+        console.error('❌ Campaign creation failed:', error);
+
+        if (error.message.includes('not found') || error.message.includes('No valid contacts')) {
+          res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to create campaign'
+          });
+        }
+      }
     }
-  });
+  );
 
   /**
-   * Get Campaign Status
+   * POST /api/email-campaigns/audience/preview
+   * Resolve an audience without creating a campaign: who would receive it and why others would not
    */
-  router.get('/:campaignId', async (req, res) => {
-    const { campaignId } = req.params;
-    
-    // In real implementation, query from database/cache
-    res.json({
-      campaignId,
-      status: 'completed',
-      stats: {
-        sent: 150,
-        delivered: 148,
-        opened: 45,
-        clicked: 12,
-        bounced: 2
-      },
-      createdAt: new Date().toISOString(),
-      completedAt: new Date().toISOString()
-    });
-  });
+  router.post('/audience/preview',
+    rateLimits.general,
+    campaignValidation.audiencePreview,
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+
+        const audience = AudienceService.normalize(req.body);
+        const { contacts, summary } = await AudienceService.resolve(userId, audience, {
+          channel: req.body.channel || 'email'
+        });
+
+        res.json({
+          success: true,
+          data: {
+            summary,
+            sample: contacts.slice(0, 10)
+          }
+        });
+      } catch (error) {
+        console.error('Error previewing campaign audience:', error);
+
+        if (error.message.includes('not found')) {
+          res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to preview audience'
+          });
+        }
+      }
+    }
+  );
 
   /**
-   * Campaign Templates (for email rendering)
+   * PUT /api/email-campaigns/:id
+   * Update a draft or scheduled campaign
    */
-  router.get('/templates/:type', async (req, res) => {
-    const { type } = req.params;
-    
-    const templates = {
-      'trader-welcome': {
-        subject: 'Welcome to Tamyla African Trading Network!',
-        template: 'trader-welcome.html',
-        requiredData: ['traderName', 'companyName', 'country']
-      },
-      'new-trade-opportunity': {
-        subject: 'New Trading Opportunity: {{productName}} from {{sellerCountry}}',
-        template: 'trade-opportunity.html',
-        requiredData: ['productName', 'sellerName', 'sellerCountry', 'quantity', 'price']
-      },
-      'weekly-digest': {
-        subject: 'Weekly African Trade Digest - {{weekOf}}',
-        template: 'weekly-digest.html',
-        requiredData: ['featuredProducts', 'tradeStats', 'newTraders']
+  router.put('/:id',
+    rateLimits.general,
+    campaignValidation.update,
+    auditMiddleware('campaign_update', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+        const campaignId = req.params.id;
+
+        const oldCampaign = await CampaignService.getById(userId, campaignId);
+        if (oldCampaign) {
+          res.locals.oldValues = oldCampaign;
+        }
+
+        const campaign = await CampaignService.update(userId, campaignId, req.body);
+
+        res.json({
+          success: true,
+          data: campaign,
+          message: 'Campaign updated successfully'
+        });
+      } catch (error) {
+        console.error('Error updating campaign:', error);
+
+        if (error.message === 'Campaign not found') {
+          res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        } else if (error.message.includes('cannot be modified')) {
+          res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        } else if (error.message.includes('not found') || error.message.includes('No valid')) {
+          res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to update campaign'
+          });
+        }
       }
-    };
-
-    if (templates[type]) {
-      res.json(templates[type]);
-    } else {
-      res.status(404).json({
-        error: 'Template not found',
-        availableTemplates: Object.keys(templates)
-      });
     }
-  });
+  );
 
-  return router;
-}
+  /**
+   * DELETE /api/email-campaigns/:id
+   * Delete a campaign and its recipient records
+   */
+  router.delete('/:id',
+    rateLimits.general,
+    campaignValidation.send, // Reuse validation for ID param
+    auditMiddleware('campaign_delete', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+        const campaignId = req.params.id;
+
+        const deletedCampaign = await CampaignService.delete(userId, campaignId);
+
+        if (!deletedCampaign) {
+          return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+          });
+        }
 
-/**
- * Process Email Campaign
- * This integrates with your existing auto-email Cloudflare Worker
- */
-async function processEmailCampaign({
-  campaignId,
-  type,
-  targetAudience,
-  tradeNetworkData,
-  webhookUrl
-}) {
-  try {
-    // Step 1: Get campaign template
-    const template = await getCampaignTemplate(type);
-    
-    // Step 2: Generate personalized emails
-    const emailJobs = targetAudience.map(recipient => ({
-      to: recipient.email,
-      subject: renderTemplate(template.subject, {
-        ...recipient,
-        ...tradeNetworkData
-      }),
-      html: renderEmailTemplate(template.template, {
-        ...recipient,
-        ...tradeNetworkData,
-        campaignId
-      }),
-      campaignId,
-      recipientId: recipient.id
-    }));
-
-    // Step 3: Send emails via your auto-email Cloudflare Worker
-    const results = [];
-    const batchSize = 10; // Send in batches to avoid overwhelming
-    
-    for (let i = 0; i < emailJobs.length; i += batchSize) {
-      const batch = emailJobs.slice(i, i + batchSize);
-      
-      const batchResults = await Promise.allSettled(
-        batch.map(emailJob => sendEmailViaCloudflare(emailJob))
-      );
-      
-      results.push(...batchResults);
-      
-      // Small delay between batches
-      if (i + batchSize < emailJobs.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        res.locals.oldValues = deletedCampaign;
+
+        res.json({
+          success: true,
+          message: 'Campaign deleted successfully'
+        });
+      } catch (error) {
+        console.error('Error deleting campaign:', error);
+
+        if (error.message.includes('cannot be deleted')) {
+          res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to delete campaign'
+          });
+        }
       }
     }
+  );
 
-    // Step 4: Notify completion via webhook if provided
-    if (webhookUrl) {
-      await fetch(webhookUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          campaignId,
-          status: 'completed',
-          results: {
-            total: emailJobs.length,
-            successful: results.filter(r => r.status === 'fulfilled').length,
-            failed: results.filter(r => r.status === 'rejected').length
-          }
-        })
-      });
+  /**
+   * GET /api/email-campaigns/scheduled
+   * List upcoming scheduled sends
+   */
+  router.get('/scheduled',
+    rateLimits.general,
+    auditMiddleware('campaigns_scheduled_list', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+        const campaigns = await CampaignService.getUpcoming(userId);
+
+        res.json({
+          success: true,
+          data: campaigns
+        });
+      } catch (error) {
+        console.error('Error listing scheduled campaigns:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retrieve scheduled campaigns'
+        });
+      }
     }
+  );
 
-    return {
-      total: emailJobs.length,
-      successful: results.filter(r => r.status === 'fulfilled').length,
-      failed: results.filter(r => r.status === 'rejected').length
-    };
+  /**
+   * PUT /api/email-campaigns/:id/schedule
+   * Schedule or reschedule a campaign that has not been sent
+   */
+  router.put('/:id/schedule',
+    rateLimits.general,
+    campaignValidation.schedule,
+    auditMiddleware('campaign_reschedule', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+        const campaign = await CampaignService.reschedule(userId, req.params.id, req.body.scheduled_at);
 
-  } catch (error) {
-    console.error('❌ Campaign processing failed:', error);
-    throw error;
-  }
-}
+        res.json({
+          success: true,
+          data: campaign,
+          message: 'Campaign rescheduled successfully'
+        });
+      } catch (error) {
+        console.error('Error rescheduling campaign:', error);
 
-/**
- * Send email via your existing auto-email Cloudflare Worker
- */
-async function sendEmailViaCloudflare(emailJob) {
-  const response = await fetch('https://auto-email.tamyla.com/api/send', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.AUTO_EMAIL_API_KEY}`,
-      'X-Service-Token': process.env.SERVICE_TOKEN
-    },
-    body: JSON.stringify(emailJob)
-  });
-
-  if (!response.ok) {
-    throw new Error(`Auto-email API failed: ${response.status}`);
-  }
-
-  return response.json();
-}
+        if (error.message.includes('not found')) {
+          res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        } else if (error.message.includes('cannot be modified')) {
+          res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to reschedule campaign'
+          });
+        }
+      }
+    }
+  );
+
+  /**
+   * POST /api/email-campaigns/:id/cancel
+   * Cancel a scheduled send
+   */
+  router.post('/:id/cancel',
+    rateLimits.general,
+    campaignValidation.send, // Reuse validation for ID param
+    auditMiddleware('campaign_cancel', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+        const campaign = await CampaignService.cancel(userId, req.params.id);
+
+        res.json({
+          success: true,
+          data: campaign,
+          message: 'Scheduled campaign cancelled'
+        });
+      } catch (error) {
+        console.error('Error cancelling campaign:', error);
 
-/**
- * Get campaign template
- */
-async function getCampaignTemplate(type) {
-  // In real implementation, load from database or file system
-  const templates = {
-    'trader-welcome': {
-      subject: 'Welcome to Tamyla African Trading Network, {{traderName}}!',
-      template: 'trader-welcome'
-    },
-    'new-trade-opportunity': {
-      subject: 'New {{productCategory}} opportunity from {{sellerCountry}}',
-      template: 'trade-opportunity'
-    },
-    'weekly-digest': {
-      subject: 'African Trade Weekly - New opportunities await!',
-      template: 'weekly-digest'
+        if (error.message.includes('not found')) {
+          res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        } else if (error.message.includes('cannot be cancelled')) {
+          res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to cancel campaign'
+          });
+        }
+      }
     }
-  };
+  );
 
-  return templates[type] || templates['trader-welcome'];
-}
+  /**
+   * GET /api/email-campaigns/:id/links
+   * Per-link click report; machine clicks are left out unless include_machine_clicks=true
+   */
+  router.get('/:id/links',
+    rateLimits.general,
+    campaignValidation.links,
+    auditMiddleware('campaign_links_view', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
 
-/**
- * Simple template rendering
- */
-function renderTemplate(template, data) {
-  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-    return data[key] || match;
-  });
-}
+        const campaign = await CampaignService.getById(userId, req.params.id);
+        if (!campaign) {
+          return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+          });
+        }
 
-/**
- * Render email template with trade network components
- */
-function renderEmailTemplate(templateName, data) {
-  // This would load HTML templates and inject trade network data
-  // For now, return a simple HTML template
-  
-  const baseTemplate = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <title>Tamyla African Trading Network</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
-        .header { background: #059669; color: white; padding: 20px; text-align: center; }
-        .content { padding: 20px; }
-        .product-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin: 20px 0; }
-        .product-card { border: 1px solid #ddd; padding: 15px; border-radius: 8px; }
-        .cta-button { background: #059669; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block; margin: 20px 0; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>🌍 Tamyla African Trading Network</h1>
-        <p>Connecting African exporters and importers</p>
-      </div>
-      
-      <div class="content">
-        <h2>Hello {{traderName}}!</h2>
-        
-        ${getTemplateContent(templateName, data)}
-        
-        <p>
-          <a href="https://tamyla.com/dashboard?utm_source=email&utm_campaign={{campaignId}}" class="cta-button">
-            View Your Dashboard
-          </a>
-        </p>
-        
-        <p>Best regards,<br>The Tamyla Team</p>
-      </div>
-    </body>
-    </html>
-  `;
-
-  return renderTemplate(baseTemplate, data);
-}
+        const links = await TrackingService.getLinkReport(campaign.id, {
+          includeMachine: req.query.include_machine_clicks === 'true'
+        });
 
-/**
- * Get template-specific content
- */
-function getTemplateContent(templateName, data) {
-  switch (templateName) {
-    case 'trader-welcome':
-      return `
-        <p>Welcome to Africa's premier trading network! You're now connected to exporters and importers across 54 countries.</p>
-        
-        <h3>🚀 Get Started:</h3>
-        <ul>
-          <li>Complete your trader profile</li>
-          <li>Add your products and inventory</li>
-          <li>Discover trade opportunities</li>
-          <li>Connect with verified traders</li>
-        </ul>
-      `;
-      
-    case 'trade-opportunity':
-      return `
-        <p>We found a new trading opportunity that matches your interests!</p>
-        
-        <div class="product-card">
-          <h3>{{productName}}</h3>
-          <p><strong>Seller:</strong> {{sellerName}} ({{sellerCountry}})</p>
-          <p><strong>Quantity:</strong> {{quantity}} {{unit}}</p>
-          <p><strong>Price:</strong> {{price}} {{currency}}/{{unit}}</p>
-        </div>
-        
-        <p>This opportunity expires in 7 days. Contact the seller now to secure your order!</p>
-      `;
-      
-    case 'weekly-digest':
-      return `
-        <h3>📊 This Week in African Trade</h3>
-        <ul>
-          <li>{{newProducts}} new products listed</li>
-          <li>{{newTraders}} traders joined the network</li>
-          <li>{{completedTrades}} successful trades completed</li>
-        </ul>
-        
-        <h3>🔥 Featured Products</h3>
-        <div class="product-grid">
-          <!-- Featured products would be rendered here -->
-          <div class="product-card">
-            <h4>Premium Coffee Beans</h4>
-            <p>From Ethiopia • 5 tons available</p>
-          </div>
-          <div class="product-card">
-            <h4>Organic Shea Butter</h4>
-            <p>From Ghana • 500kg available</p>
-          </div>
-        </div>
-      `;
-      
-    default:
-      return '<p>Stay connected with Africa\'s growing trade network!</p>';
-  }
+        res.json({
+          success: true,
+          data: links
+        });
+      } catch (error) {
+        console.error('Error retrieving campaign link report:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retrieve link report'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/email-campaigns/:id/opens
+   * Page through recorded opens; machine opens are left out unless include_machine_opens=true
+   */
+  router.get('/:id/opens',
+    rateLimits.general,
+    campaignValidation.opens,
+    auditMiddleware('campaign_opens_view', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+        const { page, limit, include_machine_opens: includeMachine } = req.query;
+
+        const campaign = await CampaignService.getById(userId, req.params.id);
+        if (!campaign) {
+          return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+          });
+        }
+
+        const result = await TrackingService.getOpens(campaign.id, {
+          page: parseInt(page) || 1,
+          limit: parseInt(limit) || 50,
+          includeMachine: includeMachine === 'true'
+        });
+
+        res.json({
+          success: true,
+          data: result.opens,
+          pagination: result.pagination
+        });
+      } catch (error) {
+        console.error('Error retrieving campaign opens:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retrieve campaign opens'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/email-campaigns/:id
+   * Get campaign status and delivery statistics
+   */
+  router.get('/:id',
+    rateLimits.general,
+    campaignValidation.stats,
+    auditMiddleware('campaign_view', 'campaign'),
+    async (req, res) => {
+      try {
+        const userId = req.userContext.userId;
+        const stats = await CampaignService.getStats(userId, req.params.id, {
+          includeMachineOpens: req.query.include_machine_opens === 'true'
+        });
+
+        if (!stats) {
+          return res.status(404).json({
+            success: false,
+            error: 'Campaign not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: stats
+        });
+      } catch (error) {
+        console.error('Error retrieving campaign status:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to retrieve campaign status'
+        });
+      }
+    }
+  );
+
+  return router;
 }
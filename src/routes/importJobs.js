@@ -0,0 +1,421 @@
+import express from 'express';
+import ImportJobService from '../services/importJobService.js';
+import { enqueueImportJob, importJobOptions } from '../services/importJobRunner.js';
+import { fileValidation, importJobValidation } from '../middleware/validation.js';
+import { streamUpload } from '../middleware/upload.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
+
+const router = express.Router();
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// How often the event stream checks for progress, and how often it pings an idle connection
+const EVENT_POLL_INTERVAL = 1000;
+const EVENT_KEEPALIVE_INTERVAL = 15000;
+
+// Columns of the failed-rows file for imports sent as JSON
+const JSON_COLUMNS = ['email', 'name', 'company', 'tags', 'metadata'];
+
+const csvRow = (values) => values
+  .map(value => `"${String(value ?? '').replace(/"/g, '""')}"`)
+  .join(',');
+
+const readUpload = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Apply authentication to all import job routes
+router.use(authenticateToken);
+router.use(addUserContext);
+
+/**
+ * GET /api/imports
+ * List contact import jobs
+ */
+router.get('/',
+  rateLimits.general,
+  importJobValidation.list,
+  async (req, res) => {
+    try {
+      const { page, limit, status } = req.query;
+
+      const result = await ImportJobService.getByUser(req.userContext.userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        status
+      });
+
+      res.json({
+        success: true,
+        data: result.jobs,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching import jobs:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch import jobs'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/imports
+ * Start a background import from an uploaded CSV file (multipart field "file",
+ * with optional "has_header", "mapping" and "mode" as for /api/contacts/import)
+ * or a JSON body of { contacts: [...], mode }. Returns the job to poll or subscribe to.
+ */
+router.post('/',
+  rateLimits.contactImport,
+  streamUpload({ maxFileSize: importJobOptions.maxFileSize }),
+  fileValidation.csvImport,
+  auditMiddleware('contacts_import_job_create', 'import_job'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+      let job;
+
+      if (req.file) {
+        const data = await readUpload(req.file.stream);
+        if (data.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'CSV file is empty'
+          });
+        }
+
+        job = await enqueueImportJob(userId, {
+          sourceType: 'csv',
+          mode: req.body.mode,
+          filename: req.file.originalname,
+          options: {
+            hasHeader: req.body.has_header === undefined ? undefined : req.body.has_header === 'true',
+            mapping: req.body.mapping ? JSON.parse(req.body.mapping) : undefined
+          },
+          data
+        });
+      } else {
+        const { contacts } = req.body;
+
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Upload a CSV file or send a non-empty contacts array'
+          });
+        }
+
+        if (contacts.length > importJobOptions.maxRows) {
+          return res.status(400).json({
+            success: false,
+            error: `Maximum ${importJobOptions.maxRows} contacts allowed per import`
+          });
+        }
+
+        job = await enqueueImportJob(userId, {
+          sourceType: 'json',
+          mode: req.body.mode,
+          data: Buffer.from(JSON.stringify(contacts))
+        });
+      }
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = job.id;
+
+      res.status(202).json({
+        success: true,
+        data: job,
+        message: 'Import queued'
+      });
+    } catch (error) {
+      console.error('Error creating import job:', error);
+
+      if (error.message.includes('File size')) {
+        res.status(413).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to start import'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /api/imports/:id
+ * Import job status and progress (processed/imported/skipped/failed)
+ */
+router.get('/:id',
+  rateLimits.general,
+  importJobValidation.getById,
+  async (req, res) => {
+    try {
+      const job = await ImportJobService.getById(req.userContext.userId, req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Import job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error fetching import job:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch import job'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/imports/:id/events
+ * Server-sent events: "progress" whenever the job changes, then "done" once it finishes
+ */
+router.get('/:id/events',
+  rateLimits.general,
+  importJobValidation.getById,
+  async (req, res) => {
+    const userId = req.userContext.userId;
+
+    try {
+      let job = await ImportJobService.getById(userId, req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Import job not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stops nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      let closed = false;
+      req.on('close', () => {
+        closed = true;
+      });
+
+      const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      let lastSent = null;
+      let lastWrite = Date.now();
+
+      while (!closed && job) {
+        const snapshot = JSON.stringify(job);
+        if (snapshot !== lastSent) {
+          lastSent = snapshot;
+          lastWrite = Date.now();
+          send('progress', job);
+        } else if (Date.now() - lastWrite >= EVENT_KEEPALIVE_INTERVAL) {
+          lastWrite = Date.now();
+          res.write(': keep-alive\n\n');
+        }
+
+        if (FINISHED_STATUSES.includes(job.status)) {
+          send('done', job);
+          break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, EVENT_POLL_INTERVAL));
+        if (!closed) {
+          job = await ImportJobService.getById(userId, req.params.id);
+        }
+      }
+
+      res.end();
+    } catch (error) {
+      console.error('Error streaming import job events:', error);
+
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to stream import job events'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /api/imports/:id/updated-contacts
+ * Existing contacts an overwrite or merge import changed
+ */
+router.get('/:id/updated-contacts',
+  rateLimits.general,
+  importJobValidation.updatedContacts,
+  async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+
+      const job = await ImportJobService.getById(req.userContext.userId, req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Import job not found'
+        });
+      }
+
+      const result = await ImportJobService.getUpdatedContacts(job.id, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50
+      });
+
+      res.json({
+        success: true,
+        data: result.contacts,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching updated contacts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch updated contacts'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/imports/:id/failures
+ * Download the rows that could not be imported as CSV: row number, error, then the original columns
+ */
+router.get('/:id/failures',
+  rateLimits.general,
+  importJobValidation.getById,
+  async (req, res) => {
+    try {
+      const job = await ImportJobService.getById(req.userContext.userId, req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Import job not found'
+        });
+      }
+
+      let failures = await ImportJobService.getFailures(job.id);
+
+      // Headerless files get numbered columns, as wide as the widest failed row
+      const columns = job.source_type === 'json'
+        ? JSON_COLUMNS
+        : job.header || Array.from(
+          { length: Math.max(0, ...failures.map(failure => failure.fields?.length || 0)) },
+          (value, index) => `column_${index + 1}`
+        );
+
+      const fieldValues = (fields) => {
+        if (job.source_type === 'csv') {
+          return fields || [];
+        }
+        return JSON_COLUMNS.map(column => {
+          const value = fields?.[column];
+          if (Array.isArray(value)) {
+            return value.join(',');
+          }
+          return value && typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+      };
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=import-${job.id}-failures.csv`);
+      res.write(`${csvRow(['row', 'error', ...columns])}\n`);
+
+      // Written a page at a time so large failure sets are never held in memory
+      while (failures.length > 0) {
+        res.write(failures
+          .map(failure => `${csvRow([failure.row_number, failure.error, ...fieldValues(failure.fields)])}\n`)
+          .join(''));
+
+        failures = await ImportJobService.getFailures(job.id, { afterId: failures[failures.length - 1].id });
+      }
+
+      res.end();
+    } catch (error) {
+      console.error('Error downloading import failures:', error);
+
+      if (res.headersSent) {
+        res.end();
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to download failed rows'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * POST /api/imports/:id/cancel
+ * Cancel a queued or running import; contacts already imported are kept
+ */
+router.post('/:id/cancel',
+  rateLimits.general,
+  importJobValidation.getById,
+  auditMiddleware('contacts_import_job_cancel', 'import_job'),
+  async (req, res) => {
+    try {
+      const job = await ImportJobService.cancel(req.userContext.userId, req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Import job not found'
+        });
+      }
+
+      if (job.status === 'running') {
+        return res.status(202).json({
+          success: true,
+          data: job,
+          message: 'Cancellation requested; the import stops after its current batch'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job,
+        message: 'Import job cancelled'
+      });
+    } catch (error) {
+      console.error('Error cancelling import job:', error);
+
+      if (error.message.includes('cannot be cancelled')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to cancel import job'
+        });
+      }
+    }
+  }
+);
+
+export default router;
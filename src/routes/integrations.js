@@ -1,25 +1,69 @@
 import express from 'express';
+import WebhookHandler from '../services/WebhookHandler.js';
+import WebhookEventService from '../services/webhookEventService.js';
+import { requireSignedWebhook } from '../middleware/webhookAuth.js';
+import { authenticateToken, addUserContext, requireRole, rateLimits } from '../middleware/security.js';
+import { webhookEventValidation } from '../middleware/validation.js';
+import { auditMiddleware } from '../services/auditLogger.js';
 
 export function createIntegrationRoutes() {
   const router = express.Router();
+  const webhookHandler = new WebhookHandler();
+  const adminOnly = [authenticateToken, addUserContext, requireRole('admin')];
   
   // Webhook endpoint for Cloudflare Workers integration
-  router.post('/webhook', (req, res) => {
+  // Accepts a single event or a batch as { events: [...] }, signed with a webhook secret
+  router.post('/webhook', requireSignedWebhook, async (req, res) => {
     try {
-      // Validate webhook token
-      const token = req.headers['x-service-token'];
-      if (!token || token !== process.env.SERVICE_API_KEY) {
-        return res.status(401).json({ error: 'Unauthorized webhook request' });
+      const events = Array.isArray(req.body?.events) ? req.body.events : [req.body];
+      if (events.length === 0 || (!req.body?.events && !req.body?.type)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Expected an event with a type or an events array'
+        });
       }
-      
-      // Process webhook payload
-      const { type, data } = req.body;
-      
-      res.json({
-        status: 'received',
-        type,
-        timestamp: new Date().toISOString(),
-        message: 'Webhook processed successfully'
+
+      // Events are handled one at a time so a failure is reported against its own event
+      const results = [];
+      for (const event of events) {
+        const id = event?.id || null;
+        const type = event?.type || null;
+
+        if (typeof type !== 'string' || !type) {
+          results.push({ id, type, status: 'failed', error: 'Event type is required' });
+          continue;
+        }
+
+        // The event ID is what makes retried deliveries safe to accept
+        if (!id) {
+          results.push({ id, type, status: 'failed', error: 'Event id is required' });
+          continue;
+        }
+
+        try {
+          results.push(await WebhookEventService.receive(event, webhookHandler));
+        } catch (error) {
+          console.error(`Failed to store webhook event ${id}:`, error);
+          results.push({ id, type, status: 'failed', error: 'Failed to store event' });
+        }
+      }
+
+      const failed = results.filter(result => result.status === 'failed').length;
+      const summary = {
+        received: results.length,
+        processed: results.filter(result => result.status === 'processed').length,
+        ignored: results.filter(result => result.status === 'ignored').length,
+        duplicates: results.filter(result => result.status === 'duplicate').length,
+        failed
+      };
+
+      // 207 when only part of a batch failed; 500 when nothing succeeded so the sender retries
+      const statusCode = failed === 0 ? 200 : failed < results.length ? 207 : 500;
+
+      res.status(statusCode).json({
+        success: failed === 0,
+        data: { ...summary, results },
+        timestamp: new Date().toISOString()
       });
     } catch (error) {
       console.error('Webhook processing error:', error);
@@ -27,12 +71,120 @@ export function createIntegrationRoutes() {
     }
   });
   
+  /**
+   * GET /api/integrations/events
+   * Stored webhook events, e.g. ?status=failed (admin)
+   */
+  router.get('/events',
+    ...adminOnly,
+    rateLimits.general,
+    webhookEventValidation.list,
+    async (req, res) => {
+      try {
+        const { page, limit, status, type } = req.query;
+
+        const result = await WebhookEventService.list({
+          page: parseInt(page) || 1,
+          limit: parseInt(limit) || 50,
+          status,
+          type
+        });
+
+        res.json({
+          success: true,
+          data: result.events,
+          pagination: result.pagination
+        });
+      } catch (error) {
+        console.error('Error fetching webhook events:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch webhook events'
+        });
+      }
+    }
+  );
+
+  /**
+   * GET /api/integrations/events/:id
+   * A stored webhook event with its payload, result and last error (admin)
+   */
+  router.get('/events/:id',
+    ...adminOnly,
+    rateLimits.general,
+    webhookEventValidation.getById,
+    async (req, res) => {
+      try {
+        const event = await WebhookEventService.getById(req.params.id);
+
+        if (!event) {
+          return res.status(404).json({
+            success: false,
+            error: 'Webhook event not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: event
+        });
+      } catch (error) {
+        console.error('Error fetching webhook event:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch webhook event'
+        });
+      }
+    }
+  );
+
+  /**
+   * POST /api/integrations/events/:id/reprocess
+   * Run a failed or abandoned event through the handler again (admin)
+   */
+  router.post('/events/:id/reprocess',
+    ...adminOnly,
+    rateLimits.general,
+    webhookEventValidation.getById,
+    auditMiddleware('webhook_event_reprocess', 'webhook_event'),
+    async (req, res) => {
+      try {
+        const result = await WebhookEventService.reprocess(req.params.id, webhookHandler);
+
+        res.status(result.status === 'failed' ? 422 : 200).json({
+          success: result.status !== 'failed',
+          data: result,
+          message: result.status === 'failed' ? 'Event failed again' : 'Event reprocessed successfully'
+        });
+      } catch (error) {
+        console.error('Error reprocessing webhook event:', error);
+
+        if (error.message.includes('not found')) {
+          res.status(404).json({
+            success: false,
+            error: error.message
+          });
+        } else if (error.message.includes('can be reprocessed')) {
+          res.status(409).json({
+            success: false,
+            error: error.message
+          });
+        } else {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to reprocess webhook event'
+          });
+        }
+      }
+    }
+  );
+
   // Health check for integrations
   router.get('/health', (req, res) => {
     res.json({
       status: 'healthy',
       service: 'integrations',
-      endpoints: ['webhook'],
+      endpoints: ['webhook', 'events'],
       timestamp: new Date().toISOString()
     });
   });
@@ -0,0 +1,269 @@
+import express from 'express';
+import SegmentService from '../services/segmentService.js';
+import { segmentValidation } from '../middleware/validation.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
+
+const router = express.Router();
+
+// Apply authentication to all segment routes
+router.use(authenticateToken);
+router.use(addUserContext);
+
+/**
+ * GET /api/segments
+ * List saved segments
+ */
+router.get('/',
+  rateLimits.general,
+  segmentValidation.list,
+  async (req, res) => {
+    try {
+      const { page, limit, search } = req.query;
+
+      const result = await SegmentService.getByUser(req.userContext.userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        search
+      });
+
+      res.json({
+        success: true,
+        data: result.segments,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching segments:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch segments'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/segments/preview
+ * Count the contacts a set of rules would match, without saving anything
+ */
+router.post('/preview',
+  rateLimits.general,
+  segmentValidation.preview,
+  async (req, res) => {
+    try {
+      const sampleSize = req.body.sample_size !== undefined ? parseInt(req.body.sample_size) : 10;
+      const preview = await SegmentService.preview(req.userContext.userId, req.body.rules, { sampleSize });
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      console.error('Error previewing segment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to preview segment'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/segments
+ * Save a segment
+ */
+router.post('/',
+  rateLimits.general,
+  segmentValidation.create,
+  auditMiddleware('segment_create', 'segment'),
+  async (req, res) => {
+    try {
+      const segment = await SegmentService.create(req.userContext.userId, req.body);
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = segment.id;
+
+      res.status(201).json({
+        success: true,
+        data: segment,
+        message: 'Segment created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating segment:', error);
+
+      if (error.message.includes('already exists')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to create segment'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * GET /api/segments/:id
+ * Get a segment with its current contact count
+ */
+router.get('/:id',
+  rateLimits.general,
+  segmentValidation.getById,
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+      const segment = await SegmentService.getById(userId, req.params.id);
+
+      if (!segment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Segment not found'
+        });
+      }
+
+      const { count } = await SegmentService.preview(userId, segment.rules, { sampleSize: 0 });
+
+      res.json({
+        success: true,
+        data: { ...segment, contact_count: count }
+      });
+    } catch (error) {
+      console.error('Error fetching segment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch segment'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/segments/:id/contacts
+ * Contacts currently matching a segment
+ */
+router.get('/:id/contacts',
+  rateLimits.general,
+  segmentValidation.members,
+  async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+
+      const result = await SegmentService.getMembers(req.userContext.userId, req.params.id, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Segment not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.contacts,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching segment contacts:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch segment contacts'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/segments/:id
+ * Update a segment
+ */
+router.put('/:id',
+  rateLimits.general,
+  segmentValidation.update,
+  auditMiddleware('segment_update', 'segment'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+
+      const oldSegment = await SegmentService.getById(userId, req.params.id);
+      if (!oldSegment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Segment not found'
+        });
+      }
+
+      res.locals.oldValues = oldSegment;
+
+      const segment = await SegmentService.update(userId, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        data: segment,
+        message: 'Segment updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating segment:', error);
+
+      if (error.message.includes('already exists')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.message.includes('No valid fields')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update segment'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * DELETE /api/segments/:id
+ * Delete a segment (campaigns already created from it keep their recipients)
+ */
+router.delete('/:id',
+  rateLimits.general,
+  segmentValidation.getById,
+  auditMiddleware('segment_delete', 'segment'),
+  async (req, res) => {
+    try {
+      const deleted = await SegmentService.delete(req.userContext.userId, req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Segment not found'
+        });
+      }
+
+      res.locals.oldValues = deleted;
+
+      res.json({
+        success: true,
+        message: 'Segment deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting segment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete segment'
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,139 @@
+import express from 'express';
+import SuppressionService from '../services/suppressionService.js';
+import { suppressionValidation } from '../middleware/validation.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
+
+const router = express.Router();
+
+// Apply authentication to all suppression routes
+router.use(authenticateToken);
+router.use(addUserContext);
+
+/**
+ * GET /api/suppressions
+ * List the user's suppressions and the global list
+ */
+router.get('/',
+  rateLimits.general,
+  suppressionValidation.list,
+  auditMiddleware('suppressions_list', 'suppression'),
+  async (req, res) => {
+    try {
+      const { page, limit, search, channel, scope } = req.query;
+      const userId = req.userContext.userId;
+
+      const result = await SuppressionService.getByUser(userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        search,
+        channel,
+        scope
+      });
+
+      res.json({
+        success: true,
+        data: result.suppressions,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching suppressions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch suppressions'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/suppressions
+ * Suppress an address for this account, or globally (admins only)
+ */
+router.post('/',
+  rateLimits.general,
+  suppressionValidation.create,
+  auditMiddleware('suppression_create', 'suppression'),
+  async (req, res) => {
+    try {
+      const { userId, role } = req.userContext;
+      const isGlobal = req.body.global === true || req.body.global === 'true';
+
+      if (isGlobal && role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Only admins can add global suppressions'
+        });
+      }
+
+      const suppression = await SuppressionService.add(isGlobal ? null : userId, {
+        ...req.body,
+        source: 'api'
+      });
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = suppression.id;
+
+      res.status(201).json({
+        success: true,
+        data: suppression,
+        message: 'Address suppressed successfully'
+      });
+    } catch (error) {
+      console.error('Error creating suppression:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create suppression'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/suppressions/:id
+ * Lift a suppression so the address can be contacted again
+ */
+router.delete('/:id',
+  rateLimits.general,
+  suppressionValidation.remove,
+  auditMiddleware('suppression_delete', 'suppression'),
+  async (req, res) => {
+    try {
+      const { userId, role } = req.userContext;
+
+      const deleted = await SuppressionService.remove(userId, req.params.id, {
+        isAdmin: role === 'admin'
+      });
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Suppression not found'
+        });
+      }
+
+      res.locals.oldValues = deleted;
+
+      res.json({
+        success: true,
+        message: 'Suppression removed successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting suppression:', error);
+
+      if (error.message.includes('cannot be modified')) {
+        res.status(403).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete suppression'
+        });
+      }
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,214 @@
+import express from 'express';
+import TemplateService from '../services/templateService.js';
+import { templateValidation } from '../middleware/validation.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
+
+const router = express.Router();
+
+// Apply authentication to all template routes
+router.use(authenticateToken);
+router.use(addUserContext);
+
+/**
+ * GET /api/templates
+ * List the user's templates and the system defaults
+ */
+router.get('/',
+  rateLimits.general,
+  templateValidation.list,
+  auditMiddleware('templates_list', 'template'),
+  async (req, res) => {
+    try {
+      const { page, limit, search, channel } = req.query;
+      const userId = req.userContext.userId;
+
+      const result = await TemplateService.getByUser(userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        search,
+        channel
+      });
+
+      res.json({
+        success: true,
+        data: result.templates,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve templates'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/templates
+ * Create a new template
+ */
+router.post('/',
+  rateLimits.general,
+  templateValidation.create,
+  auditMiddleware('template_create', 'template'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+
+      const template = await TemplateService.create(userId, req.body);
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = template.id;
+
+      res.status(201).json({
+        success: true,
+        data: template,
+        message: 'Template created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create template'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/templates/:id
+ * Get a specific template
+ */
+router.get('/:id',
+  rateLimits.general,
+  templateValidation.get,
+  auditMiddleware('template_view', 'template'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+
+      const template = await TemplateService.getById(userId, req.params.id);
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('Error retrieving template:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve template'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/templates/:id
+ * Update a template owned by the user
+ */
+router.put('/:id',
+  rateLimits.general,
+  templateValidation.update,
+  auditMiddleware('template_update', 'template'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+      const templateId = req.params.id;
+
+      const oldTemplate = await TemplateService.getById(userId, templateId);
+      if (oldTemplate) {
+        res.locals.oldValues = oldTemplate;
+      }
+
+      const template = await TemplateService.update(userId, templateId, req.body);
+
+      res.json({
+        success: true,
+        data: template,
+        message: 'Template updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating template:', error);
+
+      if (error.message.includes('not found')) {
+        res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.message.includes('cannot be modified')) {
+        res.status(403).json({
+          success: false,
+          error: error.message
+        });
+      } else if (error.message.includes('No valid fields') || error.message.includes('SMS text') ||
+        error.message.includes('only apply to WhatsApp')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update template'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * DELETE /api/templates/:id
+ * Delete a template owned by the user
+ */
+router.delete('/:id',
+  rateLimits.general,
+  templateValidation.get, // Reuse validation for ID param
+  auditMiddleware('template_delete', 'template'),
+  async (req, res) => {
+    try {
+      const userId = req.userContext.userId;
+
+      const deletedTemplate = await TemplateService.delete(userId, req.params.id);
+
+      if (!deletedTemplate) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template not found'
+        });
+      }
+
+      res.locals.oldValues = deletedTemplate;
+
+      res.json({
+        success: true,
+        message: 'Template deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting template:', error);
+
+      if (error.message.includes('in use')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to delete template'
+        });
+      }
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,77 @@
+import express from 'express';
+import TrackingService from '../services/trackingService.js';
+import { verifyLink } from '../utils/linkTracking.js';
+
+const router = express.Router();
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const sendPixel = (res) => {
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': PIXEL.length,
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Pragma': 'no-cache',
+    'Expires': '0',
+    // Helmet defaults to same-origin, which webmail clients would refuse to load
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.end(PIXEL);
+};
+
+/**
+ * GET /api/tracking/open/:trackingId.gif
+ * Open-tracking pixel embedded in campaign emails (public)
+ */
+router.get('/open/:trackingId.gif',
+  async (req, res) => {
+    // Mail clients always get the image; tracking problems never show up as broken images
+    try {
+      if (UUID_PATTERN.test(req.params.trackingId)) {
+        await TrackingService.recordOpen(req.params.trackingId, {
+          userAgent: req.get('User-Agent') || null,
+          ipAddress: req.ip || null
+        });
+      }
+    } catch (error) {
+      console.error('Error recording email open:', error);
+    }
+
+    sendPixel(res);
+  }
+);
+
+/**
+ * GET /api/tracking/click/:trackingId?url=...&sig=...
+ * Signed click redirect for links in campaign emails (public)
+ */
+router.get('/click/:trackingId', async (req, res) => {
+  const { trackingId } = req.params;
+  const { url, sig } = req.query;
+
+  // Unsigned or tampered links are refused so this never becomes an open redirect
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url) || !verifyLink(trackingId, url, sig)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid or expired link'
+    });
+  }
+
+  try {
+    await TrackingService.recordClick(trackingId, url, {
+      userAgent: req.get('User-Agent') || null,
+      ipAddress: req.ip || null
+    });
+  } catch (error) {
+    // The reader still gets where they were going
+    console.error('Error recording link click:', error);
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, url);
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import TrackingService from '../services/trackingService.js';
+import SuppressionService from '../services/suppressionService.js';
+import { sanitizeHTML } from '../middleware/validation.js';
+import { verifyLink } from '../utils/linkTracking.js';
+
+const router = express.Router();
+
+// What the recipient stops receiving, and at which address, for each campaign channel
+const CHANNEL_MESSAGES = {
+  email: { noun: 'campaign emails', address: 'email' },
+  sms: { noun: 'campaign text messages', address: 'phone' },
+  whatsapp: { noun: 'campaign WhatsApp messages', address: 'phone' }
+};
+
+const channelMessages = (recipient) => CHANNEL_MESSAGES[recipient.channel] || CHANNEL_MESSAGES.email;
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; padding: 0 20px; color: #111827; }
+    button { background: #059669; color: white; border: 0; padding: 12px 24px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  ${body}
+</body>
+</html>`;
+
+// Look up the recipient behind a signed unsubscribe link
+const resolveRecipient = async (req, res, next) => {
+  const { trackingId } = req.params;
+
+  if (!verifyLink(trackingId, 'unsubscribe', req.query.sig)) {
+    return res.status(400).send(page('Invalid link', '<p>This unsubscribe link is invalid or incomplete.</p>'));
+  }
+
+  try {
+    const recipient = await TrackingService.getRecipientByTrackingId(trackingId);
+    if (!recipient) {
+      return res.status(404).send(page('Link expired', '<p>This unsubscribe link is no longer valid.</p>'));
+    }
+
+    req.recipient = recipient;
+    next();
+  } catch (error) {
+    console.error('Error resolving unsubscribe link:', error);
+    res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+  }
+};
+
+/**
+ * GET /api/unsubscribe/:trackingId?sig=...
+ * Confirmation page. Unsubscribing needs a POST so link scanners
+ * that follow every URL cannot opt people out.
+ */
+router.get('/:trackingId', resolveRecipient, (req, res) => {
+  const { noun, address } = channelMessages(req.recipient);
+
+  res.send(page('Unsubscribe', `
+  <p>Stop receiving ${noun} at <strong>${sanitizeHTML(req.recipient[address] || '')}</strong>?</p>
+  <form method="POST">
+    <button type="submit">Unsubscribe</button>
+  </form>`));
+});
+
+/**
+ * POST /api/unsubscribe/:trackingId?sig=...
+ * Confirmation form and RFC 8058 one-click unsubscribe (List-Unsubscribe-Post)
+ */
+router.post('/:trackingId', resolveRecipient, async (req, res) => {
+  try {
+    await SuppressionService.unsubscribeRecipient(req.recipient, {
+      source: req.body?.['List-Unsubscribe'] === 'One-Click' ? 'list_unsubscribe' : 'unsubscribe_link'
+    });
+
+    res.send(page('You have been unsubscribed', `<p>You will no longer receive these ${channelMessages(req.recipient).noun}.</p>`));
+  } catch (error) {
+    console.error('Error processing unsubscribe:', error);
+    res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+export default router;
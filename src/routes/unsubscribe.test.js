@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+const TrackingService = { getRecipientByTrackingId: jest.fn() };
+const SuppressionService = { unsubscribeRecipient: jest.fn() };
+
+jest.unstable_mockModule('../services/trackingService.js', () => ({ default: TrackingService }));
+jest.unstable_mockModule('../services/suppressionService.js', () => ({ default: SuppressionService }));
+
+const { default: unsubscribeRoutes } = await import('./unsubscribe.js');
+const { signLink } = await import('../utils/linkTracking.js');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use('/api/unsubscribe', unsubscribeRoutes);
+
+const url = (trackingId = 'trk-1') => `/api/unsubscribe/${trackingId}?sig=${signLink(trackingId, 'unsubscribe')}`;
+
+const smsRecipient = {
+  id: 'r1',
+  campaign_id: 'c1',
+  campaign_user_id: 'user-1',
+  channel: 'sms',
+  email: 'ada@example.com',
+  phone: '+254711000000'
+};
+
+describe('unsubscribe routes', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TrackingService.getRecipientByTrackingId.mockResolvedValue(smsRecipient);
+  });
+
+  test('the confirmation page names the campaign channel and address', async () => {
+    const response = await request(app).get(url()).expect(200);
+
+    expect(response.text).toContain('Stop receiving campaign text messages at <strong>+254711000000</strong>');
+    expect(SuppressionService.unsubscribeRecipient).not.toHaveBeenCalled();
+  });
+
+  test('markup in the address is not rendered', async () => {
+    TrackingService.getRecipientByTrackingId.mockResolvedValueOnce({
+      ...smsRecipient,
+      channel: 'email',
+      email: '<img src=x onerror=alert(1)>@example.com'
+    });
+
+    const response = await request(app).get(url()).expect(200);
+
+    expect(response.text).not.toContain('<img');
+    expect(response.text).not.toContain('onerror');
+  });
+
+  test('one-click unsubscribe suppresses the recipient', async () => {
+    const response = await request(app)
+      .post(url())
+      .type('form')
+      .send({ 'List-Unsubscribe': 'One-Click' })
+      .expect(200);
+
+    expect(response.text).toContain('no longer receive these campaign text messages');
+    expect(SuppressionService.unsubscribeRecipient).toHaveBeenCalledWith(smsRecipient, { source: 'list_unsubscribe' });
+  });
+
+  test('links with a bad signature are refused', async () => {
+    await request(app).post('/api/unsubscribe/trk-1?sig=forged').expect(400);
+    expect(SuppressionService.unsubscribeRecipient).not.toHaveBeenCalled();
+  });
+
+  test('links for unknown recipients have expired', async () => {
+    TrackingService.getRecipientByTrackingId.mockResolvedValueOnce(null);
+
+    await request(app).get(url('trk-missing')).expect(404);
+  });
+});
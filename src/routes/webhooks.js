@@ -0,0 +1,333 @@
+import express from 'express';
+import WebhookDeliveryService from '../services/webhookDeliveryService.js';
+import WebhookSubscriptionService from '../services/webhookSubscriptionService.js';
+import { redeliverWebhook } from '../services/webhookDispatcher.js';
+import { webhookValidation } from '../middleware/validation.js';
+import { authenticateToken, addUserContext, rateLimits } from '../middleware/security.js';
+import { auditMiddleware } from '../services/auditLogger.js';
+
+const router = express.Router();
+
+// Apply authentication to all webhook routes
+router.use(authenticateToken);
+router.use(addUserContext);
+
+/**
+ * GET /api/webhooks/subscriptions
+ * Endpoints registered by the user
+ */
+router.get('/subscriptions',
+  rateLimits.general,
+  async (req, res) => {
+    try {
+      const subscriptions = await WebhookSubscriptionService.getByUser(req.userContext.userId);
+
+      res.json({
+        success: true,
+        data: subscriptions
+      });
+    } catch (error) {
+      console.error('Error fetching webhook subscriptions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook subscriptions'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/subscriptions
+ * Register an endpoint for a set of event types. The signing secret is only shown here.
+ */
+router.post('/subscriptions',
+  rateLimits.general,
+  webhookValidation.createSubscription,
+  auditMiddleware('webhook_subscription_create', 'webhook_subscription'),
+  async (req, res) => {
+    try {
+      const subscription = await WebhookSubscriptionService.create(req.userContext.userId, req.body);
+
+      // Set resource ID for audit logging
+      res.locals.resourceId = subscription.id;
+
+      res.status(201).json({
+        success: true,
+        data: subscription,
+        message: 'Webhook subscription created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook subscription'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/webhooks/subscriptions/:id
+ * Get a specific subscription
+ */
+router.get('/subscriptions/:id',
+  rateLimits.general,
+  webhookValidation.getSubscription,
+  async (req, res) => {
+    try {
+      const subscription = await WebhookSubscriptionService.getById(req.userContext.userId, req.params.id);
+
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: subscription
+      });
+    } catch (error) {
+      console.error('Error fetching webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook subscription'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/webhooks/subscriptions/:id
+ * Change the URL, event types, description or active flag
+ */
+router.put('/subscriptions/:id',
+  rateLimits.general,
+  webhookValidation.updateSubscription,
+  auditMiddleware('webhook_subscription_update', 'webhook_subscription'),
+  async (req, res) => {
+    try {
+      const { userId } = req.userContext;
+
+      const oldSubscription = await WebhookSubscriptionService.getById(userId, req.params.id);
+      if (!oldSubscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      res.locals.oldValues = oldSubscription;
+
+      const subscription = await WebhookSubscriptionService.update(userId, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        data: subscription,
+        message: 'Webhook subscription updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating webhook subscription:', error);
+
+      if (error.message.includes('No valid fields')) {
+        res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update webhook subscription'
+        });
+      }
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/subscriptions/:id/rotate-secret
+ * Issue a new signing secret; the old one stops working immediately
+ */
+router.post('/subscriptions/:id/rotate-secret',
+  rateLimits.general,
+  webhookValidation.getSubscription,
+  auditMiddleware('webhook_subscription_rotate_secret', 'webhook_subscription'),
+  async (req, res) => {
+    try {
+      const subscription = await WebhookSubscriptionService.rotateSecret(req.userContext.userId, req.params.id);
+
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: subscription,
+        message: 'Signing secret rotated successfully'
+      });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate signing secret'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/webhooks/subscriptions/:id
+ * Remove a subscription; its delivery history is kept
+ */
+router.delete('/subscriptions/:id',
+  rateLimits.general,
+  webhookValidation.getSubscription,
+  auditMiddleware('webhook_subscription_delete', 'webhook_subscription'),
+  async (req, res) => {
+    try {
+      const deleted = await WebhookSubscriptionService.delete(req.userContext.userId, req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook subscription not found'
+        });
+      }
+
+      res.locals.oldValues = deleted;
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting webhook subscription:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook subscription'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/webhooks/deliveries
+ * Outbound notifications sent for the user, newest first
+ */
+router.get('/deliveries',
+  rateLimits.general,
+  webhookValidation.listDeliveries,
+  async (req, res) => {
+    try {
+      const {
+        page,
+        limit,
+        status,
+        event_type: eventType,
+        campaign_id: campaignId,
+        subscription_id: subscriptionId
+      } = req.query;
+
+      const result = await WebhookDeliveryService.getByUser(req.userContext.userId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 50,
+        status,
+        eventType,
+        campaignId,
+        subscriptionId
+      });
+
+      res.json({
+        success: true,
+        data: result.deliveries,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook deliveries'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * A delivery with every attempt made to send it
+ */
+router.get('/deliveries/:id',
+  rateLimits.general,
+  webhookValidation.getDelivery,
+  async (req, res) => {
+    try {
+      const delivery = await WebhookDeliveryService.getById(req.userContext.userId, req.params.id);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook delivery not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: delivery
+      });
+    } catch (error) {
+      console.error('Error fetching webhook delivery:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch webhook delivery'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Send a past notification again
+ */
+router.post('/deliveries/:id/redeliver',
+  rateLimits.general,
+  webhookValidation.getDelivery,
+  auditMiddleware('webhook_redeliver', 'webhook_delivery'),
+  async (req, res) => {
+    try {
+      const delivery = await redeliverWebhook(req.userContext.userId, req.params.id);
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook delivery not found'
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        data: delivery,
+        message: 'Webhook queued for redelivery'
+      });
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+
+      if (error.message.includes('already pending')) {
+        res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: 'Failed to redeliver webhook'
+        });
+      }
+    }
+  }
+);
+
+export default router;
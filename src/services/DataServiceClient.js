@@ -3,7 +3,7 @@
  * Handles all communication with Cloudflare Workers data-service (D1 database)
  */
 
-const { CircuitBreaker, FreeTierRateLimiter, GracefulDegradationManager, retryWithBackoff } = require('../utils/resilience');
+import { CircuitBreaker, FreeTierRateLimiter, GracefulDegradationManager, retryWithBackoff } from '../utils/resilience.js';
 
 class DataServiceClient {
   constructor() {
@@ -126,7 +126,7 @@ class DataServiceClient {
    */
   async getUserProfile(userId) {
     try {
-      const response = await this.makeRequest(`/api/users/${userId}`);
+      const response = await this.makeRequest(`/api/users/${encodeURIComponent(userId)}`);
       return response.user;
     } catch (error) {
       console.error(`Failed to fetch user profile for ${userId}:`, error);
@@ -142,7 +142,7 @@ class DataServiceClient {
    */
   async updateUserEngagement(userId, campaignId, engagement) {
     try {
-      await this.makeRequest(`/api/users/${userId}/engagement`, {
+      await this.makeRequest(`/api/users/${encodeURIComponent(userId)}/engagement`, {
         method: 'POST',
         body: JSON.stringify({
           campaignId,
@@ -189,7 +189,7 @@ class DataServiceClient {
    */
   async getTraderProfile(traderId) {
     try {
-      const response = await this.makeRequest(`/api/traders/${traderId}`);
+      const response = await this.makeRequest(`/api/traders/${encodeURIComponent(traderId)}`);
       return response.trader;
     } catch (error) {
       console.error(`Failed to fetch trader profile for ${traderId}:`, error);
@@ -247,7 +247,7 @@ class DataServiceClient {
    */
   async getUserPreferences(userId) {
     try {
-      const response = await this.makeRequest(`/api/users/${userId}/preferences`);
+      const response = await this.makeRequest(`/api/users/${encodeURIComponent(userId)}/preferences`);
       return response.preferences || {};
     } catch (error) {
       console.error(`Failed to fetch preferences for user ${userId}:`, error);
@@ -347,4 +347,4 @@ class DataServiceClient {
   }
 }
 
-module.exports = DataServiceClient;
+export default DataServiceClient;
@@ -3,23 +3,30 @@
  * Handles events from Cloudflare Workers (data-service) to trigger campaigns
  */
 
-const DataServiceClient = require('./DataServiceClient');
-const CampaignService = require('./CampaignService');
-const logger = require('../utils/logger');
+import DataServiceClient from './DataServiceClient.js';
+import AutomatedCampaignService from './automatedCampaignService.js';
+import logger from '../utils/logger.js';
+
+// Runs a step straight away when the caller keeps no record of finished steps
+const runNow = (key, fn) => fn();
+
+// Keys the steps of one campaign under the handler step that creates it
+const stepsUnder = (step, prefix) => (key, fn) => step(`${prefix}.${key}`, fn);
 
 class WebhookHandler {
   constructor() {
     this.dataService = new DataServiceClient();
-    this.campaignService = new CampaignService();
+    this.campaignService = AutomatedCampaignService;
   }
 
   /**
    * Process incoming webhook events
    * @param {Object} event - Webhook event payload
+   * @param {Object} [context] - { step(key, fn) } runs each side effect at most once per event
    * @returns {Promise<Object>} Processing result
    */
-  async processEvent(event) {
-    const { type, data, timestamp, source } = event;
+  async processEvent(event, { step = runNow } = {}) {
+    const { type, data = {}, timestamp, source } = event;
 
     try {
       logger.info(`Processing webhook event: ${type}`, { 
@@ -30,28 +37,28 @@ class WebhookHandler {
 
       switch (type) {
         case 'user_created':
-          return await this.handleUserCreated(data);
+          return await this.handleUserCreated(data, step);
           
         case 'user_profile_completed':
-          return await this.handleProfileCompleted(data);
+          return await this.handleProfileCompleted(data, step);
           
         case 'product_created':
-          return await this.handleProductCreated(data);
+          return await this.handleProductCreated(data, step);
           
         case 'product_updated':
-          return await this.handleProductUpdated(data);
+          return await this.handleProductUpdated(data, step);
           
         case 'trade_initiated':
-          return await this.handleTradeInitiated(data);
+          return await this.handleTradeInitiated(data, step);
           
         case 'trade_completed':
-          return await this.handleTradeCompleted(data);
+          return await this.handleTradeCompleted(data, step);
           
         case 'user_login':
-          return await this.handleUserLogin(data);
+          return await this.handleUserLogin(data, step);
           
         case 'inventory_low':
-          return await this.handleInventoryLow(data);
+          return await this.handleInventoryLow(data, step);
           
         default:
           logger.warn(`Unknown webhook event type: ${type}`);
@@ -66,7 +73,7 @@ class WebhookHandler {
   /**
    * Handle new user registration
    */
-  async handleUserCreated(userData) {
+  async handleUserCreated(userData, step = runNow) {
     const { userId, email, traderType, location, referralSource } = userData;
 
     // Start welcome email sequence
@@ -105,7 +112,7 @@ class WebhookHandler {
         referralSource,
         automatedSequence: true
       }
-    });
+    }, { step: stepsUnder(step, 'welcome') });
 
     logger.info(`Welcome campaign created for user ${userId}`, {
       campaignId: welcomeCampaign.id,
@@ -122,8 +129,8 @@ class WebhookHandler {
   /**
    * Handle user profile completion
    */
-  async handleProfileCompleted(userData) {
-    const { userId, completionLevel, interests, tradingGoals } = userData;
+  async handleProfileCompleted(userData, step = runNow) {
+    const { userId, completionLevel, interests = [], tradingGoals } = userData;
 
     if (completionLevel >= 80) {
       // Send profile completion congratulations
@@ -137,10 +144,10 @@ class WebhookHandler {
           interests: interests.join(', '),
           tradingGoals
         }
-      });
+      }, { step: stepsUnder(step, 'profile_congratulations') });
 
       // Start personalized product recommendations
-      await this.schedulePersonalizedRecommendations(userId, interests);
+      await this.schedulePersonalizedRecommendations(userId, interests, step);
     }
 
     return {
@@ -153,18 +160,10 @@ class WebhookHandler {
   /**
    * Handle new product creation
    */
-  async handleProductCreated(productData) {
+  async handleProductCreated(productData, step = runNow) {
     const { productId, traderId, category, location, price, quantity } = productData;
 
-    // Find users interested in this product category and location
-    const interestedUsers = await this.dataService.getUsersForCampaign({
-      filters: {
-        interests: [category],
-        location: location,
-        notificationPreferences: { productAlerts: true }
-      },
-      limit: 500
-    });
+    const interestedUsers = await this.findInterestedUsers(category, location);
 
     if (interestedUsers.length > 0) {
       // Create product alert campaign
@@ -186,7 +185,7 @@ class WebhookHandler {
           productId,
           traderId
         }
-      });
+      }, { step: stepsUnder(step, 'product_alert_email') });
 
       // Also send SMS to high-priority users
       const highPriorityUsers = interestedUsers.filter(user => 
@@ -200,7 +199,7 @@ class WebhookHandler {
           targetAudience: highPriorityUsers,
           template: 'urgent_product_alert_sms',
           variables: { category, location, price }
-        });
+        }, { step: stepsUnder(step, 'product_alert_sms') });
       }
 
       return {
@@ -219,11 +218,88 @@ class WebhookHandler {
     };
   }
 
+  /**
+   * Handle product updates; only price drops are worth telling anyone about
+   */
+  async handleProductUpdated(productData, step = runNow) {
+    const { productId, traderId, category, location, price, previousPrice } = productData;
+
+    if (!(Number(previousPrice) > Number(price))) {
+      return {
+        status: 'ignored',
+        reason: 'No price drop',
+        productId
+      };
+    }
+
+    const interestedUsers = await this.findInterestedUsers(category, location);
+
+    if (interestedUsers.length === 0) {
+      return {
+        status: 'processed',
+        action: 'no_interested_users',
+        productId
+      };
+    }
+
+    const alertCampaign = await this.campaignService.createCampaign({
+      name: `Price Drop Alert - ${category} in ${location}`,
+      type: 'email',
+      targetAudience: interestedUsers,
+      template: 'price_drop_alert',
+      variables: {
+        productId,
+        category,
+        location,
+        price,
+        previousPrice
+      },
+      metadata: {
+        trigger: 'product_updated',
+        productId,
+        traderId
+      }
+    }, { step: stepsUnder(step, 'price_drop_alert') });
+
+    return {
+      status: 'processed',
+      action: 'price_drop_alert_sent',
+      campaignId: alertCampaign.id,
+      recipientCount: interestedUsers.length
+    };
+  }
+
+  /**
+   * Handle a new trade between buyer and seller
+   */
+  async handleTradeInitiated(tradeData, step = runNow) {
+    const { tradeId, buyerId, sellerId, amount } = tradeData;
+
+    const confirmation = await this.campaignService.createCampaign({
+      name: `Trade Started - ${tradeId}`,
+      type: 'email',
+      targetAudience: [{ userId: buyerId }, { userId: sellerId }],
+      template: 'trade_initiated_confirmation',
+      variables: { tradeId, amount },
+      metadata: {
+        trigger: 'trade_initiated',
+        tradeId
+      }
+    }, { step: stepsUnder(step, 'trade_confirmation') });
+
+    return {
+      status: 'processed',
+      action: 'trade_confirmation_sent',
+      campaignId: confirmation.id,
+      tradeId
+    };
+  }
+
   /**
    * Handle trade completion
    */
-  async handleTradeCompleted(tradeData) {
-    const { tradeId, buyerId, sellerId, productId, amount, feedback } = tradeData;
+  async handleTradeCompleted(tradeData, step = runNow) {
+    const { tradeId, buyerId, sellerId, productId, amount } = tradeData;
 
     // Send feedback request to buyer
     await this.campaignService.createCampaign({
@@ -238,7 +314,7 @@ class WebhookHandler {
         sellerInfo: await this.dataService.getTraderProfile(sellerId)
       },
       schedule: [{ delay: '2h', template: 'trade_feedback_request' }]
-    });
+    }, { step: stepsUnder(step, 'feedback_request') });
 
     // Send thank you to seller
     await this.campaignService.createCampaign({
@@ -251,10 +327,10 @@ class WebhookHandler {
         amount,
         buyerInfo: await this.dataService.getUserProfile(buyerId)
       }
-    });
+    }, { step: stepsUnder(step, 'sale_confirmation') });
 
     // Suggest similar products to buyer
-    await this.scheduleProductRecommendations(buyerId, productId);
+    await this.scheduleProductRecommendations(buyerId, productId, step);
 
     return {
       status: 'processed',
@@ -266,7 +342,7 @@ class WebhookHandler {
   /**
    * Handle inventory low alert
    */
-  async handleInventoryLow(inventoryData) {
+  async handleInventoryLow(inventoryData, step = runNow) {
     const { traderId, productId, currentQuantity, threshold } = inventoryData;
 
     // Alert the trader
@@ -281,7 +357,7 @@ class WebhookHandler {
         threshold,
         restockSuggestions: await this.getRestockSuggestions(productId)
       }
-    });
+    }, { step: stepsUnder(step, 'inventory_alert') });
 
     return {
       status: 'processed',
@@ -290,11 +366,29 @@ class WebhookHandler {
     };
   }
 
+  /**
+   * Find users who want alerts for a product category and location
+   * @private
+   */
+  async findInterestedUsers(category, location) {
+    const result = await this.dataService.getUsersForCampaign({
+      filters: {
+        interests: [category],
+        location: location,
+        notificationPreferences: { productAlerts: true }
+      },
+      limit: 500
+    });
+
+    // The circuit breaker fallback returns { users: [], fallback: true }
+    return Array.isArray(result) ? result : result?.users || [];
+  }
+
   /**
    * Schedule personalized product recommendations
    * @private
    */
-  async schedulePersonalizedRecommendations(userId, interests) {
+  async schedulePersonalizedRecommendations(userId, interests, step = runNow) {
     const recommendations = await this.dataService.getProductsForCampaign({
       category: interests,
       limit: 10,
@@ -312,7 +406,7 @@ class WebhookHandler {
           interests: interests.join(', ')
         },
         schedule: [{ delay: '1h', template: 'personalized_product_recommendations' }]
-      });
+      }, { step: stepsUnder(step, 'personalized_recommendations') });
     }
   }
 
@@ -320,7 +414,7 @@ class WebhookHandler {
    * Schedule product recommendations based on purchase history
    * @private
    */
-  async scheduleProductRecommendations(userId, purchasedProductId) {
+  async scheduleProductRecommendations(userId, purchasedProductId, step = runNow) {
     // Get user's trade history to find similar products
     const tradeHistory = await this.dataService.getRecentTradeActivity({
       userId,
@@ -345,7 +439,7 @@ class WebhookHandler {
           recommendations: similarProducts.slice(0, 4)
         },
         schedule: [{ delay: '24h', template: 'similar_product_recommendations' }]
-      });
+      }, { step: stepsUnder(step, 'similar_products') });
     }
   }
 
@@ -367,21 +461,24 @@ class WebhookHandler {
    * Handle user login events for engagement tracking
    * @private
    */
-  async handleUserLogin(loginData) {
+  async handleUserLogin(loginData, step = runNow) {
     const { userId, loginTime, device, location } = loginData;
 
     // Update engagement tracking
-    await this.dataService.updateUserEngagement(userId, 'system', {
-      action: 'login',
-      timestamp: loginTime,
-      device,
-      location
+    await step('engagement', async () => {
+      await this.dataService.updateUserEngagement(userId, 'system', {
+        action: 'login',
+        timestamp: loginTime,
+        device,
+        location
+      });
+      return true;
     });
 
     // Check if user has been inactive and send re-engagement
     const lastActivity = await this.getLastActivity(userId);
     if (lastActivity && this.daysSince(lastActivity) > 7) {
-      await this.sendReEngagementCampaign(userId);
+      await this.sendReEngagementCampaign(userId, step);
     }
 
     return {
@@ -394,7 +491,7 @@ class WebhookHandler {
    * Send re-engagement campaign for inactive users
    * @private
    */
-  async sendReEngagementCampaign(userId) {
+  async sendReEngagementCampaign(userId, step = runNow) {
     await this.campaignService.createCampaign({
       name: `Re-engagement - ${userId}`,
       type: 'email',
@@ -403,7 +500,7 @@ class WebhookHandler {
       variables: {
         personalizedOffers: await this.getPersonalizedOffers(userId)
       }
-    });
+    }, { step: stepsUnder(step, 're_engagement') });
   }
 
   /**
@@ -425,4 +522,4 @@ class WebhookHandler {
   }
 }
 
-module.exports = WebhookHandler;
+export default WebhookHandler;
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+
+const createCampaign = jest.fn();
+const dataService = {
+  getUsersForCampaign: jest.fn(),
+  getTraderProfile: jest.fn()
+};
+
+jest.unstable_mockModule('./DataServiceClient.js', () => ({ default: jest.fn(() => dataService) }));
+jest.unstable_mockModule('./automatedCampaignService.js', () => ({ default: { createCampaign } }));
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { default: WebhookHandler } = await import('./WebhookHandler.js');
+
+const productCreated = {
+  id: 'evt_1',
+  type: 'product_created',
+  data: { productId: 'p1', traderId: 't1', category: 'maize', location: 'Nairobi', price: 10, quantity: 5 }
+};
+
+describe('WebhookHandler', () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    handler = new WebhookHandler();
+    dataService.getUsersForCampaign.mockResolvedValue({
+      users: [
+        { userId: 'u1', email: 'a@example.com' },
+        { userId: 'u2', email: 'b@example.com', preferences: { urgentAlerts: true } }
+      ]
+    });
+    dataService.getTraderProfile.mockResolvedValue({ name: 'Trader' });
+  });
+
+  test('a new product sends an email alert and an SMS to urgent subscribers', async () => {
+    createCampaign.mockResolvedValueOnce({ id: 11 }).mockResolvedValueOnce({ id: 12 });
+
+    const result = await handler.processEvent(productCreated);
+
+    expect(result).toMatchObject({ status: 'processed', campaignId: 11, recipientCount: 2, urgentAlertCount: 1 });
+    expect(createCampaign.mock.calls[1][0]).toMatchObject({ type: 'sms', targetAudience: [{ userId: 'u2' }] });
+  });
+
+  test('campaign steps are keyed by the handler step that creates them', async () => {
+    createCampaign.mockImplementation(async (spec, { step }) => step('1', async () => ({ id: 1 })));
+    const keys = [];
+    const step = async (key, fn) => {
+      keys.push(key);
+      return fn();
+    };
+
+    await handler.processEvent(productCreated, { step });
+
+    expect(keys).toEqual(['product_alert_email.1', 'product_alert_sms.1']);
+  });
+
+  test('unknown events are ignored', async () => {
+    await expect(handler.processEvent({ id: 'evt_2', type: 'something_else' }))
+      .resolves.toEqual({ status: 'ignored', reason: 'Unknown event type' });
+    expect(createCampaign).not.toHaveBeenCalled();
+  });
+
+  test('a failed campaign fails the event', async () => {
+    createCampaign.mockRejectedValue(new Error('Template not found: new_product_alert (email)'));
+
+    await expect(handler.processEvent(productCreated)).rejects.toThrow('Template not found');
+  });
+});
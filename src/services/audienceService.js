@@ -0,0 +1,149 @@
+import pool from '../config/database.js';
+import SegmentService from './segmentService.js';
+import { compileSegment } from '../utils/segmentCompiler.js';
+
+// Consent states that always keep a contact out of campaigns
+const BLOCKED_CONSENT = ['pending', 'revoked'];
+
+// With REQUIRE_EXPLICIT_CONSENT=true, contacts whose consent was never recorded are dropped too
+const isUnconsented = (contact) =>
+  BLOCKED_CONSENT.includes(contact.consent_status) ||
+  (process.env.REQUIRE_EXPLICIT_CONSENT === 'true' && contact.consent_status !== 'granted');
+
+const unique = (list) => [...new Set((list || []).filter(Boolean))];
+
+/**
+ * Turn a tag expression into segment rules
+ * @private
+ */
+const tagRules = (tags) => ({
+  match: 'all',
+  rules: [
+    ['all', 'has_all'],
+    ['any', 'has_any'],
+    ['none', 'has_none']
+  ]
+    .filter(([key]) => Array.isArray(tags[key]) && tags[key].length > 0)
+    .map(([key, operator]) => ({ field: 'tags', operator, value: tags[key] }))
+});
+
+class AudienceService {
+  /**
+   * Build the stored audience from campaign input. The top-level contact_ids and
+   * segment_id are shorthands for audience.contact_ids and audience.segment_ids.
+   */
+  static normalize(campaignData) {
+    const audience = campaignData.audience || {};
+    const tags = audience.tags && tagRules(audience.tags).rules.length > 0
+      ? {
+        all: unique(audience.tags.all),
+        any: unique(audience.tags.any),
+        none: unique(audience.tags.none)
+      }
+      : null;
+
+    return {
+      contact_ids: unique([...(audience.contact_ids || []), ...(campaignData.contact_ids || [])]),
+      segment_ids: unique([...(audience.segment_ids || []), campaignData.segment_id]),
+      list_ids: unique(audience.list_ids),
+      tags
+    };
+  }
+
+  /**
+   * Resolve an audience to the contacts a campaign should go to.
+   * Contacts are de-duplicated by email; suppressed and unconsented contacts are dropped.
+   * @returns {Promise<Object>} { contacts, summary }
+   */
+  static async resolve(userId, audience, { channel = 'email' } = {}) {
+    const values = [userId];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const sources = [];
+
+    if (audience.contact_ids?.length > 0) {
+      sources.push(`SELECT id FROM contacts WHERE user_id = $1 AND id = ANY(${param(audience.contact_ids)}::uuid[])`);
+    }
+
+    for (const segmentId of audience.segment_ids || []) {
+      const segment = await SegmentService.getById(userId, segmentId);
+      if (!segment) {
+        throw new Error('Segment not found');
+      }
+
+      const compiled = await SegmentService.compile(userId, segment.rules, { startIndex: values.length + 1 });
+      values.push(...compiled.values);
+      sources.push(`SELECT id FROM contacts WHERE user_id = $1 AND ${compiled.sql}`);
+    }
+
+    if (audience.list_ids?.length > 0) {
+      const lists = await pool.query(
+        'SELECT COUNT(*) FROM contact_lists WHERE user_id = $1 AND id = ANY($2::uuid[])',
+        [userId, audience.list_ids]
+      );
+      if (parseInt(lists.rows[0].count) !== audience.list_ids.length) {
+        throw new Error('Contact list not found');
+      }
+
+      sources.push(`SELECT contact_id AS id FROM contact_list_members WHERE list_id = ANY(${param(audience.list_ids)}::uuid[])`);
+    }
+
+    if (audience.tags) {
+      const compiled = compileSegment(tagRules(audience.tags), { startIndex: values.length + 1 });
+      values.push(...compiled.values);
+      sources.push(`SELECT id FROM contacts WHERE user_id = $1 AND ${compiled.sql}`);
+    }
+
+    const summary = { matched: 0, duplicates: 0, suppressed: 0, unconsented: 0, recipients: 0 };
+    if (sources.length === 0) {
+      return { contacts: [], summary };
+    }
+
+    // Suppressions are stored normalised: lower-case emails, digits-only phone numbers
+    const address = channel === 'email'
+      ? 'lower(c.email)'
+      : "regexp_replace(COALESCE(c.phone, ''), '\\D', '', 'g')";
+
+    const result = await pool.query(`
+      WITH candidates AS (
+        ${sources.join('\n        UNION\n        ')}
+      )
+      SELECT c.id, c.email, c.name, c.phone, c.consent_status,
+             ROW_NUMBER() OVER (PARTITION BY lower(c.email) ORDER BY c.created_at, c.id) AS email_rank,
+             EXISTS (
+               SELECT 1
+               FROM suppressions s
+               WHERE s.channel = ${param(channel)}
+                 AND s.address = ${address}
+                 AND (s.user_id = $1 OR s.user_id IS NULL)
+             ) AS suppressed
+      FROM contacts c
+      JOIN candidates ON candidates.id = c.id
+      WHERE c.user_id = $1
+    `, values);
+
+    const contacts = [];
+    for (const row of result.rows) {
+      summary.matched += 1;
+
+      if (parseInt(row.email_rank) > 1) {
+        summary.duplicates += 1;
+      } else if (row.suppressed) {
+        summary.suppressed += 1;
+      } else if (isUnconsented(row)) {
+        summary.unconsented += 1;
+      } else {
+        const { email_rank: emailRank, suppressed, ...contact } = row;
+        contacts.push(contact);
+      }
+    }
+
+    summary.recipients = contacts.length;
+    return { contacts, summary };
+  }
+}
+
+export default AudienceService;
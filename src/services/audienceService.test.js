@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+const SegmentService = { getById: jest.fn(), compile: jest.fn() };
+
+jest.unstable_mockModule('../config/database.js', () => ({ default: { query } }));
+jest.unstable_mockModule('./segmentService.js', () => ({ default: SegmentService }));
+
+const { default: AudienceService } = await import('./audienceService.js');
+
+const row = (id, overrides = {}) => ({
+  id,
+  email: `${id}@example.com`,
+  name: null,
+  phone: null,
+  consent_status: 'unknown',
+  email_rank: '1',
+  suppressed: false,
+  ...overrides
+});
+
+describe('AudienceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('shorthand contact and segment IDs are folded into the audience', () => {
+    expect(AudienceService.normalize({
+      contact_ids: ['c1'],
+      segment_id: 's1',
+      audience: { contact_ids: ['c1', 'c2'], tags: { any: ['vip', 'vip'], none: [] } }
+    })).toEqual({
+      contact_ids: ['c1', 'c2'],
+      segment_ids: ['s1'],
+      list_ids: [],
+      tags: { all: [], any: ['vip'], none: [] }
+    });
+  });
+
+  test('duplicates, suppressed and unconsented contacts are counted but not sent to', async () => {
+    query.mockResolvedValueOnce({
+      rows: [
+        row('a'),
+        row('b', { email_rank: '2' }),
+        row('c', { suppressed: true }),
+        row('d', { consent_status: 'revoked' })
+      ]
+    });
+
+    const { contacts, summary } = await AudienceService.resolve('user-1', { contact_ids: ['a', 'b', 'c', 'd'] });
+
+    expect(contacts).toEqual([{ id: 'a', email: 'a@example.com', name: null, phone: null, consent_status: 'unknown' }]);
+    expect(summary).toEqual({ matched: 4, duplicates: 1, suppressed: 1, unconsented: 1, recipients: 1 });
+  });
+
+  test('SMS audiences are checked against phone suppressions', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    await AudienceService.resolve('user-1', { contact_ids: ['a'] }, { channel: 'sms' });
+
+    const [sql, values] = query.mock.calls[0];
+    expect(sql).toContain("regexp_replace(COALESCE(c.phone, '')");
+    expect(values).toContain('sms');
+  });
+
+  test('an empty audience resolves to nobody without a query', async () => {
+    await expect(AudienceService.resolve('user-1', {})).resolves.toMatchObject({ contacts: [], summary: { recipients: 0 } });
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('unknown segments and lists are refused', async () => {
+    SegmentService.getById.mockResolvedValueOnce(null);
+    await expect(AudienceService.resolve('user-1', { segment_ids: ['s1'] })).rejects.toThrow('Segment not found');
+
+    query.mockResolvedValueOnce({ rows: [{ count: '0' }] });
+    await expect(AudienceService.resolve('user-1', { list_ids: ['l1'] })).rejects.toThrow('Contact list not found');
+  });
+});
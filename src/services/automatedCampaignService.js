@@ -0,0 +1,184 @@
+import CampaignService from './campaignService.js';
+import ContactService from './contactService.js';
+import TemplateService from './templateService.js';
+import DataServiceClient from './DataServiceClient.js';
+import { enqueueCampaign } from './campaignSender.js';
+import logger from '../utils/logger.js';
+
+// Account that owns event-driven campaigns, their contacts and templates
+export const AUTOMATION_USER_ID = '00000000-0000-0000-0000-000000000001';
+
+const DELAY_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// Runs a step straight away; the default when the caller keeps no record of finished steps
+const runNow = (key, fn) => fn();
+
+/**
+ * Convert a schedule delay (milliseconds, or "30m", "2h", "3d") to milliseconds
+ */
+export function parseDelay(delay) {
+  if (delay === undefined || delay === null) {
+    return 0;
+  }
+
+  if (typeof delay === 'number' && delay >= 0) {
+    return delay;
+  }
+
+  const match = /^(\d+)\s*([mhd])$/.exec(String(delay).trim());
+  if (!match) {
+    throw new Error(`Invalid schedule delay: ${delay}`);
+  }
+
+  return parseInt(match[1]) * DELAY_UNITS[match[2]];
+}
+
+let dataService = null;
+const getDataService = () => {
+  if (!dataService) {
+    dataService = new DataServiceClient();
+  }
+  return dataService;
+};
+
+class AutomatedCampaignService {
+  /**
+   * Create campaigns for an event-driven automation.
+   * Every schedule step becomes its own campaign; steps without a delay are
+   * sent straight away and the rest are left to the campaign scheduler.
+   * Creating and sending each campaign run through options.step, so a caller
+   * that records finished steps can call this again without repeating them.
+   * @param {Object} spec - { name, type, targetAudience, template, variables, schedule, metadata }
+   * @param {Object} [options] - { step(key, fn) }
+   * @returns {Promise<Object>} { id, campaigns } where id is the first step's campaign,
+   *   or { id: null, status: 'skipped', reason, campaigns: [] } when nobody can be reached
+   */
+  static async createCampaign(spec, { step: runStep = runNow } = {}) {
+    const {
+      name,
+      type = 'email',
+      targetAudience = [],
+      template,
+      variables = {},
+      schedule = [],
+      metadata = {}
+    } = spec;
+
+    const channel = type === 'sms' ? 'sms' : 'email';
+    const steps = schedule.length > 0 ? schedule : [{ delay: 0, template }];
+
+    // Look up every template before creating anything so a bad step fails the whole sequence
+    const templates = [];
+    for (const step of steps) {
+      const templateName = step.template || template;
+      const found = await TemplateService.getByName(AUTOMATION_USER_ID, templateName, channel);
+      if (!found) {
+        throw new Error(`Template not found: ${templateName} (${channel})`);
+      }
+      templates.push(found);
+    }
+
+    const contacts = await this.resolveAudience(targetAudience, channel);
+    if (contacts.length === 0) {
+      logger.warn(`Automated campaign ${name} skipped: no reachable recipients`, { channel });
+      return { id: null, status: 'skipped', reason: 'No reachable recipients', campaigns: [] };
+    }
+
+    const campaigns = [];
+    const now = Date.now();
+
+    for (const [index, step] of steps.entries()) {
+      const delay = parseDelay(step.delay);
+      const scheduledAt = delay > 0 ? new Date(now + delay).toISOString() : null;
+
+      const created = await runStep(`${index + 1}`, async () => {
+        const campaign = await CampaignService.create(AUTOMATION_USER_ID, {
+          name: steps.length > 1 ? `${name} (step ${index + 1}/${steps.length})` : name,
+          template_id: templates[index].id,
+          contact_ids: contacts.map(contact => contact.id),
+          scheduled_at: scheduledAt,
+          variables: { ...variables, ...step.variables },
+          metadata: { ...metadata, type, step: index + 1 }
+        });
+
+        return {
+          id: campaign.id,
+          channel: campaign.channel,
+          template: templates[index].name,
+          scheduledAt,
+          recipientCount: campaign.recipient_count
+        };
+      });
+
+      if (!created.scheduledAt) {
+        await runStep(`${index + 1}.queued`, () => enqueueCampaign(created));
+      }
+
+      campaigns.push(created);
+    }
+
+    return { id: campaigns[0].id, campaigns };
+  }
+
+  /**
+   * Turn data-service users into contacts of the automation account,
+   * fetching profiles for anyone missing the address the channel needs
+   * @private
+   */
+  static async resolveAudience(users, channel) {
+    const addressField = channel === 'sms' ? 'phone' : 'email';
+    const audience = users.map(user => ({
+      userId: user.userId || user.id,
+      email: user.email,
+      name: user.name,
+      phone: user.phone
+    }));
+
+    const incomplete = audience.filter(user => user.userId && (!user.email || !user[addressField]));
+    if (incomplete.length > 0) {
+      const profiles = await getDataService().getUsersBatch(incomplete.map(user => user.userId));
+      const byId = new Map(profiles.map(profile => [profile.userId || profile.id, profile]));
+
+      for (const user of incomplete) {
+        const profile = byId.get(user.userId) || {};
+        user.email = user.email || profile.email;
+        user.name = user.name || profile.name;
+        user.phone = user.phone || profile.phone;
+      }
+    }
+
+    const contacts = [];
+    const seen = new Set();
+
+    for (const user of audience) {
+      const email = user.email && user.email.trim().toLowerCase();
+      if (!email || !user[addressField] || seen.has(email)) {
+        continue;
+      }
+      seen.add(email);
+
+      contacts.push(await ContactService.upsert(AUTOMATION_USER_ID, {
+        email,
+        name: user.name || null,
+        phone: user.phone || null,
+        metadata: user.userId ? { userId: user.userId } : {}
+      }));
+    }
+
+    if (contacts.length < audience.length) {
+      logger.warn('Automated campaign audience had unreachable or duplicate users', {
+        requested: audience.length,
+        reachable: contacts.length,
+        channel
+      });
+    }
+
+    return contacts;
+  }
+}
+
+export default AutomatedCampaignService;
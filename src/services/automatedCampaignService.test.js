@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+
+const CampaignService = { create: jest.fn() };
+const ContactService = { upsert: jest.fn() };
+const TemplateService = { getByName: jest.fn() };
+const enqueueCampaign = jest.fn();
+
+jest.unstable_mockModule('./campaignService.js', () => ({ default: CampaignService }));
+jest.unstable_mockModule('./contactService.js', () => ({ default: ContactService }));
+jest.unstable_mockModule('./templateService.js', () => ({ default: TemplateService }));
+jest.unstable_mockModule('./DataServiceClient.js', () => ({
+  default: jest.fn(() => ({ getUsersBatch: jest.fn().mockResolvedValue([]) }))
+}));
+jest.unstable_mockModule('./campaignSender.js', () => ({ enqueueCampaign }));
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { default: AutomatedCampaignService, parseDelay } = await import('./automatedCampaignService.js');
+
+// A step runner that remembers finished steps, like the webhook event store
+const recordingStep = (finished = {}) => async (key, fn) => {
+  if (key in finished) {
+    return finished[key];
+  }
+  finished[key] = await fn();
+  return finished[key];
+};
+
+const spec = {
+  name: 'Welcome',
+  targetAudience: [{ userId: 'u1', email: 'Ada@Example.com' }],
+  schedule: [
+    { delay: 0, template: 'welcome_immediate' },
+    { delay: '2h', template: 'getting_started_guide' }
+  ]
+};
+
+describe('AutomatedCampaignService', () => {
+  let nextId;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextId = 1;
+    TemplateService.getByName.mockImplementation(async (userId, name, channel) => ({ id: `t-${name}`, name, channel }));
+    ContactService.upsert.mockImplementation(async (userId, contact) => ({ id: 'c1', ...contact }));
+    CampaignService.create.mockImplementation(async () => ({ id: nextId++, channel: 'email', recipient_count: 1 }));
+    enqueueCampaign.mockResolvedValue({ queued: 1, skipped: 0 });
+  });
+
+  test('parseDelay accepts milliseconds and unit suffixes', () => {
+    expect(parseDelay(undefined)).toBe(0);
+    expect(parseDelay(5000)).toBe(5000);
+    expect(parseDelay('2h')).toBe(2 * 60 * 60 * 1000);
+    expect(() => parseDelay('soon')).toThrow('Invalid schedule delay');
+  });
+
+  test('each schedule step becomes a campaign and only the immediate one is sent', async () => {
+    const result = await AutomatedCampaignService.createCampaign(spec);
+
+    expect(result.id).toBe(1);
+    expect(result.campaigns).toHaveLength(2);
+    expect(result.campaigns[1].scheduledAt).not.toBeNull();
+    expect(enqueueCampaign).toHaveBeenCalledTimes(1);
+    expect(enqueueCampaign).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }));
+    expect(ContactService.upsert.mock.calls[0][1].email).toBe('ada@example.com');
+  });
+
+  test('a retry after a failed send does not create the finished campaigns again', async () => {
+    const finished = {};
+    enqueueCampaign.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    await expect(AutomatedCampaignService.createCampaign(spec, { step: recordingStep(finished) }))
+      .rejects.toThrow('Redis unavailable');
+    expect(CampaignService.create).toHaveBeenCalledTimes(1);
+
+    const result = await AutomatedCampaignService.createCampaign(spec, { step: recordingStep(finished) });
+
+    expect(CampaignService.create).toHaveBeenCalledTimes(2);
+    expect(enqueueCampaign).toHaveBeenCalledTimes(2);
+    expect(result.campaigns.map(campaign => campaign.id)).toEqual([1, 2]);
+
+    await AutomatedCampaignService.createCampaign(spec, { step: recordingStep(finished) });
+    expect(CampaignService.create).toHaveBeenCalledTimes(2);
+    expect(enqueueCampaign).toHaveBeenCalledTimes(2);
+  });
+
+  test('an audience nobody can be reached in is skipped instead of failing', async () => {
+    const result = await AutomatedCampaignService.createCampaign({
+      ...spec,
+      type: 'sms',
+      targetAudience: [{ email: 'ada@example.com' }]
+    });
+
+    expect(result).toEqual({ id: null, status: 'skipped', reason: 'No reachable recipients', campaigns: [] });
+    expect(CampaignService.create).not.toHaveBeenCalled();
+  });
+
+  test('a missing template fails before any campaign is created', async () => {
+    TemplateService.getByName.mockImplementation(async (userId, name) => (name === 'welcome_immediate' ? { id: 't1', name } : null));
+
+    await expect(AutomatedCampaignService.createCampaign(spec)).rejects.toThrow('Template not found: getting_started_guide');
+    expect(CampaignService.create).not.toHaveBeenCalled();
+  });
+});
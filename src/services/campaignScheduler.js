@@ -0,0 +1,81 @@
+import cron from 'node-cron';
+import CampaignService from './campaignService.js';
+import { enqueueCampaign } from './campaignSender.js';
+
+/**
+ * Campaign Scheduler
+ * Polls the campaigns table for scheduled sends that are due. The schedule
+ * lives in campaigns.scheduled_at, so nothing is lost across restarts and
+ * overdue campaigns are picked up on the first tick after startup.
+ */
+class CampaignScheduler {
+  constructor(options = {}) {
+    this.cronExpression = options.cronExpression || process.env.CAMPAIGN_SCHEDULER_CRON || '* * * * *';
+    this.batchSize = options.batchSize || 10;
+    this.task = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.task) {
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => this.tick());
+    console.log(`⏰ Campaign scheduler started (${this.cronExpression})`);
+
+    // Catch up on anything that fell due while the engine was down
+    this.tick();
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  async tick() {
+    // Skip overlapping ticks while a previous batch is still being dispatched
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    try {
+      const campaigns = await CampaignService.claimDueCampaigns(this.batchSize);
+
+      for (const campaign of campaigns) {
+        console.log(`⏰ Dispatching scheduled campaign ${campaign.id}`);
+
+        try {
+          await enqueueCampaign(campaign);
+        } catch (error) {
+          console.error(`❌ Scheduled campaign ${campaign.id} failed:`, error);
+        }
+      }
+
+      // Campaigns left sending by a crash mid-enqueue; job IDs keep recipients already queued from a second send
+      const stalled = await CampaignService.claimStalledCampaigns(this.batchSize);
+
+      for (const campaign of stalled) {
+        console.log(`⏰ Re-enqueueing stalled campaign ${campaign.id}`);
+
+        try {
+          await enqueueCampaign(campaign);
+        } catch (error) {
+          console.error(`❌ Stalled campaign ${campaign.id} failed:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Campaign scheduler tick failed:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export const campaignScheduler = new CampaignScheduler();
+
+export default CampaignScheduler;
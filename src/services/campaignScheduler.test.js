@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+
+const CampaignService = { claimDueCampaigns: jest.fn(), claimStalledCampaigns: jest.fn() };
+const enqueueCampaign = jest.fn();
+
+jest.unstable_mockModule('node-cron', () => ({ default: { schedule: jest.fn() } }));
+jest.unstable_mockModule('./campaignService.js', () => ({ default: CampaignService }));
+jest.unstable_mockModule('./campaignSender.js', () => ({ enqueueCampaign }));
+
+const { default: CampaignScheduler } = await import('./campaignScheduler.js');
+
+describe('CampaignScheduler', () => {
+  let scheduler;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduler = new CampaignScheduler({ batchSize: 5 });
+    CampaignService.claimDueCampaigns.mockResolvedValue([]);
+    CampaignService.claimStalledCampaigns.mockResolvedValue([]);
+    enqueueCampaign.mockResolvedValue({ queued: 1, skipped: 0 });
+  });
+
+  test('due campaigns are claimed and enqueued', async () => {
+    CampaignService.claimDueCampaigns.mockResolvedValueOnce([{ id: 'c1' }, { id: 'c2' }]);
+
+    await scheduler.tick();
+
+    expect(CampaignService.claimDueCampaigns).toHaveBeenCalledWith(5);
+    expect(enqueueCampaign.mock.calls.map(([campaign]) => campaign.id)).toEqual(['c1', 'c2']);
+  });
+
+  test('one campaign failing to enqueue does not hold up the rest', async () => {
+    CampaignService.claimDueCampaigns.mockResolvedValueOnce([{ id: 'c1' }, { id: 'c2' }]);
+    enqueueCampaign.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    await scheduler.tick();
+
+    expect(enqueueCampaign).toHaveBeenCalledTimes(2);
+    expect(scheduler.running).toBe(false);
+  });
+
+  test('campaigns left sending by a lost enqueue are enqueued again', async () => {
+    CampaignService.claimStalledCampaigns.mockResolvedValueOnce([{ id: 'c3' }]);
+
+    await scheduler.tick();
+
+    expect(CampaignService.claimStalledCampaigns).toHaveBeenCalledWith(5);
+    expect(enqueueCampaign).toHaveBeenCalledWith({ id: 'c3' });
+  });
+
+  test('overlapping ticks are skipped', async () => {
+    let release;
+    CampaignService.claimDueCampaigns.mockReturnValueOnce(new Promise(resolve => { release = resolve; }));
+
+    const first = scheduler.tick();
+    await scheduler.tick();
+    release([]);
+    await first;
+
+    expect(CampaignService.claimDueCampaigns).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,336 @@
+import { getQueue } from '../config/queue.js';
+import { getProvider } from '../channels/index.js';
+import CampaignService from './campaignService.js';
+import TemplateService from './templateService.js';
+import WhatsAppSessionService from './whatsappSessionService.js';
+import TrackingService from './trackingService.js';
+import SuppressionService from './suppressionService.js';
+import { analyzeSms } from '../channels/sms/smsEncoding.js';
+import { RECIPIENT_HEADER } from '../channels/email/deliveryEvents.js';
+import { enqueueWebhookDelivery } from './webhookDispatcher.js';
+
+const SEND_QUEUE = 'campaign-sends';
+
+const sendOptions = {
+  concurrency: parseInt(process.env.SEND_CONCURRENCY) || 5,
+  maxAttempts: parseInt(process.env.SEND_MAX_ATTEMPTS) || 3,
+  backoffDelay: parseInt(process.env.SEND_BACKOFF_DELAY) || 5000,
+  ratePerSecond: parseInt(process.env.SEND_RATE_PER_SECOND) || 20
+};
+
+const getSendQueue = () => getQueue(SEND_QUEUE, {
+  limiter: { max: sendOptions.ratePerSecond, duration: 1000 }
+});
+
+const sendJobOptions = () => ({
+  attempts: sendOptions.maxAttempts,
+  backoff: { type: 'exponential', delay: sendOptions.backoffDelay },
+  removeOnComplete: true,
+  removeOnFail: 1000
+});
+
+/**
+ * Enqueue Campaign
+ * Adds one job per pending recipient and returns straight away; the
+ * worker below does the sending and closes the campaign out.
+ * Any error on the way marks the campaign failed, so it is never left in 'sending'.
+ */
+export async function enqueueCampaign(campaign) {
+  const campaignId = campaign.id;
+
+  await CampaignService.setStatus(campaignId, 'sending');
+
+  try {
+    // The audience is resolved now, so contacts added or suppressed since creation are accounted for
+    await CampaignService.snapshotAudience(campaignId);
+
+    // Opted-out and bounced addresses never reach the queue
+    const skipped = await CampaignService.skipSuppressedRecipients(campaignId);
+
+    const recipients = await CampaignService.getRecipients(campaignId, { status: 'pending' });
+
+    if (recipients.length === 0) {
+      await finalizeCampaign(campaignId);
+      return { queued: 0, skipped };
+    }
+
+    // Job IDs are the recipient IDs, so re-enqueueing a campaign never duplicates a send
+    await getSendQueue().addBulk(recipients.map(recipient => ({
+      data: { campaignId, recipientId: recipient.id },
+      opts: { ...sendJobOptions(), jobId: recipient.id }
+    })));
+
+    await CampaignService.markRecipientsQueued(campaignId);
+
+    console.log(`📬 Queued ${recipients.length} ${campaign.channel || 'email'} messages for campaign ${campaignId} (${skipped} suppressed)`);
+
+    return { queued: recipients.length, skipped };
+  } catch (error) {
+    console.error(`❌ Failed to enqueue campaign ${campaignId}:`, error);
+    await CampaignService.setStatus(campaignId, 'failed');
+    throw error;
+  }
+}
+
+/**
+ * Queue one more send for a recipient after a delay (soft bounce retries).
+ * The recipient must already be back in the 'queued' status.
+ */
+export async function requeueRecipient(campaignId, recipientId, { delay = 0 } = {}) {
+  await getSendQueue().add({ campaignId, recipientId }, {
+    ...sendJobOptions(),
+    jobId: `${recipientId}:retry:${Date.now()}`,
+    delay
+  });
+}
+
+/**
+ * Start the send worker for this process
+ */
+export function startCampaignWorker() {
+  getSendQueue().process(sendOptions.concurrency, processRecipientJob);
+  console.log(`📬 Campaign send worker started (concurrency ${sendOptions.concurrency})`);
+}
+
+/**
+ * Build the provider message for each channel from the template, its
+ * rendered output and the data it was rendered with
+ */
+const messageBuilders = {
+  email: async (recipient, { rendered, data }, metadata) => ({
+    to: recipient.email,
+    from: process.env.EMAIL_FROM || process.env.CAMPAIGN_DEFAULT_SENDER,
+    subject: rendered.subject,
+    html: TrackingService.embedOpenPixel(
+      renderEmailLayout(TrackingService.trackLinks(rendered.html, recipient.tracking_id), {
+        unsubscribeUrl: data.unsubscribe_url
+      }),
+      recipient.tracking_id
+    ),
+    text: `${rendered.text}\n\nUnsubscribe: ${data.unsubscribe_url}`,
+    // RFC 8058 one-click unsubscribe, shown as a native button by major mail clients
+    headers: {
+      'List-Unsubscribe': `<${data.unsubscribe_url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      // Echoed back in SES notifications, whose message ID is not the one the send returned
+      [RECIPIENT_HEADER]: metadata.recipientId
+    },
+    metadata
+  }),
+
+  sms: async (recipient, { rendered }, metadata) => {
+    if (!recipient.phone) {
+      throw permanentError('Contact has no phone number');
+    }
+
+    const { encoding, segments } = analyzeSms(rendered.text);
+
+    return {
+      to: recipient.phone,
+      from: process.env.SMS_SENDER_ID,
+      text: rendered.text,
+      encoding,
+      segments,
+      metadata
+    };
+  },
+
+  whatsapp: async (recipient, { template, rendered, data }, metadata) => {
+    if (!recipient.phone) {
+      throw permanentError('Contact has no phone number');
+    }
+
+    const to = WhatsAppSessionService.normalizePhone(recipient.phone);
+
+    // Pre-approved templates may be sent at any time
+    if (template.whatsapp_template) {
+      const { name, language, parameters = [] } = template.whatsapp_template;
+      return {
+        to,
+        text: rendered.text,
+        template: {
+          name,
+          language,
+          parameters: parameters.map(variable => String(data[variable] ?? ''))
+        },
+        metadata
+      };
+    }
+
+    // Free-form text is only allowed inside the 24-hour customer service window
+    if (!(await WhatsAppSessionService.isSessionOpen(to))) {
+      throw permanentError('Outside the 24-hour WhatsApp session window; an approved template is required');
+    }
+
+    return { to, text: rendered.text, metadata };
+  }
+};
+
+/**
+ * Errors that no retry can fix (bad recipient data, unsupported channel)
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Send a single recipient's message and record the outcome
+ */
+async function processRecipientJob(job) {
+  const { campaignId, recipientId } = job.data;
+
+  const recipient = await CampaignService.getRecipientForSend(recipientId);
+
+  // Already handled by an earlier attempt, or removed with its campaign
+  if (!recipient || !['pending', 'queued'].includes(recipient.status)) {
+    return { skipped: true };
+  }
+
+  try {
+    // Addresses can be suppressed after the campaign was queued
+    const address = recipient.channel === 'email' ? recipient.email : recipient.phone;
+    const suppression = await SuppressionService.check(recipient.campaign_user_id, recipient.channel, address);
+    if (suppression) {
+      await CampaignService.updateRecipientStatus(recipientId, 'skipped', `Suppressed: ${suppression.reason}`);
+      await finalizeCampaign(campaignId);
+      return { skipped: true, reason: suppression.reason };
+    }
+
+    const template = await TemplateService.getById(recipient.campaign_user_id, recipient.template_id);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    const data = {
+      ...recipient.metadata,
+      ...recipient.custom_fields,
+      ...recipient.campaign_variables,
+      contact_name: recipient.name,
+      company_name: recipient.company,
+      email: recipient.email,
+      campaign_id: campaignId,
+      unsubscribe_url: TrackingService.getUnsubscribeUrl(recipient.tracking_id)
+    };
+    const rendered = TemplateService.render(template, data);
+
+    const buildMessage = messageBuilders[recipient.channel];
+    if (!buildMessage) {
+      throw permanentError(`Unsupported channel: ${recipient.channel}`);
+    }
+
+    const message = await buildMessage(recipient, { template, rendered, data }, {
+      campaignId,
+      recipientId,
+      trackingId: recipient.tracking_id
+    });
+
+    const provider = getProvider(recipient.channel);
+    const result = await provider.send(message);
+
+    await CampaignService.recordSend(recipientId, {
+      provider: provider.name,
+      providerMessageId: result.providerMessageId,
+      segments: message.segments
+    });
+    await finalizeCampaign(campaignId);
+    return result;
+  } catch (error) {
+    if (error.permanent) {
+      await CampaignService.updateRecipientStatus(recipientId, 'failed', error.message);
+      await finalizeCampaign(campaignId);
+      return { failed: true, error: error.message };
+    }
+
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+    if (!finalAttempt) {
+      // Keep the latest error visible while Bull backs off and retries
+      await CampaignService.updateRecipientStatus(recipientId, 'queued', error.message);
+      throw error;
+    }
+
+    await CampaignService.updateRecipientStatus(recipientId, 'failed', error.message);
+    await finalizeCampaign(campaignId);
+    throw error;
+  }
+}
+
+/**
+ * Close the campaign out once no recipients are left to send
+ */
+async function finalizeCampaign(campaignId) {
+  const remaining = await CampaignService.countUnsentRecipients(campaignId);
+  if (remaining > 0) {
+    return;
+  }
+
+  // Only the worker that flips the status notifies, even with several finishing at once
+  const completed = await CampaignService.complete(campaignId);
+  if (!completed) {
+    // Already closed out: a late retry finished, so bring the counters up to date
+    await CampaignService.refreshCounters(campaignId);
+    return;
+  }
+
+  console.log(`✅ Campaign ${campaignId} ${completed.status}: ${completed.sent_count} sent, ${completed.failed_count} failed`);
+
+  if (completed.webhook_url) {
+    // Delivered in the background with retries; a failing endpoint never affects the campaign
+    try {
+      await enqueueWebhookDelivery(completed.user_id, {
+        eventType: 'campaign.completed',
+        url: completed.webhook_url,
+        campaignId,
+        payload: {
+          campaignId,
+          status: completed.status,
+          results: {
+            total: completed.recipient_count,
+            successful: completed.sent_count,
+            failed: completed.failed_count
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Failed to queue completion webhook for campaign ${campaignId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Wrap rendered template content in the Tamyla email layout
+ */
+function renderEmailLayout(contentHtml, { unsubscribeUrl } = {}) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <title>Tamyla African Trading Network</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+        .header { background: #059669; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; }
+        .footer { padding: 20px; color: #6b7280; font-size: 12px; text-align: center; }
+      </style>
+    </head>
+    <body>
+      <div class="header">
+        <h1>🌍 Tamyla African Trading Network</h1>
+        <p>Connecting African exporters and importers</p>
+      </div>
+      
+      <div class="content">
+        ${contentHtml}
+      </div>
+
+      <div class="footer">
+        <p>You are receiving this because you are part of the Tamyla trading network.</p>
+        <p><a href="${unsubscribeUrl}">Unsubscribe</a></p>
+      </div>
+    </body>
+    </html>
+  `;
+}
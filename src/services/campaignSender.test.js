@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+
+const queue = { add: jest.fn(), addBulk: jest.fn(), process: jest.fn() };
+const provider = { name: 'africastalking', send: jest.fn() };
+const CampaignService = {
+  getRecipientForSend: jest.fn(),
+  updateRecipientStatus: jest.fn(),
+  recordSend: jest.fn(),
+  countUnsentRecipients: jest.fn(),
+  complete: jest.fn(),
+  refreshCounters: jest.fn(),
+  setStatus: jest.fn(),
+  snapshotAudience: jest.fn(),
+  skipSuppressedRecipients: jest.fn(),
+  getRecipients: jest.fn(),
+  markRecipientsQueued: jest.fn()
+};
+const SuppressionService = { check: jest.fn() };
+
+jest.unstable_mockModule('../config/queue.js', () => ({ getQueue: () => queue }));
+jest.unstable_mockModule('../channels/index.js', () => ({ getProvider: () => provider }));
+jest.unstable_mockModule('./campaignService.js', () => ({ default: CampaignService }));
+jest.unstable_mockModule('./templateService.js', () => ({
+  default: {
+    getById: jest.fn().mockResolvedValue({ id: 't1' }),
+    render: jest.fn().mockReturnValue({ subject: 'Hi', html: '<p>Hi</p>', text: 'Hi' })
+  }
+}));
+jest.unstable_mockModule('./whatsappSessionService.js', () => ({ default: {} }));
+jest.unstable_mockModule('./trackingService.js', () => ({
+  default: { getUnsubscribeUrl: () => 'https://example.com/u/trk' }
+}));
+jest.unstable_mockModule('./suppressionService.js', () => ({ default: SuppressionService }));
+jest.unstable_mockModule('./webhookDispatcher.js', () => ({ enqueueWebhookDelivery: jest.fn() }));
+
+const { enqueueCampaign, startCampaignWorker } = await import('./campaignSender.js');
+
+const smsRecipient = {
+  id: 'r1',
+  status: 'queued',
+  channel: 'sms',
+  phone: '+254711000000',
+  campaign_user_id: 'user-1',
+  template_id: 't1',
+  tracking_id: 'trk'
+};
+
+const job = (attemptsMade = 0) => ({ data: { campaignId: 'c1', recipientId: 'r1' }, attemptsMade, opts: { attempts: 3 } });
+
+describe('campaignSender', () => {
+  let processRecipientJob;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    startCampaignWorker();
+    processRecipientJob = queue.process.mock.calls[0][1];
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignService.getRecipientForSend.mockResolvedValue(smsRecipient);
+    CampaignService.countUnsentRecipients.mockResolvedValue(1);
+    SuppressionService.check.mockResolvedValue(null);
+  });
+
+  test('a sent message is recorded with its provider message ID', async () => {
+    provider.send.mockResolvedValueOnce({ providerMessageId: 'ATXid_1' });
+
+    await processRecipientJob(job());
+
+    expect(CampaignService.recordSend).toHaveBeenCalledWith('r1', expect.objectContaining({ providerMessageId: 'ATXid_1', segments: 1 }));
+  });
+
+  test('a permanent provider failure fails the recipient without a retry', async () => {
+    provider.send.mockRejectedValueOnce(Object.assign(new Error('SMS rejected: InvalidPhoneNumber'), { permanent: true }));
+
+    await expect(processRecipientJob(job())).resolves.toEqual({ failed: true, error: 'SMS rejected: InvalidPhoneNumber' });
+    expect(CampaignService.updateRecipientStatus).toHaveBeenCalledWith('r1', 'failed', 'SMS rejected: InvalidPhoneNumber');
+  });
+
+  test('other failures are retried until the last attempt', async () => {
+    provider.send.mockRejectedValue(new Error('SMS gateway failed: 503'));
+
+    await expect(processRecipientJob(job(0))).rejects.toThrow('503');
+    expect(CampaignService.updateRecipientStatus).toHaveBeenLastCalledWith('r1', 'queued', 'SMS gateway failed: 503');
+
+    await expect(processRecipientJob(job(2))).rejects.toThrow('503');
+    expect(CampaignService.updateRecipientStatus).toHaveBeenLastCalledWith('r1', 'failed', 'SMS gateway failed: 503');
+  });
+
+  test('suppressed addresses are skipped', async () => {
+    SuppressionService.check.mockResolvedValueOnce({ reason: 'unsubscribed' });
+
+    await expect(processRecipientJob(job())).resolves.toEqual({ skipped: true, reason: 'unsubscribed' });
+    expect(provider.send).not.toHaveBeenCalled();
+  });
+
+  test('enqueueing queues one job per pending recipient', async () => {
+    CampaignService.skipSuppressedRecipients.mockResolvedValueOnce(1);
+    CampaignService.getRecipients.mockResolvedValueOnce([{ id: 'r1' }, { id: 'r2' }]);
+
+    await expect(enqueueCampaign({ id: 'c1', channel: 'sms' })).resolves.toEqual({ queued: 2, skipped: 1 });
+    expect(queue.addBulk.mock.calls[0][0].map(entry => entry.opts.jobId)).toEqual(['r1', 'r2']);
+    expect(CampaignService.markRecipientsQueued).toHaveBeenCalledWith('c1');
+  });
+
+  test('a campaign that cannot be enqueued is marked failed', async () => {
+    CampaignService.snapshotAudience.mockRejectedValueOnce(new Error('database unavailable'));
+
+    await expect(enqueueCampaign({ id: 'c1' })).rejects.toThrow('database unavailable');
+    expect(CampaignService.setStatus).toHaveBeenLastCalledWith('c1', 'failed');
+  });
+});
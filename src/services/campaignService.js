@@ -0,0 +1,731 @@
+import pool from '../config/database.js';
+import TemplateService from './templateService.js';
+import AudienceService from './audienceService.js';
+import { emitWebhookEvent } from './webhookDispatcher.js';
+
+// Campaigns can only be edited or rescheduled before sending starts
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+// Recipient statuses counted as sent (complaints were delivered) and as failed
+const SENT_STATUSES = "'sent', 'delivered', 'read', 'complained'";
+const FAILED_STATUSES = "'failed', 'bounced'";
+
+// A campaign still sending this long after it was claimed, with recipients never queued,
+// lost its enqueue to a crash or deploy and is enqueued again
+const STALLED_SENDING_SECONDS = parseInt(process.env.CAMPAIGN_SENDING_STALLED_TIMEOUT) || 900;
+
+class CampaignService {
+  /**
+   * Create a campaign for an audience of contacts, segments, lists and tags.
+   * Recipients are resolved again and snapshotted when sending starts;
+   * recipient_count is the estimate at creation time.
+   */
+  static async create(userId, campaignData) {
+    const {
+      name,
+      template_id: templateId,
+      scheduled_at: scheduledAt = null,
+      webhook_url: webhookUrl = null,
+      variables = {},
+      metadata = {}
+    } = campaignData;
+
+    const template = await this.assertTemplateAccessible(userId, templateId);
+
+    const audience = AudienceService.normalize(campaignData);
+    const { summary } = await AudienceService.resolve(userId, audience, { channel: template.channel });
+    if (summary.recipients === 0) {
+      throw new Error('No valid contacts found for campaign');
+    }
+
+    const result = await pool.query(`
+      INSERT INTO campaigns (
+        user_id, template_id, name, channel, status, recipient_count,
+        scheduled_at, webhook_url, variables, metadata, audience
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      userId,
+      templateId,
+      name,
+      template.channel,
+      scheduledAt ? 'scheduled' : 'draft',
+      summary.recipients,
+      scheduledAt,
+      webhookUrl,
+      JSON.stringify(variables),
+      JSON.stringify(metadata),
+      JSON.stringify(audience)
+    ]);
+
+    const campaign = result.rows[0];
+
+    await this.notifyStatusChange(campaign, null);
+    return campaign;
+  }
+
+  /**
+   * Resolve a campaign's audience and snapshot it into campaign_recipients.
+   * Runs once per campaign; campaigns created before audiences existed keep
+   * the recipients they were created with.
+   * @returns {Promise<Object|null>} Audience summary, or null when there was nothing to snapshot
+   */
+  static async snapshotAudience(campaignId) {
+    const campaignResult = await pool.query(
+      'SELECT id, user_id, channel, audience, audience_resolved_at FROM campaigns WHERE id = $1',
+      [campaignId]
+    );
+    const campaign = campaignResult.rows[0];
+    if (!campaign || !campaign.audience || campaign.audience_resolved_at) {
+      return null;
+    }
+
+    const { contacts, summary } = await AudienceService.resolve(campaign.user_id, campaign.audience, {
+      channel: campaign.channel
+    });
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Claiming the snapshot keeps a concurrent enqueue from adding recipients twice
+      const claimed = await client.query(`
+        UPDATE campaigns
+        SET audience_resolved_at = NOW(),
+            audience_summary = $2,
+            recipient_count = $3,
+            updated_at = NOW()
+        WHERE id = $1 AND audience_resolved_at IS NULL
+        RETURNING id
+      `, [campaignId, JSON.stringify(summary), contacts.length]);
+
+      if (claimed.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      await client.query(`
+        INSERT INTO campaign_recipients (campaign_id, contact_id)
+        SELECT $1, unnest($2::uuid[])
+        ON CONFLICT (campaign_id, contact_id) DO NOTHING
+      `, [campaignId, contacts.map(contact => contact.id)]);
+
+      await client.query('COMMIT');
+      return summary;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get campaigns for a user with pagination and status filtering
+   */
+  static async getByUser(userId, options = {}) {
+    const { page = 1, limit = 50, status } = options;
+    const offset = (page - 1) * limit;
+
+    let where = 'WHERE user_id = $1';
+    const values = [userId];
+
+    if (status) {
+      values.push(status);
+      where += ` AND status = $${values.length}`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT *
+        FROM campaigns
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM campaigns ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      campaigns: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a single campaign by ID
+   */
+  static async getById(userId, campaignId) {
+    const result = await pool.query(
+      'SELECT * FROM campaigns WHERE id = $1 AND user_id = $2',
+      [campaignId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get delivery status, counters, opens, clicks, timings and error breakdown for a campaign
+   */
+  static async getStats(userId, campaignId, options = {}) {
+    const { includeMachineOpens = false } = options;
+
+    const campaign = await this.getById(userId, campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    const [countsResult, errorsResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          COUNT(*) AS total,
+          COUNT(*) FILTER (WHERE status IN (${SENT_STATUSES})) AS sent,
+          COUNT(*) FILTER (WHERE status IN ('delivered', 'read') OR delivered_at IS NOT NULL) AS delivered,
+          COUNT(*) FILTER (WHERE status = 'read') AS read,
+          COUNT(*) FILTER (WHERE status IN (${FAILED_STATUSES})) AS failed,
+          COUNT(*) FILTER (WHERE status = 'bounced') AS bounced,
+          COUNT(*) FILTER (WHERE status = 'complained') AS complained,
+          COUNT(*) FILTER (WHERE status = 'skipped') AS skipped,
+          COUNT(*) FILTER (WHERE status IN ('pending', 'queued')) AS pending,
+          COUNT(*) FILTER (WHERE unsubscribed_at IS NOT NULL) AS unsubscribed,
+          SUM(segments) AS segments,
+          COUNT(*) FILTER (
+            WHERE open_count > 0 OR ($2::boolean AND machine_open_count > 0)
+          ) AS unique_opens,
+          COALESCE(SUM(open_count + CASE WHEN $2::boolean THEN machine_open_count ELSE 0 END), 0) AS total_opens,
+          COALESCE(SUM(machine_open_count), 0) AS machine_opens,
+          COUNT(*) FILTER (WHERE click_count > 0) AS unique_clicks,
+          COALESCE(SUM(click_count), 0) AS total_clicks,
+          MIN(sent_at) AS first_sent_at,
+          MAX(sent_at) AS last_sent_at
+        FROM campaign_recipients
+        WHERE campaign_id = $1
+      `, [campaignId, includeMachineOpens]),
+      pool.query(`
+        SELECT
+          COALESCE(cr.error_message, 'Unknown error') AS message,
+          COUNT(*) AS count,
+          (array_agg(
+            json_build_object('recipientId', cr.id, 'contactId', cr.contact_id, 'email', c.email)
+            ORDER BY c.email
+          ))[1:10] AS recipients
+        FROM campaign_recipients cr
+        JOIN contacts c ON c.id = cr.contact_id
+        WHERE cr.campaign_id = $1 AND cr.status IN (${FAILED_STATUSES})
+        GROUP BY COALESCE(cr.error_message, 'Unknown error')
+        ORDER BY count DESC
+        LIMIT 20
+      `, [campaignId])
+    ]);
+
+    const counts = countsResult.rows[0];
+    const sent = parseInt(counts.sent);
+    const uniqueOpens = parseInt(counts.unique_opens);
+    const uniqueClicks = parseInt(counts.unique_clicks);
+    const startedAt = campaign.sent_at;
+    const completedAt = campaign.completed_at;
+
+    return {
+      campaignId: campaign.id,
+      name: campaign.name,
+      channel: campaign.channel,
+      status: campaign.status,
+      stats: {
+        total: parseInt(counts.total),
+        sent,
+        delivered: parseInt(counts.delivered),
+        read: parseInt(counts.read),
+        failed: parseInt(counts.failed),
+        bounced: parseInt(counts.bounced),
+        complained: parseInt(counts.complained),
+        skipped: parseInt(counts.skipped),
+        pending: parseInt(counts.pending),
+        unsubscribed: parseInt(counts.unsubscribed),
+        // Billable SMS segments; null for channels that are not metered per segment
+        segments: counts.segments === null ? null : parseInt(counts.segments)
+      },
+      opens: {
+        unique: uniqueOpens,
+        total: parseInt(counts.total_opens),
+        machine: parseInt(counts.machine_opens),
+        includesMachineOpens: includeMachineOpens,
+        rate: sent > 0 ? Math.round((uniqueOpens / sent) * 10000) / 100 : 0
+      },
+      clicks: {
+        unique: uniqueClicks,
+        total: parseInt(counts.total_clicks),
+        rate: sent > 0 ? Math.round((uniqueClicks / sent) * 10000) / 100 : 0
+      },
+      timings: {
+        createdAt: campaign.created_at,
+        scheduledAt: campaign.scheduled_at,
+        startedAt,
+        completedAt,
+        firstSentAt: counts.first_sent_at,
+        lastSentAt: counts.last_sent_at,
+        durationMs: startedAt && completedAt
+          ? new Date(completedAt).getTime() - new Date(startedAt).getTime()
+          : null
+      },
+      errors: errorsResult.rows.map(row => ({
+        message: row.message,
+        count: parseInt(row.count),
+        recipients: row.recipients
+      }))
+    };
+  }
+
+  /**
+   * Update a campaign that has not started sending
+   */
+  static async update(userId, campaignId, updateData) {
+    const campaign = await this.getById(userId, campaignId);
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      throw new Error(`Campaign is ${campaign.status} and cannot be modified`);
+    }
+
+    const allowedFields = ['name', 'template_id', 'scheduled_at', 'webhook_url', 'variables'];
+    const fields = Object.fromEntries(
+      Object.entries(updateData).filter(([key, value]) => allowedFields.includes(key) && value !== undefined)
+    );
+
+    if (updateData.template_id) {
+      const template = await this.assertTemplateAccessible(userId, updateData.template_id);
+      // The channel always follows the template
+      fields.channel = template.channel;
+    }
+
+    // A new audience replaces the old one and refreshes the estimate
+    if (['audience', 'contact_ids', 'segment_id'].some(key => updateData[key] !== undefined)) {
+      const audience = AudienceService.normalize(updateData);
+      const { summary } = await AudienceService.resolve(userId, audience, {
+        channel: fields.channel || campaign.channel
+      });
+      if (summary.recipients === 0) {
+        throw new Error('No valid contacts found for campaign');
+      }
+
+      fields.audience = audience;
+      fields.recipient_count = summary.recipients;
+    }
+
+    const jsonFields = ['variables', 'audience'];
+    const updates = [];
+    const values = [];
+
+    Object.entries(fields).forEach(([key, value]) => {
+      values.push(jsonFields.includes(key) ? JSON.stringify(value) : value);
+      updates.push(`${key} = $${values.length}`);
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    // Setting or clearing the schedule moves the campaign between draft and scheduled
+    if (updateData.scheduled_at !== undefined) {
+      values.push(updateData.scheduled_at ? 'scheduled' : 'draft');
+      updates.push(`status = $${values.length}`);
+    }
+
+    updates.push('updated_at = NOW()');
+    values.push(campaignId, userId);
+
+    const result = await pool.query(`
+      UPDATE campaigns
+      SET ${updates.join(', ')}
+      WHERE id = $${values.length - 1} AND user_id = $${values.length}
+      RETURNING *
+    `, values);
+
+    await this.notifyStatusChange(result.rows[0], campaign.status);
+    return result.rows[0];
+  }
+
+  /**
+   * List scheduled campaigns that have not been sent yet, soonest first
+   */
+  static async getUpcoming(userId, options = {}) {
+    const { limit = 50 } = options;
+
+    const result = await pool.query(`
+      SELECT *
+      FROM campaigns
+      WHERE user_id = $1 AND status = 'scheduled'
+      ORDER BY scheduled_at ASC
+      LIMIT $2
+    `, [userId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Move a draft or scheduled campaign to a new send time
+   */
+  static async reschedule(userId, campaignId, scheduledAt) {
+    return this.update(userId, campaignId, { scheduled_at: scheduledAt });
+  }
+
+  /**
+   * Cancel a scheduled send; the campaign is kept for reference
+   */
+  static async cancel(userId, campaignId) {
+    const result = await pool.query(`
+      UPDATE campaigns
+      SET status = 'cancelled', updated_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND status = 'scheduled'
+      RETURNING *
+    `, [campaignId, userId]);
+
+    if (result.rows.length === 0) {
+      const campaign = await this.getById(userId, campaignId);
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+      throw new Error(`Campaign is ${campaign.status} and cannot be cancelled`);
+    }
+
+    await this.notifyStatusChange(result.rows[0], 'scheduled');
+    return result.rows[0];
+  }
+
+  /**
+   * Atomically claim scheduled campaigns whose send time has passed.
+   * SKIP LOCKED lets several engine instances poll without double-sending.
+   */
+  static async claimDueCampaigns(limit = 10) {
+    const result = await pool.query(`
+      UPDATE campaigns
+      SET status = 'sending', sent_at = COALESCE(sent_at, NOW()), updated_at = NOW()
+      WHERE id IN (
+        SELECT id
+        FROM campaigns
+        WHERE status = 'scheduled' AND scheduled_at <= NOW()
+        ORDER BY scheduled_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit]);
+
+    for (const campaign of result.rows) {
+      await this.notifyStatusChange(campaign, 'scheduled');
+    }
+    return result.rows;
+  }
+
+  /**
+   * Atomically claim sending campaigns whose enqueue never finished: their audience
+   * was never snapshotted or some recipients are still pending. Claiming bumps
+   * updated_at, so a campaign is only picked up again after another full timeout.
+   */
+  static async claimStalledCampaigns(limit = 10) {
+    const result = await pool.query(`
+      UPDATE campaigns
+      SET updated_at = NOW()
+      WHERE id IN (
+        SELECT c.id
+        FROM campaigns c
+        WHERE c.status = 'sending'
+          AND c.updated_at < NOW() - ($2 * INTERVAL '1 second')
+          AND (
+            (c.audience IS NOT NULL AND c.audience_resolved_at IS NULL)
+            OR EXISTS (
+              SELECT 1 FROM campaign_recipients cr
+              WHERE cr.campaign_id = c.id AND cr.status = 'pending'
+            )
+          )
+        ORDER BY c.updated_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, STALLED_SENDING_SECONDS]);
+    return result.rows;
+  }
+
+  /**
+   * Delete a campaign (recipients cascade)
+   */
+  static async delete(userId, campaignId) {
+    const campaign = await this.getById(userId, campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    if (campaign.status === 'sending') {
+      throw new Error('Campaign is sending and cannot be deleted');
+    }
+
+    const result = await pool.query(
+      'DELETE FROM campaigns WHERE id = $1 AND user_id = $2 RETURNING *',
+      [campaignId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get recipients joined with their contact details (for sending)
+   */
+  static async getRecipients(campaignId, { status } = {}) {
+    let query = `
+      SELECT cr.id, cr.contact_id, cr.status, cr.tracking_id,
+             c.email, c.name, c.company, c.tags, c.metadata, c.custom_fields
+      FROM campaign_recipients cr
+      JOIN contacts c ON c.id = cr.contact_id
+      WHERE cr.campaign_id = $1
+    `;
+    const values = [campaignId];
+
+    if (status) {
+      values.push(status);
+      query += ` AND cr.status = $${values.length}`;
+    }
+
+    const result = await pool.query(query, values);
+    return result.rows;
+  }
+
+  /**
+   * Get one recipient with everything needed to render and send its message
+   */
+  static async getRecipientForSend(recipientId) {
+    const result = await pool.query(`
+      SELECT cr.id, cr.campaign_id, cr.contact_id, cr.status, cr.tracking_id,
+             c.email, c.phone, c.name, c.company, c.tags, c.metadata, c.custom_fields,
+             ca.user_id AS campaign_user_id, ca.template_id, ca.channel,
+             ca.variables AS campaign_variables
+      FROM campaign_recipients cr
+      JOIN contacts c ON c.id = cr.contact_id
+      JOIN campaigns ca ON ca.id = cr.campaign_id
+      WHERE cr.id = $1
+    `, [recipientId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Skip pending recipients whose address is on the account's or the global suppression list.
+   * Returns the number of recipients skipped.
+   */
+  static async skipSuppressedRecipients(campaignId) {
+    const result = await pool.query(`
+      UPDATE campaign_recipients cr
+      SET status = 'skipped',
+          error_message = 'Suppressed: ' || s.reason
+      FROM campaigns ca, contacts c, suppressions s
+      WHERE cr.campaign_id = $1
+        AND cr.status = 'pending'
+        AND ca.id = cr.campaign_id
+        AND c.id = cr.contact_id
+        AND s.channel = ca.channel
+        AND (s.user_id = ca.user_id OR s.user_id IS NULL)
+        AND s.address = CASE
+          WHEN ca.channel = 'email' THEN LOWER(TRIM(c.email))
+          ELSE regexp_replace(COALESCE(c.phone, ''), '\\D', '', 'g')
+        END
+      RETURNING cr.id
+    `, [campaignId]);
+    return result.rowCount;
+  }
+
+  /**
+   * Mark pending recipients as handed to the send queue
+   */
+  static async markRecipientsQueued(campaignId) {
+    await pool.query(`
+      UPDATE campaign_recipients
+      SET status = 'queued'
+      WHERE campaign_id = $1 AND status = 'pending'
+    `, [campaignId]);
+  }
+
+  /**
+   * Count recipients that have not reached a final delivery status
+   */
+  static async countUnsentRecipients(campaignId) {
+    const result = await pool.query(`
+      SELECT COUNT(*)
+      FROM campaign_recipients
+      WHERE campaign_id = $1 AND status IN ('pending', 'queued')
+    `, [campaignId]);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Mark a recipient as sent and remember which provider message it became
+   */
+  static async recordSend(recipientId, { provider, providerMessageId, segments = null }) {
+    await pool.query(`
+      UPDATE campaign_recipients
+      SET status = 'sent',
+          error_message = NULL,
+          sent_at = NOW(),
+          provider = $2,
+          provider_message_id = $3,
+          segments = $4
+      WHERE id = $1
+    `, [recipientId, provider, providerMessageId, segments]);
+  }
+
+  /**
+   * Apply a delivery report from a provider callback.
+   * Reports can arrive out of order, so a status never moves back along
+   * sent → delivered → read; failures always apply.
+   */
+  static async recordDeliveryStatus(provider, providerMessageId, { status, errorMessage = null }) {
+    const result = await pool.query(`
+      UPDATE campaign_recipients
+      SET status = $3::varchar,
+          error_message = $4,
+          delivered_at = CASE WHEN $3::varchar IN ('delivered', 'read') THEN COALESCE(delivered_at, NOW()) ELSE delivered_at END,
+          read_at = CASE WHEN $3::varchar = 'read' THEN COALESCE(read_at, NOW()) ELSE read_at END
+      WHERE provider = $1 AND provider_message_id = $2
+        AND status IN ('sent', 'delivered', 'read')
+        AND ($3::varchar = 'failed'
+          OR array_position(ARRAY['sent', 'delivered', 'read']::varchar[], status)
+            <= array_position(ARRAY['sent', 'delivered', 'read']::varchar[], $3::varchar))
+      RETURNING *
+    `, [provider, providerMessageId, status, errorMessage]);
+
+    const recipient = result.rows[0];
+    if (!recipient) {
+      return null;
+    }
+
+    await this.refreshCounters(recipient.campaign_id);
+
+    return recipient;
+  }
+
+  /**
+   * Recount sent and failed recipients of a campaign that has already been closed out,
+   * so delivery reports and retries arriving afterwards are reflected
+   */
+  static async refreshCounters(campaignId) {
+    await pool.query(`
+      UPDATE campaigns c
+      SET sent_count = totals.sent,
+          failed_count = totals.failed,
+          updated_at = NOW()
+      FROM (
+        SELECT
+          COUNT(*) FILTER (WHERE status IN (${SENT_STATUSES})) AS sent,
+          COUNT(*) FILTER (WHERE status IN (${FAILED_STATUSES})) AS failed
+        FROM campaign_recipients
+        WHERE campaign_id = $1
+      ) totals
+      WHERE c.id = $1 AND c.status IN ('completed', 'failed')
+    `, [campaignId]);
+  }
+
+  /**
+   * Record the delivery outcome for a single recipient
+   */
+  static async updateRecipientStatus(recipientId, status, errorMessage = null) {
+    await pool.query(`
+      UPDATE campaign_recipients
+      SET status = $2::varchar,
+          error_message = $3,
+          sent_at = CASE WHEN $2::varchar = 'sent' THEN NOW() ELSE sent_at END
+      WHERE id = $1
+    `, [recipientId, status, errorMessage]);
+  }
+
+  /**
+   * Move a campaign to a new status
+   */
+  static async setStatus(campaignId, status) {
+    // The subquery sees the row as it was before this update
+    const result = await pool.query(`
+      UPDATE campaigns c
+      SET status = $2::varchar,
+          sent_at = CASE WHEN $2::varchar = 'sending' THEN COALESCE(c.sent_at, NOW()) ELSE c.sent_at END,
+          updated_at = NOW()
+      FROM (SELECT status FROM campaigns WHERE id = $1) previous
+      WHERE c.id = $1
+      RETURNING c.*, previous.status AS previous_status
+    `, [campaignId, status]);
+
+    if (!result.rows[0]) {
+      return null;
+    }
+
+    const { previous_status: previousStatus, ...campaign } = result.rows[0];
+    await this.notifyStatusChange(campaign, previousStatus);
+    return campaign;
+  }
+
+  /**
+   * Roll recipient outcomes up into the campaign counters and close it out.
+   * Returns null when the campaign was not sending (already closed by another worker).
+   */
+  static async complete(campaignId) {
+    const result = await pool.query(`
+      UPDATE campaigns c
+      SET sent_count = totals.sent,
+          failed_count = totals.failed,
+          status = CASE WHEN totals.sent = 0 AND totals.failed > 0 THEN 'failed' ELSE 'completed' END,
+          completed_at = NOW(),
+          updated_at = NOW()
+      FROM (
+        SELECT
+          COUNT(*) FILTER (WHERE status IN (${SENT_STATUSES})) AS sent,
+          COUNT(*) FILTER (WHERE status IN (${FAILED_STATUSES})) AS failed
+        FROM campaign_recipients
+        WHERE campaign_id = $1
+      ) totals
+      WHERE c.id = $1 AND c.status = 'sending'
+      RETURNING c.*
+    `, [campaignId]);
+
+    await this.notifyStatusChange(result.rows[0], 'sending');
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Tell webhook subscribers that a campaign moved to a new status
+   * @private
+   */
+  static async notifyStatusChange(campaign, previousStatus) {
+    if (!campaign || campaign.status === previousStatus) {
+      return;
+    }
+
+    await emitWebhookEvent(campaign.user_id, 'campaign.status_changed', {
+      campaignId: campaign.id,
+      name: campaign.name,
+      channel: campaign.channel,
+      status: campaign.status,
+      previousStatus,
+      recipientCount: campaign.recipient_count,
+      sentCount: campaign.sent_count,
+      failedCount: campaign.failed_count
+    }, { campaignId: campaign.id });
+  }
+
+  /**
+   * Ensure the template belongs to the user or is a shared default
+   * @private
+   */
+  static async assertTemplateAccessible(userId, templateId) {
+    const template = await TemplateService.getById(userId, templateId);
+
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    return template;
+  }
+}
+
+export default CampaignService;
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+
+const pool = { query: jest.fn(), connect: jest.fn() };
+const TemplateService = { getById: jest.fn() };
+const emitWebhookEvent = jest.fn();
+
+jest.unstable_mockModule('../config/database.js', () => ({ default: pool }));
+jest.unstable_mockModule('./templateService.js', () => ({ default: TemplateService }));
+jest.unstable_mockModule('./webhookDispatcher.js', () => ({ emitWebhookEvent }));
+
+const { default: AudienceService } = await import('./audienceService.js');
+const { default: CampaignService } = await import('./campaignService.js');
+
+const audienceOf = (recipients) => ({ contacts: [], summary: { recipients } });
+
+describe('CampaignService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(AudienceService, 'resolve').mockResolvedValue(audienceOf(3));
+    TemplateService.getById.mockResolvedValue({ id: 'tpl-sms', channel: 'sms' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('create takes the channel from the template and estimates recipients', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'c1', user_id: 'user-1', status: 'draft' }] });
+
+    await CampaignService.create('user-1', { name: 'Launch', template_id: 'tpl-sms', segment_id: 'seg-1' });
+
+    expect(AudienceService.resolve).toHaveBeenCalledWith('user-1', expect.objectContaining({ segment_ids: ['seg-1'] }), { channel: 'sms' });
+    const [, values] = pool.query.mock.calls[0];
+    expect(values.slice(3, 6)).toEqual(['sms', 'draft', 3]);
+    expect(emitWebhookEvent).toHaveBeenCalledWith('user-1', 'campaign.status_changed',
+      expect.objectContaining({ status: 'draft', previousStatus: null }), { campaignId: 'c1' });
+  });
+
+  test('create refuses an audience with no reachable contacts', async () => {
+    AudienceService.resolve.mockResolvedValue(audienceOf(0));
+
+    await expect(CampaignService.create('user-1', { name: 'Launch', template_id: 'tpl-sms', contact_ids: ['x'] }))
+      .rejects.toThrow('No valid contacts found');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('update follows a new template channel and re-estimates a new audience', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 'c1', user_id: 'user-1', status: 'draft', channel: 'email' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1', user_id: 'user-1', status: 'draft', channel: 'sms' }] });
+
+    await CampaignService.update('user-1', 'c1', { template_id: 'tpl-sms', contact_ids: ['x', 'y', 'z'] });
+
+    expect(AudienceService.resolve).toHaveBeenCalledWith('user-1', expect.any(Object), { channel: 'sms' });
+    const [sql, values] = pool.query.mock.calls[1];
+    expect(sql).toContain('channel = $2');
+    expect(sql).toContain('recipient_count = $4');
+    expect(values).toEqual(['tpl-sms', 'sms', expect.stringContaining('"contact_ids":["x","y","z"]'), 3, 'c1', 'user-1']);
+    expect(emitWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  test('setting a schedule moves a draft to scheduled', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 'c1', user_id: 'user-1', status: 'draft' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1', user_id: 'user-1', status: 'scheduled' }] });
+
+    await CampaignService.update('user-1', 'c1', { scheduled_at: '2030-01-01T00:00:00Z' });
+
+    expect(pool.query.mock.calls[1][0]).toContain('status = $2');
+    expect(pool.query.mock.calls[1][1]).toEqual(['2030-01-01T00:00:00Z', 'scheduled', 'c1', 'user-1']);
+    expect(emitWebhookEvent).toHaveBeenCalledWith('user-1', 'campaign.status_changed',
+      expect.objectContaining({ status: 'scheduled', previousStatus: 'draft' }), { campaignId: 'c1' });
+  });
+
+  test('a campaign that started sending cannot be edited', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'c1', status: 'sending' }] });
+
+    await expect(CampaignService.update('user-1', 'c1', { name: 'Renamed' }))
+      .rejects.toThrow('Campaign is sending and cannot be modified');
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('an unknown campaign is reported as not found', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(CampaignService.update('user-1', 'c1', { name: 'Renamed' })).rejects.toThrow('Campaign not found');
+  });
+});
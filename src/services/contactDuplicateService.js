@@ -0,0 +1,242 @@
+import pool from '../config/database.js';
+import CampaignService from './campaignService.js';
+
+// Names at least this similar (pg_trgm, 0-1) count as a match when the companies agree
+export const DEFAULT_NAME_SIMILARITY = 0.6;
+
+const CONTACT_COLUMNS = 'id, email, name, company, phone, tags, metadata, custom_fields, consent_status, created_at, updated_at';
+
+class ContactDuplicateService {
+  /**
+   * Find pairs of contacts that are probably the same person: the same mailbox once
+   * emails are normalised, or similar names at the same company.
+   * Pass contactId to only look for duplicates of that contact.
+   */
+  static async findCandidates(userId, options = {}) {
+    const { page = 1, limit = 50, contactId = null, minNameSimilarity = DEFAULT_NAME_SIMILARITY } = options;
+    const offset = (page - 1) * limit;
+
+    // Each pair appears once, lower ID first, however many rules it matched
+    const result = await pool.query(`
+      WITH matches AS (
+        SELECT a.id AS contact_id, b.id AS duplicate_id, 'email' AS reason, 1::real AS score
+        FROM contacts a
+        JOIN contacts b ON b.user_id = a.user_id
+          AND normalize_email(b.email) = normalize_email(a.email)
+          AND b.id > a.id
+        WHERE a.user_id = $1 AND ($2::uuid IS NULL OR $2 IN (a.id, b.id))
+        UNION ALL
+        SELECT a.id, b.id, 'name_and_company', similarity(a.name, b.name)
+        FROM contacts a
+        JOIN contacts b ON b.user_id = a.user_id
+          AND normalize_company(b.company) = normalize_company(a.company)
+          AND b.id > a.id
+        WHERE a.user_id = $1 AND ($2::uuid IS NULL OR $2 IN (a.id, b.id))
+          AND similarity(a.name, b.name) >= $3
+      )
+      SELECT contact_id, duplicate_id, MAX(score) AS score,
+             array_agg(reason ORDER BY reason) AS reasons,
+             COUNT(*) OVER () AS total
+      FROM matches
+      GROUP BY contact_id, duplicate_id
+      ORDER BY score DESC, contact_id, duplicate_id
+      LIMIT $4 OFFSET $5
+    `, [userId, contactId, minNameSimilarity, limit, offset]);
+
+    const ids = result.rows.flatMap(row => [row.contact_id, row.duplicate_id]);
+    const contactsResult = await pool.query(
+      `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE id = ANY($1::uuid[])`,
+      [ids]
+    );
+    const contactsById = new Map(contactsResult.rows.map(contact => [contact.id, contact]));
+
+    const total = result.rows.length > 0 ? parseInt(result.rows[0].total) : 0;
+
+    return {
+      candidates: result.rows.map(row => ({
+        score: Math.round(row.score * 100) / 100,
+        reasons: row.reasons,
+        contacts: [contactsById.get(row.contact_id), contactsById.get(row.duplicate_id)]
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Merge a duplicate into the surviving contact and delete it. The survivor keeps its own
+   * values, gains the duplicate's tags and metadata, and fills empty fields (custom ones included) from it.
+   * Campaign history, list memberships and audit log entries move to the survivor.
+   * @returns {Promise<Object|null>} The survivor, the removed contact and what was moved, or null if either contact is missing
+   */
+  static async merge(userId, survivorId, duplicateId) {
+    if (survivorId === duplicateId) {
+      throw new Error('A contact cannot be merged into itself');
+    }
+
+    const client = await pool.connect();
+    let survivor, duplicate, summary, combinedCampaignIds;
+
+    try {
+      await client.query('BEGIN');
+
+      // Locked in a fixed order so two merges of the same pair cannot deadlock
+      const locked = await client.query(`
+        SELECT ${CONTACT_COLUMNS}
+        FROM contacts
+        WHERE user_id = $1 AND id = ANY($2::uuid[])
+        ORDER BY id
+        FOR UPDATE
+      `, [userId, [survivorId, duplicateId]]);
+
+      if (locked.rows.length < 2) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      duplicate = locked.rows.find(contact => contact.id === duplicateId);
+
+      // A revoked consent on either address applies to the person
+      const survivorResult = await client.query(`
+        UPDATE contacts s
+        SET name = COALESCE(NULLIF(s.name, ''), d.name),
+            company = COALESCE(NULLIF(s.company, ''), d.company),
+            phone = COALESCE(NULLIF(s.phone, ''), d.phone),
+            tags = COALESCE(s.tags, '[]'::jsonb) || (
+              SELECT COALESCE(jsonb_agg(tag), '[]'::jsonb)
+              FROM jsonb_array_elements(COALESCE(d.tags, '[]'::jsonb)) AS tag
+              WHERE NOT COALESCE(s.tags, '[]'::jsonb) @> jsonb_build_array(tag)
+            ),
+            metadata = jsonb_deep_merge(COALESCE(d.metadata, '{}'::jsonb), COALESCE(s.metadata, '{}'::jsonb)),
+            custom_fields = d.custom_fields || s.custom_fields,
+            consent_status = CASE
+              WHEN 'revoked' IN (s.consent_status, d.consent_status) THEN 'revoked'
+              WHEN s.consent_status = 'unknown' THEN d.consent_status
+              ELSE s.consent_status
+            END,
+            consent_updated_at = GREATEST(s.consent_updated_at, d.consent_updated_at),
+            updated_at = NOW()
+        FROM contacts d
+        WHERE s.id = $1 AND d.id = $2
+        RETURNING ${CONTACT_COLUMNS.split(', ').map(column => `s.${column}`).join(', ')}
+      `, [survivorId, duplicateId]);
+
+      // Campaigns both contacts were in keep the survivor's recipient row,
+      // with the duplicate's engagement and tracking events folded into it
+      const combined = await client.query(`
+        UPDATE campaign_recipients s
+        SET open_count = s.open_count + d.open_count,
+            machine_open_count = s.machine_open_count + d.machine_open_count,
+            click_count = s.click_count + d.click_count,
+            first_opened_at = LEAST(s.first_opened_at, d.first_opened_at),
+            last_opened_at = GREATEST(s.last_opened_at, d.last_opened_at),
+            first_clicked_at = LEAST(s.first_clicked_at, d.first_clicked_at),
+            last_clicked_at = GREATEST(s.last_clicked_at, d.last_clicked_at),
+            delivered_at = COALESCE(s.delivered_at, d.delivered_at),
+            read_at = COALESCE(s.read_at, d.read_at),
+            unsubscribed_at = COALESCE(s.unsubscribed_at, d.unsubscribed_at),
+            complained_at = COALESCE(s.complained_at, d.complained_at)
+        FROM campaign_recipients d
+        WHERE s.contact_id = $1 AND d.contact_id = $2 AND d.campaign_id = s.campaign_id
+        RETURNING s.id AS survivor_recipient_id, d.id AS duplicate_recipient_id, s.campaign_id
+      `, [survivorId, duplicateId]);
+
+      combinedCampaignIds = combined.rows.map(row => row.campaign_id);
+      if (combined.rows.length > 0) {
+        await client.query(`
+          UPDATE tracking_events t
+          SET recipient_id = pairs.survivor_recipient_id
+          FROM unnest($1::uuid[], $2::uuid[]) AS pairs(survivor_recipient_id, duplicate_recipient_id)
+          WHERE t.recipient_id = pairs.duplicate_recipient_id
+        `, [
+          combined.rows.map(row => row.survivor_recipient_id),
+          combined.rows.map(row => row.duplicate_recipient_id)
+        ]);
+
+        await client.query(
+          'DELETE FROM campaign_recipients WHERE id = ANY($1::uuid[])',
+          [combined.rows.map(row => row.duplicate_recipient_id)]
+        );
+
+        await client.query(`
+          UPDATE campaigns c
+          SET recipient_count = (SELECT COUNT(*) FROM campaign_recipients cr WHERE cr.campaign_id = c.id)
+          WHERE c.id = ANY($1::uuid[])
+        `, [combinedCampaignIds]);
+      }
+
+      const moved = await client.query(
+        'UPDATE campaign_recipients SET contact_id = $1 WHERE contact_id = $2',
+        [survivorId, duplicateId]
+      );
+
+      const lists = await client.query(`
+        INSERT INTO contact_list_members (list_id, contact_id)
+        SELECT list_id, $1 FROM contact_list_members WHERE contact_id = $2
+        ON CONFLICT (list_id, contact_id) DO NOTHING
+      `, [survivorId, duplicateId]);
+
+      await client.query(`
+        INSERT INTO import_job_updates (job_id, contact_id)
+        SELECT job_id, $1 FROM import_job_updates WHERE contact_id = $2
+        ON CONFLICT (job_id, contact_id) DO NOTHING
+      `, [survivorId, duplicateId]);
+
+      // Campaigns that have not resolved their audience yet would otherwise lose the person
+      await client.query(`
+        UPDATE campaigns
+        SET audience = jsonb_set(audience, '{contact_ids}', (
+              SELECT jsonb_agg(DISTINCT CASE WHEN contact_id = $2::text THEN $1::text ELSE contact_id END)
+              FROM jsonb_array_elements_text(audience->'contact_ids') AS contact_id
+            )),
+            updated_at = NOW()
+        WHERE user_id = $3 AND audience_resolved_at IS NULL AND audience->'contact_ids' ? $2::text
+      `, [survivorId, duplicateId, userId]);
+
+      const auditLogs = await client.query(`
+        UPDATE audit_logs
+        SET resource_id = $1,
+            metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('merged_from', $2::text)
+        WHERE user_id = $3 AND resource = 'contact' AND resource_id = $2::text
+      `, [survivorId, duplicateId, userId]);
+
+      summary = {
+        campaigns_moved: moved.rowCount,
+        campaigns_combined: combined.rows.length,
+        lists_added: lists.rowCount,
+        audit_logs_moved: auditLogs.rowCount
+      };
+
+      await client.query(`
+        INSERT INTO contact_merges (user_id, survivor_id, merged_contact_id, merged_contact, summary)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [userId, survivorId, duplicateId, JSON.stringify(duplicate), JSON.stringify(summary)]);
+
+      await client.query('DELETE FROM contacts WHERE id = $1', [duplicateId]);
+
+      await client.query('COMMIT');
+      survivor = survivorResult.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Sent and failed totals now count the combined recipients once
+    for (const campaignId of combinedCampaignIds) {
+      await CampaignService.refreshCounters(campaignId);
+    }
+
+    return {
+      contact: survivor,
+      mergedContact: duplicate,
+      summary
+    };
+  }
+}
+
+export default ContactDuplicateService;
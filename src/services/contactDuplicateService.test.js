@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+
+const client = { query: jest.fn(), release: jest.fn() };
+const pool = { query: jest.fn(), connect: jest.fn(async () => client) };
+const CampaignService = { refreshCounters: jest.fn() };
+
+jest.unstable_mockModule('../config/database.js', () => ({ default: pool }));
+jest.unstable_mockModule('./campaignService.js', () => ({ default: CampaignService }));
+
+const { default: ContactDuplicateService } = await import('./contactDuplicateService.js');
+
+const survivor = { id: 'a', email: 'ada@example.com', name: 'Ada' };
+const duplicate = { id: 'b', email: 'ada+news@example.com', name: null };
+
+// Answers the merge's statements in the order they run
+const respond = ({ locked = [survivor, duplicate], combined = [], failOn = null } = {}) => {
+  client.query.mockImplementation(async (sql) => {
+    if (failOn && sql.includes(failOn)) {
+      throw new Error('deadlock detected');
+    }
+    if (sql.includes('FOR UPDATE')) {
+      return { rows: locked };
+    }
+    if (sql.includes('UPDATE contacts s')) {
+      return { rows: [{ ...survivor, tags: ['vip'] }] };
+    }
+    if (sql.includes('UPDATE campaign_recipients s')) {
+      return { rows: combined };
+    }
+    return { rows: [], rowCount: sql.includes('SET contact_id = $1') ? 2 : 0 };
+  });
+};
+
+describe('ContactDuplicateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('candidate pairs come back with both contacts and a rounded score', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ contact_id: 'a', duplicate_id: 'b', score: 0.8333, reasons: ['name_and_company'], total: '1' }] })
+      .mockResolvedValueOnce({ rows: [survivor, duplicate] });
+
+    const result = await ContactDuplicateService.findCandidates('user-1');
+
+    expect(result.candidates).toEqual([{ score: 0.83, reasons: ['name_and_company'], contacts: [survivor, duplicate] }]);
+    expect(result.pagination).toEqual({ page: 1, limit: 50, total: 1, pages: 1 });
+  });
+
+  test('a merge moves history to the survivor and deletes the duplicate', async () => {
+    respond({ combined: [{ survivor_recipient_id: 'ra', duplicate_recipient_id: 'rb', campaign_id: 'c1' }] });
+
+    const result = await ContactDuplicateService.merge('user-1', 'a', 'b');
+
+    expect(result).toEqual({
+      contact: { ...survivor, tags: ['vip'] },
+      mergedContact: duplicate,
+      summary: { campaigns_moved: 2, campaigns_combined: 1, lists_added: 0, audit_logs_moved: 0 }
+    });
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM contacts WHERE id = $1', ['b']);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(CampaignService.refreshCounters).toHaveBeenCalledWith('c1');
+  });
+
+  test('a contact cannot be merged into itself', async () => {
+    await expect(ContactDuplicateService.merge('user-1', 'a', 'a')).rejects.toThrow('cannot be merged into itself');
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('a merge with a missing contact changes nothing', async () => {
+    respond({ locked: [survivor] });
+
+    await expect(ContactDuplicateService.merge('user-1', 'a', 'b')).resolves.toBeNull();
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('a failed merge is rolled back', async () => {
+    respond({ failOn: 'INSERT INTO contact_merges' });
+
+    await expect(ContactDuplicateService.merge('user-1', 'a', 'b')).rejects.toThrow('deadlock detected');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(CampaignService.refreshCounters).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,200 @@
+import pool from '../config/database.js';
+import { normalizeDefinition } from '../utils/customFields.js';
+
+const FIELD_COLUMNS = 'id, user_id, key, label, type, options, required, default_value, created_at, updated_at';
+
+// Unset options and defaults are stored as SQL NULL rather than JSON null
+const toJson = (value) => (value === null ? null : JSON.stringify(value));
+
+class ContactFieldService {
+  /**
+   * Define a custom field. Existing contacts get the default value, if there is one.
+   */
+  static async create(userId, fieldData) {
+    const { key, label, type, required = false } = fieldData;
+    const { options, default_value: defaultValue } = normalizeDefinition(fieldData);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO contact_field_definitions (user_id, key, label, type, options, required, default_value)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING ${FIELD_COLUMNS}
+      `, [userId, key, label, type, toJson(options), required, toJson(defaultValue)]);
+
+      if (defaultValue !== null) {
+        await client.query(`
+          UPDATE contacts
+          SET custom_fields = custom_fields || jsonb_build_object($2::text, $3::jsonb)
+          WHERE user_id = $1 AND NOT custom_fields ? $2::text
+        `, [userId, key, JSON.stringify(defaultValue)]);
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') { // Unique violation
+        throw new Error('Custom field with this key already exists');
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * All of a user's field definitions, oldest first
+   */
+  static async getByUser(userId) {
+    const result = await pool.query(
+      `SELECT ${FIELD_COLUMNS} FROM contact_field_definitions WHERE user_id = $1 ORDER BY created_at, key`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a field definition owned by the user
+   */
+  static async getById(userId, fieldId) {
+    const result = await pool.query(
+      `SELECT ${FIELD_COLUMNS} FROM contact_field_definitions WHERE id = $1 AND user_id = $2`,
+      [fieldId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Change a field's label, options, required flag or default.
+   * The key and type are fixed once created, so stored values always match them.
+   * A new default is given to contacts without a value, as on create, and a field
+   * only becomes required once every contact has a value for it.
+   */
+  static async update(userId, fieldId, updateData) {
+    const field = await this.getById(userId, fieldId);
+    if (!field) {
+      return null;
+    }
+
+    const merged = { ...field };
+    for (const key of ['label', 'options', 'required', 'default_value']) {
+      if (updateData[key] !== undefined) {
+        merged[key] = updateData[key];
+      }
+    }
+    const { options, default_value: defaultValue } = normalizeDefinition(merged);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Dropping an option would leave contacts holding a value the field no longer allows
+      if (field.type === 'enum') {
+        const inUse = await client.query(`
+          SELECT COUNT(*) FROM contacts
+          WHERE user_id = $1 AND custom_fields ->> $2::text <> ALL($3::text[])
+        `, [userId, field.key, options]);
+
+        const count = parseInt(inUse.rows[0].count);
+        if (count > 0) {
+          throw new Error(`Cannot remove options still used by ${count} contacts`);
+        }
+      }
+
+      if (updateData.default_value !== undefined && defaultValue !== null) {
+        await client.query(`
+          UPDATE contacts
+          SET custom_fields = custom_fields || jsonb_build_object($2::text, $3::jsonb)
+          WHERE user_id = $1 AND NOT custom_fields ? $2::text
+        `, [userId, field.key, JSON.stringify(defaultValue)]);
+      }
+
+      if (merged.required && !field.required) {
+        const missing = await client.query(`
+          SELECT COUNT(*) FROM contacts
+          WHERE user_id = $1 AND NOT custom_fields ? $2::text
+        `, [userId, field.key]);
+
+        const count = parseInt(missing.rows[0].count);
+        if (count > 0) {
+          throw new Error(`Cannot make the field required while ${count} contacts have no value for it`);
+        }
+      }
+
+      const result = await client.query(`
+        UPDATE contact_field_definitions
+        SET label = $3, options = $4, required = $5, default_value = $6, updated_at = NOW()
+        WHERE id = $1 AND user_id = $2
+        RETURNING ${FIELD_COLUMNS}
+      `, [fieldId, userId, merged.label, toJson(options), merged.required, toJson(defaultValue)]);
+
+      await client.query('COMMIT');
+      return result.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a field definition along with every contact's value for it.
+   * Fields that saved segments still filter on are kept, since those segments
+   * (and the campaigns sending to them) would stop compiling.
+   */
+  static async delete(userId, fieldId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const existing = await client.query(
+        `SELECT ${FIELD_COLUMNS} FROM contact_field_definitions WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+        [fieldId, userId]
+      );
+      const field = existing.rows[0];
+
+      if (!field) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      // Rules can sit in nested groups at any depth
+      const segments = await client.query(`
+        SELECT name
+        FROM segments
+        WHERE user_id = $1
+          AND jsonb_path_exists(rules, '$.** ? (@.field == "custom_fields" && @.key == $key)', jsonb_build_object('key', $2::text))
+        ORDER BY name
+      `, [userId, field.key]);
+
+      if (segments.rows.length > 0) {
+        throw new Error(`Custom field is still used by segments: ${segments.rows.map(segment => segment.name).join(', ')}`);
+      }
+
+      await client.query('DELETE FROM contact_field_definitions WHERE id = $1', [fieldId]);
+
+      await client.query(`
+        UPDATE contacts
+        SET custom_fields = custom_fields - $2::text
+        WHERE user_id = $1 AND custom_fields ? $2::text
+      `, [userId, field.key]);
+
+      await client.query('COMMIT');
+      return field;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default ContactFieldService;
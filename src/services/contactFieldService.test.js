@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+
+const client = { query: jest.fn(), release: jest.fn() };
+const pool = { query: jest.fn(), connect: jest.fn(async () => client) };
+jest.unstable_mockModule('../config/database.js', () => ({ default: pool }));
+
+const { default: ContactFieldService } = await import('./contactFieldService.js');
+
+const tierField = {
+  id: 'f1',
+  user_id: 'user-1',
+  key: 'tier',
+  label: 'Tier',
+  type: 'enum',
+  options: ['basic', 'gold'],
+  required: false,
+  default_value: null
+};
+
+// Answers COUNT queries with the given counts, in order, and everything else with the field
+const respond = (...counts) => {
+  client.query.mockImplementation(async (sql) => {
+    if (sql.includes('COUNT(*)')) {
+      return { rows: [{ count: String(counts.shift() ?? 0) }] };
+    }
+    return { rows: sql.includes('RETURNING') ? [{ ...tierField, updated: true }] : [] };
+  });
+};
+
+const statements = () => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+
+describe('ContactFieldService.update', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [tierField] });
+  });
+
+  test('a label change is saved in a transaction', async () => {
+    respond(0);
+
+    await expect(ContactFieldService.update('user-1', 'f1', { label: 'Level' })).resolves.toMatchObject({ updated: true });
+    expect(statements()).toEqual(['BEGIN', 'SELECT COUNT(*)', 'UPDATE contact_field_definitions', 'COMMIT']);
+  });
+
+  test('a new default is given to contacts without a value', async () => {
+    respond(0);
+
+    await ContactFieldService.update('user-1', 'f1', { default_value: 'basic' });
+
+    const backfill = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE contacts'));
+    expect(backfill[1]).toEqual(['user-1', 'tier', JSON.stringify('basic')]);
+  });
+
+  test('a field cannot become required while contacts have no value for it', async () => {
+    respond(0, 3);
+
+    await expect(ContactFieldService.update('user-1', 'f1', { required: true }))
+      .rejects.toThrow('Cannot make the field required while 3 contacts have no value for it');
+    expect(statements()).toContain('ROLLBACK');
+    expect(statements()).not.toContain('UPDATE contact_field_definitions');
+  });
+
+  test('a field becomes required once the default fills every contact', async () => {
+    respond(0, 0);
+
+    await expect(ContactFieldService.update('user-1', 'f1', { required: true, default_value: 'basic' }))
+      .resolves.toMatchObject({ updated: true });
+    expect(statements()).toEqual([
+      'BEGIN', 'SELECT COUNT(*)', 'UPDATE contacts', 'SELECT COUNT(*)', 'UPDATE contact_field_definitions', 'COMMIT'
+    ]);
+  });
+
+  test('options still held by contacts cannot be removed', async () => {
+    respond(2);
+
+    await expect(ContactFieldService.update('user-1', 'f1', { options: ['basic'] }))
+      .rejects.toThrow('Cannot remove options still used by 2 contacts');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('unknown fields are not found', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(ContactFieldService.update('user-1', 'missing', { label: 'x' })).resolves.toBeNull();
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,417 @@
+import { pipeline } from 'node:stream';
+import ContactService from './contactService.js';
+import ContactFieldService from './contactFieldService.js';
+import { createCsvParser } from '../utils/csvParser.js';
+
+const importOptions = {
+  batchSize: 500,
+  maxRows: parseInt(process.env.CONTACT_IMPORT_MAX_ROWS) || 10000
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Header names recognised for each contact field, after normalizeHeader
+const COLUMN_ALIASES = {
+  email: ['email', 'e mail', 'email address', 'e mail address', 'mail'],
+  name: ['name', 'full name', 'contact name', 'contact'],
+  company: ['company', 'company name', 'organization', 'organisation', 'business'],
+  tags: ['tags', 'tag', 'labels', 'groups']
+};
+
+// Columns of a headerless file, in order, after the email column
+const POSITIONAL_FIELDS = ['name', 'company', 'tags'];
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const metadataKey = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Parse a mapping target: a contact field, 'metadata.<key>', 'custom_fields.<key>' or 'ignore'
+ * @private
+ */
+const parseTarget = (column, target, customFields = []) => {
+  if (target === 'ignore' || target === null) {
+    return null;
+  }
+
+  if (typeof target === 'string') {
+    if (COLUMN_ALIASES[target]) {
+      return { field: target };
+    }
+
+    const [prefix, ...path] = target.split('.');
+    if (prefix === 'metadata' && path.length === 1 && path[0]) {
+      return { metadata: path[0] };
+    }
+
+    if (prefix === 'custom_fields' && path.length === 1) {
+      if (!customFields.some(field => field.key === path[0])) {
+        throw new Error(`Invalid column mapping for "${column}": unknown custom field "${path[0]}"`);
+      }
+      return { custom: path[0] };
+    }
+  }
+
+  throw new Error(
+    `Invalid column mapping for "${column}": use email, name, company, tags, metadata.<key>, custom_fields.<key> or ignore`
+  );
+};
+
+const targetName = (column) => {
+  if (!column) {
+    return 'ignore';
+  }
+  return column.field || (column.custom ? `custom_fields.${column.custom}` : `metadata.${column.metadata}`);
+};
+
+/**
+ * Work out which contact field each column feeds.
+ * An explicit mapping (by header name or column index) wins over the header;
+ * headers naming a custom field by key or label feed that field, and other
+ * unrecognised headers become metadata keys.
+ * @private
+ */
+const resolveColumns = (firstRecord, { hasHeader, mapping = {}, customFields = [] }) => {
+  const fromMapping = (index, header) => {
+    for (const key of [header, String(index)]) {
+      if (key !== undefined && Object.prototype.hasOwnProperty.call(mapping, key)) {
+        return { target: parseTarget(key, mapping[key], customFields) };
+      }
+    }
+    return null;
+  };
+
+  let columns;
+  if (hasHeader) {
+    columns = firstRecord.map((header, index) => {
+      const mapped = fromMapping(index, header);
+      if (mapped) {
+        return mapped.target;
+      }
+
+      const normalized = normalizeHeader(header);
+      const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(normalized));
+      if (field) {
+        return { field };
+      }
+
+      const custom = customFields.find(definition =>
+        [definition.key, definition.label].some(name => normalizeHeader(name) === normalized));
+      if (custom) {
+        return { custom: custom.key };
+      }
+
+      if (normalized.startsWith('metadata.')) {
+        return parseTarget(header, `metadata.${metadataKey(header.slice(header.indexOf('.') + 1))}`);
+      }
+
+      const key = metadataKey(header);
+      return key ? { metadata: key } : null;
+    });
+  } else {
+    // Without a header the email column is found by its content; the rest follow in order
+    const emailIndex = Math.max(0, firstRecord.findIndex(value => EMAIL_PATTERN.test(value.trim())));
+    const positional = [...POSITIONAL_FIELDS];
+
+    columns = firstRecord.map((value, index) => {
+      const mapped = fromMapping(index);
+      if (mapped) {
+        return mapped.target;
+      }
+      if (index === emailIndex) {
+        return { field: 'email' };
+      }
+      const field = positional.shift();
+      return field ? { field } : null;
+    });
+  }
+
+  // Fields claimed twice keep the first column, so a mapping cannot silently overwrite
+  const seen = new Set();
+  columns = columns.map(column => {
+    const claimed = column?.field || (column?.custom && `custom_fields.${column.custom}`);
+    if (claimed) {
+      if (seen.has(claimed)) {
+        return null;
+      }
+      seen.add(claimed);
+    }
+    return column;
+  });
+
+  if (!seen.has('email')) {
+    throw new Error('Invalid column mapping: no column is mapped to email');
+  }
+
+  return columns;
+};
+
+/**
+ * Turn one CSV record into the row shape ContactService.importFromCSV takes
+ * @private
+ */
+const buildRow = (fields, columns) => {
+  const row = { metadata: {}, custom_fields: {} };
+
+  columns.forEach((column, index) => {
+    const value = (fields[index] ?? '').trim();
+    if (!column || value === '') {
+      return;
+    }
+
+    if (column.metadata) {
+      row.metadata[column.metadata] = value;
+    } else if (column.custom) {
+      row.custom_fields[column.custom] = value;
+    } else if (column.field === 'tags') {
+      row.tags = value.split(/[,;|]/);
+    } else {
+      row[column.field] = value;
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Run rows through ContactService.importFromCSV in batches, keeping the running totals
+ * and the fields of every failed row so callers can report progress and failures.
+ * @private
+ */
+class ImportBatcher {
+  constructor(userId, results, { mode = 'skip', customFields, onBatch, shouldStop }) {
+    this.userId = userId;
+    this.results = results;
+    this.mode = mode;
+    this.customFields = customFields;
+    this.onBatch = onBatch;
+    this.shouldStop = shouldStop;
+    this.rows = [];
+    this.rowNumbers = [];
+    this.fields = [];
+    this.failures = [];
+  }
+
+  fail(row, error, fields) {
+    this.results.errors.push({ row, error });
+    this.failures.push({ row, error, fields });
+  }
+
+  async add(row, rowNumber, fields) {
+    this.rows.push(row);
+    this.rowNumbers.push(rowNumber);
+    this.fields.push(fields);
+
+    if (this.rows.length >= importOptions.batchSize) {
+      return this.flush();
+    }
+    return false;
+  }
+
+  /**
+   * Import the pending rows and report progress
+   * @returns {Promise<boolean>} True when the caller asked for the import to stop
+   */
+  async flush() {
+    const { results } = this;
+    let updatedIds = [];
+
+    if (this.rows.length > 0) {
+      const batchResult = await ContactService.importFromCSV(this.userId, this.rows, {
+        rowNumbers: this.rowNumbers,
+        mode: this.mode,
+        customFields: this.customFields
+      });
+      results.imported += batchResult.imported;
+      results.updated += batchResult.updated;
+      results.skipped += batchResult.skipped;
+      results.errors.push(...batchResult.errors);
+      results.updatedIds.push(...batchResult.updatedIds);
+      updatedIds = batchResult.updatedIds;
+
+      // Insert errors carry the email rather than the row
+      for (const error of batchResult.errors) {
+        const index = error.row !== undefined
+          ? this.rowNumbers.indexOf(error.row)
+          : this.rows.findIndex(row => String(row.email).trim().toLowerCase() === error.email);
+        this.failures.push({
+          row: index === -1 ? error.row ?? null : this.rowNumbers[index],
+          email: error.email,
+          error: error.error,
+          fields: index === -1 ? null : this.fields[index]
+        });
+      }
+    }
+
+    const failures = this.failures;
+    this.rows = [];
+    this.rowNumbers = [];
+    this.fields = [];
+    this.failures = [];
+
+    if (this.onBatch) {
+      await this.onBatch({
+        processed: results.total,
+        imported: results.imported,
+        updated: results.updated,
+        skipped: results.skipped,
+        failed: results.errors.length,
+        failures,
+        updatedIds
+      });
+    }
+
+    return this.shouldStop ? Boolean(await this.shouldStop()) : false;
+  }
+
+  finish() {
+    // Parse errors are found before batch errors, so put them back in input order
+    this.results.errors.sort((a, b) => (a.row ?? Infinity) - (b.row ?? Infinity));
+    return this.results;
+  }
+}
+
+class ContactImportService {
+  /**
+   * Import contacts from a CSV stream as it arrives.
+   * Rows are imported in batches, so large files are never held in memory.
+   * Errors use the same shape as ContactService.importFromCSV, with `row`
+   * being the line the record starts on in the file.
+   *
+   * @param {string} userId
+   * @param {Readable} stream - CSV bytes
+   * @param {Object} [options]
+   * @param {boolean} [options.hasHeader] - Detected from the first row when omitted
+   * @param {Object} [options.mapping] - Header name or column index to field, metadata.<key> or custom_fields.<key>
+   * @param {string} [options.mode='skip'] - What to do with existing contacts: skip, overwrite or merge
+   * @param {number} [options.maxRows] - Rows past this are reported and not imported
+   * @param {Function} [options.onHeader] - Called with the header row (or null) once columns are known
+   * @param {Function} [options.onBatch] - Called after each batch with running totals, its failed rows and updated IDs
+   * @param {Function} [options.shouldStop] - Checked after each batch; truthy ends the import early
+   * @returns {Promise<Object>} { mode, total, imported, updated, skipped, errors, updatedIds, columns, truncated, stopped }
+   * @throws {Error} Stream and parse failures, with the totals written so far as error.results
+   */
+  static async importStream(userId, stream, options = {}) {
+    const { hasHeader, mapping, maxRows = importOptions.maxRows, onHeader } = options;
+
+    const results = {
+      mode: options.mode || 'skip',
+      total: 0,
+      imported: 0,
+      updated: 0,
+      skipped: 0,
+      errors: [],
+      updatedIds: [],
+      columns: [],
+      truncated: false,
+      stopped: false
+    };
+    const customFields = await ContactFieldService.getByUser(userId);
+    const batcher = new ImportBatcher(userId, results, { ...options, customFields });
+
+    let columns = null;
+
+    // pipeline() carries upload errors (such as the size limit) into the loop below
+    const records = pipeline(stream, createCsvParser(), () => {});
+
+    try {
+      for await (const record of records) {
+        if (!columns) {
+          const header = hasHeader ?? !record.fields.some(value => EMAIL_PATTERN.test(value.trim()));
+          columns = resolveColumns(record.fields, { hasHeader: header, mapping, customFields });
+          results.columns = columns.map((column, index) => ({
+            column: header ? record.fields[index] : index,
+            target: targetName(column)
+          }));
+
+          if (onHeader) {
+            await onHeader(header ? record.fields : null);
+          }
+
+          if (header) {
+            continue;
+          }
+        }
+
+        // The rest of the file is still read so the upload completes cleanly
+        if (results.total >= maxRows) {
+          if (!results.truncated) {
+            results.truncated = true;
+            results.errors.push({
+              row: record.line,
+              error: `Row limit of ${maxRows} reached; remaining rows were not imported`
+            });
+          }
+          continue;
+        }
+
+        results.total++;
+
+        if (record.error) {
+          batcher.fail(record.line, record.error, record.fields);
+          continue;
+        }
+
+        if (record.fields.length > columns.length) {
+          batcher.fail(record.line, `Row has ${record.fields.length} columns, expected ${columns.length}`, record.fields);
+          continue;
+        }
+
+        if (await batcher.add(buildRow(record.fields, columns), record.line, record.fields)) {
+          results.stopped = true;
+          break;
+        }
+      }
+    } catch (error) {
+      // Batches written before the stream failed stay imported, so callers get their totals;
+      // rows still waiting for the next batch were never written and are left out
+      results.total -= batcher.rows.length;
+      error.results = batcher.finish();
+      throw error;
+    }
+
+    if (!results.stopped && await batcher.flush()) {
+      results.stopped = true;
+    }
+
+    return batcher.finish();
+  }
+
+  /**
+   * Import already-parsed contacts in batches, with the same progress
+   * callbacks as importStream. Rows are numbered from 1.
+   * @returns {Promise<Object>} { mode, total, imported, updated, skipped, errors, updatedIds, stopped }
+   */
+  static async importRows(userId, contacts, options = {}) {
+    const results = {
+      mode: options.mode || 'skip',
+      total: 0,
+      imported: 0,
+      updated: 0,
+      skipped: 0,
+      errors: [],
+      updatedIds: [],
+      stopped: false
+    };
+    const customFields = await ContactFieldService.getByUser(userId);
+    const batcher = new ImportBatcher(userId, results, { ...options, customFields });
+
+    for (let i = 0; i < contacts.length; i++) {
+      results.total++;
+
+      const contact = contacts[i] && typeof contacts[i] === 'object' ? contacts[i] : {};
+      if (await batcher.add(contact, i + 1, contact)) {
+        results.stopped = true;
+        break;
+      }
+    }
+
+    if (!results.stopped && await batcher.flush()) {
+      results.stopped = true;
+    }
+
+    return batcher.finish();
+  }
+}
+
+export default ContactImportService;
@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { Readable } from 'node:stream';
+
+const ContactService = { importFromCSV: jest.fn() };
+const ContactFieldService = { getByUser: jest.fn() };
+
+jest.unstable_mockModule('./contactService.js', () => ({ default: ContactService }));
+jest.unstable_mockModule('./contactFieldService.js', () => ({ default: ContactFieldService }));
+
+const { default: ContactImportService } = await import('./contactImportService.js');
+
+const csv = (text) => Readable.from([Buffer.from(text)]);
+
+const importedRows = () => ContactService.importFromCSV.mock.calls.flatMap(([, rows]) => rows);
+
+describe('ContactImportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ContactFieldService.getByUser.mockResolvedValue([{ key: 'tier', label: 'Loyalty tier' }]);
+    ContactService.importFromCSV.mockImplementation(async (userId, rows) => ({
+      imported: rows.length,
+      updated: 0,
+      skipped: 0,
+      errors: [],
+      updatedIds: []
+    }));
+  });
+
+  test('header names pick contact fields, custom fields and metadata', async () => {
+    const result = await ContactImportService.importStream('user-1', csv(
+      'E-mail,Full Name,Loyalty tier,Favourite Colour\nada@example.com,Ada,gold,green\n'
+    ));
+
+    expect(result).toMatchObject({ total: 1, imported: 1, truncated: false, stopped: false });
+    expect(result.columns.map(column => column.target)).toEqual(['email', 'name', 'custom_fields.tier', 'metadata.favourite_colour']);
+    expect(importedRows()).toEqual([{
+      email: 'ada@example.com',
+      name: 'Ada',
+      metadata: { favourite_colour: 'green' },
+      custom_fields: { tier: 'gold' }
+    }]);
+  });
+
+  test('headerless files find the email column by its content', async () => {
+    await ContactImportService.importStream('user-1', csv('Ada,ada@example.com,Acme\n'));
+
+    expect(importedRows()).toEqual([{ email: 'ada@example.com', name: 'Ada', company: 'Acme', metadata: {}, custom_fields: {} }]);
+  });
+
+  test('rows past the limit are reported and not imported', async () => {
+    const result = await ContactImportService.importStream('user-1', csv(
+      'email\na@example.com\nb@example.com\nc@example.com\n'
+    ), { maxRows: 2 });
+
+    expect(result.total).toBe(2);
+    expect(result.truncated).toBe(true);
+    expect(result.errors).toEqual([{ row: 4, error: 'Row limit of 2 reached; remaining rows were not imported' }]);
+  });
+
+  test('rows with extra columns fail on their own line', async () => {
+    const result = await ContactImportService.importStream('user-1', csv('email,name\na@example.com,A,extra\nb@example.com,B\n'));
+
+    expect(result.errors).toEqual([{ row: 2, error: 'Row has 3 columns, expected 2' }]);
+    expect(importedRows().map(row => row.email)).toEqual(['b@example.com']);
+  });
+
+  test('a mapping to an unknown custom field is refused', async () => {
+    await expect(ContactImportService.importStream('user-1', csv('email,level\na@example.com,1\n'), {
+      mapping: { level: 'custom_fields.level' }
+    })).rejects.toThrow('unknown custom field "level"');
+  });
+
+  test('parsed rows report progress and can be stopped', async () => {
+    const onBatch = jest.fn();
+
+    const result = await ContactImportService.importRows('user-1', [{ email: 'a@example.com' }, null], {
+      mode: 'merge',
+      onBatch,
+      shouldStop: () => true
+    });
+
+    expect(result).toMatchObject({ mode: 'merge', total: 2, imported: 2, stopped: true });
+    expect(ContactService.importFromCSV.mock.calls[0][2]).toMatchObject({ mode: 'merge', rowNumbers: [1, 2] });
+    expect(onBatch).toHaveBeenCalledWith(expect.objectContaining({ processed: 2, imported: 2, failed: 0 }));
+  });
+});
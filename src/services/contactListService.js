@@ -0,0 +1,201 @@
+import pool from '../config/database.js';
+
+// Lists are returned with their current member count
+const LIST_SELECT = `
+  SELECT l.id, l.user_id, l.name, l.description, l.created_at, l.updated_at,
+         (SELECT COUNT(*)::int FROM contact_list_members m WHERE m.list_id = l.id) AS contact_count
+  FROM contact_lists l
+`;
+
+class ContactListService {
+  /**
+   * Create a static contact list
+   */
+  static async create(userId, listData) {
+    const { name, description = null } = listData;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO contact_lists (user_id, name, description)
+        VALUES ($1, $2, $3)
+        RETURNING *, 0 AS contact_count
+      `, [userId, name, description]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') { // Unique violation
+        throw new Error('List with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's contact lists
+   */
+  static async getByUser(userId, options = {}) {
+    const { page = 1, limit = 50, search = '' } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [userId];
+    let where = 'WHERE l.user_id = $1';
+
+    if (search) {
+      values.push(`%${search}%`);
+      where += ` AND l.name ILIKE $${values.length}`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        ${LIST_SELECT}
+        ${where}
+        ORDER BY l.name
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM contact_lists l ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      lists: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a list owned by the user
+   */
+  static async getById(userId, listId) {
+    const result = await pool.query(`${LIST_SELECT} WHERE l.id = $1 AND l.user_id = $2`, [listId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Rename a list or change its description
+   */
+  static async update(userId, listId, updateData) {
+    const allowedFields = ['name', 'description'];
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        values.push(updateData[key]);
+        updates.push(`${key} = $${values.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updated_at = NOW()');
+    values.push(listId, userId);
+
+    try {
+      const result = await pool.query(`
+        UPDATE contact_lists
+        SET ${updates.join(', ')}
+        WHERE id = $${values.length - 1} AND user_id = $${values.length}
+        RETURNING id
+      `, values);
+      return result.rows[0] ? this.getById(userId, listId) : null;
+    } catch (error) {
+      if (error.code === '23505') { // Unique violation
+        throw new Error('List with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a list. Its contacts are kept.
+   */
+  static async delete(userId, listId) {
+    const result = await pool.query(
+      'DELETE FROM contact_lists WHERE id = $1 AND user_id = $2 RETURNING *',
+      [listId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Page through a list's contacts, most recently added first
+   */
+  static async getMembers(userId, listId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    const list = await this.getById(userId, listId);
+    if (!list) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      SELECT c.id, c.email, c.name, c.company, c.phone, c.tags, c.consent_status, m.added_at
+      FROM contact_list_members m
+      JOIN contacts c ON c.id = m.contact_id
+      WHERE m.list_id = $1
+      ORDER BY m.added_at DESC, c.email
+      LIMIT $2 OFFSET $3
+    `, [listId, limit, offset]);
+
+    return {
+      contacts: result.rows,
+      pagination: {
+        page,
+        limit,
+        total: list.contact_count,
+        pages: Math.ceil(list.contact_count / limit)
+      }
+    };
+  }
+
+  /**
+   * Add the user's contacts to a list. IDs of other users' contacts are ignored.
+   * @returns {Promise<Object|null>} { added }, or null if the list does not exist
+   */
+  static async addMembers(userId, listId, contactIds) {
+    const list = await this.getById(userId, listId);
+    if (!list) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      INSERT INTO contact_list_members (list_id, contact_id)
+      SELECT $1, id
+      FROM contacts
+      WHERE user_id = $2 AND id = ANY($3::uuid[])
+      ON CONFLICT (list_id, contact_id) DO NOTHING
+    `, [listId, userId, contactIds]);
+
+    await pool.query('UPDATE contact_lists SET updated_at = NOW() WHERE id = $1', [listId]);
+    return { added: result.rowCount };
+  }
+
+  /**
+   * Remove contacts from a list
+   * @returns {Promise<Object|null>} { removed }, or null if the list does not exist
+   */
+  static async removeMembers(userId, listId, contactIds) {
+    const list = await this.getById(userId, listId);
+    if (!list) {
+      return null;
+    }
+
+    const result = await pool.query(
+      'DELETE FROM contact_list_members WHERE list_id = $1 AND contact_id = ANY($2::uuid[])',
+      [listId, contactIds]
+    );
+
+    await pool.query('UPDATE contact_lists SET updated_at = NOW() WHERE id = $1', [listId]);
+    return { removed: result.rowCount };
+  }
+}
+
+export default ContactListService;
@@ -1,19 +1,57 @@
 import pool from '../config/database.js';
+import ContactFieldService from './contactFieldService.js';
+import { applyCustomFields } from '../utils/customFields.js';
+
+// Rows written per INSERT statement during imports
+const IMPORT_CHUNK_SIZE = 1000;
+
+export const IMPORT_MODES = ['skip', 'overwrite', 'merge'];
+
+// What an import does to a contact whose email already exists, per mode.
+// overwrite: values in the row replace the stored ones; columns the row leaves empty are kept.
+// merge: tags are unioned, metadata deep-merged and name/company and custom fields only
+// filled in where empty; stored values always win.
+const IMPORT_UPDATES = {
+  overwrite: {
+    name: 'COALESCE(EXCLUDED.name, contacts.name)',
+    company: 'COALESCE(EXCLUDED.company, contacts.company)',
+    tags: "CASE WHEN jsonb_array_length(EXCLUDED.tags) > 0 THEN EXCLUDED.tags ELSE contacts.tags END",
+    metadata: "CASE WHEN EXCLUDED.metadata <> '{}'::jsonb THEN EXCLUDED.metadata ELSE contacts.metadata END",
+    custom_fields: 'contacts.custom_fields || EXCLUDED.custom_fields'
+  },
+  merge: {
+    name: "COALESCE(NULLIF(contacts.name, ''), EXCLUDED.name)",
+    company: "COALESCE(NULLIF(contacts.company, ''), EXCLUDED.company)",
+    tags: `COALESCE(contacts.tags, '[]'::jsonb) || (
+      SELECT COALESCE(jsonb_agg(tag), '[]'::jsonb)
+      FROM jsonb_array_elements(EXCLUDED.tags) AS tag
+      WHERE NOT COALESCE(contacts.tags, '[]'::jsonb) @> jsonb_build_array(tag)
+    )`,
+    metadata: "jsonb_deep_merge(EXCLUDED.metadata, COALESCE(contacts.metadata, '{}'::jsonb))",
+    custom_fields: 'EXCLUDED.custom_fields || contacts.custom_fields'
+  }
+};
 
 class ContactService {
   /**
    * Create a new contact
    */
   static async create(userId, contactData) {
-    const { email, name, company, tags = [], metadata = {} } = contactData;
+    const {
+      email, name, company, phone = null, tags = [], metadata = {},
+      consent_status: consentStatus = 'unknown', custom_fields: customFields = {}
+    } = contactData;
     
     const query = `
-      INSERT INTO contacts (user_id, email, name, company, tags, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO contacts (user_id, email, name, company, phone, tags, metadata, consent_status, consent_updated_at, custom_fields)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8::varchar, CASE WHEN $8::varchar = 'unknown' THEN NULL ELSE NOW() END, $9)
       RETURNING *
     `;
     
-    const values = [userId, email, name, company, JSON.stringify(tags), JSON.stringify(metadata)];
+    const values = [
+      userId, email, name, company, phone, JSON.stringify(tags), JSON.stringify(metadata), consentStatus,
+      JSON.stringify(customFields)
+    ];
     
     try {
       const result = await pool.query(query, values);
@@ -26,6 +64,27 @@ class ContactService {
     }
   }
 
+  /**
+   * Create a contact, or refresh the existing one with the same email.
+   * Metadata is merged so keys set elsewhere are kept.
+   */
+  static async upsert(userId, contactData) {
+    const { email, name = null, company = null, phone = null, tags = [], metadata = {} } = contactData;
+
+    const result = await pool.query(`
+      INSERT INTO contacts (user_id, email, name, company, phone, tags, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (user_id, email) DO UPDATE
+      SET name = COALESCE(EXCLUDED.name, contacts.name),
+          company = COALESCE(EXCLUDED.company, contacts.company),
+          phone = COALESCE(EXCLUDED.phone, contacts.phone),
+          metadata = contacts.metadata || EXCLUDED.metadata,
+          updated_at = NOW()
+      RETURNING *
+    `, [userId, email, name, company, phone, JSON.stringify(tags), JSON.stringify(metadata)]);
+    return result.rows[0];
+  }
+
   /**
    * Get contacts for a user with pagination and filtering
    */
@@ -42,7 +101,7 @@ class ContactService {
     const offset = (page - 1) * limit;
     
     let query = `
-      SELECT id, email, name, company, tags, metadata, created_at, updated_at
+      SELECT id, email, name, company, phone, tags, metadata, custom_fields, created_at, updated_at
       FROM contacts
       WHERE user_id = $1
     `;
@@ -132,7 +191,7 @@ class ContactService {
    */
   static async getById(userId, contactId) {
     const query = `
-      SELECT id, email, name, company, tags, metadata, created_at, updated_at
+      SELECT id, email, name, company, phone, tags, metadata, custom_fields, created_at, updated_at
       FROM contacts
       WHERE id = $1 AND user_id = $2
     `;
@@ -154,7 +213,7 @@ class ContactService {
       throw new Error('Contact not found');
     }
     
-    const allowedFields = ['email', 'name', 'company', 'tags', 'metadata'];
+    const allowedFields = ['email', 'name', 'company', 'phone', 'tags', 'metadata', 'consent_status'];
     const updates = [];
     const values = [];
     let paramCount = 0;
@@ -172,10 +231,21 @@ class ContactService {
       }
     });
     
+    // Only the custom fields sent are changed; null clears one
+    if (updateData.custom_fields !== undefined) {
+      paramCount++;
+      updates.push(`custom_fields = jsonb_strip_nulls(custom_fields || $${paramCount}::jsonb)`);
+      values.push(JSON.stringify(updateData.custom_fields));
+    }
+    
     if (updates.length === 0) {
       throw new Error('No valid fields to update');
     }
     
+    if (updateData.consent_status !== undefined && updateData.consent_status !== contact.consent_status) {
+      updates.push('consent_updated_at = NOW()');
+    }
+    
     paramCount++;
     updates.push(`updated_at = $${paramCount}`);
     values.push(new Date());
@@ -230,7 +300,7 @@ class ContactService {
     }
     
     const query = `
-      SELECT id, email, name, company, tags
+      SELECT id, email, name, company, phone, tags
       FROM contacts
       WHERE id = ANY($1) AND user_id = $2
     `;
@@ -244,24 +314,57 @@ class ContactService {
   }
 
   /**
-   * Import contacts from CSV data
+   * Import contacts from CSV data.
+   * Rows are validated up front, then written with multi-row inserts in one
+   * transaction. What happens to emails that already exist depends on the
+   * mode (see IMPORT_UPDATES); in skip mode they are left alone. Emails that
+   * repeat within the data, and existing contacts an import would not change,
+   * are counted as skipped.
+   * @param {Array<Object>} csvData - Rows with email, name, company, tags (array or comma list), metadata and custom_fields
+   * @param {Object} [options]
+   * @param {Array<number>} [options.rowNumbers] - Row number to report for each entry, e.g. its line in an uploaded file
+   * @param {string} [options.mode='skip'] - skip, overwrite or merge
+   * @param {Array<Object>} [options.customFields] - The account's field definitions, loaded when omitted
+   * @returns {Promise<Object>} { mode, imported, updated, skipped, errors, updatedIds }
    */
-  static async importFromCSV(userId, csvData) {
+  static async importFromCSV(userId, csvData, { rowNumbers, mode = 'skip', customFields } = {}) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Invalid import mode: ${mode}`);
+    }
+    
+    const definitions = customFields || await ContactFieldService.getByUser(userId);
+    const defaults = Object.fromEntries(definitions
+      .filter(definition => definition.default_value !== null)
+      .map(definition => [definition.key, definition.default_value]));
+
     const results = {
+      mode,
       imported: 0,
+      updated: 0,
       skipped: 0,
-      errors: []
+      errors: [],
+      updatedIds: []
+    };
+    
+    // Applies one batch's outcome to the running totals
+    const record = (batch, written) => {
+      results.imported += written.inserted;
+      results.updated += written.updatedIds.length;
+      results.updatedIds.push(...written.updatedIds);
+      results.skipped += batch.length - written.inserted - written.updatedIds.length;
     };
     
     const validContacts = [];
+    const seenEmails = new Set();
     
     // Validate CSV data
     for (let i = 0; i < csvData.length; i++) {
       const row = csvData[i];
+      const rowNumber = rowNumbers?.[i] ?? i + 1;
       
       try {
         if (!row.email || !row.email.trim()) {
-          results.errors.push({ row: i + 1, error: 'Email is required' });
+          results.errors.push({ row: rowNumber, error: 'Email is required' });
           continue;
         }
         
@@ -269,50 +372,151 @@ class ContactService {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         
         if (!emailRegex.test(email)) {
-          results.errors.push({ row: i + 1, error: 'Invalid email format' });
+          results.errors.push({ row: rowNumber, error: 'Invalid email format' });
+          continue;
+        }
+        
+        const name = row.name?.trim() || null;
+        const company = row.company?.trim() || null;
+        const tooLong = [['Email', email], ['Name', name], ['Company', company]]
+          .find(([, value]) => value && value.length > 255);
+        
+        if (tooLong) {
+          results.errors.push({ row: rowNumber, error: `${tooLong[0]} must be less than 255 characters` });
+          continue;
+        }
+        
+        // Defaults are left to the insert, so an update never resets a stored value to one
+        const custom = applyCustomFields(definitions, row.custom_fields, { applyDefaults: false });
+        if (custom.errors.length > 0) {
+          results.errors.push({ row: rowNumber, error: custom.errors.join('; ') });
+          continue;
+        }
+        
+        if (seenEmails.has(email)) {
+          results.skipped++;
           continue;
         }
+        seenEmails.add(email);
+        
+        const tags = Array.isArray(row.tags) ? row.tags : String(row.tags || '').split(',');
         
         validContacts.push({
           email,
-          name: row.name?.trim() || null,
-          company: row.company?.trim() || null,
-          tags: row.tags ? row.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : []
+          name,
+          company,
+          tags: [...new Set(tags.map(tag => String(tag).trim()).filter(tag => tag))],
+          metadata: row.metadata && typeof row.metadata === 'object' ? row.metadata : {},
+          custom_fields: custom.values
         });
         
       } catch (error) {
-        results.errors.push({ row: i + 1, error: error.message });
+        results.errors.push({ row: rowNumber, error: error.message });
       }
     }
     
-    // Import valid contacts
-    for (const contactData of validContacts) {
-      try {
-        await this.create(userId, contactData);
-        results.imported++;
-      } catch (error) {
-        if (error.message.includes('already exists')) {
-          results.skipped++;
-        } else {
-          results.errors.push({ 
-            email: contactData.email, 
-            error: error.message 
-          });
+    if (validContacts.length === 0) {
+      return results;
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (let start = 0; start < validContacts.length; start += IMPORT_CHUNK_SIZE) {
+        const chunk = validContacts.slice(start, start + IMPORT_CHUNK_SIZE);
+        
+        await client.query('SAVEPOINT import_chunk');
+        try {
+          record(chunk, await this.writeImportBatch(client, userId, chunk, mode, defaults));
+          await client.query('RELEASE SAVEPOINT import_chunk');
+        } catch (error) {
+          // Retry the chunk a row at a time so each failing row gets its own error
+          await client.query('ROLLBACK TO SAVEPOINT import_chunk');
+          
+          for (const contactData of chunk) {
+            await client.query('SAVEPOINT import_row');
+            try {
+              record([contactData], await this.writeImportBatch(client, userId, [contactData], mode, defaults));
+              await client.query('RELEASE SAVEPOINT import_row');
+            } catch (rowError) {
+              await client.query('ROLLBACK TO SAVEPOINT import_row');
+              results.errors.push({ 
+                email: contactData.email, 
+                error: rowError.message 
+              });
+            }
+          }
         }
       }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
     
     return results;
   }
 
+  /**
+   * Write validated contacts in one statement, resolving existing emails through
+   * the (user_id, email) unique constraint according to the import mode.
+   * New contacts are then given the default for each custom field the row left out.
+   * @private
+   * @returns {Promise<Object>} { inserted, updatedIds }
+   */
+  static async writeImportBatch(client, userId, contacts, mode, defaults = {}) {
+    let onConflict = 'DO NOTHING';
+
+    if (mode !== 'skip') {
+      const updates = IMPORT_UPDATES[mode];
+      const columns = Object.keys(updates);
+
+      // Rows the import would not change are left untouched, so they count as skipped
+      onConflict = `DO UPDATE SET
+        ${columns.map(column => `${column} = ${updates[column]}`).join(',\n        ')},
+        updated_at = NOW()
+      WHERE (${columns.map(column => `contacts.${column}`).join(', ')})
+        IS DISTINCT FROM (${columns.map(column => updates[column]).join(', ')})`;
+    }
+
+    const result = await client.query(`
+      INSERT INTO contacts (user_id, email, name, company, tags, metadata, custom_fields)
+      SELECT $1, c.email, c.name, c.company, COALESCE(c.tags, '[]'::jsonb), COALESCE(c.metadata, '{}'::jsonb),
+             COALESCE(c.custom_fields, '{}'::jsonb)
+      FROM jsonb_to_recordset($2::jsonb)
+        AS c(email VARCHAR, name VARCHAR, company VARCHAR, tags JSONB, metadata JSONB, custom_fields JSONB)
+      ON CONFLICT (user_id, email) ${onConflict}
+      RETURNING id, (xmax = 0) AS inserted
+    `, [userId, JSON.stringify(contacts)]);
+
+    const insertedIds = result.rows.filter(row => row.inserted).map(row => row.id);
+    if (insertedIds.length > 0 && Object.keys(defaults).length > 0) {
+      await client.query(
+        'UPDATE contacts SET custom_fields = $1::jsonb || custom_fields WHERE id = ANY($2::uuid[])',
+        [JSON.stringify(defaults), insertedIds]
+      );
+    }
+
+    return {
+      inserted: insertedIds.length,
+      updatedIds: result.rows.filter(row => !row.inserted).map(row => row.id)
+    };
+  }
+
   /**
    * Export contacts to CSV format
+   * @returns {Promise<Object>} { columns, contacts } - columns are known even when no contacts match
    */
   static async exportToCSV(userId, options = {}) {
     const { search, tags } = options;
     
     let query = `
-      SELECT email, name, company, tags, created_at
+      SELECT email, name, company, tags, custom_fields, created_at
       FROM contacts
       WHERE user_id = $1
     `;
@@ -340,17 +544,27 @@ class ContactService {
     query += ` ORDER BY created_at DESC`;
     
     try {
-      const result = await pool.query(query, values);
+      const [result, definitions] = await Promise.all([
+        pool.query(query, values),
+        ContactFieldService.getByUser(userId)
+      ]);
       
+      // One column per custom field, named by its key so the file can be imported again
+      const columns = ['email', 'name', 'company', 'tags', ...definitions.map(definition => definition.key), 'created_at'];
+
       const csvData = result.rows.map(contact => ({
         email: contact.email,
         name: contact.name || '',
         company: contact.company || '',
         tags: Array.isArray(contact.tags) ? contact.tags.join(', ') : '',
+        ...Object.fromEntries(definitions.map(definition => [
+          definition.key,
+          contact.custom_fields[definition.key] === undefined ? '' : String(contact.custom_fields[definition.key])
+        ])),
         created_at: contact.created_at.toISOString()
       }));
       
-      return csvData;
+      return { columns, contacts: csvData };
     } catch (error) {
       throw error;
     }
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+
+const client = { query: jest.fn(), release: jest.fn() };
+const pool = { query: jest.fn(), connect: jest.fn(async () => client) };
+jest.unstable_mockModule('../config/database.js', () => ({ default: pool }));
+jest.unstable_mockModule('./contactFieldService.js', () => ({ default: { getByUser: jest.fn().mockResolvedValue([]) } }));
+
+const { default: ContactService } = await import('./contactService.js');
+
+const tierField = { key: 'tier', type: 'enum', options: ['basic', 'gold'], required: false, default_value: 'basic' };
+
+// Answers each contact INSERT with one row per contact, existing emails coming back as updates
+const respondWith = ({ existing = [], failOn = null } = {}) => {
+  client.query.mockImplementation(async (sql, values) => {
+    if (!sql.includes('INSERT INTO contacts')) {
+      return { rows: [] };
+    }
+
+    const contacts = JSON.parse(values[1]);
+    if (failOn && contacts.some(contact => contact.email === failOn)) {
+      throw new Error('value too long for type character varying(255)');
+    }
+
+    return {
+      rows: contacts.map(contact => ({ id: `id-${contact.email}`, inserted: !existing.includes(contact.email) }))
+    };
+  });
+};
+
+const insertStatements = () => client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO contacts'));
+
+describe('ContactService.importFromCSV', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    respondWith();
+  });
+
+  test('rows are validated, de-duplicated and written in one statement', async () => {
+    const result = await ContactService.importFromCSV('user-1', [
+      { email: ' Ada@Example.com ', name: 'Ada', tags: 'vip, vip ,new' },
+      { email: 'ada@example.com' },
+      { email: '' },
+      { email: 'not-an-email' }
+    ], { customFields: [] });
+
+    expect(result).toMatchObject({ mode: 'skip', imported: 1, updated: 0, skipped: 1 });
+    expect(result.errors).toEqual([
+      { row: 3, error: 'Email is required' },
+      { row: 4, error: 'Invalid email format' }
+    ]);
+
+    const [[sql, values]] = insertStatements();
+    expect(sql).toContain('ON CONFLICT (user_id, email) DO NOTHING');
+    expect(JSON.parse(values[1])).toEqual([
+      { email: 'ada@example.com', name: 'Ada', company: null, tags: ['vip', 'new'], metadata: {}, custom_fields: {} }
+    ]);
+  });
+
+  test('skip mode leaves existing contacts alone and counts them as skipped', async () => {
+    // DO NOTHING returns no row for an email that already exists
+    client.query.mockResolvedValue({ rows: [] });
+
+    const result = await ContactService.importFromCSV('user-1', [{ email: 'ada@example.com' }], { customFields: [] });
+
+    expect(result).toMatchObject({ imported: 0, updated: 0, skipped: 1 });
+  });
+
+  test.each([
+    ['overwrite', 'COALESCE(EXCLUDED.name, contacts.name)'],
+    ['merge', "COALESCE(NULLIF(contacts.name, ''), EXCLUDED.name)"]
+  ])('%s mode updates existing contacts', async (mode, nameUpdate) => {
+    respondWith({ existing: ['ada@example.com'] });
+
+    const result = await ContactService.importFromCSV('user-1', [
+      { email: 'ada@example.com', name: 'Ada' },
+      { email: 'grace@example.com' }
+    ], { mode, customFields: [] });
+
+    expect(result).toMatchObject({ mode, imported: 1, updated: 1, skipped: 0, updatedIds: ['id-ada@example.com'] });
+    const [[sql]] = insertStatements();
+    expect(sql).toContain('DO UPDATE SET');
+    expect(sql).toContain(nameUpdate);
+    expect(sql).toContain('IS DISTINCT FROM');
+  });
+
+  test('custom field defaults go to new contacts only', async () => {
+    respondWith({ existing: ['ada@example.com'] });
+
+    await ContactService.importFromCSV('user-1', [
+      { email: 'ada@example.com' },
+      { email: 'grace@example.com' }
+    ], { mode: 'merge', customFields: [tierField] });
+
+    const defaults = client.query.mock.calls.find(([sql]) => sql.includes('custom_fields = $1::jsonb || custom_fields'));
+    expect(defaults[1]).toEqual([JSON.stringify({ tier: 'basic' }), ['id-grace@example.com']]);
+  });
+
+  test('invalid custom field values fail their row', async () => {
+    const result = await ContactService.importFromCSV('user-1', [
+      { email: 'ada@example.com', custom_fields: { tier: 'platinum' } }
+    ], { customFields: [tierField] });
+
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].row).toBe(1);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('a failing chunk is retried row by row so only the bad row fails', async () => {
+    respondWith({ failOn: 'bad@example.com' });
+
+    const result = await ContactService.importFromCSV('user-1', [
+      { email: 'ada@example.com' },
+      { email: 'bad@example.com' }
+    ], { customFields: [] });
+
+    expect(result.imported).toBe(1);
+    expect(result.errors).toEqual([{ email: 'bad@example.com', error: 'value too long for type character varying(255)' }]);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK TO SAVEPOINT import_chunk');
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('unknown modes are refused', async () => {
+    await expect(ContactService.importFromCSV('user-1', [], { mode: 'replace' })).rejects.toThrow('Invalid import mode: replace');
+  });
+});
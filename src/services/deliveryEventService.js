@@ -0,0 +1,185 @@
+import pool from '../config/database.js';
+import CampaignService from './campaignService.js';
+import SuppressionService from './suppressionService.js';
+import { requeueRecipient } from './campaignSender.js';
+
+const bounceOptions = {
+  maxSoftRetries: parseInt(process.env.SOFT_BOUNCE_MAX_RETRIES) || 2,
+  retryDelay: parseInt(process.env.SOFT_BOUNCE_RETRY_DELAY) || 15 * 60 * 1000
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class DeliveryEventService {
+  /**
+   * Apply a batch of normalised email delivery events.
+   * Each event is handled on its own so one bad event never blocks the rest.
+   * @returns {Promise<Array<Object>>} Per-event outcome
+   */
+  static async process(events) {
+    const results = [];
+
+    for (const event of events) {
+      if (event.ignored) {
+        results.push({ type: event.type, outcome: 'ignored' });
+        continue;
+      }
+
+      try {
+        results.push(await this.processEvent(event));
+      } catch (error) {
+        console.error(`❌ Failed to process ${event.type} event:`, error);
+        results.push({ type: event.type, outcome: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply a single event to the recipient it belongs to
+   * @private
+   */
+  static async processEvent(event) {
+    const recipient = await this.findRecipient(event);
+    if (!recipient) {
+      return { type: event.type, outcome: 'unmatched', providerMessageId: event.providerMessageId };
+    }
+
+    let outcome;
+    if (event.type === 'delivered') {
+      outcome = await this.applyDelivered(recipient, event);
+    } else if (event.type === 'complaint') {
+      outcome = await this.applyComplaint(recipient, event);
+    } else {
+      outcome = await this.applyBounce(recipient, event);
+    }
+
+    await CampaignService.refreshCounters(recipient.campaign_id);
+
+    return {
+      type: event.type,
+      outcome,
+      recipientId: recipient.id,
+      campaignId: recipient.campaign_id
+    };
+  }
+
+  /**
+   * Find the email recipient an event refers to, preferring our own recipient ID
+   * @private
+   */
+  static async findRecipient(event) {
+    const recipientId = UUID_PATTERN.test(event.recipientId || '') ? event.recipientId : null;
+    if (!recipientId && !event.providerMessageId) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      SELECT cr.id, cr.campaign_id, cr.status, cr.bounce_count,
+             c.email, ca.user_id AS campaign_user_id
+      FROM campaign_recipients cr
+      JOIN contacts c ON c.id = cr.contact_id
+      JOIN campaigns ca ON ca.id = cr.campaign_id
+      WHERE ca.channel = 'email'
+        AND (cr.id = $1 OR ($1::uuid IS NULL AND cr.provider_message_id = $2))
+      LIMIT 1
+    `, [recipientId, event.providerMessageId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @private
+   */
+  static async applyDelivered(recipient, event) {
+    await pool.query(`
+      UPDATE campaign_recipients
+      SET status = CASE WHEN status = 'sent' THEN 'delivered' ELSE status END,
+          delivered_at = COALESCE(delivered_at, $2)
+      WHERE id = $1
+    `, [recipient.id, event.occurredAt]);
+    return 'delivered';
+  }
+
+  /**
+   * Complaints always suppress the address for every account
+   * @private
+   */
+  static async applyComplaint(recipient, event) {
+    await pool.query(`
+      UPDATE campaign_recipients
+      SET status = 'complained',
+          error_message = $2,
+          complained_at = COALESCE(complained_at, $3)
+      WHERE id = $1
+    `, [recipient.id, event.reason || 'Spam complaint', event.occurredAt]);
+
+    await SuppressionService.add(null, {
+      address: recipient.email,
+      reason: 'complaint',
+      source: 'provider',
+      campaign_id: recipient.campaign_id
+    });
+
+    return 'complained';
+  }
+
+  /**
+   * Hard bounces suppress the address globally; soft bounces are retried
+   * a limited number of times before the recipient is given up on
+   * @private
+   */
+  static async applyBounce(recipient, event) {
+    // Duplicate notifications for a recipient already bounced or awaiting retry change nothing
+    if (!['sent', 'delivered'].includes(recipient.status)) {
+      return 'duplicate';
+    }
+
+    const bounceCount = recipient.bounce_count + 1;
+    const retry = event.bounceType === 'soft' && bounceCount <= bounceOptions.maxSoftRetries;
+    const reason = event.reason || (event.bounceType === 'hard' ? 'Hard bounce' : 'Soft bounce');
+
+    await pool.query(`
+      UPDATE campaign_recipients
+      SET status = $2::varchar,
+          error_message = $3,
+          bounce_type = $4,
+          bounce_count = $5,
+          bounced_at = $6
+      WHERE id = $1
+    `, [recipient.id, retry ? 'queued' : 'bounced', reason, event.bounceType, bounceCount, event.occurredAt]);
+
+    if (event.bounceType === 'hard') {
+      await SuppressionService.add(null, {
+        address: recipient.email,
+        reason: 'hard_bounce',
+        source: 'provider',
+        campaign_id: recipient.campaign_id
+      });
+      return 'bounced';
+    }
+
+    if (!retry) {
+      return 'bounced';
+    }
+
+    try {
+      // Back off further with every soft bounce
+      await requeueRecipient(recipient.campaign_id, recipient.id, {
+        delay: bounceOptions.retryDelay * 2 ** (bounceCount - 1)
+      });
+    } catch (error) {
+      // With no job behind it the recipient would sit in 'queued' for good
+      console.error(`❌ Failed to queue bounce retry for recipient ${recipient.id}:`, error);
+      await pool.query(`
+        UPDATE campaign_recipients
+        SET status = 'bounced', error_message = $2
+        WHERE id = $1
+      `, [recipient.id, `${reason} (retry could not be queued)`]);
+      return 'bounced';
+    }
+    return 'retry_scheduled';
+  }
+}
+
+export default DeliveryEventService;
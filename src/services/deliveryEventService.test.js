@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+const SuppressionService = { add: jest.fn() };
+const requeueRecipient = jest.fn();
+
+jest.unstable_mockModule('../config/database.js', () => ({ default: { query } }));
+jest.unstable_mockModule('./campaignService.js', () => ({ default: { refreshCounters: jest.fn() } }));
+jest.unstable_mockModule('./suppressionService.js', () => ({ default: SuppressionService }));
+jest.unstable_mockModule('./campaignSender.js', () => ({ requeueRecipient }));
+
+const { default: DeliveryEventService } = await import('./deliveryEventService.js');
+
+const recipientId = '5b0c2f4e-8a55-4c1e-9d7a-3f1b2c4d5e6f';
+const recipient = {
+  id: recipientId,
+  campaign_id: 'campaign-1',
+  status: 'sent',
+  bounce_count: 0,
+  email: 'ada@example.com'
+};
+
+const bounce = (overrides = {}) => ({
+  type: 'bounce',
+  bounceType: 'soft',
+  providerMessageId: '0100018c-ses-id',
+  recipientId,
+  email: 'ada@example.com',
+  reason: null,
+  occurredAt: new Date(),
+  ...overrides
+});
+
+describe('DeliveryEventService', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  test('events are matched on the recipient ID before the provider message ID', async () => {
+    query.mockResolvedValueOnce({ rows: [recipient] });
+
+    await DeliveryEventService.process([bounce({ bounceType: 'hard' })]);
+
+    expect(query.mock.calls[0][1]).toEqual([recipientId, '0100018c-ses-id']);
+  });
+
+  test('a hard bounce suppresses the address', async () => {
+    query.mockResolvedValueOnce({ rows: [recipient] });
+
+    const [result] = await DeliveryEventService.process([bounce({ bounceType: 'hard' })]);
+
+    expect(result).toMatchObject({ outcome: 'bounced', recipientId });
+    expect(SuppressionService.add).toHaveBeenCalledWith(null, expect.objectContaining({ reason: 'hard_bounce', address: 'ada@example.com' }));
+  });
+
+  test('a soft bounce is retried with a delay', async () => {
+    query.mockResolvedValueOnce({ rows: [recipient] });
+
+    const [result] = await DeliveryEventService.process([bounce()]);
+
+    expect(result.outcome).toBe('retry_scheduled');
+    expect(requeueRecipient).toHaveBeenCalledWith('campaign-1', recipientId, { delay: expect.any(Number) });
+  });
+
+  test('a soft bounce whose retry cannot be queued is marked bounced', async () => {
+    query.mockResolvedValueOnce({ rows: [recipient] });
+    requeueRecipient.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    const [result] = await DeliveryEventService.process([bounce()]);
+
+    expect(result.outcome).toBe('bounced');
+    expect(query.mock.calls.at(-1)[1]).toEqual([recipientId, 'Soft bounce (retry could not be queued)']);
+  });
+
+  test('a repeated notification for a bounced recipient changes nothing', async () => {
+    query.mockResolvedValueOnce({ rows: [{ ...recipient, status: 'bounced' }] });
+
+    const [result] = await DeliveryEventService.process([bounce()]);
+
+    expect(result.outcome).toBe('duplicate');
+    expect(requeueRecipient).not.toHaveBeenCalled();
+  });
+
+  test('events for unknown messages are reported unmatched', async () => {
+    const [result] = await DeliveryEventService.process([bounce({ recipientId: 'not-a-uuid', providerMessageId: 'unknown' })]);
+
+    expect(result).toEqual({ type: 'bounce', outcome: 'unmatched', providerMessageId: 'unknown' });
+    expect(query.mock.calls[0][1]).toEqual([null, 'unknown']);
+  });
+});
@@ -0,0 +1,139 @@
+import { Readable } from 'node:stream';
+import cron from 'node-cron';
+import { getQueue } from '../config/queue.js';
+import ImportJobService from './importJobService.js';
+import ContactImportService from './contactImportService.js';
+import { emitWebhookEvent } from './webhookDispatcher.js';
+
+const IMPORT_QUEUE = 'contact-imports';
+
+export const importJobOptions = {
+  concurrency: parseInt(process.env.IMPORT_JOB_CONCURRENCY) || 1,
+  maxRows: parseInt(process.env.IMPORT_JOB_MAX_ROWS) || 100000,
+  maxFileSize: parseInt(process.env.IMPORT_JOB_MAX_FILE_SIZE) || 20 * 1024 * 1024,
+  stalledSweepCron: process.env.IMPORT_JOB_STALLED_SWEEP_CRON || '* * * * *'
+};
+
+const getImportQueue = () => getQueue(IMPORT_QUEUE);
+
+// Progress lives in import_jobs, so the queue job is only a trigger and is tried once.
+// The job ID is the import's ID, so queueing an import that is already waiting is a no-op.
+const queueImport = (jobId) => getImportQueue().add({ jobId }, {
+  jobId,
+  attempts: 1,
+  removeOnComplete: true,
+  removeOnFail: true
+});
+
+/**
+ * Enqueue Import Job
+ * Stores the upload and hands it to the import worker.
+ * @param {Object} jobData - { sourceType: 'csv'|'json', mode, filename, options, data: Buffer }
+ * @returns {Promise<Object>} The stored job
+ */
+export async function enqueueImportJob(userId, jobData) {
+  const job = await ImportJobService.create(userId, jobData);
+
+  try {
+    await queueImport(job.id);
+  } catch (error) {
+    await ImportJobService.finish(job.id, 'failed', 'Could not queue import');
+    throw error;
+  }
+
+  return job;
+}
+
+/**
+ * Queue stalled imports again. Bull gives up on a job whose worker was lost,
+ * so imports left running by a crash or deploy are picked up from import_jobs.
+ */
+export async function requeueStalledImports() {
+  try {
+    const jobIds = await ImportJobService.getStalled();
+
+    for (const jobId of jobIds) {
+      await queueImport(jobId);
+      console.log(`📥 Import ${jobId} stalled and was queued again`);
+    }
+
+    return jobIds.length;
+  } catch (error) {
+    console.error('❌ Stalled import sweep failed:', error);
+    return 0;
+  }
+}
+
+/**
+ * Start the import worker (call once at startup)
+ */
+export function startImportWorker() {
+  getImportQueue().process(importJobOptions.concurrency, processImportJob);
+  cron.schedule(importJobOptions.stalledSweepCron, requeueStalledImports);
+  console.log(`📥 Contact import worker started (concurrency ${importJobOptions.concurrency})`);
+}
+
+/**
+ * Run one import, recording progress after every batch and stopping early when cancelled
+ */
+async function processImportJob(queueJob) {
+  const job = await ImportJobService.start(queueJob.data.jobId);
+  if (!job) {
+    return { skipped: true };
+  }
+
+  let cancelRequested = false;
+  const progress = {
+    onHeader: (header) => ImportJobService.setHeader(job.id, header),
+    onBatch: async (totals) => {
+      cancelRequested = await ImportJobService.recordProgress(job.id, totals);
+    },
+    shouldStop: () => cancelRequested
+  };
+
+  let result;
+  try {
+    result = job.source_type === 'csv'
+      ? await ContactImportService.importStream(job.user_id, Readable.from([job.source_data]), {
+        hasHeader: job.options.hasHeader,
+        mapping: job.options.mapping,
+        maxRows: importJobOptions.maxRows,
+        mode: job.mode,
+        ...progress
+      })
+      : await ContactImportService.importRows(job.user_id, JSON.parse(job.source_data.toString('utf8')), {
+        mode: job.mode,
+        ...progress
+      });
+  } catch (error) {
+    console.error(`❌ Import ${job.id} failed:`, error);
+    await ImportJobService.finish(job.id, 'failed', error.message);
+    return { status: 'failed', error: error.message };
+  }
+
+  // Closing out and notifying come after the import, so a failure here never marks it failed
+  const finished = await ImportJobService.finish(job.id, result.stopped ? 'cancelled' : 'completed');
+  if (!finished) {
+    return { skipped: true };
+  }
+
+  console.log(`📥 Import ${job.id} ${finished.status}: ${result.imported} imported, ${result.updated} updated, ${result.skipped} skipped, ${result.errors.length} errors`);
+
+  if (finished.status === 'completed') {
+    try {
+      await emitWebhookEvent(job.user_id, 'import.completed', {
+        jobId: job.id,
+        mode: result.mode,
+        total: result.total,
+        imported: result.imported,
+        updated: result.updated,
+        skipped: result.skipped,
+        errors: result.errors.length
+      });
+    } catch (error) {
+      console.error(`❌ Import ${job.id} completed but its webhook could not be sent:`, error);
+    }
+  }
+
+  return { status: finished.status };
+}
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+
+const queue = { add: jest.fn(), process: jest.fn() };
+const ImportJobService = {
+  create: jest.fn(),
+  start: jest.fn(),
+  setHeader: jest.fn(),
+  recordProgress: jest.fn(),
+  finish: jest.fn(),
+  getStalled: jest.fn()
+};
+const ContactImportService = { importStream: jest.fn(), importRows: jest.fn() };
+const emitWebhookEvent = jest.fn();
+const schedule = jest.fn();
+
+jest.unstable_mockModule('../config/queue.js', () => ({ getQueue: () => queue }));
+jest.unstable_mockModule('node-cron', () => ({ default: { schedule } }));
+jest.unstable_mockModule('./importJobService.js', () => ({ default: ImportJobService }));
+jest.unstable_mockModule('./contactImportService.js', () => ({ default: ContactImportService }));
+jest.unstable_mockModule('./webhookDispatcher.js', () => ({ emitWebhookEvent }));
+
+const { enqueueImportJob, requeueStalledImports, startImportWorker } = await import('./importJobRunner.js');
+
+const runningJob = {
+  id: 'job-1',
+  user_id: 'user-1',
+  source_type: 'json',
+  mode: 'merge',
+  options: {},
+  source_data: Buffer.from(JSON.stringify([{ email: 'ada@example.com' }]))
+};
+
+const importResult = { mode: 'merge', total: 1, imported: 1, updated: 0, skipped: 0, errors: [] };
+
+describe('importJobRunner', () => {
+  let processImportJob;
+  let stalledSweep;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    startImportWorker();
+    processImportJob = queue.process.mock.calls[0][1];
+    stalledSweep = schedule.mock.calls[0];
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ImportJobService.start.mockResolvedValue(runningJob);
+    ContactImportService.importRows.mockResolvedValue(importResult);
+    ImportJobService.finish.mockImplementation(async (jobId, status) => ({ id: jobId, status }));
+  });
+
+  test('an upload is stored and queued under its own ID', async () => {
+    ImportJobService.create.mockResolvedValue({ id: 'job-1' });
+
+    await enqueueImportJob('user-1', { sourceType: 'json', mode: 'merge', data: Buffer.from('[]') });
+
+    expect(queue.add).toHaveBeenCalledWith({ jobId: 'job-1' }, expect.objectContaining({ jobId: 'job-1', attempts: 1 }));
+  });
+
+  test('an upload that cannot be queued is marked failed', async () => {
+    ImportJobService.create.mockResolvedValue({ id: 'job-1' });
+    queue.add.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    await expect(enqueueImportJob('user-1', { sourceType: 'json', data: Buffer.from('[]') })).rejects.toThrow('Redis unavailable');
+    expect(ImportJobService.finish).toHaveBeenCalledWith('job-1', 'failed', 'Could not queue import');
+  });
+
+  test('a finished import is completed and announced', async () => {
+    const result = await processImportJob({ data: { jobId: 'job-1' } });
+
+    expect(result).toEqual({ status: 'completed' });
+    expect(ContactImportService.importRows).toHaveBeenCalledWith('user-1', [{ email: 'ada@example.com' }], expect.objectContaining({ mode: 'merge' }));
+    expect(emitWebhookEvent).toHaveBeenCalledWith('user-1', 'import.completed', expect.objectContaining({ jobId: 'job-1', imported: 1 }));
+  });
+
+  test('a webhook that cannot be sent leaves the import completed', async () => {
+    emitWebhookEvent.mockRejectedValueOnce(new Error('database unavailable'));
+
+    const result = await processImportJob({ data: { jobId: 'job-1' } });
+
+    expect(result).toEqual({ status: 'completed' });
+    expect(ImportJobService.finish).toHaveBeenCalledTimes(1);
+  });
+
+  test('an import error marks the job failed', async () => {
+    ContactImportService.importRows.mockRejectedValueOnce(new Error('Invalid JSON'));
+
+    const result = await processImportJob({ data: { jobId: 'job-1' } });
+
+    expect(result).toEqual({ status: 'failed', error: 'Invalid JSON' });
+    expect(ImportJobService.finish).toHaveBeenCalledWith('job-1', 'failed', 'Invalid JSON');
+    expect(emitWebhookEvent).not.toHaveBeenCalled();
+  });
+
+  test('a job that was cancelled or is being run elsewhere is skipped', async () => {
+    ImportJobService.start.mockResolvedValueOnce(null);
+
+    await expect(processImportJob({ data: { jobId: 'job-1' } })).resolves.toEqual({ skipped: true });
+    expect(ContactImportService.importRows).not.toHaveBeenCalled();
+  });
+
+  test('stalled imports are queued again on a schedule', async () => {
+    ImportJobService.getStalled.mockResolvedValueOnce(['job-1', 'job-2']);
+
+    await expect(requeueStalledImports()).resolves.toBe(2);
+    expect(queue.add.mock.calls.map(([data]) => data.jobId)).toEqual(['job-1', 'job-2']);
+    expect(stalledSweep).toEqual(['* * * * *', requeueStalledImports]);
+  });
+});
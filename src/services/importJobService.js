@@ -0,0 +1,265 @@
+import pool from '../config/database.js';
+
+// Everything but the uploaded data, which only the worker reads
+const JOB_COLUMNS = `
+  id, user_id, status, source_type, mode, filename, options, header, processed, imported,
+  updated, skipped, failed, error, cancel_requested_at, started_at, completed_at, created_at, updated_at
+`;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// A running job with no progress for this long has lost its worker (crash or deploy mid-import)
+const STALLED_SECONDS = parseInt(process.env.IMPORT_JOB_STALLED_TIMEOUT) || 600;
+
+const STALLED = `(status = 'running' AND updated_at < NOW() - (${STALLED_SECONDS} * INTERVAL '1 second'))`;
+
+// Jobs no worker is busy with stop as soon as they are cancelled
+const STOPS_NOW = `(status = 'queued' OR ${STALLED})`;
+
+class ImportJobService {
+  /**
+   * Record an import waiting for the worker
+   * @param {Object} jobData - { sourceType: 'csv'|'json', mode, filename, options, data: Buffer }
+   */
+  static async create(userId, jobData) {
+    const { sourceType, mode = 'skip', filename = null, options = {}, data } = jobData;
+
+    const result = await pool.query(`
+      INSERT INTO import_jobs (user_id, source_type, mode, filename, options, source_data)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${JOB_COLUMNS}
+    `, [userId, sourceType, mode, filename, JSON.stringify(options), data]);
+    return result.rows[0];
+  }
+
+  /**
+   * List a user's import jobs, newest first
+   */
+  static async getByUser(userId, options = {}) {
+    const { page = 1, limit = 50, status } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [userId];
+    let where = 'WHERE user_id = $1';
+
+    if (status) {
+      values.push(status);
+      where += ` AND status = $${values.length}`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT ${JOB_COLUMNS}
+        FROM import_jobs
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM import_jobs ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      jobs: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get an import job owned by the user
+   */
+  static async getById(userId, jobId) {
+    const result = await pool.query(
+      `SELECT ${JOB_COLUMNS} FROM import_jobs WHERE id = $1 AND user_id = $2`,
+      [jobId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Mark a queued job as running and hand over its data.
+   * A stalled job is reclaimed and run again from the start: its totals and failed rows
+   * are reset, and contacts the lost run already imported come through as existing rows.
+   * Returns null when the job was cancelled (or is still being run) in the meantime.
+   */
+  static async start(jobId) {
+    const result = await pool.query(`
+      WITH claimed AS (
+        UPDATE import_jobs
+        SET status = 'running', processed = 0, imported = 0, updated = 0, skipped = 0, failed = 0,
+            started_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND cancel_requested_at IS NULL AND (status = 'queued' OR ${STALLED})
+        RETURNING ${JOB_COLUMNS}, source_data
+      ), cleared AS (
+        DELETE FROM import_job_failures WHERE job_id IN (SELECT id FROM claimed)
+      )
+      SELECT * FROM claimed
+    `, [jobId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remember the file's header row for the failed-rows download
+   */
+  static async setHeader(jobId, header) {
+    await pool.query(
+      'UPDATE import_jobs SET header = $2, updated_at = NOW() WHERE id = $1',
+      [jobId, header ? JSON.stringify(header) : null]
+    );
+  }
+
+  /**
+   * Store running totals, plus the rows that failed and the contacts updated since the last update
+   * @returns {Promise<boolean>} Whether a cancel has been requested
+   */
+  static async recordProgress(jobId, progress) {
+    const { processed, imported, updated = 0, skipped, failed, failures = [], updatedIds = [] } = progress;
+
+    if (updatedIds.length > 0) {
+      await pool.query(`
+        INSERT INTO import_job_updates (job_id, contact_id)
+        SELECT $1, unnest($2::uuid[])
+        ON CONFLICT DO NOTHING
+      `, [jobId, updatedIds]);
+    }
+
+    if (failures.length > 0) {
+      await pool.query(`
+        INSERT INTO import_job_failures (job_id, row_number, email, error, fields)
+        SELECT $1, f.row_number, f.email, f.error, f.fields
+        FROM jsonb_to_recordset($2::jsonb) AS f(row_number INTEGER, email VARCHAR, error TEXT, fields JSONB)
+      `, [jobId, JSON.stringify(failures.map(failure => ({
+        row_number: failure.row ?? null,
+        email: failure.email ?? null,
+        error: failure.error,
+        fields: failure.fields ?? null
+      })))]);
+    }
+
+    const result = await pool.query(`
+      UPDATE import_jobs
+      SET processed = $2, imported = $3, updated = $4, skipped = $5, failed = $6, updated_at = NOW()
+      WHERE id = $1
+      RETURNING cancel_requested_at IS NOT NULL AS cancel_requested
+    `, [jobId, processed, imported, updated, skipped, failed]);
+    return Boolean(result.rows[0]?.cancel_requested);
+  }
+
+  /**
+   * Close a job out. The uploaded data is dropped once it is no longer needed.
+   * A job that is already finished keeps its outcome.
+   * @returns {Promise<Object|null>} The job, or null if it was already finished
+   */
+  static async finish(jobId, status, error = null) {
+    const result = await pool.query(`
+      UPDATE import_jobs
+      SET status = $2, error = $3, source_data = NULL, completed_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND status <> ALL($4)
+      RETURNING ${JOB_COLUMNS}
+    `, [jobId, status, error, FINISHED_STATUSES]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find running jobs that have lost their worker so they can be queued again.
+   * Stalled jobs with a cancel request are closed out as cancelled instead.
+   * @returns {Promise<string[]>} IDs of the stalled jobs to run again
+   */
+  static async getStalled(limit = 100) {
+    await pool.query(`
+      UPDATE import_jobs
+      SET status = 'cancelled', source_data = NULL, completed_at = NOW(), updated_at = NOW()
+      WHERE ${STALLED} AND cancel_requested_at IS NOT NULL
+    `);
+
+    const result = await pool.query(`
+      SELECT id FROM import_jobs
+      WHERE ${STALLED} AND cancel_requested_at IS NULL
+      ORDER BY updated_at
+      LIMIT $1
+    `, [limit]);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Cancel a job. Queued and stalled jobs stop straight away; running jobs stop after
+   * their current batch, keeping the contacts already imported.
+   * @returns {Promise<Object|null>} The job, or null if it does not exist
+   */
+  static async cancel(userId, jobId) {
+    const job = await this.getById(userId, jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Import job is ${job.status} and cannot be cancelled`);
+    }
+
+    const result = await pool.query(`
+      UPDATE import_jobs
+      SET cancel_requested_at = COALESCE(cancel_requested_at, NOW()),
+          status = CASE WHEN ${STOPS_NOW} THEN 'cancelled' ELSE status END,
+          completed_at = CASE WHEN ${STOPS_NOW} THEN NOW() ELSE completed_at END,
+          source_data = CASE WHEN ${STOPS_NOW} THEN NULL ELSE source_data END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${JOB_COLUMNS}
+    `, [jobId]);
+    return result.rows[0];
+  }
+
+  /**
+   * Page through the existing contacts a job updated
+   */
+  static async getUpdatedContacts(jobId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT c.id, c.email, c.name, c.company, c.tags, c.metadata, c.custom_fields, c.updated_at
+        FROM import_job_updates u
+        JOIN contacts c ON c.id = u.contact_id
+        WHERE u.job_id = $1
+        ORDER BY c.email
+        LIMIT $2 OFFSET $3
+      `, [jobId, limit, offset]),
+      pool.query('SELECT COUNT(*) FROM import_job_updates WHERE job_id = $1', [jobId])
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      contacts: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * A page of a job's failed rows in the order they were found, for streaming the download
+   */
+  static async getFailures(jobId, { afterId = 0, limit = 1000 } = {}) {
+    const result = await pool.query(`
+      SELECT id, row_number, email, error, fields
+      FROM import_job_failures
+      WHERE job_id = $1 AND id > $2
+      ORDER BY id
+      LIMIT $3
+    `, [jobId, afterId, limit]);
+    return result.rows;
+  }
+}
+
+export default ImportJobService;
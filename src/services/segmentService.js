@@ -0,0 +1,215 @@
+import pool from '../config/database.js';
+import ContactFieldService from './contactFieldService.js';
+import { compileSegment } from '../utils/segmentCompiler.js';
+
+const SEGMENT_COLUMNS = 'id, user_id, name, description, rules, created_at, updated_at';
+
+class SegmentService {
+  /**
+   * Compile a rule tree against the user's custom field definitions
+   */
+  static async compile(userId, rules, { startIndex = 1 } = {}) {
+    const customFields = await ContactFieldService.getByUser(userId);
+    return compileSegment(rules, { startIndex, customFields });
+  }
+
+  /**
+   * Condition selecting the user's contacts that match a rule tree
+   * @private
+   */
+  static async buildCondition(userId, rules) {
+    const { sql, values } = await this.compile(userId, rules, { startIndex: 2 });
+    return {
+      where: `contacts.user_id = $1 AND ${sql}`,
+      values: [userId, ...values]
+    };
+  }
+
+  /**
+   * Save a segment. Rules are compiled up front so a broken segment is never stored.
+   */
+  static async create(userId, segmentData) {
+    const { name, description = null, rules } = segmentData;
+    await this.compile(userId, rules);
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO segments (user_id, name, description, rules)
+        VALUES ($1, $2, $3, $4)
+        RETURNING ${SEGMENT_COLUMNS}
+      `, [userId, name, description, JSON.stringify(rules)]);
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') { // Unique violation
+        throw new Error('Segment with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's segments
+   */
+  static async getByUser(userId, options = {}) {
+    const { page = 1, limit = 50, search = '' } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [userId];
+    let where = 'WHERE user_id = $1';
+
+    if (search) {
+      values.push(`%${search}%`);
+      where += ` AND name ILIKE $${values.length}`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT ${SEGMENT_COLUMNS}
+        FROM segments
+        ${where}
+        ORDER BY name
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM segments ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      segments: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a segment owned by the user
+   */
+  static async getById(userId, segmentId) {
+    const result = await pool.query(
+      `SELECT ${SEGMENT_COLUMNS} FROM segments WHERE id = $1 AND user_id = $2`,
+      [segmentId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a segment's name, description or rules
+   */
+  static async update(userId, segmentId, updateData) {
+    const allowedFields = ['name', 'description', 'rules'];
+    const updates = [];
+    const values = [];
+
+    if (updateData.rules !== undefined) {
+      await this.compile(userId, updateData.rules);
+    }
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        values.push(key === 'rules' ? JSON.stringify(updateData[key]) : updateData[key]);
+        updates.push(`${key} = $${values.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updated_at = NOW()');
+    values.push(segmentId, userId);
+
+    try {
+      const result = await pool.query(`
+        UPDATE segments
+        SET ${updates.join(', ')}
+        WHERE id = $${values.length - 1} AND user_id = $${values.length}
+        RETURNING ${SEGMENT_COLUMNS}
+      `, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23505') { // Unique violation
+        throw new Error('Segment with this name already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a segment owned by the user
+   */
+  static async delete(userId, segmentId) {
+    const result = await pool.query(
+      `DELETE FROM segments WHERE id = $1 AND user_id = $2 RETURNING ${SEGMENT_COLUMNS}`,
+      [segmentId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Count the contacts matching a rule tree, with a few of them as a sample
+   */
+  static async preview(userId, rules, { sampleSize = 10 } = {}) {
+    const { where, values } = await this.buildCondition(userId, rules);
+
+    const [countResult, sampleResult] = await Promise.all([
+      pool.query(`SELECT COUNT(*) FROM contacts WHERE ${where}`, values),
+      pool.query(`
+        SELECT id, email, name, company, tags, created_at
+        FROM contacts
+        WHERE ${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length + 1}
+      `, [...values, sampleSize])
+    ]);
+
+    return {
+      count: parseInt(countResult.rows[0].count),
+      sample: sampleResult.rows
+    };
+  }
+
+  /**
+   * Page through the contacts currently in a saved segment
+   */
+  static async getMembers(userId, segmentId, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const offset = (page - 1) * limit;
+
+    const segment = await this.getById(userId, segmentId);
+    if (!segment) {
+      return null;
+    }
+
+    const { where, values } = await this.buildCondition(userId, segment.rules);
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT id, email, name, company, phone, tags, metadata, custom_fields, created_at, updated_at
+        FROM contacts
+        WHERE ${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM contacts WHERE ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      contacts: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default SegmentService;
@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+
+const pool = { query: jest.fn() };
+const ContactFieldService = { getByUser: jest.fn() };
+
+jest.unstable_mockModule('../config/database.js', () => ({ default: pool }));
+jest.unstable_mockModule('./contactFieldService.js', () => ({ default: ContactFieldService }));
+
+const { default: SegmentService } = await import('./segmentService.js');
+
+const rules = { match: 'all', rules: [{ field: 'tags', operator: 'has_any', value: ['buyer'] }] };
+
+describe('SegmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ContactFieldService.getByUser.mockResolvedValue([]);
+  });
+
+  test('a segment is saved with its rules', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 's1', name: 'Buyers' }] });
+
+    await expect(SegmentService.create('user-1', { name: 'Buyers', rules })).resolves.toEqual({ id: 's1', name: 'Buyers' });
+    expect(pool.query.mock.calls[0][1]).toEqual(['user-1', 'Buyers', null, JSON.stringify(rules)]);
+  });
+
+  test('broken rules are refused before anything is stored', async () => {
+    const broken = { match: 'all', rules: [{ field: 'tags', operator: 'between', value: ['buyer'] }] };
+
+    await expect(SegmentService.create('user-1', { name: 'Buyers', rules: broken })).rejects.toThrow('Invalid segment rule');
+    await expect(SegmentService.update('user-1', 's1', { rules: broken })).rejects.toThrow('Invalid segment rule');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test('a duplicate name is reported', async () => {
+    pool.query.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+    await expect(SegmentService.update('user-1', 's1', { name: 'Buyers' })).rejects.toThrow('Segment with this name already exists');
+  });
+
+  test('a preview counts matching contacts and returns a sample', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ count: '12' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c1' }] });
+
+    const result = await SegmentService.preview('user-1', rules, { sampleSize: 1 });
+
+    expect(result).toEqual({ count: 12, sample: [{ id: 'c1' }] });
+    const [sql, values] = pool.query.mock.calls[0];
+    expect(sql).toBe('SELECT COUNT(*) FROM contacts WHERE contacts.user_id = $1 AND (contacts.tags ?| $2::text[])');
+    expect(values).toEqual(['user-1', ['buyer']]);
+    expect(pool.query.mock.calls[1][1]).toEqual(['user-1', ['buyer'], 1]);
+  });
+});
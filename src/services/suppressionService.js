@@ -0,0 +1,183 @@
+import pool from '../config/database.js';
+
+// Channels whose addresses are phone numbers rather than email addresses
+const PHONE_CHANNELS = ['sms', 'whatsapp'];
+
+class SuppressionService {
+  /**
+   * Normalise an address so lookups ignore case and phone formatting
+   */
+  static normalizeAddress(channel, address) {
+    const value = String(address || '').trim();
+    return PHONE_CHANNELS.includes(channel) ? value.replace(/\D/g, '') : value.toLowerCase();
+  }
+
+  /**
+   * Add an address to a user's suppression list, or to the global list when userId is null.
+   * Adding an address that is already suppressed returns the existing entry.
+   */
+  static async add(userId, suppressionData) {
+    const {
+      address,
+      channel = 'email',
+      reason = 'manual',
+      source = null,
+      campaign_id: campaignId = null
+    } = suppressionData;
+
+    const normalized = this.normalizeAddress(channel, address);
+    if (!normalized) {
+      throw new Error('Address is required');
+    }
+
+    // Each scope has its own partial unique index
+    const conflictTarget = userId
+      ? '(user_id, channel, address) WHERE user_id IS NOT NULL'
+      : '(channel, address) WHERE user_id IS NULL';
+
+    const result = await pool.query(`
+      INSERT INTO suppressions (user_id, channel, address, reason, source, campaign_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT ${conflictTarget} DO NOTHING
+      RETURNING *
+    `, [userId, channel, normalized, reason, source, campaignId]);
+
+    if (result.rows[0]) {
+      return result.rows[0];
+    }
+
+    const existing = await pool.query(`
+      SELECT *
+      FROM suppressions
+      WHERE user_id IS NOT DISTINCT FROM $1 AND channel = $2 AND address = $3
+    `, [userId, channel, normalized]);
+    return existing.rows[0];
+  }
+
+  /**
+   * List suppressions visible to a user: their own, the global list, or both
+   */
+  static async getByUser(userId, options = {}) {
+    const { page = 1, limit = 50, search = '', channel, scope = 'all' } = options;
+    const offset = (page - 1) * limit;
+
+    const values = [];
+    let where;
+    if (scope === 'global') {
+      where = 'WHERE user_id IS NULL';
+    } else {
+      values.push(userId);
+      where = scope === 'user' ? 'WHERE user_id = $1' : 'WHERE (user_id = $1 OR user_id IS NULL)';
+    }
+
+    if (channel) {
+      values.push(channel);
+      where += ` AND channel = $${values.length}`;
+    }
+
+    if (search) {
+      values.push(`%${search.toLowerCase()}%`);
+      where += ` AND address LIKE $${values.length}`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT id, user_id, channel, address, reason, source, campaign_id, created_at,
+               (user_id IS NULL) AS is_global
+        FROM suppressions
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM suppressions ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      suppressions: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a single suppression the user can see
+   */
+  static async getById(userId, suppressionId) {
+    const result = await pool.query(`
+      SELECT *, (user_id IS NULL) AS is_global
+      FROM suppressions
+      WHERE id = $1 AND (user_id = $2 OR user_id IS NULL)
+    `, [suppressionId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remove a suppression. Global entries can only be removed by admins.
+   */
+  static async remove(userId, suppressionId, { isAdmin = false } = {}) {
+    const suppression = await this.getById(userId, suppressionId);
+    if (!suppression) {
+      return null;
+    }
+
+    if (suppression.is_global && !isAdmin) {
+      throw new Error('Global suppressions cannot be modified');
+    }
+
+    const result = await pool.query(
+      'DELETE FROM suppressions WHERE id = $1 RETURNING *',
+      [suppressionId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the suppression blocking a send to this address, if any
+   */
+  static async check(userId, channel, address) {
+    const normalized = this.normalizeAddress(channel, address);
+    if (!normalized) {
+      return null;
+    }
+
+    const result = await pool.query(`
+      SELECT *
+      FROM suppressions
+      WHERE channel = $1 AND address = $2 AND (user_id = $3 OR user_id IS NULL)
+      ORDER BY user_id NULLS FIRST
+      LIMIT 1
+    `, [channel, normalized, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Unsubscribe a campaign recipient from the sending account's messages on the campaign's channel
+   */
+  static async unsubscribeRecipient(recipient, { source = 'unsubscribe_link' } = {}) {
+    const channel = recipient.channel || 'email';
+
+    const suppression = await this.add(recipient.campaign_user_id, {
+      address: PHONE_CHANNELS.includes(channel) ? recipient.phone : recipient.email,
+      channel,
+      reason: 'unsubscribe',
+      source,
+      campaign_id: recipient.campaign_id
+    });
+
+    await pool.query(`
+      UPDATE campaign_recipients
+      SET unsubscribed_at = COALESCE(unsubscribed_at, NOW())
+      WHERE id = $1
+    `, [recipient.id]);
+
+    return suppression;
+  }
+}
+
+export default SuppressionService;
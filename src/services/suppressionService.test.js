@@ -0,0 +1,50 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+jest.unstable_mockModule('../config/database.js', () => ({ default: { query } }));
+
+const { default: SuppressionService } = await import('./suppressionService.js');
+
+const recipient = {
+  id: 'r1',
+  campaign_id: 'c1',
+  campaign_user_id: 'user-1',
+  email: 'Ada@Example.com',
+  phone: '+254 711 000 000'
+};
+
+describe('SuppressionService', () => {
+  beforeEach(() => {
+    query.mockReset();
+    query.mockResolvedValue({ rows: [{ id: 's1' }] });
+  });
+
+  test('addresses are normalised per channel', () => {
+    expect(SuppressionService.normalizeAddress('email', ' Ada@Example.com ')).toBe('ada@example.com');
+    expect(SuppressionService.normalizeAddress('sms', '+254 (711) 000-000')).toBe('254711000000');
+  });
+
+  test('an email recipient unsubscribes their email address', async () => {
+    await SuppressionService.unsubscribeRecipient({ ...recipient, channel: 'email' });
+
+    expect(query.mock.calls[0][1]).toEqual(['user-1', 'email', 'ada@example.com', 'unsubscribe', 'unsubscribe_link', 'c1']);
+    expect(query.mock.calls[1][1]).toEqual(['r1']);
+  });
+
+  test('an SMS recipient unsubscribes their phone number from SMS', async () => {
+    await SuppressionService.unsubscribeRecipient({ ...recipient, channel: 'sms' }, { source: 'list_unsubscribe' });
+
+    expect(query.mock.calls[0][1]).toEqual(['user-1', 'sms', '254711000000', 'unsubscribe', 'list_unsubscribe', 'c1']);
+  });
+
+  test('an address that is already suppressed returns the existing entry', async () => {
+    query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ id: 'existing' }] });
+
+    await expect(SuppressionService.add('user-1', { address: 'ada@example.com' })).resolves.toEqual({ id: 'existing' });
+  });
+
+  test('an empty address is refused', async () => {
+    await expect(SuppressionService.add('user-1', { address: '  ' })).rejects.toThrow('Address is required');
+    expect(query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,243 @@
+import Mustache from 'mustache';
+import pool from '../config/database.js';
+import { sanitizeHTML } from '../middleware/validation.js';
+import { analyzeSms } from '../channels/sms/smsEncoding.js';
+
+// Owner of the seeded default templates shared by every account
+export const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+const TEMPLATE_COLUMNS = `
+  id, user_id, name, channel, subject, body_html, body_text, whatsapp_template,
+  variables, is_default, created_at
+`;
+
+// Longest SMS body we accept (10 concatenated segments)
+const MAX_SMS_LENGTH = 1600;
+
+// SMS templates carry their segment estimate so authors can see the cost
+const withChannelDetails = (template) => {
+  if (template && template.channel === 'sms') {
+    return { ...template, sms: analyzeSms(template.body_text) };
+  }
+  return template;
+};
+
+class TemplateService {
+  /**
+   * Create a template owned by the user
+   */
+  static async create(userId, templateData) {
+    const { name, channel = 'email', body_text: bodyText } = templateData;
+
+    // Text-only channels have no subject line or HTML part
+    const subject = channel === 'email' ? templateData.subject : '';
+    const sanitizedHtml = channel === 'email' ? sanitizeHTML(templateData.body_html) : '';
+
+    // Approved WhatsApp templates are filled positionally from these variables
+    const whatsappTemplate = channel === 'whatsapp' && templateData.whatsapp_template
+      ? { parameters: [], ...templateData.whatsapp_template }
+      : null;
+
+    const variables = templateData.variables || [...new Set([
+      ...this.extractVariables(subject, sanitizedHtml, bodyText),
+      ...(whatsappTemplate?.parameters || [])
+    ])];
+
+    const query = `
+      INSERT INTO email_templates (user_id, name, channel, subject, body_html, body_text, whatsapp_template, variables)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${TEMPLATE_COLUMNS}
+    `;
+
+    const result = await pool.query(query, [
+      userId,
+      name,
+      channel,
+      subject,
+      sanitizedHtml,
+      bodyText,
+      whatsappTemplate ? JSON.stringify(whatsappTemplate) : null,
+      JSON.stringify(variables)
+    ]);
+    return withChannelDetails(result.rows[0]);
+  }
+
+  /**
+   * List the user's templates together with the system defaults
+   */
+  static async getByUser(userId, options = {}) {
+    const { page = 1, limit = 50, search = '', channel } = options;
+    const offset = (page - 1) * limit;
+
+    let where = 'WHERE user_id = ANY($1)';
+    const values = [[userId, SYSTEM_USER_ID]];
+
+    if (channel) {
+      values.push(channel);
+      where += ` AND channel = $${values.length}`;
+    }
+
+    if (search) {
+      values.push(`%${search}%`);
+      where += ` AND (name ILIKE $${values.length} OR subject ILIKE $${values.length})`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT ${TEMPLATE_COLUMNS}
+        FROM email_templates
+        ${where}
+        ORDER BY is_default DESC, created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM email_templates ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      templates: result.rows.map(withChannelDetails),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a template the user owns or a system default
+   */
+  static async getById(userId, templateId) {
+    const result = await pool.query(`
+      SELECT ${TEMPLATE_COLUMNS}
+      FROM email_templates
+      WHERE id = $1 AND user_id = ANY($2)
+    `, [templateId, [userId, SYSTEM_USER_ID]]);
+    return withChannelDetails(result.rows[0]) || null;
+  }
+
+  /**
+   * Find a template by name for a channel, preferring the user's own over system defaults
+   */
+  static async getByName(userId, name, channel = 'email') {
+    const result = await pool.query(`
+      SELECT ${TEMPLATE_COLUMNS}
+      FROM email_templates
+      WHERE name = $1 AND channel = $2 AND user_id = ANY($3)
+      ORDER BY (user_id = $4) DESC, created_at DESC
+      LIMIT 1
+    `, [name, channel, [userId, SYSTEM_USER_ID], userId]);
+    return withChannelDetails(result.rows[0]) || null;
+  }
+
+  /**
+   * Update a template owned by the user
+   */
+  static async update(userId, templateId, updateData) {
+    const template = await this.getById(userId, templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    if (template.user_id !== userId) {
+      throw new Error('Default templates cannot be modified');
+    }
+
+    if (template.channel === 'sms' && updateData.body_text?.length > MAX_SMS_LENGTH) {
+      throw new Error(`SMS text must be at most ${MAX_SMS_LENGTH} characters`);
+    }
+
+    if (updateData.whatsapp_template && template.channel !== 'whatsapp') {
+      throw new Error('WhatsApp template details only apply to WhatsApp templates');
+    }
+
+    const allowedFields = ['name', 'subject', 'body_html', 'body_text', 'whatsapp_template', 'variables'];
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        let value = updateData[key];
+        if (key === 'body_html') {
+          value = sanitizeHTML(value);
+        } else if (key === 'whatsapp_template') {
+          value = value ? JSON.stringify({ parameters: [], ...value }) : null;
+        } else if (key === 'variables') {
+          value = JSON.stringify(value);
+        }
+
+        values.push(value);
+        updates.push(`${key} = $${values.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    values.push(templateId, userId);
+
+    const result = await pool.query(`
+      UPDATE email_templates
+      SET ${updates.join(', ')}
+      WHERE id = $${values.length - 1} AND user_id = $${values.length}
+      RETURNING ${TEMPLATE_COLUMNS}
+    `, values);
+    return withChannelDetails(result.rows[0]);
+  }
+
+  /**
+   * Delete a template owned by the user
+   */
+  static async delete(userId, templateId) {
+    try {
+      const result = await pool.query(`
+        DELETE FROM email_templates
+        WHERE id = $1 AND user_id = $2
+        RETURNING ${TEMPLATE_COLUMNS}
+      `, [templateId, userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      if (error.code === '23503') { // Foreign key violation
+        throw new Error('Template is in use by campaigns and cannot be deleted');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Render a template's subject, HTML and text bodies with the given data
+   * Variable values are HTML-escaped in the HTML body only. Unescaped tags
+   * ({{{name}}} and {{& name}}) can still insert markup, so the rendered HTML
+   * goes through the same sanitizer as saved templates.
+   */
+  static render(template, data) {
+    const plain = { escape: value => String(value) };
+
+    return {
+      subject: Mustache.render(template.subject, data, {}, plain),
+      html: sanitizeHTML(Mustache.render(template.body_html, data)),
+      text: Mustache.render(template.body_text, data, {}, plain)
+    };
+  }
+
+  /**
+   * Collect the {{variable}} names used across template parts
+   * @private
+   */
+  static extractVariables(...parts) {
+    const variables = new Set();
+
+    parts.filter(Boolean).forEach(part => {
+      for (const match of part.matchAll(/\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g)) {
+        variables.add(match[1]);
+      }
+    });
+
+    return [...variables];
+  }
+}
+
+export default TemplateService;
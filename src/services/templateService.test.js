@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+jest.unstable_mockModule('../config/database.js', () => ({ default: { query } }));
+
+const { default: TemplateService } = await import('./templateService.js');
+
+const template = (bodyHtml) => ({
+  subject: 'Hello {{contact_name}}',
+  body_html: bodyHtml,
+  body_text: 'Hello {{contact_name}} & friends'
+});
+
+describe('TemplateService', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  test('variables are escaped in the HTML body only', () => {
+    const rendered = TemplateService.render(template('<p>Hello {{contact_name}}</p>'), { contact_name: 'Tom & <b>Jerry</b>' });
+
+    expect(rendered.subject).toBe('Hello Tom & <b>Jerry</b>');
+    expect(rendered.html).toBe('<p>Hello Tom &amp; &lt;b&gt;Jerry&lt;/b&gt;</p>');
+    expect(rendered.text).toBe('Hello Tom & <b>Jerry</b> & friends');
+  });
+
+  test('unescaped tags cannot insert scripts or event handlers', () => {
+    const value = '<strong>Sale</strong><script>alert(1)</script><img src=x onerror=alert(1)>';
+
+    ['<p>{{{offer}}}</p>', '<p>{{& offer}}</p>'].forEach((bodyHtml) => {
+      const { html } = TemplateService.render(template(bodyHtml), { offer: value });
+
+      expect(html).toBe('<p><strong>Sale</strong></p>');
+    });
+  });
+
+  test('saved HTML is sanitized and its variables collected', async () => {
+    query.mockImplementationOnce(async (sql, values) => ({
+      rows: [{ id: 't1', channel: 'email', body_html: values[4], variables: JSON.parse(values[7]) }]
+    }));
+
+    const saved = await TemplateService.create('user-1', {
+      name: 'Welcome',
+      subject: 'Hi {{contact_name}}',
+      body_html: '<p onclick="steal()">{{offer}}</p><script>alert(1)</script>',
+      body_text: 'Hi'
+    });
+
+    expect(saved.body_html).toBe('<p>{{offer}}</p>');
+    expect(saved.variables).toEqual(['contact_name', 'offer']);
+  });
+
+  test('default templates cannot be modified', async () => {
+    query.mockResolvedValueOnce({ rows: [{ id: 't1', user_id: 'system', channel: 'email' }] });
+
+    await expect(TemplateService.update('user-1', 't1', { name: 'Mine' })).rejects.toThrow('Default templates cannot be modified');
+  });
+});
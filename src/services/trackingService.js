@@ -0,0 +1,268 @@
+import pool from '../config/database.js';
+import DataServiceClient from './DataServiceClient.js';
+import { rewriteLinks, signLink } from '../utils/linkTracking.js';
+
+const dataService = new DataServiceClient();
+
+// Opens this soon after sending are almost always security scanners or prefetchers
+const prefetchWindowSeconds = parseInt(process.env.TRACKING_PREFETCH_WINDOW_SECONDS);
+const PREFETCH_WINDOW_MS = (Number.isNaN(prefetchWindowSeconds) ? 30 : prefetchWindowSeconds) * 1000;
+
+// Link scanners and automated fetchers that request images without a person reading
+const SCANNER_USER_AGENT = /bot|crawler|spider|preview|scanner|proofpoint|mimecast|barracuda|python-requests|curl|wget|headless/i;
+
+/**
+ * Public base URL the tracking endpoints are reachable on
+ */
+export const getTrackingBaseUrl = () =>
+  (process.env.TRACKING_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+/**
+ * Decide whether an open or click was made by a machine rather than a reader.
+ * Gmail and Yahoo image proxies only fetch when the message is opened,
+ * so they count as real opens; Apple Mail Privacy Protection prefetches
+ * every message with a bare "Mozilla/5.0" user agent, and link scanners
+ * follow every link as soon as the message lands.
+ * @returns {string|null} Reason the event looks automated, or null
+ */
+export const detectMachineActivity = (userAgent, { sentAt, openedAt = new Date() } = {}) => {
+  if (!userAgent) {
+    return 'no_user_agent';
+  }
+
+  if (userAgent.trim() === 'Mozilla/5.0') {
+    return 'apple_privacy_proxy';
+  }
+
+  if (SCANNER_USER_AGENT.test(userAgent)) {
+    return 'scanner';
+  }
+
+  if (sentAt && openedAt.getTime() - new Date(sentAt).getTime() < PREFETCH_WINDOW_MS) {
+    return 'prefetch';
+  }
+
+  return null;
+};
+
+class TrackingService {
+  /**
+   * URL of the open-tracking pixel for a recipient
+   */
+  static getOpenPixelUrl(trackingId) {
+    return `${getTrackingBaseUrl()}/api/tracking/open/${trackingId}.gif`;
+  }
+
+  /**
+   * Signed one-click unsubscribe URL for a recipient
+   */
+  static getUnsubscribeUrl(trackingId) {
+    return `${getTrackingBaseUrl()}/api/unsubscribe/${trackingId}?sig=${signLink(trackingId, 'unsubscribe')}`;
+  }
+
+  /**
+   * Append the open-tracking pixel to rendered HTML
+   */
+  static embedOpenPixel(html, trackingId) {
+    const pixel = `<img src="${this.getOpenPixelUrl(trackingId)}" width="1" height="1" alt="" style="display:none;border:0" />`;
+    return html.includes('</body>')
+      ? html.replace('</body>', `${pixel}</body>`)
+      : `${html}${pixel}`;
+  }
+
+  /**
+   * Route every web link in rendered HTML through the signed click redirect
+   */
+  static trackLinks(html, trackingId) {
+    return rewriteLinks(html, { baseUrl: getTrackingBaseUrl(), trackingId });
+  }
+
+  /**
+   * Get a recipient by its tracking ID with the campaign and contact context
+   */
+  static async getRecipientByTrackingId(trackingId) {
+    const result = await pool.query(`
+      SELECT cr.id, cr.campaign_id, cr.contact_id, cr.sent_at,
+             c.email, c.phone, c.metadata,
+             ca.user_id AS campaign_user_id, ca.channel
+      FROM campaign_recipients cr
+      JOIN contacts c ON c.id = cr.contact_id
+      JOIN campaigns ca ON ca.id = cr.campaign_id
+      WHERE cr.tracking_id = $1
+    `, [trackingId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record an open and roll it into the recipient's counters.
+   * Machine opens are stored but kept out of first/last open and open_count.
+   */
+  static async recordOpen(trackingId, { userAgent = null, ipAddress = null } = {}) {
+    const recipient = await this.getRecipientByTrackingId(trackingId);
+    if (!recipient) {
+      return null;
+    }
+
+    const machineReason = detectMachineActivity(userAgent, { sentAt: recipient.sent_at });
+    const isMachine = machineReason !== null;
+
+    await pool.query(`
+      INSERT INTO tracking_events (
+        recipient_id, campaign_id, event_type, user_agent, ip_address, is_machine, machine_reason
+      ) VALUES ($1, $2, 'open', $3, $4, $5, $6)
+    `, [recipient.id, recipient.campaign_id, userAgent, ipAddress, isMachine, machineReason]);
+
+    const result = await pool.query(`
+      UPDATE campaign_recipients
+      SET open_count = open_count + CASE WHEN $2::boolean THEN 0 ELSE 1 END,
+          machine_open_count = machine_open_count + CASE WHEN $2::boolean THEN 1 ELSE 0 END,
+          first_opened_at = CASE WHEN $2::boolean THEN first_opened_at ELSE COALESCE(first_opened_at, NOW()) END,
+          last_opened_at = CASE WHEN $2::boolean THEN last_opened_at ELSE NOW() END
+      WHERE id = $1
+      RETURNING id, open_count, machine_open_count, first_opened_at, last_opened_at
+    `, [recipient.id, isMachine]);
+
+    const counters = result.rows[0];
+
+    if (!isMachine) {
+      this.reportEngagement(recipient, {
+        type: 'email_open',
+        openCount: counters.open_count,
+        firstOpenedAt: counters.first_opened_at,
+        lastOpenedAt: counters.last_opened_at
+      });
+    }
+
+    return { ...counters, isMachine, machineReason };
+  }
+
+  /**
+   * Record a click on a tracked link.
+   * Machine clicks (link scanners) are stored but kept out of the recipient's counters.
+   */
+  static async recordClick(trackingId, url, { userAgent = null, ipAddress = null } = {}) {
+    const recipient = await this.getRecipientByTrackingId(trackingId);
+    if (!recipient) {
+      return null;
+    }
+
+    const machineReason = detectMachineActivity(userAgent, { sentAt: recipient.sent_at });
+    const isMachine = machineReason !== null;
+
+    await pool.query(`
+      INSERT INTO tracking_events (
+        recipient_id, campaign_id, event_type, url, user_agent, ip_address, is_machine, machine_reason
+      ) VALUES ($1, $2, 'click', $3, $4, $5, $6, $7)
+    `, [recipient.id, recipient.campaign_id, url, userAgent, ipAddress, isMachine, machineReason]);
+
+    if (isMachine) {
+      return { id: recipient.id, isMachine, machineReason };
+    }
+
+    const result = await pool.query(`
+      UPDATE campaign_recipients
+      SET click_count = click_count + 1,
+          first_clicked_at = COALESCE(first_clicked_at, NOW()),
+          last_clicked_at = NOW()
+      WHERE id = $1
+      RETURNING id, click_count, first_clicked_at, last_clicked_at
+    `, [recipient.id]);
+
+    const counters = result.rows[0];
+
+    this.reportEngagement(recipient, {
+      type: 'email_click',
+      url,
+      clickCount: counters.click_count
+    });
+
+    return { ...counters, isMachine, machineReason };
+  }
+
+  /**
+   * Per-link click report for a campaign, most clicked first
+   */
+  static async getLinkReport(campaignId, options = {}) {
+    const { includeMachine = false } = options;
+
+    const result = await pool.query(`
+      SELECT
+        url,
+        COUNT(*) AS clicks,
+        COUNT(DISTINCT recipient_id) AS unique_clicks,
+        COUNT(*) FILTER (WHERE is_machine) AS machine_clicks,
+        MIN(created_at) AS first_clicked_at,
+        MAX(created_at) AS last_clicked_at
+      FROM tracking_events
+      WHERE campaign_id = $1 AND event_type = 'click'
+        AND ($2::boolean OR is_machine = false)
+      GROUP BY url
+      ORDER BY clicks DESC, url
+    `, [campaignId, includeMachine]);
+
+    return result.rows.map(row => ({
+      url: row.url,
+      clicks: parseInt(row.clicks),
+      uniqueClicks: parseInt(row.unique_clicks),
+      machineClicks: parseInt(row.machine_clicks),
+      firstClickedAt: row.first_clicked_at,
+      lastClickedAt: row.last_clicked_at
+    }));
+  }
+
+  /**
+   * List open events for a campaign, newest first
+   */
+  static async getOpens(campaignId, options = {}) {
+    const { page = 1, limit = 50, includeMachine = false } = options;
+    const offset = (page - 1) * limit;
+
+    let where = "WHERE te.campaign_id = $1 AND te.event_type = 'open'";
+    if (!includeMachine) {
+      where += ' AND te.is_machine = false';
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT te.id, te.recipient_id, c.email, te.user_agent, te.is_machine,
+               te.machine_reason, te.created_at
+        FROM tracking_events te
+        JOIN campaign_recipients cr ON cr.id = te.recipient_id
+        JOIN contacts c ON c.id = cr.contact_id
+        ${where}
+        ORDER BY te.created_at DESC
+        LIMIT $2 OFFSET $3
+      `, [campaignId, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM tracking_events te ${where}`, [campaignId])
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      opens: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Forward engagement to the data service under the user that owns the campaign.
+   * Contact metadata is set by whoever imported the contact, so it never chooses the user.
+   * Fire-and-forget: the client logs its own failures.
+   * @private
+   */
+  static reportEngagement(recipient, engagement) {
+    dataService.updateUserEngagement(recipient.campaign_user_id, recipient.campaign_id, {
+      ...engagement,
+      recipientId: recipient.id,
+      contactId: recipient.contact_id,
+      email: recipient.email
+    });
+  }
+}
+
+export default TrackingService;
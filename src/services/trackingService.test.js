@@ -0,0 +1,70 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+const updateUserEngagement = jest.fn();
+
+jest.unstable_mockModule('../config/database.js', () => ({ default: { query } }));
+jest.unstable_mockModule('./DataServiceClient.js', () => ({
+  default: jest.fn(() => ({ updateUserEngagement }))
+}));
+
+const { default: TrackingService, detectMachineActivity } = await import('./trackingService.js');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+const recipient = {
+  id: 'r1',
+  campaign_id: 'c1',
+  contact_id: 'contact-1',
+  sent_at: new Date(Date.now() - 60 * 60 * 1000),
+  email: 'ada@example.com',
+  metadata: { userId: '../admin' },
+  campaign_user_id: 'owner-1',
+  channel: 'email'
+};
+
+describe('TrackingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  test('machine activity is told apart from readers', () => {
+    expect(detectMachineActivity(null)).toBe('no_user_agent');
+    expect(detectMachineActivity('Mozilla/5.0', { sentAt: recipient.sent_at })).not.toBeNull();
+    expect(detectMachineActivity(BROWSER, { sentAt: recipient.sent_at })).toBeNull();
+  });
+
+  test('an open is counted and reported under the campaign owner', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [recipient] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'r1', open_count: 1, first_opened_at: 'now', last_opened_at: 'now' }] });
+
+    const result = await TrackingService.recordOpen('trk-1', { userAgent: BROWSER });
+
+    expect(result).toMatchObject({ open_count: 1, isMachine: false });
+    expect(updateUserEngagement).toHaveBeenCalledWith('owner-1', 'c1', expect.objectContaining({
+      type: 'email_open',
+      recipientId: 'r1',
+      contactId: 'contact-1'
+    }));
+  });
+
+  test('machine opens are stored but not reported', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [recipient] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'r1', open_count: 0 }] });
+
+    const result = await TrackingService.recordOpen('trk-1', { userAgent: 'python-requests/2.31' });
+
+    expect(result.isMachine).toBe(true);
+    expect(updateUserEngagement).not.toHaveBeenCalled();
+  });
+
+  test('unknown tracking IDs are ignored', async () => {
+    await expect(TrackingService.recordOpen('trk-missing', { userAgent: BROWSER })).resolves.toBeNull();
+    expect(updateUserEngagement).not.toHaveBeenCalled();
+  });
+});
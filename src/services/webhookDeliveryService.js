@@ -0,0 +1,177 @@
+import pool from '../config/database.js';
+
+const DELIVERY_COLUMNS = `
+  id, user_id, event_type, url, payload, status, attempt_count,
+  last_status_code, last_error, campaign_id, subscription_id, created_at, delivered_at, updated_at
+`;
+
+class WebhookDeliveryService {
+  /**
+   * Record a notification that is waiting to be delivered
+   */
+  static async create(userId, deliveryData) {
+    const { eventType, url, payload, campaignId = null, subscriptionId = null } = deliveryData;
+
+    const result = await pool.query(`
+      INSERT INTO webhook_deliveries (user_id, event_type, url, payload, campaign_id, subscription_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${DELIVERY_COLUMNS}
+    `, [userId, eventType, url, JSON.stringify(payload), campaignId, subscriptionId]);
+    return result.rows[0];
+  }
+
+  /**
+   * List a user's deliveries, newest first
+   */
+  static async getByUser(userId, options = {}) {
+    const { page = 1, limit = 50, status, eventType, campaignId, subscriptionId } = options;
+    const offset = (page - 1) * limit;
+
+    const conditions = ['user_id = $1'];
+    const values = [userId];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+
+    if (eventType) {
+      values.push(eventType);
+      conditions.push(`event_type = $${values.length}`);
+    }
+
+    if (campaignId) {
+      values.push(campaignId);
+      conditions.push(`campaign_id = $${values.length}`);
+    }
+
+    if (subscriptionId) {
+      values.push(subscriptionId);
+      conditions.push(`subscription_id = $${values.length}`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT ${DELIVERY_COLUMNS}
+        FROM webhook_deliveries
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM webhook_deliveries ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      deliveries: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a delivery with its attempts
+   */
+  static async getById(userId, deliveryId) {
+    const result = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE id = $1 AND user_id = $2`,
+      [deliveryId, userId]
+    );
+
+    const delivery = result.rows[0];
+    if (!delivery) {
+      return null;
+    }
+
+    const attempts = await pool.query(`
+      SELECT attempt_number, status_code, error, duration_ms, created_at
+      FROM webhook_delivery_attempts
+      WHERE delivery_id = $1
+      ORDER BY attempt_number
+    `, [deliveryId]);
+
+    return { ...delivery, attempts: attempts.rows };
+  }
+
+  /**
+   * Load a delivery for the worker, whoever owns it, with its subscription's signing secret
+   */
+  static async getForDelivery(deliveryId) {
+    const result = await pool.query(`
+      SELECT d.*, s.secret AS signing_secret
+      FROM webhook_deliveries d
+      LEFT JOIN webhook_subscriptions s ON s.id = d.subscription_id
+      WHERE d.id = $1
+    `, [deliveryId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record one HTTP attempt and return its attempt number
+   */
+  static async recordAttempt(deliveryId, { statusCode = null, error = null, durationMs = null }) {
+    const result = await pool.query(`
+      UPDATE webhook_deliveries
+      SET attempt_count = attempt_count + 1,
+          last_status_code = $2,
+          last_error = $3,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING attempt_count
+    `, [deliveryId, statusCode, error]);
+
+    const attemptNumber = result.rows[0].attempt_count;
+
+    await pool.query(`
+      INSERT INTO webhook_delivery_attempts (
+        delivery_id, attempt_number, status_code, error, duration_ms
+      ) VALUES ($1, $2, $3, $4, $5)
+    `, [deliveryId, attemptNumber, statusCode, error, durationMs]);
+
+    return attemptNumber;
+  }
+
+  /**
+   * Set the final outcome of a delivery run
+   */
+  static async setStatus(deliveryId, status) {
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = $2::varchar,
+          delivered_at = CASE WHEN $2::varchar = 'delivered' THEN NOW() ELSE delivered_at END,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [deliveryId, status]);
+  }
+
+  /**
+   * Put a finished delivery back in line to be sent again
+   */
+  static async resetForRedelivery(userId, deliveryId) {
+    const delivery = await this.getById(userId, deliveryId);
+    if (!delivery) {
+      return null;
+    }
+
+    if (delivery.status === 'pending') {
+      throw new Error('Delivery is already pending');
+    }
+
+    const result = await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${DELIVERY_COLUMNS}
+    `, [deliveryId]);
+    return result.rows[0];
+  }
+}
+
+export default WebhookDeliveryService;
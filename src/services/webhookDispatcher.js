@@ -0,0 +1,218 @@
+import { Agent, fetch } from 'undici';
+import { getQueue } from '../config/queue.js';
+import WebhookDeliveryService from './webhookDeliveryService.js';
+import WebhookSubscriptionService from './webhookSubscriptionService.js';
+import { retryWithBackoff } from '../utils/resilience.js';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, buildSignatureHeader } from '../utils/webhookSignature.js';
+import { assertPublicWebhookUrl, lookupPublicAddress } from '../utils/webhookUrl.js';
+
+const DELIVERY_QUEUE = 'webhook-deliveries';
+
+const deliveryOptions = {
+  concurrency: parseInt(process.env.WEBHOOK_DELIVERY_CONCURRENCY) || 5,
+  maxRetries: parseInt(process.env.WEBHOOK_DELIVERY_MAX_RETRIES) || 4,
+  baseDelay: parseInt(process.env.WEBHOOK_DELIVERY_BACKOFF_DELAY) || 2000,
+  maxDelay: parseInt(process.env.WEBHOOK_DELIVERY_MAX_DELAY) || 60000,
+  timeout: parseInt(process.env.WEBHOOK_DELIVERY_TIMEOUT) || 10000
+};
+
+const getDeliveryQueue = () => getQueue(DELIVERY_QUEUE);
+
+// Connections resolve hosts through the same address check as the URL, so DNS
+// rebinding between the check and the connection cannot reach an internal address
+let deliveryAgent = null;
+const getDeliveryAgent = () => {
+  if (!deliveryAgent) {
+    deliveryAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+  }
+  return deliveryAgent;
+};
+
+// Subscription deliveries use the subscription's own secret
+const getSigningSecret = (delivery) => {
+  const secret = delivery.signing_secret || process.env.WEBHOOK_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('WEBHOOK_SIGNING_SECRET is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Queue a delivery run. Retries happen inside the run, so the job itself is tried once
+ * and its state lives in webhook_deliveries rather than in Redis.
+ */
+async function queueDelivery(delivery) {
+  try {
+    await getDeliveryQueue().add({ deliveryId: delivery.id }, {
+      jobId: `${delivery.id}:${delivery.attempt_count}`,
+      attempts: 1,
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+  } catch (error) {
+    // Left as failed so it shows up in the delivery list and can be redelivered
+    await WebhookDeliveryService.setStatus(delivery.id, 'failed');
+    throw error;
+  }
+}
+
+/**
+ * Enqueue Webhook Delivery
+ * Records the notification and hands it to the delivery worker.
+ * @returns {Promise<Object>} The stored delivery
+ */
+export async function enqueueWebhookDelivery(userId, { eventType, url, payload, campaignId, subscriptionId }) {
+  const delivery = await WebhookDeliveryService.create(userId, {
+    eventType,
+    url,
+    payload,
+    campaignId,
+    subscriptionId
+  });
+  await queueDelivery(delivery);
+  return delivery;
+}
+
+/**
+ * Emit Webhook Event
+ * Queues a delivery to every active subscription of the user that wants this
+ * event type. Never throws: notifying subscribers must not fail the action
+ * that raised the event.
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function emitWebhookEvent(userId, eventType, data, { campaignId = null } = {}) {
+  try {
+    const subscriptions = await WebhookSubscriptionService.getForEvent(userId, eventType);
+    const payload = { type: eventType, occurredAt: new Date().toISOString(), data };
+
+    for (const subscription of subscriptions) {
+      await enqueueWebhookDelivery(userId, {
+        eventType,
+        url: subscription.url,
+        payload,
+        campaignId,
+        subscriptionId: subscription.id
+      });
+    }
+
+    return subscriptions.length;
+  } catch (error) {
+    console.error(`❌ Failed to emit ${eventType} webhook event:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Send a past delivery again with fresh retries
+ * @returns {Promise<Object|null>} The delivery, or null if the user has no such delivery
+ */
+export async function redeliverWebhook(userId, deliveryId) {
+  const delivery = await WebhookDeliveryService.resetForRedelivery(userId, deliveryId);
+  if (delivery) {
+    await queueDelivery(delivery);
+  }
+  return delivery;
+}
+
+/**
+ * Start the delivery worker (call once at startup)
+ */
+export function startWebhookWorker() {
+  getDeliveryQueue().process(deliveryOptions.concurrency, processDeliveryJob);
+  console.log(`📡 Webhook delivery worker started (concurrency ${deliveryOptions.concurrency})`);
+}
+
+/**
+ * Deliver one notification, retrying with exponential backoff
+ */
+async function processDeliveryJob(job) {
+  const delivery = await WebhookDeliveryService.getForDelivery(job.data.deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return { skipped: true };
+  }
+
+  try {
+    await retryWithBackoff(() => attemptDelivery(delivery), {
+      maxRetries: deliveryOptions.maxRetries,
+      baseDelay: deliveryOptions.baseDelay,
+      maxDelay: deliveryOptions.maxDelay,
+      retryCondition: (error) => error.retryable !== false
+    });
+
+    await WebhookDeliveryService.setStatus(delivery.id, 'delivered');
+    return { delivered: true };
+  } catch (error) {
+    console.error(`❌ Webhook delivery ${delivery.id} to ${delivery.url} failed:`, error.message);
+    await WebhookDeliveryService.setStatus(delivery.id, 'failed');
+    return { delivered: false, error: error.message };
+  }
+}
+
+/**
+ * Make one signed POST and record how it went
+ */
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  // The host may have been repointed since the URL was saved
+  try {
+    await assertPublicWebhookUrl(delivery.url);
+  } catch (error) {
+    await WebhookDeliveryService.recordAttempt(delivery.id, {
+      error: error.message,
+      durationMs: Date.now() - started
+    });
+    error.retryable = false;
+    throw error;
+  }
+
+  let response;
+  try {
+    response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CampaignEngine/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event_type,
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: buildSignatureHeader([getSigningSecret(delivery)], timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      dispatcher: getDeliveryAgent(),
+      signal: AbortSignal.timeout(deliveryOptions.timeout)
+    });
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `Timed out after ${deliveryOptions.timeout}ms`
+      : error.cause?.message || error.message;
+
+    await WebhookDeliveryService.recordAttempt(delivery.id, {
+      error: message,
+      durationMs: Date.now() - started
+    });
+
+    const failure = new Error(message);
+    failure.retryable = error.cause?.code !== 'EBLOCKEDADDRESS';
+    throw failure;
+  }
+
+  // Only the status is recorded; what the endpoint sent back is never stored or shown to the tenant
+  await response.body?.cancel().catch(() => {});
+
+  await WebhookDeliveryService.recordAttempt(delivery.id, {
+    statusCode: response.status,
+    error: response.ok ? null : `Endpoint responded with ${response.status}`,
+    durationMs: Date.now() - started
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Endpoint responded with ${response.status}`);
+    // Other client errors will not change on a retry
+    error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw error;
+  }
+}
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+
+const queue = { add: jest.fn(), process: jest.fn() };
+const fetch = jest.fn();
+const WebhookDeliveryService = {
+  getForDelivery: jest.fn(),
+  recordAttempt: jest.fn(),
+  setStatus: jest.fn()
+};
+const assertPublicWebhookUrl = jest.fn();
+
+jest.unstable_mockModule('undici', () => ({ Agent: jest.fn(), fetch }));
+jest.unstable_mockModule('../config/queue.js', () => ({ getQueue: () => queue }));
+jest.unstable_mockModule('./webhookDeliveryService.js', () => ({ default: WebhookDeliveryService }));
+jest.unstable_mockModule('./webhookSubscriptionService.js', () => ({ default: { getForEvent: jest.fn() } }));
+jest.unstable_mockModule('../utils/webhookUrl.js', () => ({ assertPublicWebhookUrl, lookupPublicAddress: jest.fn() }));
+// Tries twice without waiting, so retry decisions can be checked
+jest.unstable_mockModule('../utils/resilience.js', () => ({
+  retryWithBackoff: async (fn, { retryCondition }) => {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!retryCondition(error)) {
+        throw error;
+      }
+      return fn();
+    }
+  }
+}));
+
+const { startWebhookWorker } = await import('./webhookDispatcher.js');
+
+const delivery = {
+  id: 'd1',
+  url: 'https://hooks.example.com/campaigns',
+  event_type: 'campaign.status_changed',
+  payload: { type: 'campaign.status_changed' },
+  signing_secret: 'whsec_test',
+  status: 'pending'
+};
+
+const response = (status) => ({ status, ok: status < 300, body: { cancel: jest.fn().mockResolvedValue() } });
+
+describe('webhook delivery worker', () => {
+  let processDeliveryJob;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    startWebhookWorker();
+    processDeliveryJob = queue.process.mock.calls[0][1];
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    WebhookDeliveryService.getForDelivery.mockResolvedValue(delivery);
+    assertPublicWebhookUrl.mockResolvedValue();
+  });
+
+  test('a signed delivery goes out through the pinned agent', async () => {
+    fetch.mockResolvedValueOnce(response(200));
+
+    await expect(processDeliveryJob({ data: { deliveryId: 'd1' } })).resolves.toEqual({ delivered: true });
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe(delivery.url);
+    expect(options.dispatcher).toBeDefined();
+    expect(options.redirect).toBe('manual');
+    expect(options.headers['X-Webhook-Id']).toBe('d1');
+    expect(WebhookDeliveryService.setStatus).toHaveBeenCalledWith('d1', 'delivered');
+  });
+
+  test('server errors are retried', async () => {
+    fetch.mockResolvedValueOnce(response(503)).mockResolvedValueOnce(response(200));
+
+    await expect(processDeliveryJob({ data: { deliveryId: 'd1' } })).resolves.toEqual({ delivered: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('a host that resolves to an internal address at connect time is not retried', async () => {
+    const blocked = new Error('Webhook URL must not point at a private or internal address');
+    blocked.code = 'EBLOCKEDADDRESS';
+    fetch.mockRejectedValueOnce(Object.assign(new TypeError('fetch failed'), { cause: blocked }));
+
+    const result = await processDeliveryJob({ data: { deliveryId: 'd1' } });
+
+    expect(result).toEqual({ delivered: false, error: blocked.message });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(WebhookDeliveryService.setStatus).toHaveBeenCalledWith('d1', 'failed');
+  });
+
+  test('a URL that fails the address check is never requested', async () => {
+    assertPublicWebhookUrl.mockRejectedValueOnce(new Error('Webhook URL must use https'));
+
+    await expect(processDeliveryJob({ data: { deliveryId: 'd1' } }))
+      .resolves.toEqual({ delivered: false, error: 'Webhook URL must use https' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('deliveries that are no longer pending are skipped', async () => {
+    WebhookDeliveryService.getForDelivery.mockResolvedValueOnce({ ...delivery, status: 'delivered' });
+
+    await expect(processDeliveryJob({ data: { deliveryId: 'd1' } })).resolves.toEqual({ skipped: true });
+  });
+});
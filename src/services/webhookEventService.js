@@ -0,0 +1,193 @@
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const EVENT_COLUMNS = `
+  id, type, source, payload, status, attempts, result, last_error, steps,
+  received_at, processed_at, updated_at
+`;
+
+// An event still processing after this long was abandoned by a crash or deploy and may run again
+const PROCESSING_TIMEOUT_SECONDS = parseInt(process.env.WEBHOOK_EVENT_PROCESSING_TIMEOUT) || 600;
+
+const RETRYABLE = `
+  (webhook_events.status = 'failed'
+    OR (webhook_events.status = 'processing'
+      AND webhook_events.updated_at < NOW() - (${PROCESSING_TIMEOUT_SECONDS} * INTERVAL '1 second')))
+`;
+
+class WebhookEventService {
+  /**
+   * Run an incoming event through the handler at most once.
+   * The event is stored before it is handled; a delivery whose ID has already
+   * been stored is answered from the store instead of being handled again.
+   * Failed and abandoned events are retried when the sender delivers them again.
+   * @returns {Promise<Object>} { id, type, status, result | error }
+   */
+  static async receive(event, handler) {
+    const result = await pool.query(`
+      INSERT INTO webhook_events (id, type, source, payload)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO UPDATE
+      SET status = 'processing',
+          attempts = webhook_events.attempts + 1,
+          payload = EXCLUDED.payload,
+          updated_at = NOW()
+      WHERE ${RETRYABLE}
+      RETURNING ${EVENT_COLUMNS}
+    `, [String(event.id), event.type, event.source || null, JSON.stringify(event)]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.getById(String(event.id));
+      logger.info(`Duplicate webhook event ${event.id} skipped`, { status: existing.status });
+      return {
+        id: existing.id,
+        type: existing.type,
+        status: 'duplicate',
+        originalStatus: existing.status,
+        result: existing.result
+      };
+    }
+
+    return this.run(result.rows[0], handler);
+  }
+
+  /**
+   * Handle a stored event again. Only failed and abandoned events can be reprocessed.
+   */
+  static async reprocess(eventId, handler) {
+    const result = await pool.query(`
+      UPDATE webhook_events
+      SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+      WHERE id = $1 AND ${RETRYABLE}
+      RETURNING ${EVENT_COLUMNS}
+    `, [eventId]);
+
+    if (result.rows.length === 0) {
+      const existing = await this.getById(eventId);
+      if (!existing) {
+        throw new Error('Webhook event not found');
+      }
+      throw new Error(`Only failed or abandoned events can be reprocessed (status is ${existing.status})`);
+    }
+
+    return this.run(result.rows[0], handler);
+  }
+
+  /**
+   * Hand a claimed event to the handler and store the outcome.
+   * The handler gets a step runner that stores each finished step on the event,
+   * so a retry or reprocess skips the steps an earlier attempt already finished.
+   * @private
+   */
+  static async run(stored, handler) {
+    try {
+      const outcome = await handler.processEvent(stored.payload, {
+        step: this.stepRunner(stored.id, stored.steps || {})
+      });
+      const status = outcome?.status === 'ignored' ? 'ignored' : 'processed';
+
+      await pool.query(`
+        UPDATE webhook_events
+        SET status = $2, result = $3, last_error = NULL, processed_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+      `, [stored.id, status, JSON.stringify(outcome ?? null)]);
+
+      return { id: stored.id, type: stored.type, status, result: outcome };
+    } catch (error) {
+      await pool.query(`
+        UPDATE webhook_events
+        SET status = 'failed', last_error = $2, updated_at = NOW()
+        WHERE id = $1
+      `, [stored.id, error.message]);
+
+      return { id: stored.id, type: stored.type, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Build the step runner for an event. step(key, fn) returns the stored result
+   * when the step finished in an earlier attempt, and otherwise runs fn and
+   * stores its result before returning it.
+   * @private
+   */
+  static stepRunner(eventId, finished) {
+    const completed = { ...finished };
+
+    return async (key, fn) => {
+      if (Object.prototype.hasOwnProperty.call(completed, key)) {
+        logger.info(`Webhook event ${eventId} step ${key} already finished, skipped`);
+        return completed[key];
+      }
+
+      const result = (await fn()) ?? null;
+
+      await pool.query(`
+        UPDATE webhook_events
+        SET steps = steps || jsonb_build_object($2::text, $3::jsonb), updated_at = NOW()
+        WHERE id = $1
+      `, [eventId, key, JSON.stringify(result)]);
+      completed[key] = result;
+
+      return result;
+    };
+  }
+
+  /**
+   * List stored events, newest first
+   */
+  static async list(options = {}) {
+    const { page = 1, limit = 50, status, type } = options;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+
+    if (type) {
+      values.push(type);
+      conditions.push(`type = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [result, countResult] = await Promise.all([
+      pool.query(`
+        SELECT ${EVENT_COLUMNS}
+        FROM webhook_events
+        ${where}
+        ORDER BY received_at DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) FROM webhook_events ${where}`, values)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      events: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a stored event by its ID
+   */
+  static async getById(eventId) {
+    const result = await pool.query(
+      `SELECT ${EVENT_COLUMNS} FROM webhook_events WHERE id = $1`,
+      [eventId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+export default WebhookEventService;
@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+
+const query = jest.fn();
+jest.unstable_mockModule('../config/database.js', () => ({ default: { query } }));
+jest.unstable_mockModule('../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { default: WebhookEventService } = await import('./webhookEventService.js');
+
+const storedEvent = (overrides = {}) => ({
+  id: 'evt_1',
+  type: 'product.created',
+  payload: { id: 'evt_1', type: 'product.created', data: {} },
+  status: 'processing',
+  steps: {},
+  ...overrides
+});
+
+describe('WebhookEventService', () => {
+  beforeEach(() => {
+    query.mockReset();
+  });
+
+  test('a new event is handled and stored as processed', async () => {
+    query.mockResolvedValue({ rows: [] });
+    query.mockResolvedValueOnce({ rows: [storedEvent()] });
+    const handler = { processEvent: jest.fn().mockResolvedValue({ campaignId: 7 }) };
+
+    const result = await WebhookEventService.receive({ id: 'evt_1', type: 'product.created' }, handler);
+
+    expect(result).toEqual({ id: 'evt_1', type: 'product.created', status: 'processed', result: { campaignId: 7 } });
+    expect(handler.processEvent).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[1][1]).toEqual(['evt_1', 'processed', JSON.stringify({ campaignId: 7 })]);
+  });
+
+  test('a delivery of an event that was already stored is not handled again', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [storedEvent({ status: 'processed', result: { campaignId: 7 } })] });
+    const handler = { processEvent: jest.fn() };
+
+    const result = await WebhookEventService.receive({ id: 'evt_1', type: 'product.created' }, handler);
+
+    expect(result).toMatchObject({ status: 'duplicate', originalStatus: 'processed', result: { campaignId: 7 } });
+    expect(handler.processEvent).not.toHaveBeenCalled();
+  });
+
+  test('a handler error marks the event failed', async () => {
+    query.mockResolvedValue({ rows: [] });
+    query.mockResolvedValueOnce({ rows: [storedEvent()] });
+    const handler = { processEvent: jest.fn().mockRejectedValue(new Error('Template not found')) };
+
+    const result = await WebhookEventService.receive({ id: 'evt_1', type: 'product.created' }, handler);
+
+    expect(result).toMatchObject({ status: 'failed', error: 'Template not found' });
+    expect(query.mock.calls[1][1]).toEqual(['evt_1', 'Template not found']);
+  });
+
+  test('finished steps are stored as they complete', async () => {
+    query.mockResolvedValue({ rows: [] });
+    query.mockResolvedValueOnce({ rows: [storedEvent()] });
+    const handler = {
+      processEvent: jest.fn(async (payload, { step }) => {
+        const email = await step('alert_email', async () => ({ id: 1 }));
+        return { campaignId: email.id };
+      })
+    };
+
+    await WebhookEventService.receive({ id: 'evt_1', type: 'product.created' }, handler);
+
+    const stepUpdate = query.mock.calls.find(([sql]) => sql.includes('steps = steps ||'));
+    expect(stepUpdate[1]).toEqual(['evt_1', 'alert_email', JSON.stringify({ id: 1 })]);
+  });
+
+  test('reprocessing skips the steps an earlier attempt finished', async () => {
+    query.mockResolvedValue({ rows: [] });
+    query.mockResolvedValueOnce({
+      rows: [storedEvent({ status: 'processing', steps: { alert_email: { id: 1 } } })]
+    });
+    const sendEmail = jest.fn();
+    const sendSms = jest.fn().mockResolvedValue({ id: 2 });
+    const handler = {
+      processEvent: jest.fn(async (payload, { step }) => {
+        const email = await step('alert_email', sendEmail);
+        const sms = await step('alert_sms', sendSms);
+        return { campaignId: email.id, smsCampaignId: sms.id };
+      })
+    };
+
+    const result = await WebhookEventService.reprocess('evt_1', handler);
+
+    expect(sendEmail).not.toHaveBeenCalled();
+    expect(sendSms).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ status: 'processed', result: { campaignId: 1, smsCampaignId: 2 } });
+  });
+
+  test('only failed or abandoned events can be reprocessed', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [storedEvent({ status: 'processed' })] });
+
+    await expect(WebhookEventService.reprocess('evt_1', { processEvent: jest.fn() }))
+      .rejects.toThrow('status is processed');
+  });
+
+  test('reprocessing an unknown event reports it as not found', async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    await expect(WebhookEventService.reprocess('evt_missing', { processEvent: jest.fn() }))
+      .rejects.toThrow('Webhook event not found');
+  });
+});
@@ -0,0 +1,130 @@
+import { randomBytes } from 'crypto';
+import pool from '../config/database.js';
+
+// Events a subscription can ask for; '*' matches all of them
+export const WEBHOOK_EVENT_TYPES = [
+  'contact.created',
+  'contact.updated',
+  'contact.deleted',
+  'contact.merged',
+  'import.completed',
+  'campaign.status_changed'
+];
+
+// The signing secret is only returned when it is created or rotated
+const SUBSCRIPTION_COLUMNS = `
+  id, user_id, url, event_types, description, active, created_at, updated_at
+`;
+
+const generateSecret = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+class WebhookSubscriptionService {
+  /**
+   * Register an endpoint for a set of event types
+   */
+  static async create(userId, subscriptionData) {
+    const { url, event_types: eventTypes, description = null, active = true } = subscriptionData;
+
+    const result = await pool.query(`
+      INSERT INTO webhook_subscriptions (user_id, url, event_types, secret, description, active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${SUBSCRIPTION_COLUMNS}, secret
+    `, [userId, url, JSON.stringify([...new Set(eventTypes)]), generateSecret(), description, active]);
+    return result.rows[0];
+  }
+
+  /**
+   * List a user's subscriptions
+   */
+  static async getByUser(userId) {
+    const result = await pool.query(`
+      SELECT ${SUBSCRIPTION_COLUMNS}
+      FROM webhook_subscriptions
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Get a subscription owned by the user
+   */
+  static async getById(userId, subscriptionId) {
+    const result = await pool.query(`
+      SELECT ${SUBSCRIPTION_COLUMNS}
+      FROM webhook_subscriptions
+      WHERE id = $1 AND user_id = $2
+    `, [subscriptionId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update a subscription owned by the user
+   */
+  static async update(userId, subscriptionId, updateData) {
+    const allowedFields = ['url', 'event_types', 'description', 'active'];
+    const updates = [];
+    const values = [];
+
+    Object.keys(updateData).forEach(key => {
+      if (allowedFields.includes(key) && updateData[key] !== undefined) {
+        values.push(key === 'event_types' ? JSON.stringify([...new Set(updateData[key])]) : updateData[key]);
+        updates.push(`${key} = $${values.length}`);
+      }
+    });
+
+    if (updates.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    updates.push('updated_at = NOW()');
+    values.push(subscriptionId, userId);
+
+    const result = await pool.query(`
+      UPDATE webhook_subscriptions
+      SET ${updates.join(', ')}
+      WHERE id = $${values.length - 1} AND user_id = $${values.length}
+      RETURNING ${SUBSCRIPTION_COLUMNS}
+    `, values);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace the signing secret. Deliveries already queued are signed with the new one.
+   */
+  static async rotateSecret(userId, subscriptionId) {
+    const result = await pool.query(`
+      UPDATE webhook_subscriptions
+      SET secret = $3, updated_at = NOW()
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${SUBSCRIPTION_COLUMNS}, secret
+    `, [subscriptionId, userId, generateSecret()]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a subscription; its past deliveries are kept
+   */
+  static async delete(userId, subscriptionId) {
+    const result = await pool.query(`
+      DELETE FROM webhook_subscriptions
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${SUBSCRIPTION_COLUMNS}
+    `, [subscriptionId, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Active subscriptions of a user that want this event type
+   */
+  static async getForEvent(userId, eventType) {
+    const result = await pool.query(`
+      SELECT id, url
+      FROM webhook_subscriptions
+      WHERE user_id = $1 AND active AND (event_types ? $2 OR event_types ? '*')
+    `, [userId, eventType]);
+    return result.rows;
+  }
+}
+
+export default WebhookSubscriptionService;
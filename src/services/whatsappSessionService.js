@@ -0,0 +1,40 @@
+import pool from '../config/database.js';
+
+// WhatsApp only allows free-form business messages within 24 hours of the user's last message
+const SESSION_WINDOW_HOURS = 24;
+
+class WhatsAppSessionService {
+  /**
+   * Normalise a phone number to the digits-only form WhatsApp uses (wa_id)
+   */
+  static normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '');
+  }
+
+  /**
+   * Record an inbound message, opening or extending the session window
+   */
+  static async recordInbound(phone, receivedAt = new Date()) {
+    await pool.query(`
+      INSERT INTO whatsapp_sessions (phone, last_inbound_at)
+      VALUES ($1, $2)
+      ON CONFLICT (phone) DO UPDATE
+      SET last_inbound_at = GREATEST(whatsapp_sessions.last_inbound_at, EXCLUDED.last_inbound_at),
+          updated_at = NOW()
+    `, [this.normalizePhone(phone), receivedAt]);
+  }
+
+  /**
+   * Check whether a free-form message may be sent to this number right now
+   */
+  static async isSessionOpen(phone) {
+    const result = await pool.query(`
+      SELECT 1
+      FROM whatsapp_sessions
+      WHERE phone = $1 AND last_inbound_at > NOW() - make_interval(hours => $2)
+    `, [this.normalizePhone(phone), SESSION_WINDOW_HOURS]);
+    return result.rows.length > 0;
+  }
+}
+
+export default WhatsAppSessionService;
@@ -0,0 +1,118 @@
+import { Transform } from 'node:stream';
+import { StringDecoder } from 'node:string_decoder';
+
+const BOM = '\uFEFF';
+
+/**
+ * Streaming CSV parser (RFC 4180).
+ *
+ * Emits one `{ line, fields }` object per record, where `line` is the line the
+ * record starts on. A leading UTF-8 BOM is dropped; quoted fields may contain
+ * delimiters, line breaks and doubled quotes; CRLF, LF and CR line endings are
+ * all accepted. Blank lines are skipped. A quoted field still open at the end
+ * of the input is emitted with an `error` instead of being silently joined up.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @returns {Transform} Object-mode transform taking bytes or strings
+ */
+export function createCsvParser({ delimiter = ',' } = {}) {
+  const decoder = new StringDecoder('utf8');
+
+  let started = false;
+  let fields = [];
+  let field = '';
+  let fieldQuoted = false;
+  let inQuotes = false;
+  let quotePending = false;
+  let lastWasCR = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = (stream) => {
+    fields.push(field);
+
+    // A line with nothing on it is not a record
+    if (!(fields.length === 1 && field === '' && !fieldQuoted)) {
+      stream.push({ line: recordLine, fields });
+    }
+
+    fields = [];
+    field = '';
+    fieldQuoted = false;
+  };
+
+  const consume = (stream, text) => {
+    if (!started && text.length > 0) {
+      started = true;
+      if (text.startsWith(BOM)) {
+        text = text.slice(1);
+      }
+    }
+
+    for (const char of text) {
+      const newline = char === '\n' || char === '\r';
+      const continuesCRLF = char === '\n' && lastWasCR;
+      lastWasCR = char === '\r';
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          // The previous quote closed the field; handle this character normally
+          inQuotes = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (newline && !continuesCRLF) {
+            line++;
+          }
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '' && !fieldQuoted) {
+        inQuotes = true;
+        fieldQuoted = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+        fieldQuoted = false;
+      } else if (newline) {
+        if (continuesCRLF) {
+          continue;
+        }
+        endRecord(stream);
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  return new Transform({
+    readableObjectMode: true,
+
+    transform(chunk, encoding, callback) {
+      consume(this, typeof chunk === 'string' ? chunk : decoder.write(chunk));
+      callback();
+    },
+
+    flush(callback) {
+      consume(this, decoder.end());
+
+      if (inQuotes && !quotePending) {
+        this.push({ line: recordLine, fields: [...fields, field], error: 'Unterminated quoted field' });
+      } else if (field !== '' || fieldQuoted || fields.length > 0) {
+        endRecord(this);
+      }
+      callback();
+    }
+  });
+}
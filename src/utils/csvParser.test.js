@@ -0,0 +1,39 @@
+import { Readable } from 'node:stream';
+import { createCsvParser } from './csvParser.js';
+
+const parse = async (chunks) => {
+  const records = [];
+  for await (const record of Readable.from(chunks).pipe(createCsvParser())) {
+    records.push(record);
+  }
+  return records;
+};
+
+describe('CSV parser', () => {
+  test('quoted fields keep delimiters, doubled quotes and line breaks', async () => {
+    const records = await parse(['email,name,notes\r\n', 'a@x.io,"Doe, Jane","said ""hi""\r\nthen left"\r\n', 'b@x.io,Bob,\r\n']);
+
+    expect(records).toEqual([
+      { line: 1, fields: ['email', 'name', 'notes'] },
+      { line: 2, fields: ['a@x.io', 'Doe, Jane', 'said "hi"\r\nthen left'] },
+      { line: 4, fields: ['b@x.io', 'Bob', ''] }
+    ]);
+  });
+
+  test('BOM and blank lines are dropped, and records may span chunks', async () => {
+    const bytes = Buffer.from('\uFEFFemail\n\nc@x.io\n"d@x.io"', 'utf8');
+    const records = await parse([bytes.subarray(0, 2), bytes.subarray(2, 12), bytes.subarray(12)]);
+
+    expect(records).toEqual([
+      { line: 1, fields: ['email'] },
+      { line: 3, fields: ['c@x.io'] },
+      { line: 4, fields: ['d@x.io'] }
+    ]);
+  });
+
+  test('an unterminated quote is reported on the record it started', async () => {
+    const records = await parse(['email,name\n', 'e@x.io,"Eve\n']);
+
+    expect(records[1]).toEqual({ line: 2, fields: ['e@x.io', 'Eve\n'], error: 'Unterminated quoted field' });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Custom Fields
+ * Each account can define typed fields for its contacts. Values live in
+ * contacts.custom_fields, keyed by the field's key:
+ *
+ *   { key: 'country', label: 'Country', type: 'enum', options: ['Kenya', 'Uganda'],
+ *     required: true, default_value: 'Kenya' }
+ *
+ * Values are stored as their JSON type. Text from forms and CSV files is
+ * coerced on the way in: numbers and booleans are parsed, dates become
+ * YYYY-MM-DD and enum values take the spelling of the matching option.
+ */
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'enum', 'boolean'];
+
+export const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// Keys that would collide with contact columns or the variables every template gets
+export const RESERVED_KEYS = [
+  'id', 'email', 'name', 'company', 'phone', 'tags', 'metadata', 'custom_fields', 'created_at', 'updated_at',
+  'contact_name', 'company_name', 'campaign_id', 'unsubscribe_url'
+];
+
+const MAX_TEXT_LENGTH = 1000;
+const MAX_OPTIONS = 100;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const invalid = (message) => new Error(`Invalid field definition: ${message}`);
+
+export const isEmptyValue = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Coerce one value to the field's type
+ * @throws {Error} Naming the field when the value does not fit
+ */
+export const coerceFieldValue = (field, value) => {
+  const label = field.label || field.key;
+
+  switch (field.type) {
+    case 'text': {
+      if (typeof value === 'object') {
+        throw new Error(`${label} must be text`);
+      }
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw new Error(`${label} must be at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return text;
+    }
+
+    case 'number': {
+      const number = typeof value === 'number' ? value : (typeof value === 'string' ? Number(value.trim()) : Number.NaN);
+      if (!Number.isFinite(number)) {
+        throw new Error(`${label} must be a number`);
+      }
+      return number;
+    }
+
+    case 'date': {
+      // Timestamps keep their calendar date; impossible dates like 2024-02-30 are refused
+      const match = typeof value === 'string' ? DATE_PATTERN.exec(value.trim()) : null;
+      const date = match && new Date(`${match[1]}T00:00:00Z`);
+      if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== match[1]) {
+        throw new Error(`${label} must be a date (YYYY-MM-DD)`);
+      }
+      return match[1];
+    }
+
+    case 'enum': {
+      const text = typeof value === 'object' ? '' : String(value).trim().toLowerCase();
+      const option = (field.options || []).find(candidate => candidate.toLowerCase() === text);
+      if (option === undefined) {
+        throw new Error(`${label} must be one of: ${(field.options || []).join(', ')}`);
+      }
+      return option;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) {
+        return true;
+      }
+      if (FALSE_VALUES.includes(text)) {
+        return false;
+      }
+      throw new Error(`${label} must be true or false`);
+    }
+
+    default:
+      throw new Error(`${label} has unknown type "${field.type}"`);
+  }
+};
+
+/**
+ * Check a field definition and return its options and default in stored form
+ * @returns {{ options: Array<string>|null, default_value: * }}
+ * @throws {Error} "Invalid field definition: ..." when enum options are missing or the default does not fit the type
+ */
+export const normalizeDefinition = (definition) => {
+  let options = null;
+
+  if (definition.type === 'enum') {
+    const list = Array.isArray(definition.options) ? definition.options : [];
+    options = [...new Set(list.map(option => (typeof option === 'string' ? option.trim() : '')))];
+    if (options.length === 0 || options.length > MAX_OPTIONS || options.includes('')) {
+      throw invalid(`enum fields need 1-${MAX_OPTIONS} non-empty text options`);
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      throw invalid('enum options must be unique ignoring case');
+    }
+  } else if (definition.options !== undefined && definition.options !== null) {
+    throw invalid('only enum fields have options');
+  }
+
+  let defaultValue = null;
+  if (!isEmptyValue(definition.default_value)) {
+    try {
+      defaultValue = coerceFieldValue({ ...definition, options, label: 'default value' }, definition.default_value);
+    } catch (error) {
+      throw invalid(error.message);
+    }
+  }
+
+  return { options, default_value: defaultValue };
+};
+
+/**
+ * Check and coerce a contact's custom field values against the account's definitions.
+ *
+ * By default every field is considered: defaults fill missing values and
+ * required fields must end up with one. With partial, only the fields given
+ * are checked and null or empty clears a value. With applyDefaults false,
+ * missing values are left out but a required field with a default is accepted,
+ * which suits writes that may update an existing contact.
+ *
+ * @param {Array<Object>} definitions - The account's field definitions
+ * @param {Object} input - Values keyed by field key
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false]
+ * @param {boolean} [options.applyDefaults=true]
+ * @returns {{ values: Object, errors: Array<string> }}
+ */
+export const applyCustomFields = (definitions, input, { partial = false, applyDefaults = true } = {}) => {
+  const values = {};
+  const errors = [];
+  const given = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  for (const key of Object.keys(given)) {
+    if (!byKey.has(key)) {
+      errors.push(`Unknown custom field "${key}"`);
+    }
+  }
+
+  for (const definition of definitions) {
+    const label = definition.label || definition.key;
+    const provided = Object.prototype.hasOwnProperty.call(given, definition.key);
+    const value = given[definition.key];
+
+    if (partial && !provided) {
+      continue;
+    }
+
+    if (isEmptyValue(value)) {
+      const hasDefault = definition.default_value !== null && definition.default_value !== undefined;
+
+      if (definition.required && (partial || !hasDefault)) {
+        errors.push(`${label} is required`);
+      } else if (partial) {
+        values[definition.key] = null;
+      } else if (hasDefault && applyDefaults) {
+        values[definition.key] = definition.default_value;
+      }
+      continue;
+    }
+
+    try {
+      values[definition.key] = coerceFieldValue(definition, value);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return { values, errors };
+};
@@ -0,0 +1,55 @@
+import { applyCustomFields, coerceFieldValue, normalizeDefinition } from './customFields.js';
+
+const definitions = [
+  { key: 'country', label: 'Country', type: 'enum', options: ['Kenya', 'Uganda'], required: true, default_value: 'Kenya' },
+  { key: 'employees', label: 'Employees', type: 'number', required: false, default_value: null },
+  { key: 'renewal', label: 'Renewal', type: 'date', required: false, default_value: null },
+  { key: 'exporter', label: 'Exporter', type: 'boolean', required: true, default_value: null }
+];
+
+describe('Custom fields', () => {
+  test('text from forms and CSV files is coerced to each type', () => {
+    expect(coerceFieldValue(definitions[0], ' uganda ')).toBe('Uganda');
+    expect(coerceFieldValue(definitions[1], '42.5')).toBe(42.5);
+    expect(coerceFieldValue(definitions[2], '2026-03-01T10:00:00Z')).toBe('2026-03-01');
+    expect(coerceFieldValue(definitions[3], 'Yes')).toBe(true);
+
+    expect(() => coerceFieldValue(definitions[0], 'Tanzania')).toThrow('Country must be one of: Kenya, Uganda');
+    expect(() => coerceFieldValue(definitions[1], '12 staff')).toThrow('Employees must be a number');
+    expect(() => coerceFieldValue(definitions[2], '2026-02-30')).toThrow('Renewal must be a date');
+    expect(() => coerceFieldValue(definitions[3], 'maybe')).toThrow('Exporter must be true or false');
+  });
+
+  test('full checks apply defaults and require required fields; partial checks only what is given', () => {
+    expect(applyCustomFields(definitions, { exporter: 'no', employees: '' })).toEqual({
+      values: { country: 'Kenya', exporter: false },
+      errors: []
+    });
+
+    expect(applyCustomFields(definitions, { employees: 'many', colour: 'red' }).errors).toEqual([
+      'Unknown custom field "colour"',
+      'Employees must be a number',
+      'Exporter is required'
+    ]);
+
+    expect(applyCustomFields(definitions, { exporter: 'no' }, { applyDefaults: false }).values)
+      .toEqual({ exporter: false });
+
+    expect(applyCustomFields(definitions, { employees: null, renewal: '2027-01-31' }, { partial: true })).toEqual({
+      values: { employees: null, renewal: '2027-01-31' },
+      errors: []
+    });
+    expect(applyCustomFields(definitions, { country: '' }, { partial: true }).errors).toEqual(['Country is required']);
+  });
+
+  test('definitions need valid enum options and a default that fits the type', () => {
+    expect(normalizeDefinition({ type: 'enum', options: [' A ', 'B', 'B'], default_value: 'b' }))
+      .toEqual({ options: ['A', 'B'], default_value: 'B' });
+    expect(normalizeDefinition({ type: 'number', default_value: '' })).toEqual({ options: null, default_value: null });
+
+    expect(() => normalizeDefinition({ type: 'enum', options: [] })).toThrow('Invalid field definition: enum fields need');
+    expect(() => normalizeDefinition({ type: 'enum', options: ['a', 'A'] })).toThrow('unique ignoring case');
+    expect(() => normalizeDefinition({ type: 'text', options: ['a'] })).toThrow('only enum fields have options');
+    expect(() => normalizeDefinition({ type: 'date', default_value: 'soon' })).toThrow('default value must be a date');
+  });
+});
@@ -0,0 +1,45 @@
+import { signLink, verifyLink, buildTrackedLink, rewriteLinks } from './linkTracking.js';
+
+const secret = 'test-secret';
+const baseUrl = 'https://engine.example.com';
+const trackingId = '3f0c1a52-8a5e-4a4e-9d0a-0b3c7f1e2d11';
+
+describe('Link tracking', () => {
+  test('signatures verify only for the same recipient and URL', () => {
+    const sig = signLink(trackingId, 'https://tamyla.com/deals', secret);
+
+    expect(verifyLink(trackingId, 'https://tamyla.com/deals', sig, secret)).toBe(true);
+    expect(verifyLink(trackingId, 'https://evil.example.com', sig, secret)).toBe(false);
+    expect(verifyLink('00000000-0000-0000-0000-000000000000', 'https://tamyla.com/deals', sig, secret)).toBe(false);
+    expect(verifyLink(trackingId, 'https://tamyla.com/deals', undefined, secret)).toBe(false);
+  });
+
+  test('tracked links carry the destination and its signature', () => {
+    const link = new URL(buildTrackedLink(baseUrl, trackingId, 'https://tamyla.com/a?b=1&c=2', secret));
+
+    expect(link.pathname).toBe(`/api/tracking/click/${trackingId}`);
+    expect(link.searchParams.get('url')).toBe('https://tamyla.com/a?b=1&c=2');
+    expect(verifyLink(trackingId, link.searchParams.get('url'), link.searchParams.get('sig'), secret)).toBe(true);
+  });
+
+  test('web links are rewritten and HTML entities decoded', () => {
+    const html = '<p><a class="cta" href="https://tamyla.com/deals?x=1&amp;y=2">Deals</a></p>';
+    const rewritten = rewriteLinks(html, { baseUrl, trackingId, secret });
+
+    const href = rewritten.match(/href="([^"]+)"/)[1].replace(/&amp;/g, '&');
+    const link = new URL(href);
+    expect(link.origin).toBe(baseUrl);
+    expect(link.searchParams.get('url')).toBe('https://tamyla.com/deals?x=1&y=2');
+    expect(rewritten).toContain('class="cta"');
+  });
+
+  test('non-web and engine links are left alone', () => {
+    const html = [
+      '<a href="mailto:trade@tamyla.com">Mail</a>',
+      "<a href='#top'>Top</a>",
+      `<a href="${baseUrl}/api/unsubscribe/abc">Unsubscribe</a>`
+    ].join('');
+
+    expect(rewriteLinks(html, { baseUrl, trackingId, secret })).toBe(html);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Minimal levelled logger for background services.
+ * LOG_LEVEL controls the threshold (debug, info, warn, error; default info).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const threshold = () => LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const write = (level, message, meta) => {
+  if (LEVELS[level] < threshold()) {
+    return;
+  }
+
+  const line = `[${new Date().toISOString()}] ${level.toUpperCase()} ${message}`;
+  const output = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+  if (meta === undefined) {
+    output(line);
+  } else {
+    output(line, meta instanceof Error ? meta : JSON.stringify(meta));
+  }
+};
+
+const logger = {
+  debug: (message, meta) => write('debug', message, meta),
+  info: (message, meta) => write('info', message, meta),
+  warn: (message, meta) => write('warn', message, meta),
+  error: (message, meta) => write('error', message, meta)
+};
+
+export default logger;
@@ -326,7 +326,7 @@ async function retryWithBackoff(operation, options = {}) {
   throw lastError;
 }
 
-module.exports = {
+export {
   CircuitBreaker,
   FreeTierRateLimiter,
   GracefulDegradationManager,
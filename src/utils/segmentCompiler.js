@@ -0,0 +1,353 @@
+/**
+ * Segment Rules
+ * A segment is a tree of groups, each matching all or any of its rules:
+ *
+ *   { match: 'all', rules: [
+ *     { field: 'tags', operator: 'has_any', value: ['buyer', 'exporter'] },
+ *     { match: 'any', rules: [
+ *       { field: 'email_domain', operator: 'is', value: 'tamyla.com' },
+ *       { field: 'engagement', operator: 'opened', within_days: 30 }
+ *     ] },
+ *     { field: 'custom_fields', key: 'country', operator: 'in', value: ['Kenya', 'Uganda'] }
+ *   ] }
+ *
+ * Custom field rules are checked against the account's field definitions:
+ * the operators available, and how values compare, follow the field's type.
+ * compileSegment turns the tree into a SQL condition over the contacts
+ * table. Every value goes in as a query parameter; the only SQL that is
+ * concatenated comes from the fixed fragments below.
+ */
+
+const MAX_DEPTH = 5;
+const MAX_RULES = 100;
+
+const METADATA_KEY = /^[A-Za-z0-9_-]{1,64}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const invalid = (message) => new Error(`Invalid segment rule: ${message}`);
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, match => `\\${match}`);
+
+const requireString = (rule) => {
+  if (typeof rule.value !== 'string' || rule.value.trim() === '') {
+    throw invalid(`${rule.field} ${rule.operator} needs a text value`);
+  }
+  return rule.value.trim();
+};
+
+const requireStringList = (rule) => {
+  const list = Array.isArray(rule.value) ? rule.value : [];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || item.trim() === '')) {
+    throw invalid(`${rule.field} ${rule.operator} needs a list of text values`);
+  }
+  return list.map(item => item.trim());
+};
+
+const requireNumber = (rule) => {
+  const number = typeof rule.value === 'number' ? rule.value : Number.NaN;
+  if (!Number.isFinite(number)) {
+    throw invalid(`${rule.field} ${rule.operator} needs a numeric value`);
+  }
+  return number;
+};
+
+const requireDays = (value, label) => {
+  if (!Number.isInteger(value) || value < 1 || value > 3650) {
+    throw invalid(`${label} must be a whole number of days between 1 and 3650`);
+  }
+  return value;
+};
+
+const requireDate = (value, label) => {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw invalid(`${label} must be an ISO 8601 date`);
+  }
+  return value;
+};
+
+// Recipient conditions and the timestamp used for "within the last N days"
+const ENGAGEMENT_EVENTS = {
+  received: {
+    condition: "cr.status IN ('sent', 'delivered', 'read', 'complained')",
+    timestamp: 'cr.sent_at'
+  },
+  opened: { condition: 'cr.first_opened_at IS NOT NULL', timestamp: 'cr.last_opened_at' },
+  clicked: { condition: 'cr.first_clicked_at IS NOT NULL', timestamp: 'cr.last_clicked_at' },
+  bounced: { condition: "cr.status = 'bounced'", timestamp: 'cr.bounced_at' }
+};
+
+/**
+ * SQL for each field, keyed by operator. Each builder gets the rule and a
+ * function that registers a parameter and returns its placeholder.
+ */
+const FIELDS = {
+  email_domain: {
+    is: (rule, param) => `split_part(lower(contacts.email), '@', 2) = ${param(requireString(rule).toLowerCase())}`,
+    is_not: (rule, param) => `split_part(lower(contacts.email), '@', 2) <> ${param(requireString(rule).toLowerCase())}`,
+    in: (rule, param) =>
+      `split_part(lower(contacts.email), '@', 2) = ANY(${param(requireStringList(rule).map(d => d.toLowerCase()))}::text[])`,
+    not_in: (rule, param) =>
+      `split_part(lower(contacts.email), '@', 2) <> ALL(${param(requireStringList(rule).map(d => d.toLowerCase()))}::text[])`
+  },
+
+  company: {
+    is: (rule, param) => `lower(contacts.company) = lower(${param(requireString(rule))})`,
+    is_not: (rule, param) =>
+      `(contacts.company IS NULL OR lower(contacts.company) <> lower(${param(requireString(rule))}))`,
+    contains: (rule, param) => `contacts.company ILIKE ${param(`%${escapeLike(requireString(rule))}%`)}`,
+    not_contains: (rule, param) =>
+      `(contacts.company IS NULL OR contacts.company NOT ILIKE ${param(`%${escapeLike(requireString(rule))}%`)})`,
+    is_empty: () => "(contacts.company IS NULL OR contacts.company = '')",
+    is_not_empty: () => "(contacts.company IS NOT NULL AND contacts.company <> '')"
+  },
+
+  tags: {
+    has_all: (rule, param) => `contacts.tags ?& ${param(requireStringList(rule))}::text[]`,
+    has_any: (rule, param) => `contacts.tags ?| ${param(requireStringList(rule))}::text[]`,
+    has_none: (rule, param) => `NOT (contacts.tags ?| ${param(requireStringList(rule))}::text[])`
+  },
+
+  metadata: {
+    equals: (rule, param, path) => `contacts.metadata #>> ${path} = ${param(String(rule.value ?? ''))}`,
+    not_equals: (rule, param, path) =>
+      `contacts.metadata #>> ${path} IS DISTINCT FROM ${param(String(rule.value ?? ''))}`,
+    contains: (rule, param, path) =>
+      `contacts.metadata #>> ${path} ILIKE ${param(`%${escapeLike(requireString(rule))}%`)}`,
+    exists: (rule, param, path) => `contacts.metadata #> ${path} IS NOT NULL`,
+    not_exists: (rule, param, path) => `contacts.metadata #> ${path} IS NULL`,
+    gt: (rule, param, path) => `${metadataNumber(path)} > ${param(requireNumber(rule))}::numeric`,
+    gte: (rule, param, path) => `${metadataNumber(path)} >= ${param(requireNumber(rule))}::numeric`,
+    lt: (rule, param, path) => `${metadataNumber(path)} < ${param(requireNumber(rule))}::numeric`,
+    lte: (rule, param, path) => `${metadataNumber(path)} <= ${param(requireNumber(rule))}::numeric`
+  },
+
+  created_at: {
+    before: (rule, param) => `contacts.created_at < ${param(requireDate(rule.value, 'created_at before'))}::timestamp`,
+    after: (rule, param) => `contacts.created_at > ${param(requireDate(rule.value, 'created_at after'))}::timestamp`,
+    between: (rule, param) => {
+      const [from, to] = Array.isArray(rule.value) ? rule.value : [];
+      return `contacts.created_at BETWEEN ${param(requireDate(from, 'created_at between start'))}::timestamp ` +
+        `AND ${param(requireDate(to, 'created_at between end'))}::timestamp`;
+    },
+    within_last_days: (rule, param) =>
+      `contacts.created_at >= NOW() - (${param(requireDays(rule.value, 'created_at within_last_days'))} * INTERVAL '1 day')`,
+    more_than_days_ago: (rule, param) =>
+      `contacts.created_at < NOW() - (${param(requireDays(rule.value, 'created_at more_than_days_ago'))} * INTERVAL '1 day')`
+  },
+
+  engagement: Object.fromEntries(Object.keys(ENGAGEMENT_EVENTS).flatMap(event => [
+    [event, (rule, param) => engagementCondition(event, rule, param)],
+    [`not_${event}`, (rule, param) => `NOT ${engagementCondition(event, rule, param)}`]
+  ]))
+};
+
+// Custom field value as text; stored values always match the field's type, so casts are safe
+const customValue = (key) => `(contacts.custom_fields ->> ${key})`;
+
+const requireOption = (field, value, rule) => {
+  const option = field.options.find(candidate => candidate.toLowerCase() === String(value).trim().toLowerCase());
+  if (typeof value !== 'string' || option === undefined) {
+    throw invalid(`custom field ${field.key} ${rule.operator} values must be among its options (${field.options.join(', ')})`);
+  }
+  return option;
+};
+
+const presenceOperators = {
+  is_empty: (rule, param, key) => `NOT (contacts.custom_fields ? ${key})`,
+  is_not_empty: (rule, param, key) => `contacts.custom_fields ? ${key}`
+};
+
+/**
+ * SQL for custom field rules, keyed by field type then operator. Builders also
+ * get the placeholder of the field key and the field definition.
+ */
+const CUSTOM_FIELD_OPERATORS = {
+  text: {
+    is: (rule, param, key) => `lower(${customValue(key)}) = lower(${param(requireString(rule))})`,
+    is_not: (rule, param, key) =>
+      `(${customValue(key)} IS NULL OR lower(${customValue(key)}) <> lower(${param(requireString(rule))}))`,
+    contains: (rule, param, key) => `${customValue(key)} ILIKE ${param(`%${escapeLike(requireString(rule))}%`)}`,
+    not_contains: (rule, param, key) =>
+      `(${customValue(key)} IS NULL OR ${customValue(key)} NOT ILIKE ${param(`%${escapeLike(requireString(rule))}%`)})`,
+    ...presenceOperators
+  },
+
+  number: {
+    equals: (rule, param, key) => `${customValue(key)}::numeric = ${param(requireNumber(rule))}::numeric`,
+    not_equals: (rule, param, key) =>
+      `${customValue(key)}::numeric IS DISTINCT FROM ${param(requireNumber(rule))}::numeric`,
+    gt: (rule, param, key) => `${customValue(key)}::numeric > ${param(requireNumber(rule))}::numeric`,
+    gte: (rule, param, key) => `${customValue(key)}::numeric >= ${param(requireNumber(rule))}::numeric`,
+    lt: (rule, param, key) => `${customValue(key)}::numeric < ${param(requireNumber(rule))}::numeric`,
+    lte: (rule, param, key) => `${customValue(key)}::numeric <= ${param(requireNumber(rule))}::numeric`,
+    ...presenceOperators
+  },
+
+  date: {
+    before: (rule, param, key) => `${customValue(key)}::date < ${param(requireDate(rule.value, `${rule.key} before`))}::date`,
+    after: (rule, param, key) => `${customValue(key)}::date > ${param(requireDate(rule.value, `${rule.key} after`))}::date`,
+    between: (rule, param, key) => {
+      const [from, to] = Array.isArray(rule.value) ? rule.value : [];
+      return `${customValue(key)}::date BETWEEN ${param(requireDate(from, `${rule.key} between start`))}::date ` +
+        `AND ${param(requireDate(to, `${rule.key} between end`))}::date`;
+    },
+    within_last_days: (rule, param, key) =>
+      `${customValue(key)}::date BETWEEN CURRENT_DATE - ${param(requireDays(rule.value, `${rule.key} within_last_days`))}::int ` +
+      'AND CURRENT_DATE',
+    within_next_days: (rule, param, key) =>
+      `${customValue(key)}::date BETWEEN CURRENT_DATE ` +
+      `AND CURRENT_DATE + ${param(requireDays(rule.value, `${rule.key} within_next_days`))}::int`,
+    more_than_days_ago: (rule, param, key) =>
+      `${customValue(key)}::date < CURRENT_DATE - ${param(requireDays(rule.value, `${rule.key} more_than_days_ago`))}::int`,
+    ...presenceOperators
+  },
+
+  enum: {
+    is: (rule, param, key, field) => `${customValue(key)} = ${param(requireOption(field, rule.value, rule))}`,
+    is_not: (rule, param, key, field) =>
+      `${customValue(key)} IS DISTINCT FROM ${param(requireOption(field, rule.value, rule))}`,
+    in: (rule, param, key, field) =>
+      `${customValue(key)} = ANY(${param(requireStringList(rule).map(value => requireOption(field, value, rule)))}::text[])`,
+    not_in: (rule, param, key, field) =>
+      `(${customValue(key)} IS NULL OR ${customValue(key)} <> ALL(` +
+      `${param(requireStringList(rule).map(value => requireOption(field, value, rule)))}::text[]))`,
+    ...presenceOperators
+  },
+
+  boolean: {
+    is_true: (rule, param, key) => `contacts.custom_fields -> ${key} = 'true'::jsonb`,
+    is_false: (rule, param, key) => `contacts.custom_fields -> ${key} = 'false'::jsonb`,
+    ...presenceOperators
+  }
+};
+
+function compileCustomFieldRule(rule, param, customFields) {
+  const field = typeof rule.key === 'string' ? customFields.get(rule.key) : undefined;
+  if (!field) {
+    throw invalid(`unknown custom field "${rule.key}"`);
+  }
+
+  const operators = CUSTOM_FIELD_OPERATORS[field.type];
+  const build = operators[rule.operator];
+  if (!build) {
+    throw invalid(`unknown operator "${rule.operator}" for ${field.type} field ${field.key} ` +
+      `(expected one of ${Object.keys(operators).join(', ')})`);
+  }
+
+  return build(rule, param, `${param(field.key)}::text`, field);
+}
+
+// Numeric metadata comparisons skip values that are not JSON numbers instead of failing the query
+function metadataNumber(path) {
+  return `(CASE WHEN jsonb_typeof(contacts.metadata #> ${path}) = 'number' ` +
+    `THEN (contacts.metadata #>> ${path})::numeric END)`;
+}
+
+function engagementCondition(event, rule, param) {
+  const { condition, timestamp } = ENGAGEMENT_EVENTS[event];
+  const clauses = ['cr.contact_id = contacts.id', condition];
+
+  if (rule.within_days !== undefined) {
+    clauses.push(`${timestamp} >= NOW() - (${param(requireDays(rule.within_days, 'within_days'))} * INTERVAL '1 day')`);
+  }
+
+  if (rule.campaign_id !== undefined) {
+    if (!UUID_PATTERN.test(String(rule.campaign_id))) {
+      throw invalid('campaign_id must be a UUID');
+    }
+    clauses.push(`cr.campaign_id = ${param(rule.campaign_id)}::uuid`);
+  }
+
+  return `EXISTS (SELECT 1 FROM campaign_recipients cr WHERE ${clauses.join(' AND ')})`;
+}
+
+function compileRule(rule, param, customFields) {
+  if (rule.field === 'custom_fields') {
+    return compileCustomFieldRule(rule, param, customFields);
+  }
+
+  const operators = FIELDS[rule.field];
+  if (!operators) {
+    throw invalid(`unknown field "${rule.field}" (expected one of ${[...Object.keys(FIELDS), 'custom_fields'].join(', ')})`);
+  }
+
+  const build = operators[rule.operator];
+  if (!build) {
+    throw invalid(`unknown operator "${rule.operator}" for ${rule.field} ` +
+      `(expected one of ${Object.keys(operators).join(', ')})`);
+  }
+
+  if (rule.field !== 'metadata') {
+    return build(rule, param);
+  }
+
+  const keys = typeof rule.path === 'string' ? rule.path.split('.') : [];
+  if (keys.length === 0 || keys.length > 10 || !keys.every(key => METADATA_KEY.test(key))) {
+    throw invalid('metadata rules need a dotted path of letters, digits, "_" or "-"');
+  }
+
+  return build(rule, param, `${param(keys)}::text[]`);
+}
+
+function compileGroup(group, param, state, depth) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    throw invalid('each group must be an object with match and rules');
+  }
+
+  if (depth > MAX_DEPTH) {
+    throw invalid(`groups can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+
+  const match = group.match || 'all';
+  if (!['all', 'any'].includes(match)) {
+    throw invalid('match must be "all" or "any"');
+  }
+
+  if (!Array.isArray(group.rules) || group.rules.length === 0) {
+    throw invalid('each group needs at least one rule');
+  }
+
+  const conditions = group.rules.map(rule => {
+    if (rule && Array.isArray(rule.rules)) {
+      return compileGroup(rule, param, state, depth + 1);
+    }
+
+    state.ruleCount += 1;
+    if (state.ruleCount > MAX_RULES) {
+      throw invalid(`a segment can have at most ${MAX_RULES} rules`);
+    }
+
+    if (!rule || typeof rule !== 'object') {
+      throw invalid('each rule must be an object');
+    }
+
+    return compileRule(rule, param, state.customFields);
+  });
+
+  return `(${conditions.join(match === 'all' ? ' AND ' : ' OR ')})`;
+}
+
+/**
+ * Compile a segment definition into a parameterised condition on the contacts table.
+ * @param {Object} definition - Root group { match, rules }
+ * @param {Object} options
+ * @param {number} options.startIndex - Number of the first placeholder ($1 by default)
+ * @param {Array<Object>} options.customFields - The account's custom field definitions
+ * @returns {{ sql: string, values: Array }}
+ * @throws {Error} "Invalid segment rule: ..." when the definition is malformed
+ */
+export const compileSegment = (definition, { startIndex = 1, customFields = [] } = {}) => {
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${startIndex + values.length - 1}`;
+  };
+
+  const state = {
+    ruleCount: 0,
+    customFields: new Map(customFields.map(field => [field.key, field]))
+  };
+
+  const sql = compileGroup(definition, param, state, 1);
+  return { sql, values };
+};
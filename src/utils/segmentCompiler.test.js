@@ -0,0 +1,80 @@
+import { compileSegment } from './segmentCompiler.js';
+
+describe('Segment compiler', () => {
+  test('nested groups compile to parameterised conditions', () => {
+    const { sql, values } = compileSegment({
+      match: 'all',
+      rules: [
+        { field: 'tags', operator: 'has_any', value: ['buyer', 'exporter'] },
+        {
+          match: 'any',
+          rules: [
+            { field: 'email_domain', operator: 'is', value: 'Tamyla.com' },
+            { field: 'company', operator: 'contains', value: '50%_off' }
+          ]
+        }
+      ]
+    }, { startIndex: 2 });
+
+    expect(sql).toBe(
+      '(contacts.tags ?| $2::text[] AND ' +
+      "(split_part(lower(contacts.email), '@', 2) = $3 OR contacts.company ILIKE $4))"
+    );
+    expect(values).toEqual([['buyer', 'exporter'], 'tamyla.com', '%50\\%\\_off%']);
+  });
+
+  test('metadata paths and engagement windows are passed as parameters', () => {
+    const { sql, values } = compileSegment({
+      match: 'all',
+      rules: [
+        { field: 'metadata', path: 'profile.score', operator: 'gte', value: 80 },
+        { field: 'engagement', operator: 'not_opened', within_days: 30 }
+      ]
+    });
+
+    expect(sql).toContain("jsonb_typeof(contacts.metadata #> $1::text[]) = 'number'");
+    expect(sql).toContain('>= $2::numeric');
+    expect(sql).toContain('NOT EXISTS (SELECT 1 FROM campaign_recipients cr');
+    expect(sql).toContain("cr.last_opened_at >= NOW() - ($3 * INTERVAL '1 day')");
+    expect(values).toEqual([['profile', 'score'], 80, 30]);
+  });
+
+  test('custom field rules follow the field type', () => {
+    const customFields = [
+      { key: 'country', type: 'enum', options: ['Kenya', 'Uganda'] },
+      { key: 'employees', type: 'number' },
+      { key: 'exporter', type: 'boolean' }
+    ];
+
+    const { sql, values } = compileSegment({
+      match: 'all',
+      rules: [
+        { field: 'custom_fields', key: 'country', operator: 'in', value: ['kenya'] },
+        { field: 'custom_fields', key: 'employees', operator: 'gt', value: 10 },
+        { field: 'custom_fields', key: 'exporter', operator: 'is_true' }
+      ]
+    }, { customFields });
+
+    expect(sql).toBe(
+      '((contacts.custom_fields ->> $1::text) = ANY($2::text[]) AND ' +
+      '(contacts.custom_fields ->> $3::text)::numeric > $4::numeric AND ' +
+      "contacts.custom_fields -> $5::text = 'true'::jsonb)"
+    );
+    expect(values).toEqual(['country', ['Kenya'], 'employees', 10, 'exporter']);
+
+    const single = (rule) => () => compileSegment({ match: 'all', rules: [rule] }, { customFields });
+    expect(single({ field: 'custom_fields', key: 'region', operator: 'is', value: 'x' })).toThrow('unknown custom field');
+    expect(single({ field: 'custom_fields', key: 'employees', operator: 'contains', value: 'x' })).toThrow('unknown operator');
+    expect(single({ field: 'custom_fields', key: 'country', operator: 'is', value: 'Tanzania' })).toThrow('among its options');
+  });
+
+  test('unknown fields, operators and unsafe paths are rejected', () => {
+    const single = (rule) => () => compileSegment({ match: 'all', rules: [rule] });
+
+    expect(single({ field: 'password', operator: 'is', value: 'x' })).toThrow('unknown field');
+    expect(single({ field: 'tags', operator: 'matches', value: ['x'] })).toThrow('unknown operator');
+    expect(single({ field: 'metadata', path: "a'); DROP TABLE contacts; --", operator: 'exists' })).toThrow('dotted path');
+    expect(single({ field: 'tags', operator: 'has_all', value: [] })).toThrow('list of text values');
+    expect(() => compileSegment({ match: 'all', rules: [] })).toThrow('at least one rule');
+  });
+});
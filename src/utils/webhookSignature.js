@@ -0,0 +1,108 @@
+/**
+ * Webhook Signatures
+ * Webhooks are signed with an HMAC-SHA256 over "<timestamp>.<raw body>".
+ * The signature header carries one or more "v1=<hex>" values so a sender
+ * can sign with both the old and new secret while secrets are rotated.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Active signing secrets, newest first (WEBHOOK_SECRETS is a comma-separated list)
+ */
+export const getWebhookSecrets = () =>
+  (process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+
+/**
+ * Allowed clock skew between sender and engine, in seconds
+ */
+export const getToleranceSeconds = () => {
+  const value = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS);
+  return Number.isNaN(value) ? DEFAULT_TOLERANCE_SECONDS : value;
+};
+
+/**
+ * HMAC of a payload for one secret, hex encoded
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  createHmac('sha256', secret)
+    .update(`${timestamp}.${Buffer.isBuffer(body) ? body.toString('utf8') : body}`)
+    .digest('hex');
+
+/**
+ * Signature header value for a payload, one v1 entry per secret
+ */
+export const buildSignatureHeader = (secrets, timestamp, body) =>
+  secrets.map(secret => `v1=${signWebhookPayload(secret, timestamp, body)}`).join(',');
+
+/**
+ * Digest identifying one signed request whatever secrets it was signed with,
+ * so a request signed twice during rotation can only be accepted once
+ */
+export const webhookReplayKey = (timestamp, body) =>
+  createHash('sha256')
+    .update(`${timestamp}.${Buffer.isBuffer(body) ? body.toString('utf8') : body}`)
+    .digest('hex');
+
+const parseSignatures = (header) =>
+  String(header || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part.startsWith('v1='))
+    .map(part => part.slice(3));
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+/**
+ * Check a signed webhook.
+ * @returns {{ valid: boolean, signature?: string, replayKey?: string, reason?: string }}
+ *   signature is the matching value; replayKey is used to detect replays
+ */
+export const verifyWebhookSignature = ({
+  timestamp,
+  signature,
+  body,
+  secrets = getWebhookSecrets(),
+  toleranceSeconds = getToleranceSeconds(),
+  now = Date.now()
+}) => {
+  if (secrets.length === 0) {
+    return { valid: false, reason: 'Webhook secrets are not configured' };
+  }
+
+  if (!timestamp || !signature) {
+    return { valid: false, reason: 'Missing webhook signature' };
+  }
+
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds)) {
+    return { valid: false, reason: 'Invalid webhook timestamp' };
+  }
+
+  if (Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+    return { valid: false, reason: 'Webhook timestamp outside tolerance' };
+  }
+
+  const presented = parseSignatures(signature);
+  for (const secret of secrets) {
+    const expected = signWebhookPayload(secret, timestamp, body ?? '');
+    const match = presented.find(candidate => safeEqual(expected, candidate));
+    if (match) {
+      return { valid: true, signature: match, replayKey: webhookReplayKey(timestamp, body ?? '') };
+    }
+  }
+
+  return { valid: false, reason: 'Invalid webhook signature' };
+};
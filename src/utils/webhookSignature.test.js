@@ -0,0 +1,45 @@
+import { signWebhookPayload, buildSignatureHeader, verifyWebhookSignature } from './webhookSignature.js';
+
+const body = '{"id":"evt_1","type":"user_created","data":{"userId":"u1"}}';
+const now = 1760000000000;
+const timestamp = String(now / 1000);
+
+describe('Webhook signatures', () => {
+  test('a signature over the timestamp and body verifies', () => {
+    const signature = buildSignatureHeader(['current'], timestamp, body);
+    const result = verifyWebhookSignature({ timestamp, signature, body, secrets: ['current'], now });
+
+    expect(result.valid).toBe(true);
+    expect(result.signature).toBe(signWebhookPayload('current', timestamp, body));
+  });
+
+  test('any active secret is accepted during rotation', () => {
+    const signature = buildSignatureHeader(['old'], timestamp, body);
+
+    expect(verifyWebhookSignature({ timestamp, signature, body, secrets: ['new', 'old'], now }).valid).toBe(true);
+    expect(verifyWebhookSignature({ timestamp, signature, body, secrets: ['new'], now }).valid).toBe(false);
+  });
+
+  test('tampered bodies, moved timestamps and stale requests are rejected', () => {
+    const signature = buildSignatureHeader(['current'], timestamp, body);
+    const verify = (overrides) => verifyWebhookSignature({
+      timestamp, signature, body, secrets: ['current'], toleranceSeconds: 300, now, ...overrides
+    });
+
+    expect(verify({ body: body.replace('u1', 'u2') }).reason).toBe('Invalid webhook signature');
+    expect(verify({ timestamp: String(now / 1000 + 1) }).reason).toBe('Invalid webhook signature');
+    expect(verify({ now: now + 301 * 1000 }).reason).toBe('Webhook timestamp outside tolerance');
+    expect(verify({ signature: undefined }).reason).toBe('Missing webhook signature');
+  });
+
+  test('the replay key is the same whichever rotated signature is presented', () => {
+    const [newer, older] = buildSignatureHeader(['new', 'old'], timestamp, body).split(',');
+    const verify = (signature) => verifyWebhookSignature({ timestamp, signature, body, secrets: ['new', 'old'], now });
+
+    expect(verify(newer).replayKey).toBe(verify(`${newer},${older}`).replayKey);
+    expect(verify(older).replayKey).toBe(verify(`${newer},${older}`).replayKey);
+    expect(verify(older).replayKey).not.toBe(verifyWebhookSignature({
+      timestamp, signature: buildSignatureHeader(['old'], timestamp, `${body} `), body: `${body} `, secrets: ['old'], now
+    }).replayKey);
+  });
+});
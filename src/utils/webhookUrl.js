@@ -0,0 +1,123 @@
+/**
+ * Webhook Destination Checks
+ * Webhook URLs are chosen by tenants but requested from inside our network,
+ * so they must never point at loopback, private, link-local or cloud
+ * metadata addresses. The host is resolved and every address it maps to is
+ * checked, both when the URL is saved and again right before each send.
+ * Sends connect through lookupPublicAddress, so a host that is repointed
+ * between the check and the connection is still refused.
+ */
+
+import { lookup as lookupCallback } from 'dns';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+const blockedAddresses = new BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// Metadata hosts that are not reachable by address alone
+const BLOCKED_HOSTNAMES = new Set(['localhost', 'metadata', 'metadata.google.internal']);
+
+const IPV4_MAPPED = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+/**
+ * Whether an IP address is one webhooks may not be sent to
+ */
+export const isBlockedAddress = (address) => {
+  const mapped = address.match(IPV4_MAPPED);
+  if (mapped) {
+    return isBlockedAddress(mapped[1]);
+  }
+
+  const family = isIP(address);
+  if (!family) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+const allowedProtocols = () =>
+  (process.env.NODE_ENV === 'development' ? ['https:', 'http:'] : ['https:']);
+
+/**
+ * Check that a webhook URL points at a public host
+ * @throws {Error} With a message that can be shown to the tenant
+ */
+export async function assertPublicWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('Webhook URL must be a valid URL');
+  }
+
+  if (!allowedProtocols().includes(url.protocol)) {
+    throw new Error('Webhook URL must use https');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (BLOCKED_HOSTNAMES.has(hostname) || hostname.endsWith('.localhost') || hostname.endsWith('.internal')) {
+    throw new Error('Webhook URL must not point at a private or internal address');
+  }
+
+  let addresses;
+  try {
+    addresses = isIP(hostname)
+      ? [{ address: hostname }]
+      : await lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    throw new Error(`Webhook URL host ${hostname} could not be resolved`);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error('Webhook URL must not point at a private or internal address');
+  }
+}
+
+/**
+ * dns.lookup for webhook connections: resolves the host as usual but fails
+ * when any address it maps to is blocked, so the socket only ever opens to
+ * an address that passed the check
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+  lookupCallback(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      const blocked = new Error('Webhook URL must not point at a private or internal address');
+      blocked.code = 'EBLOCKEDADDRESS';
+      callback(blocked);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
@@ -0,0 +1,62 @@
+import { createServer } from 'http';
+import { Agent, fetch } from 'undici';
+import { isBlockedAddress, assertPublicWebhookUrl, lookupPublicAddress } from './webhookUrl.js';
+
+const lookupAsync = (hostname, options) => new Promise((resolve, reject) => {
+  lookupPublicAddress(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+});
+
+describe('Webhook URL checks', () => {
+  test('loopback, private, link-local and metadata addresses are blocked', () => {
+    ['127.0.0.1', '10.0.0.5', '172.16.4.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1'].forEach((address) => {
+      expect(isBlockedAddress(address)).toBe(true);
+    });
+
+    expect(isBlockedAddress('93.184.216.34')).toBe(false);
+    expect(isBlockedAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(false);
+  });
+
+  test('URLs on internal hosts are rejected', async () => {
+    await expect(assertPublicWebhookUrl('https://127.0.0.1:6379/')).rejects.toThrow('private or internal');
+    await expect(assertPublicWebhookUrl('https://10.0.0.5/admin')).rejects.toThrow('private or internal');
+    await expect(assertPublicWebhookUrl('https://169.254.169.254/latest/meta-data/')).rejects.toThrow('private or internal');
+    await expect(assertPublicWebhookUrl('https://[::1]/hook')).rejects.toThrow('private or internal');
+    await expect(assertPublicWebhookUrl('https://localhost/hook')).rejects.toThrow('private or internal');
+    await expect(assertPublicWebhookUrl('https://93.184.216.34/hook')).resolves.toBeUndefined();
+  });
+
+  test('plain http is only allowed in development', async () => {
+    const env = process.env.NODE_ENV;
+    try {
+      process.env.NODE_ENV = 'production';
+      await expect(assertPublicWebhookUrl('http://93.184.216.34/hook')).rejects.toThrow('must use https');
+
+      process.env.NODE_ENV = 'development';
+      await expect(assertPublicWebhookUrl('http://93.184.216.34/hook')).resolves.toBeUndefined();
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+
+  test('connection lookups refuse hosts that resolve to internal addresses', async () => {
+    await expect(lookupAsync('localhost', {})).rejects.toMatchObject({ code: 'EBLOCKEDADDRESS' });
+    await expect(lookupAsync('93.184.216.34', {})).resolves.toEqual({ address: '93.184.216.34', family: 4 });
+    await expect(lookupAsync('93.184.216.34', { all: true }))
+      .resolves.toEqual({ address: [{ address: '93.184.216.34', family: 4 }], family: undefined });
+  });
+
+  test('a pinned connection never reaches a local server', async () => {
+    const server = createServer((req, res) => res.end('ok'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const agent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+    try {
+      const request = fetch(`http://localhost:${server.address().port}/`, { dispatcher: agent });
+      await expect(request).rejects.toMatchObject({ cause: { code: 'EBLOCKEDADDRESS' } });
+    } finally {
+      await agent.close();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});